@@ -0,0 +1,419 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - FILE PREVIEWS
+ * ===========================================================
+ * Decides how a received file can be previewed without touching
+ * the DOM: the content is sniffed from its first bytes and the MIME
+ * type the sender claimed only settles what the bytes leave open
+ * (audio or video in the same container). Nothing that can run
+ * code is previewed as a document: HTML is shown as source, SVG
+ * only as an image, where browsers do not run its scripts.
+ *
+ *   const preview = await FilePreview.inspect(blob, mimeType, name);
+ *   // { kind: 'image' | 'video' | 'audio' | 'pdf' | 'text' | 'zip' | 'none',
+ *   //   type, language }
+ *   const { text, truncated } = await FilePreview.readText(blob);
+ *   const tokens = FilePreview.highlight(text, preview.language);
+ *   const { entries, total } = await FilePreview.listZip(blob);
+ *
+ * type is the MIME type to show the file with, never the claimed
+ * one when the bytes disagree. Languages of highlight() are 'c'
+ * (C-like, JavaScript...), 'python', 'shell', 'json', 'css',
+ * 'markup' and 'plain'.
+ * ===========================================================
+ */
+
+const FilePreview = (function() {
+    'use strict';
+
+    /** Bytes read to recognise the content */
+    const SNIFF_SIZE = 4096;
+
+    /** Longest text shown, longer files are cut */
+    const TEXT_PREVIEW_LIMIT = 128 * 1024; // 128KB
+
+    /** Most archive entries listed */
+    const MAX_ZIP_ENTRIES = 1000;
+
+    /** Largest ZIP central directory read */
+    const MAX_ZIP_DIRECTORY = 16 * 1024 * 1024; // 16MB
+
+    /** File signatures: MIME type, the bytes and the offset they start at */
+    const SIGNATURES = [
+        { type: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+        { type: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+        { type: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+        { type: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+        { type: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+        { type: 'application/zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] },
+        { type: 'application/zip', offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06] },
+        { type: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+        { type: 'video/webm', offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+        { type: 'audio/ogg', offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] },
+        { type: 'audio/wav', offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] },
+        { type: 'audio/flac', offset: 0, bytes: [0x66, 0x4C, 0x61, 0x43] },
+        { type: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] },
+        { type: 'audio/mpeg', offset: 0, bytes: [0xFF, 0xFB] },
+        { type: 'audio/mpeg', offset: 0, bytes: [0xFF, 0xF3] }
+    ];
+
+    /** Containers that hold either audio or video, the claimed type picks one */
+    const MEDIA_CONTAINERS = {
+        'video/mp4': 'audio/mp4',
+        'video/webm': 'audio/webm',
+        'audio/ogg': 'video/ogg'
+    };
+
+    /** Highlighting language by file extension */
+    const LANGUAGES = {
+        c: ['c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'java', 'kt', 'go', 'rs', 'swift', 'php',
+            'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'dart', 'scala'],
+        python: ['py', 'pyw', 'rb', 'pl'],
+        shell: ['sh', 'bash', 'zsh', 'ps1', 'yml', 'yaml', 'toml', 'ini', 'cfg', 'conf', 'dockerfile', 'makefile'],
+        json: ['json', 'jsonc', 'geojson', 'webmanifest'],
+        css: ['css', 'scss', 'less'],
+        markup: ['html', 'htm', 'xhtml', 'xml', 'svg', 'vue', 'plist']
+    };
+
+    /** Keywords of the highlighted languages */
+    const KEYWORDS = {
+        c: new Set(('abstract async await break case catch char class const continue default defer delete do ' +
+            'double else enum export extends false final finally float fn for func function go if impl ' +
+            'import in instanceof int interface let long match mut namespace new nil null package pub ' +
+            'private protected public return self short static struct super switch this throw throws ' +
+            'trait true try type typeof use var void while yield').split(' ')),
+        python: new Set(('and as assert async await begin break class continue def del elif else end ensure ' +
+            'except False finally for from global if import in is lambda module my None nonlocal not or ' +
+            'pass raise require rescue return self sub True try unless use while with yield').split(' ')),
+        shell: new Set(('case do done elif else esac exit export fi for function if in local return set ' +
+            'then true false unset until while').split(' ')),
+        json: new Set(['true', 'false', 'null'])
+    };
+
+    /** Token patterns per language, tried in order at each position */
+    const TOKEN_PATTERNS = {
+        c: [
+            ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/y]
+        ],
+        python: [
+            ['comment', /#[^\n]*/y],
+            ['string', /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y]
+        ],
+        shell: [
+            ['comment', /#[^\n]*/y],
+            ['string', /"(?:\\.|[^"\\])*"?|'[^']*'?/y]
+        ],
+        json: [
+            ['string', /"(?:\\.|[^"\\\n])*"?/y]
+        ],
+        css: [
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+            ['keyword', /@[\w-]+/y]
+        ],
+        markup: [
+            ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+            ['keyword', /<\/?[\w:-]+|\/?>/y],
+            ['string', /"[^"\n]*"|'[^'\n]*'/y]
+        ]
+    };
+
+    /** Numbers and words, shared by every language */
+    const NUMBER_PATTERN = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y;
+    const WORD_PATTERN = /[A-Za-z_$][\w$]*/y;
+
+    // ===========================================
+    // CONTENT SNIFFING
+    // ===========================================
+
+    /**
+     * Recognises a file from its first bytes
+     * @param {Uint8Array} head - First bytes of the file
+     * @returns {string|null} MIME type, null if no signature matches
+     */
+    function sniff(head) {
+        const match = SIGNATURES.find(({ offset, bytes }) =>
+            head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte));
+        if (!match) return null;
+
+        // RIFF holds both WebP and WAV, the signature at 8 needs the header at 0
+        if (match.offset === 8 && !(head[0] === 0x52 && head[1] === 0x49 && head[2] === 0x46 && head[3] === 0x46)) {
+            return null;
+        }
+        return match.type;
+    }
+
+    /**
+     * Decodes bytes as text if they look like text
+     * @param {Uint8Array} bytes - Bytes, possibly cut in the middle of a character
+     * @returns {string|null} Text, null for binary content
+     */
+    function decodeText(bytes) {
+        if (bytes.includes(0)) return null;
+        try {
+            // A character cut at the end is fine, invalid UTF-8 elsewhere is not
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, trimPartialCharacter(bytes)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Finds where the last complete UTF-8 character ends
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {number} Length without a trailing partial character
+     */
+    function trimPartialCharacter(bytes) {
+        for (let back = 1; back <= Math.min(3, bytes.length); back++) {
+            const byte = bytes[bytes.length - back];
+            if ((byte & 0xC0) === 0x80) continue;
+            const expected = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+            return expected > back ? bytes.length - back : bytes.length;
+        }
+        return bytes.length;
+    }
+
+    /**
+     * Picks the highlighting language of a text file
+     * @param {string} name - File name
+     * @param {string} mimeType - Claimed MIME type
+     * @returns {string} Language
+     */
+    function detectLanguage(name, mimeType) {
+        const base = String(name).toLowerCase().split('/').pop();
+        const extension = base.includes('.') ? base.split('.').pop() : base;
+        const language = Object.keys(LANGUAGES).find((key) => LANGUAGES[key].includes(extension));
+        if (language) return language;
+        if (/json/.test(mimeType)) return 'json';
+        if (/html|xml/.test(mimeType)) return 'markup';
+        if (/javascript|ecmascript/.test(mimeType)) return 'c';
+        return 'plain';
+    }
+
+    /**
+     * Decides how a file can be previewed
+     * @param {Blob} blob - File content
+     * @param {string} mimeType - MIME type claimed by the sender
+     * @param {string} name - File name
+     * @returns {Promise<Object>} { kind, type, language }
+     */
+    async function inspect(blob, mimeType, name) {
+        const claimed = String(mimeType || '').toLowerCase();
+        const head = new Uint8Array(await blob.slice(0, SNIFF_SIZE).arrayBuffer());
+        const type = sniff(head);
+
+        if (type) {
+            const kind = type === 'application/pdf' ? 'pdf' : type === 'application/zip' ? 'zip' : type.split('/')[0];
+            const other = MEDIA_CONTAINERS[type];
+            if (other && claimed.startsWith(other.split('/')[0] + '/')) {
+                return { kind: other.split('/')[0], type: other, language: null };
+            }
+            return { kind, type, language: null };
+        }
+
+        const text = decodeText(head);
+        if (text === null) {
+            return { kind: 'none', type: 'application/octet-stream', language: null };
+        }
+
+        // SVG is only ever shown as an image, which does not run its scripts
+        if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+            return { kind: 'image', type: 'image/svg+xml', language: 'markup' };
+        }
+        return { kind: 'text', type: 'text/plain', language: detectLanguage(name, claimed) };
+    }
+
+    /**
+     * Reads the start of a text file
+     * @param {Blob} blob - File content
+     * @param {number} limit - Most bytes read
+     * @returns {Promise<{text: string, truncated: boolean}>} Text, with invalid bytes replaced
+     */
+    async function readText(blob, limit = TEXT_PREVIEW_LIMIT) {
+        const bytes = new Uint8Array(await blob.slice(0, limit).arrayBuffer());
+        const truncated = blob.size > limit;
+        const end = truncated ? trimPartialCharacter(bytes) : bytes.length;
+        return { text: new TextDecoder().decode(bytes.subarray(0, end)), truncated };
+    }
+
+    // ===========================================
+    // SYNTAX HIGHLIGHTING
+    // ===========================================
+
+    /**
+     * Splits text into tokens for highlighting; joined they give back the text
+     * @param {string} text - Source text
+     * @param {string} language - Language from inspect()
+     * @returns {Array<{type: string, text: string}>} Tokens of type 'comment' |
+     *     'string' | 'number' | 'keyword' | 'plain'
+     */
+    function highlight(text, language) {
+        const patterns = TOKEN_PATTERNS[language];
+        if (!patterns) return [{ type: 'plain', text }];
+
+        const keywords = KEYWORDS[language] || new Set();
+        const tokens = [];
+        let plainStart = 0;
+        let position = 0;
+
+        const push = (type, end) => {
+            if (plainStart < position) tokens.push({ type: 'plain', text: text.slice(plainStart, position) });
+            tokens.push({ type, text: text.slice(position, end) });
+            position = end;
+            plainStart = end;
+        };
+
+        // Tries a sticky pattern at the current position, returns where it ends
+        const matchAt = (pattern) => {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            return match && match[0].length > 0 ? position + match[0].length : -1;
+        };
+
+        while (position < text.length) {
+            const found = patterns.find(([, pattern]) => matchAt(pattern) > 0);
+            if (found) {
+                push(found[0], matchAt(found[1]));
+                continue;
+            }
+
+            const numberEnd = language !== 'markup' ? matchAt(NUMBER_PATTERN) : -1;
+            if (numberEnd > 0 && !/[\w$]/.test(text[position - 1] || '')) {
+                push('number', numberEnd);
+                continue;
+            }
+
+            const wordEnd = matchAt(WORD_PATTERN);
+            if (wordEnd > 0) {
+                if (keywords.has(text.slice(position, wordEnd))) {
+                    push('keyword', wordEnd);
+                } else {
+                    position = wordEnd;
+                }
+                continue;
+            }
+            position++;
+        }
+
+        if (plainStart < text.length) tokens.push({ type: 'plain', text: text.slice(plainStart) });
+        return tokens;
+    }
+
+    // ===========================================
+    // ZIP LISTING
+    // ===========================================
+
+    /**
+     * Reads the little-endian 64-bit number at an offset
+     * @param {DataView} view - Data
+     * @param {number} offset - Byte offset
+     * @returns {number} Value (exact up to 2^53)
+     */
+    function getUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Finds the central directory of a ZIP archive, including ZIP64 ones
+     * @param {Blob} blob - Archive
+     * @returns {Promise<{offset: number, size: number, total: number}>} Directory location
+     * @throws {Error} If the archive has no readable end record
+     */
+    async function findCentralDirectory(blob) {
+        // End record (22 bytes) plus a comment of up to 64KB, and a ZIP64 locator before it
+        const tailStart = Math.max(0, blob.size - 22 - 0xFFFF - 20);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+        let end = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a ZIP archive (no end of central directory)');
+
+        let total = tail.getUint16(end + 10, true);
+        let size = tail.getUint32(end + 12, true);
+        let offset = tail.getUint32(end + 16, true);
+
+        const locator = end - 20;
+        if (locator >= 0 && tail.getUint32(locator, true) === 0x07064B50) {
+            const recordOffset = getUint64(tail, locator + 8);
+            const record = new DataView(await blob.slice(recordOffset, recordOffset + 56).arrayBuffer());
+            if (record.byteLength < 56 || record.getUint32(0, true) !== 0x06064B50) {
+                throw new Error('ZIP64 end record is missing');
+            }
+            total = getUint64(record, 32);
+            size = getUint64(record, 40);
+            offset = getUint64(record, 48);
+        }
+
+        if (offset + size > blob.size) throw new Error('ZIP central directory lies outside the file');
+        return { offset, size, total };
+    }
+
+    /**
+     * Lists the entries of a ZIP archive from its central directory
+     * @param {Blob} blob - Archive
+     * @returns {Promise<{entries: Object[], total: number}>} Up to MAX_ZIP_ENTRIES entries
+     *     { name, size, compressedSize, directory } and how many the archive holds
+     * @throws {Error} If the archive is malformed
+     */
+    async function listZip(blob) {
+        const location = await findCentralDirectory(blob);
+        const size = Math.min(location.size, MAX_ZIP_DIRECTORY);
+        const view = new DataView(await blob.slice(location.offset, location.offset + size).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        let position = 0;
+        while (entries.length < Math.min(location.total, MAX_ZIP_ENTRIES) && position + 46 <= view.byteLength) {
+            if (view.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('ZIP central directory is malformed');
+            }
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const next = position + 46 + nameLength + extraLength + commentLength;
+            if (next > view.byteLength) break;
+
+            let compressedSize = view.getUint32(position + 20, true);
+            let uncompressedSize = view.getUint32(position + 24, true);
+
+            // ZIP64 extra field holds the sizes that did not fit, in this order
+            for (let extra = position + 46 + nameLength; extra + 4 <= position + 46 + nameLength + extraLength;) {
+                const id = view.getUint16(extra, true);
+                const length = view.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xFFFFFFFF && field + 8 <= extra + 4 + length) {
+                        uncompressedSize = getUint64(view, field);
+                        field += 8;
+                    }
+                    if (compressedSize === 0xFFFFFFFF && field + 8 <= extra + 4 + length) {
+                        compressedSize = getUint64(view, field);
+                    }
+                }
+                extra += 4 + length;
+            }
+
+            const name = decoder.decode(new Uint8Array(view.buffer, position + 46, nameLength));
+            entries.push({ name, size: uncompressedSize, compressedSize, directory: name.endsWith('/') });
+            position = next;
+        }
+
+        return { entries, total: location.total };
+    }
+
+    return {
+        TEXT_PREVIEW_LIMIT,
+        MAX_ZIP_ENTRIES,
+        sniff,
+        inspect,
+        readText,
+        highlight,
+        listZip
+    };
+})();
@@ -0,0 +1,108 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - PEER VERIFICATION
+ * ===========================================================
+ * Offers and answers travel through messengers, e-mail or a
+ * signaling server, any of which could swap them for its own and
+ * sit in the middle of the connection. Each device's DTLS
+ * certificate fingerprint is in its SDP, so both sides hash the
+ * two fingerprints they see into a short authentication string of
+ * emoji. The users compare it by voice or in person: with someone
+ * in the middle, each side sees a different certificate and so a
+ * different string.
+ *
+ *   const code = await PeerVerification.compute(localSdp, remoteSdp);
+ *   // [{ emoji: '🐶', name: 'Dog' }, ...] the same on both devices
+ *
+ * The fingerprints are sorted before hashing, so the offering and
+ * the answering side get the same string. 6 emoji out of 64 give
+ * 36 bits: a go-between has one chance in 68 billion to match.
+ * ===========================================================
+ */
+
+const PeerVerification = (function() {
+    'use strict';
+
+    /** Emoji in the string */
+    const CODE_LENGTH = 6;
+
+    /** Hash input prefix, a new version gives new strings */
+    const CODE_CONTEXT = 'p2p-file-share verification v1';
+
+    /** 64 emoji that are easy to tell apart and to name aloud */
+    const EMOJI = [
+        ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐴', 'Horse'],
+        ['🦄', 'Unicorn'], ['🐷', 'Pig'], ['🐘', 'Elephant'], ['🐰', 'Rabbit'],
+        ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+        ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'],
+        ['🌳', 'Tree'], ['🌵', 'Cactus'], ['🍄', 'Mushroom'], ['🌏', 'Globe'],
+        ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+        ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'],
+        ['🎂', 'Cake'], ['❤️', 'Heart'], ['😀', 'Smiley'], ['🤖', 'Robot'],
+        ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+        ['👍', 'Thumbs up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'],
+        ['🎁', 'Gift'], ['💡', 'Light bulb'], ['📕', 'Book'], ['✏️', 'Pencil'],
+        ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+        ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'],
+        ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'], ['🚀', 'Rocket'], ['🏆', 'Trophy'],
+        ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+        ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin']
+    ];
+
+    /**
+     * Reads the certificate fingerprint of a session description. The
+     * browser checks the media-level fingerprint, which overrides a
+     * session-level one: a description with two different ones could show
+     * one certificate here and use another, so it is refused.
+     * @param {string} sdp - Session description
+     * @returns {string|null} "<hash function> <HEX:HEX:...>", null if absent
+     * @throws {Error} If the fingerprints differ or one is malformed
+     */
+    function readFingerprint(sdp) {
+        const fingerprints = new Set((sdp.match(/^a=fingerprint:.*$/gm) || []).map((line) => {
+            const match = /^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/.exec(line);
+            if (!match) {
+                throw new Error('Session description has a malformed DTLS fingerprint');
+            }
+            return `${match[1].toLowerCase()} ${match[2].toUpperCase()}`;
+        }));
+
+        if (fingerprints.size > 1) {
+            throw new Error('Session description has more than one DTLS fingerprint');
+        }
+        return fingerprints.size === 1 ? fingerprints.values().next().value : null;
+    }
+
+    /**
+     * Computes the string both users compare
+     * @param {string} localSdp - This device's description
+     * @param {string} remoteSdp - The other device's description
+     * @returns {Promise<Array<{emoji: string, name: string}>>} Emoji of the string
+     */
+    async function compute(localSdp, remoteSdp) {
+        const fingerprints = [readFingerprint(localSdp), readFingerprint(remoteSdp)];
+        if (fingerprints.includes(null)) {
+            throw new Error('Session description has no DTLS fingerprint');
+        }
+
+        const input = new TextEncoder().encode([CODE_CONTEXT, ...fingerprints.sort()].join('\n'));
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+
+        // Six bits per emoji, read from the start of the digest
+        const code = [];
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            const bit = i * 6;
+            const pair = (digest[bit >> 3] << 8) | digest[(bit >> 3) + 1];
+            const [emoji, name] = EMOJI[(pair >> (10 - (bit & 7))) & 63];
+            code.push({ emoji, name });
+        }
+        return code;
+    }
+
+    return {
+        CODE_LENGTH,
+        EMOJI,
+        readFingerprint,
+        compute
+    };
+})();
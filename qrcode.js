@@ -0,0 +1,477 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - QR CODE GENERATOR
+ * ===========================================================
+ * Minimal QR Code Model 2 encoder (ISO/IEC 18004) for the
+ * connection codes: byte mode only, error correction level M
+ * (falls back to L for long codes), versions 1-40.
+ * ===========================================================
+ */
+
+const QRCode = (function() {
+    'use strict';
+
+    /** Error correction levels: format bits and table row */
+    const ECC_LEVELS = {
+        M: { formatBits: 0, row: 0 },
+        L: { formatBits: 1, row: 1 }
+    };
+
+    /** Error correction codewords per block, indexed [row][version] */
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    /** Number of error correction blocks, indexed [row][version] */
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    ];
+
+    /** Mask patterns, true where a data module is inverted */
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    // ===========================================
+    // CAPACITY
+    // ===========================================
+
+    /**
+     * Counts modules available for data and error correction
+     * @param {number} version - QR version (1-40)
+     * @returns {number} Number of modules
+     */
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    /**
+     * Counts data codewords of a version and level
+     * @param {number} version - QR version
+     * @param {Object} ecc - Error correction level
+     * @returns {number} Data codewords
+     */
+    function getNumDataCodewords(version, ecc) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ecc.row][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc.row][version];
+    }
+
+    /**
+     * Counts the bits needed for a byte-mode segment
+     * @param {number} version - QR version
+     * @param {number} length - Data length in bytes
+     * @returns {number} Bit count
+     */
+    function getSegmentBits(version, length) {
+        return 4 + (version <= 9 ? 8 : 16) + length * 8;
+    }
+
+    // ===========================================
+    // REED-SOLOMON ERROR CORRECTION
+    // ===========================================
+
+    /**
+     * Multiplies in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     * @param {number} x - Factor
+     * @param {number} y - Factor
+     * @returns {number} Product
+     */
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Computes the generator polynomial of a given degree
+     * @param {number} degree - Number of error correction codewords
+     * @returns {number[]} Coefficients, highest power first (leading 1 omitted)
+     */
+    function computeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Computes the error correction codewords of a block
+     * @param {number[]} data - Data codewords
+     * @param {number[]} divisor - Generator polynomial
+     * @returns {number[]} Error correction codewords
+     */
+    function computeRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach((byte) => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Splits data into blocks, adds error correction and interleaves
+     * @param {number[]} data - Data codewords
+     * @param {number} version - QR version
+     * @param {Object} ecc - Error correction level
+     * @returns {number[]} Final codeword sequence
+     */
+    function addEccAndInterleave(data, version, ecc) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc.row][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecc.row][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = computeDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const eccCodewords = computeRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(eccCodewords));
+        }
+
+        // Short blocks carry a placeholder that is skipped here
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // ===========================================
+    // MATRIX CONSTRUCTION
+    // ===========================================
+
+    /**
+     * Lists alignment pattern centre coordinates
+     * @param {number} version - QR version
+     * @returns {number[]} Coordinates (used for both axes)
+     */
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Builds the module matrix for encoded codewords
+     * @param {number} version - QR version
+     * @param {Object} ecc - Error correction level
+     * @param {number[]} codewords - Interleaved codewords
+     * @returns {boolean[][]} Modules, true = dark, indexed [y][x]
+     */
+    function buildMatrix(version, ecc, codewords) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap finders
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format areas, real bits are drawn after masking
+        drawFormatBits(modules, isFunction, ecc, 0);
+
+        // Version information
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+
+        // Data in two-module columns, zigzagging up and down
+        let bit = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && bit < codewords.length * 8) {
+                        modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) !== 0;
+                        bit++;
+                    }
+                }
+            }
+        }
+
+        // Keep the mask with the lowest penalty
+        let best = null;
+        let bestPenalty = Infinity;
+        MASKS.forEach((mask, index) => {
+            const candidate = modules.map((row) => row.slice());
+            applyMask(candidate, isFunction, mask);
+            drawFormatBits(candidate, isFunction, ecc, index);
+            const penalty = getPenaltyScore(candidate);
+            if (penalty < bestPenalty) {
+                best = candidate;
+                bestPenalty = penalty;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Draws both copies of the format information
+     * @param {boolean[][]} modules - Module matrix
+     * @param {boolean[][]} isFunction - Function module flags
+     * @param {Object} ecc - Error correction level
+     * @param {number} mask - Mask index
+     */
+    function drawFormatBits(modules, isFunction, ecc, mask) {
+        const size = modules.length;
+        const data = ecc.formatBits << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | remainder) ^ 0x5412;
+
+        const set = (x, y, i) => {
+            modules[y][x] = ((bits >>> i) & 1) !== 0;
+            isFunction[y][x] = true;
+        };
+
+        // First copy around the top left finder
+        for (let i = 0; i <= 5; i++) set(8, i, i);
+        set(8, 7, 6);
+        set(8, 8, 7);
+        set(7, 8, 8);
+        for (let i = 9; i < 15; i++) set(14 - i, 8, i);
+
+        // Second copy split between the other finders
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, i);
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, i);
+        modules[size - 8][8] = true;
+        isFunction[size - 8][8] = true;
+    }
+
+    /**
+     * Inverts data modules selected by a mask
+     * @param {boolean[][]} modules - Module matrix
+     * @param {boolean[][]} isFunction - Function module flags
+     * @param {Function} mask - Mask predicate
+     */
+    function applyMask(modules, isFunction, mask) {
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (!isFunction[y][x] && mask(x, y)) row[x] = !dark;
+            });
+        });
+    }
+
+    /**
+     * Scores a masked matrix, lower is easier to scan
+     * @param {boolean[][]} modules - Module matrix
+     * @returns {number} Penalty
+     */
+    function getPenaltyScore(modules) {
+        const size = modules.length;
+        const column = (x) => modules.map((row) => row[x]);
+        const lines = modules.concat(Array.from({ length: size }, (_, x) => column(x)));
+        let penalty = 0;
+
+        lines.forEach((line) => {
+            // Runs of five or more same-coloured modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            // Finder-like 1:1:3:1:1 patterns with light space on one side
+            const text = line.map((dark) => dark ? '1' : '0').join('');
+            const padded = `0000${text}0000`;
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const window = padded.slice(i, i + 11);
+                if (window === '00001011101' || window === '10111010000') penalty += 40;
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(k, 0) * 10;
+
+        return penalty;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+
+    /**
+     * Encodes text as a QR code matrix
+     * @param {string} text - Text to encode (UTF-8, byte mode)
+     * @returns {boolean[][]} Modules, true = dark, indexed [y][x]
+     * @throws {Error} If the text does not fit in a version 40 code
+     */
+    function encode(text) {
+        const bytes = new TextEncoder().encode(text);
+
+        for (const level of ['M', 'L']) {
+            const ecc = ECC_LEVELS[level];
+            for (let version = 1; version <= 40; version++) {
+                const capacityBits = getNumDataCodewords(version, ecc) * 8;
+                if (getSegmentBits(version, bytes.length) > capacityBits) continue;
+
+                // Mode indicator, length, data, terminator and padding
+                const bits = [];
+                const append = (value, length) => {
+                    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+                };
+                append(0x4, 4);
+                append(bytes.length, version <= 9 ? 8 : 16);
+                bytes.forEach((byte) => append(byte, 8));
+                append(0, Math.min(4, capacityBits - bits.length));
+                append(0, (8 - bits.length % 8) % 8);
+
+                const codewords = [];
+                for (let i = 0; i < bits.length; i += 8) {
+                    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => byte << 1 | bit, 0));
+                }
+                for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+                    codewords.push(pad);
+                }
+
+                return buildMatrix(version, ecc, addEccAndInterleave(codewords, version, ecc));
+            }
+        }
+
+        throw new Error('Text is too long for a QR code');
+    }
+
+    /**
+     * Draws text as a QR code on a canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {string} text - Text to encode
+     * @param {number} maxSize - Largest canvas size in CSS pixels
+     */
+    function renderToCanvas(canvas, text, maxSize = 320) {
+        const modules = encode(text);
+        const quietZone = 4;
+        const count = modules.length + quietZone * 2;
+        const scale = Math.max(1, Math.floor(maxSize / count));
+
+        canvas.width = count * scale;
+        canvas.height = count * scale;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#000000';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) context.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+            });
+        });
+    }
+
+    return {
+        encode,
+        renderToCanvas
+    };
+})();
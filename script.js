@@ -7,8 +7,25 @@
  * 
  * Features:
  * - Manual signaling (no server required)
+ * - Compact connection codes with QR display and camera scanning
+ * - Optional self-hosted signaling server with room codes
+ * - Trickle ICE: codes are ready at once, late candidates follow
  * - File chunking for large file support (1GB+)
+ * - Multi-file and folder transfer queue
+ * - Resume of interrupted transfers after reconnecting
+ * - SHA-256 integrity verification per block and per file
+ * - Streaming of received files to disk (File System Access / service worker)
+ * - Optional passphrase encryption of file data (AES-256-GCM)
  * - Backpressure management for optimal transfer
+ * - Frame size and buffer thresholds adapted to the measured link
+ * - Optional striping of file frames across parallel data channels
+ * - Versioned wire protocol with a hello, so mismatched app versions stop cleanly
+ * - Transfers in both directions, whichever device started the connection
+ * - Sending one queue to several connected devices at once
+ * - Text chat with delivery receipts over its own data channel
+ * - Receiver consent: incoming files are accepted or declined first
+ * - Pause, resume and cancel from either side of a transfer
+ * - Headless transfer engine (transfer-engine.js) this page drives through events
  * - Real-time progress tracking
  * - End-to-end encryption (WebRTC default DTLS)
  * 
@@ -27,88 +44,149 @@ const P2PApp = (function() {
     // CONFIGURATION CONSTANTS
     // ===========================================
     
-    /** Size of each file chunk in bytes (16KB for optimal performance) */
-    const CHUNK_SIZE = 16 * 1024; // 16KB
+    /** Files above this size are streamed by the service worker instead of kept in memory */
+    const STREAM_THRESHOLD = 64 * 1024 * 1024; // 64MB
     
-    /** Maximum buffer threshold before pausing transmission (backpressure) */
-    const BUFFER_THRESHOLD = 256 * 1024; // 256KB
+    /** Characters of generated room codes (no look-alikes such as 0/O, 1/I) */
+    const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     
-    /** Low buffer threshold to resume transmission */
-    const BUFFER_LOW_THRESHOLD = 64 * 1024; // 64KB
+    /** Length of generated room codes */
+    const ROOM_CODE_LENGTH = 6;
     
-    /** ICE server configuration using public STUN servers */
-    const ICE_SERVERS = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' },
-            { urls: 'stun:stun2.l.google.com:19302' },
-            { urls: 'stun:stun3.l.google.com:19302' },
-            { urls: 'stun:stun4.l.google.com:19302' }
-        ]
+    /** localStorage key of the STUN/TURN settings */
+    const ICE_SETTINGS_KEY = 'p2p-file-share.ice-servers';
+    
+    /** localStorage key of the receive policy */
+    const RECEIVE_POLICY_KEY = 'p2p-file-share.receive-policy';
+    
+    /** localStorage key of the transfer history settings */
+    const HISTORY_SETTINGS_KEY = 'p2p-file-share.history';
+    
+    /** How often the open diagnostics panel reads the connection stats */
+    const DIAGNOSTICS_INTERVAL = 1000; // 1s
+    
+    /** Stats samples kept per device for the graph and the export */
+    const DIAGNOSTICS_HISTORY = 120; // 2 minutes at one sample per second
+    
+    /** Links in chat messages that are made clickable */
+    const CHAT_LINK_PATTERN = /https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/g;
+    
+    /** Display labels for send queue item states */
+    const QUEUE_STATUS_LABELS = {
+        queued: 'Queued',
+        hashing: 'Hashing',
+        sending: 'Sending',
+        interrupted: 'Interrupted',
+        sent: 'Sent',
+        declined: 'Declined',
+        cancelled: 'Cancelled',
+        failed: 'Failed'
+    };
+    
+    /** Display labels of transfer outcomes in the history */
+    const OUTCOME_LABELS = {
+        sent: '✅ Sent',
+        received: '✅ Received',
+        declined: '🚫 Declined',
+        refused: '🚫 Refused',
+        cancelled: '⏹️ Cancelled',
+        failed: '❌ Failed'
     };
 
     // ===========================================
     // APPLICATION STATE
     // ===========================================
     
-    /** Current role: 'sender' | 'receiver' | null */
+    /** Current role: 'sender' (creates the offer) | 'receiver' (answers it) | null */
     let currentRole = null;
     
-    /** RTCPeerConnection instance */
-    let peerConnection = null;
+    /** Moves the files: connections, queue, offers and received files; this page renders its events */
+    const engine = TransferEngine.create({ createSink: createReceiveSink, requireVerification: true });
     
-    /** RTCDataChannel instance */
-    let dataChannel = null;
+    /** Progress rows of the devices by peer id */
+    const peerRows = new Map();
     
-    /** Selected file to send (sender only) */
-    let selectedFile = null;
+    /** Peer whose offer/answer is being exchanged in the copy & paste panels */
+    let pairingPeer = null;
     
-    /** Indicates if connection is established */
-    let isConnected = false;
+    /** Codes of the pairing peer: whether its description is shown, candidates found since, codes applied */
+    let pairingCodes = createPairingCodes();
     
-    /** ICE gathering complete flag */
-    let iceGatheringComplete = false;
-
-    // --- File Transfer State (Sender) ---
+    /** Device restored by hand with restore codes: { peer, version, applied }, null if none */
+    let restoring = null;
     
-    /** Flag indicating if a transfer is in progress */
-    let sendingInProgress = false;
+    // --- Signaling Server ---
     
-    /** Flag indicating if sending is paused due to backpressure */
-    let sendPaused = false;
+    /** WebSocket to the optional signaling server */
+    let signalingSocket = null;
     
-    /** Current chunk index being sent */
-    let currentChunkIndex = 0;
+    /** Room joined on the signaling server */
+    let signalingRoom = null;
     
-    /** Total number of chunks */
-    let totalChunks = 0;
+    /** Server ids of the other devices in the room */
+    let roomMembers = new Set();
 
-    // --- File Transfer State (Receiver) ---
+    // --- Received Files ---
+    
+    /** Folder picked with the File System Access API, null if none */
+    let downloadDirectory = null;
+    
+    /** Service worker registration used for streamed downloads */
+    let streamWorker = null;
+    
+    /** Completed files: { transferId, path, name, size, mimeType, blob, url } */
+    let receivedFiles = [];
+    
+    /** Offers waiting for the user's answer, oldest first: { peer, offerId, files } */
+    let pendingOffers = [];
+    
+    /** Received file shown in the preview pane, null if none */
+    let previewedFile = null;
+    
+    /** Object URL of the preview, revoked when it closes */
+    let previewUrl = null;
+    
+    // --- Transfer History ---
     
-    /** Received file chunks */
-    let receivedChunks = [];
+    /** Record of sent and received files in IndexedDB, with the kept files */
+    const transferHistory = TransferHistory.create();
     
-    /** Metadata of file being received */
-    let receivedFileInfo = null;
+    /** Bytes the kept received files may take, 0 to keep records only */
+    let historyQuota = 0;
     
-    /** Total bytes received */
-    let receivedBytes = 0;
+    // --- QR Scanning ---
+    
+    /** Camera stream while scanning a QR code */
+    let scanStream = null;
+    
+    /** Timer of the next QR detection attempt */
+    let scanTimer = null;
 
     // --- Progress Tracking ---
     
-    /** Transfer start timestamp for speed calculation */
-    let transferStartTime = 0;
+    /** Speed tracking of everything being sent: start time, last update time, bytes at last update */
+    const sendTiming = { startTime: 0, lastUpdate: 0, lastBytes: 0 };
+
+    // --- Chat ---
+    
+    /** Views of messages sent by this device that may still be acknowledged: id → { row, status } */
+    const chatViews = new Map();
+
+    // --- Diagnostics ---
+    
+    /** Timer of the next stats poll, null while the diagnostics panel is closed */
+    let diagnosticsTimer = null;
     
-    /** Last progress update timestamp */
-    let lastProgressUpdate = 0;
+    /** Stats history by peer id: { label, latest, samples } */
+    const diagnosticsHistory = new Map();
     
-    /** Bytes transferred at last progress update */
-    let lastTransferredBytes = 0;
+    /** Rates and buffered bytes of all devices together, one entry per poll, drawn in the graph */
+    const diagnosticsTotals = [];
 
     // ===========================================
     // DOM ELEMENT REFERENCES
     // ===========================================
-    
+
     const elements = {
         // Status
         statusBanner: document.getElementById('statusBanner'),
@@ -117,6 +195,35 @@ const P2PApp = (function() {
         roleBadge: document.getElementById('roleBadge'),
         transferBadge: document.getElementById('transferBadge'),
         
+        // Encryption
+        passphrase: document.getElementById('passphrase'),
+        
+        // Throughput
+        dataChannelCount: document.getElementById('dataChannelCount'),
+        
+        // Network traversal
+        iceMode: document.getElementById('iceMode'),
+        iceCustom: document.getElementById('iceCustom'),
+        iceServerList: document.getElementById('iceServerList'),
+        btnIceTest: document.getElementById('btnIceTest'),
+        iceTestResult: document.getElementById('iceTestResult'),
+        
+        // Receive policy
+        policyMaxFileSize: document.getElementById('policyMaxFileSize'),
+        policyMaxSession: document.getElementById('policyMaxSession'),
+        policyAllowedTypes: document.getElementById('policyAllowedTypes'),
+        policyBlockedTypes: document.getElementById('policyBlockedTypes'),
+        policyExecutables: document.getElementById('policyExecutables'),
+        
+        // Signaling
+        signalingMode: document.getElementById('signalingMode'),
+        serverSettings: document.getElementById('serverSettings'),
+        signalingUrl: document.getElementById('signalingUrl'),
+        roomCode: document.getElementById('roomCode'),
+        roomPanel: document.getElementById('roomPanel'),
+        roomCodeDisplay: document.getElementById('roomCodeDisplay'),
+        roomStatus: document.getElementById('roomStatus'),
+        
         // Role selection
         roleSelection: document.getElementById('roleSelection'),
         btnSender: document.getElementById('btnSender'),
@@ -132,38 +239,103 @@ const P2PApp = (function() {
         remoteOffer: document.getElementById('remoteOffer'),
         localAnswer: document.getElementById('localAnswer'),
         
+        // QR codes
+        localOfferQR: document.getElementById('localOfferQR'),
+        localAnswerQR: document.getElementById('localAnswerQR'),
+        
+        // Trickle ICE add-on codes
+        offerCandidatesGroup: document.getElementById('offerCandidatesGroup'),
+        offerCandidates: document.getElementById('offerCandidates'),
+        offerCandidatesStatus: document.getElementById('offerCandidatesStatus'),
+        offerCandidatesQR: document.getElementById('offerCandidatesQR'),
+        answerCandidatesGroup: document.getElementById('answerCandidatesGroup'),
+        answerCandidates: document.getElementById('answerCandidates'),
+        answerCandidatesStatus: document.getElementById('answerCandidatesStatus'),
+        answerCandidatesQR: document.getElementById('answerCandidatesQR'),
+        qrScanner: document.getElementById('qrScanner'),
+        qrVideo: document.getElementById('qrVideo'),
+        
+        // Restore after an ICE restart
+        restorePanel: document.getElementById('restorePanel'),
+        restoreStatus: document.getElementById('restoreStatus'),
+        restoreLocalGroup: document.getElementById('restoreLocalGroup'),
+        restoreLocal: document.getElementById('restoreLocal'),
+        restoreLocalQR: document.getElementById('restoreLocalQR'),
+        restoreRemote: document.getElementById('restoreRemote'),
+        
+        // Reconnect
+        reconnectContainer: document.getElementById('reconnectContainer'),
+        addDeviceContainer: document.getElementById('addDeviceContainer'),
+        
         // File handling
         fileDropZone: document.getElementById('fileDropZone'),
         fileInput: document.getElementById('fileInput'),
+        folderInput: document.getElementById('folderInput'),
         fileInfo: document.getElementById('fileInfo'),
         fileTypeIcon: document.getElementById('fileTypeIcon'),
         fileName: document.getElementById('fileName'),
         fileMeta: document.getElementById('fileMeta'),
+        transferQueue: document.getElementById('transferQueue'),
+        peerList: document.getElementById('peerList'),
+        verificationPanel: document.getElementById('verificationPanel'),
+        verificationList: document.getElementById('verificationList'),
         sendButtonContainer: document.getElementById('sendButtonContainer'),
         btnSendFile: document.getElementById('btnSendFile'),
         
-        // Progress
-        progressSection: document.getElementById('progressSection'),
-        progressTitle: document.getElementById('progressTitle'),
-        progressStats: document.getElementById('progressStats'),
-        progressBar: document.getElementById('progressBar'),
-        progressTransferred: document.getElementById('progressTransferred'),
-        progressTotal: document.getElementById('progressTotal'),
-        progressSpeed: document.getElementById('progressSpeed'),
-        progressETA: document.getElementById('progressETA'),
+        // Progress, one view per direction since both can run at once
+        sendProgress: getProgressView('send'),
+        receiveProgress: getProgressView('receive'),
         
         // Download
         downloadSection: document.getElementById('downloadSection'),
+        downloadTitle: document.getElementById('downloadTitle'),
         downloadInfo: document.getElementById('downloadInfo'),
+        downloadVerification: document.getElementById('downloadVerification'),
         downloadLink: document.getElementById('downloadLink'),
+        receivedList: document.getElementById('receivedList'),
+        previewPane: document.getElementById('previewPane'),
+        previewTitle: document.getElementById('previewTitle'),
+        previewContent: document.getElementById('previewContent'),
+        btnDownloadAll: document.getElementById('btnDownloadAll'),
         
         // Waiting
         waitingForFile: document.getElementById('waitingForFile'),
         
+        // Incoming offer
+        incomingOffer: document.getElementById('incomingOffer'),
+        incomingOfferTitle: document.getElementById('incomingOfferTitle'),
+        incomingOfferInfo: document.getElementById('incomingOfferInfo'),
+        incomingOfferList: document.getElementById('incomingOfferList'),
+        
+        // Save location
+        saveLocation: document.getElementById('saveLocation'),
+        saveLocationText: document.getElementById('saveLocationText'),
+        btnChooseFolder: document.getElementById('btnChooseFolder'),
+        
         // Instructions
         instructions: document.getElementById('instructions'),
         instructionsList: document.getElementById('instructionsList'),
         
+        // Chat
+        chatPanel: document.getElementById('chatPanel'),
+        chatMessages: document.getElementById('chatMessages'),
+        chatInput: document.getElementById('chatInput'),
+        btnChatSend: document.getElementById('btnChatSend'),
+        
+        // Transfer history
+        historyContent: document.getElementById('historyContent'),
+        historyToggle: document.getElementById('historyToggle'),
+        historyQuota: document.getElementById('historyQuota'),
+        historyUsage: document.getElementById('historyUsage'),
+        historyList: document.getElementById('historyList'),
+        
+        // Diagnostics
+        diagnosticsContent: document.getElementById('diagnosticsContent'),
+        diagnosticsToggle: document.getElementById('diagnosticsToggle'),
+        diagnosticsGraph: document.getElementById('diagnosticsGraph'),
+        diagnosticsLegend: document.getElementById('diagnosticsLegend'),
+        diagnosticsDetails: document.getElementById('diagnosticsDetails'),
+        
         // Log
         logContent: document.getElementById('logContent'),
         logToggle: document.getElementById('logToggle'),
@@ -175,37 +347,10 @@ const P2PApp = (function() {
     // ===========================================
     // UTILITY FUNCTIONS
     // ===========================================
-
-    /**
-     * Formats bytes into human-readable string
-     * @param {number} bytes - Number of bytes
-     * @param {number} decimals - Decimal places (default: 2)
-     * @returns {string} Formatted string (e.g., "1.5 MB")
-     */
-    function formatBytes(bytes, decimals = 2) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
-    }
-
-    /**
-     * Formats seconds into MM:SS or HH:MM:SS string
-     * @param {number} seconds - Number of seconds
-     * @returns {string} Formatted time string
-     */
-    function formatTime(seconds) {
-        if (!isFinite(seconds) || seconds < 0) return '--:--';
-        const hrs = Math.floor(seconds / 3600);
-        const mins = Math.floor((seconds % 3600) / 60);
-        const secs = Math.floor(seconds % 60);
-        if (hrs > 0) {
-            return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-        }
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
-
+    
+    /** Byte and duration formatting, shared with the transfer engine */
+    const { formatBytes, formatTime } = TransferEngine;
+    
     /**
      * Gets current timestamp string for logging
      * @returns {string} Timestamp in HH:MM:SS format
@@ -222,10 +367,15 @@ const P2PApp = (function() {
     function log(message, type = 'info') {
         const entry = document.createElement('div');
         entry.className = 'log-entry';
-        entry.innerHTML = `
-            <span class="log-time">[${getTimestamp()}]</span>
-            <span class="log-message ${type}">${message}</span>
-        `;
+        
+        // Messages carry file names from other devices, never parse them as HTML
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = `[${getTimestamp()}]`;
+        const text = document.createElement('span');
+        text.className = `log-message ${type}`;
+        text.textContent = message;
+        entry.append(time, ' ', text);
         elements.logContent.appendChild(entry);
         elements.logContent.scrollTop = elements.logContent.scrollHeight;
         console.log(`[${type.toUpperCase()}] ${message}`);
@@ -239,7 +389,9 @@ const P2PApp = (function() {
     function showToast(message, type = 'info') {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.innerHTML = `<span>${message}</span>`;
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
         elements.toastContainer.appendChild(toast);
         
         setTimeout(() => {
@@ -284,6 +436,70 @@ const P2PApp = (function() {
         elements.statusText.textContent = text;
     }
 
+    /**
+     * Looks up the progress elements of one transfer direction
+     * @param {string} direction - 'send' | 'receive'
+     * @returns {Object} Progress view elements
+     */
+    function getProgressView(direction) {
+        const byId = (name) => document.getElementById(`${direction}Progress${name}`);
+        return {
+            section: byId('Section'),
+            title: byId('Title'),
+            stats: byId('Stats'),
+            bar: byId('Bar'),
+            transferred: byId('Transferred'),
+            total: byId('Total'),
+            speed: byId('Speed'),
+            eta: byId('ETA'),
+            controls: byId('Controls'),
+            pause: byId('Pause'),
+            resume: byId('Resume'),
+            cancel: byId('Cancel')
+        };
+    }
+
+    /**
+     * Restarts speed tracking, e.g. for a new round of sending
+     * @param {Object} timing - Speed tracking to restart
+     * @param {number} bytes - Bytes already transferred
+     */
+    function resetTiming(timing, bytes) {
+        timing.startTime = Date.now();
+        timing.lastUpdate = timing.startTime;
+        timing.lastBytes = bytes;
+    }
+
+    /**
+     * Updates a progress view with the bytes done, speed and ETA
+     * @param {Object} view - Progress view elements
+     * @param {Object} timing - Speed tracking of the same direction
+     * @param {number} done - Bytes transferred so far
+     * @param {number} total - File size in bytes
+     */
+    function renderProgress(view, timing, done, total) {
+        const percentage = total > 0 ? Math.round((done / total) * 100) : 100;
+        const now = Date.now();
+        
+        // Update progress bar
+        view.bar.style.width = `${percentage}%`;
+        view.stats.textContent = `${percentage}%`;
+        view.transferred.textContent = formatBytes(done);
+        
+        // Calculate speed and ETA (update every 200ms to avoid flickering)
+        if (now - timing.lastUpdate >= 200) {
+            const timeDelta = (now - timing.lastUpdate) / 1000;
+            const speed = (done - timing.lastBytes) / timeDelta;
+            const eta = speed > 0 ? (total - done) / speed : 0;
+            
+            view.speed.textContent = formatBytes(speed) + '/s';
+            view.eta.textContent = formatTime(eta);
+            
+            timing.lastUpdate = now;
+            timing.lastBytes = done;
+        }
+    }
+
     /**
      * Gets file type icon based on MIME type
      * @param {string} type - MIME type
@@ -316,10 +532,32 @@ const P2PApp = (function() {
     // ===========================================
 
     /**
-     * Handles role selection (sender or receiver)
+     * Handles role selection. The role only decides which device creates the
+     * offer ('sender') and which answers it ('receiver'); once connected both
+     * devices can send and receive files.
      * @param {string} role - Selected role: 'sender' | 'receiver'
      */
     function selectRole(role) {
+        const useServer = isServerSignaling();
+        
+        // Server mode pairs through a room code, the starting device may create one
+        if (useServer) {
+            const room = elements.roomCode.value.trim().toUpperCase();
+            if (!room && role === 'receiver') {
+                showToast('Enter the room code shown on the other device first.', 'error');
+                elements.roomCode.focus();
+                return;
+            }
+            elements.roomCode.value = room || generateRoomCode();
+        } else {
+            leaveSignalingRoom();
+        }
+        
+        // Devices paired under the other role cannot be kept
+        if (currentRole && role !== currentRole) {
+            engine.getPeers().forEach((peer) => engine.removePeer(peer));
+        }
+        
         currentRole = role;
         
         // Update button states
@@ -330,9 +568,7 @@ const P2PApp = (function() {
             elements.btnSender.classList.add('active', 'sender');
             elements.senderPanel.classList.remove('hidden');
             elements.receiverPanel.classList.add('hidden');
-            elements.fileDropZone.classList.remove('hidden');
-            elements.waitingForFile.classList.add('hidden');
-            elements.roleBadge.textContent = 'Sender';
+            elements.roleBadge.textContent = 'Initiator';
             elements.roleBadge.style.background = 'rgba(63, 185, 80, 0.2)';
             elements.roleBadge.style.color = 'var(--accent-green)';
             updateInstructions('sender');
@@ -341,15 +577,29 @@ const P2PApp = (function() {
             elements.btnReceiver.classList.add('active', 'receiver');
             elements.receiverPanel.classList.remove('hidden');
             elements.senderPanel.classList.add('hidden');
-            elements.fileDropZone.classList.add('hidden');
-            elements.waitingForFile.classList.remove('hidden');
-            elements.roleBadge.textContent = 'Receiver';
+            elements.roleBadge.textContent = 'Joiner';
             elements.roleBadge.style.background = 'rgba(163, 113, 247, 0.2)';
             elements.roleBadge.style.color = 'var(--accent-purple)';
             updateInstructions('receiver');
             initializeReceiver();
         }
         
+        // Either device can send and receive once connected
+        elements.fileDropZone.classList.remove('hidden');
+        elements.waitingForFile.classList.remove('hidden');
+        elements.saveLocation.classList.remove('hidden');
+        updateSaveLocation();
+        
+        // The room panel replaces the copy & paste panels in server mode
+        if (useServer) {
+            elements.senderPanel.classList.add('hidden');
+            elements.receiverPanel.classList.add('hidden');
+            elements.roomPanel.classList.remove('hidden');
+            elements.roomCodeDisplay.textContent = elements.roomCode.value;
+        } else {
+            elements.roomPanel.classList.add('hidden');
+        }
+        
         log(`Role selected: ${role.toUpperCase()}`, 'info');
         updateStatus('waiting', 'Waiting for connection...');
     }
@@ -359,119 +609,240 @@ const P2PApp = (function() {
      * @param {string} role - Current role
      */
     function updateInstructions(role) {
+        if (isServerSignaling()) {
+            elements.instructionsList.innerHTML = role === 'sender' ? `
+                <li>Tell the other devices the room code shown above</li>
+                <li>Wait for them to join the room, any number can join</li>
+                <li>Each connection is set up automatically</li>
+                <li>Once connected, either device can select files or a folder to send</li>
+            ` : `
+                <li>Enter the room code shown on the other device</li>
+                <li>The connection is set up automatically</li>
+                <li>Once connected, either device can select files or a folder to send</li>
+            `;
+            return;
+        }
+        
         if (role === 'sender') {
             elements.instructionsList.innerHTML = `
                 <li>Wait for the connection offer to generate</li>
-                <li>Copy the offer and send it to the receiver</li>
-                <li>Wait for the receiver to send their answer</li>
-                <li>Paste the answer and click "Accept Answer"</li>
-                <li>Once connected, select a file to send</li>
+                <li>Copy the offer code or let the other device scan its QR code</li>
+                <li>Also send the candidate code if one appears below the offer</li>
+                <li>Paste the other device's codes and click "Accept Answer", or scan them</li>
+                <li>Click "Connect Another Device" to add more devices the same way</li>
+                <li>Once connected, either device can select files or a folder to send</li>
+                <li>If the connection drops, swap the restore codes that appear to continue</li>
             `;
         } else {
             elements.instructionsList.innerHTML = `
-                <li>Get the connection offer from the sender</li>
-                <li>Paste it in the text area and click "Accept Offer"</li>
-                <li>Copy your generated answer</li>
-                <li>Send the answer back to the sender</li>
-                <li>Wait for the file transfer to begin</li>
+                <li>Get the connection offer from the other device</li>
+                <li>Paste it and click "Accept Offer", or scan its QR code</li>
+                <li>Copy your generated answer or show its QR code</li>
+                <li>Send the answer, and the candidate code if one appears, back to the other device</li>
+                <li>Once connected, either device can select files or a folder to send</li>
+                <li>If the connection drops, swap the restore codes that appear to continue</li>
             `;
         }
     }
 
     // ===========================================
-    // WEBRTC INITIALIZATION
+    // PEERS
     // ===========================================
 
     /**
-     * Creates and configures RTCPeerConnection
-     * @returns {RTCPeerConnection} Configured peer connection
+     * Finds the peer of a device in the signaling room
+     * @param {string} remoteId - Server id of the device
+     * @returns {Object|undefined} Peer
      */
-    function createPeerConnection() {
-        log('Creating peer connection...', 'info');
-        
-        const pc = new RTCPeerConnection(ICE_SERVERS);
-        
-        // Handle ICE candidate events
-        pc.onicecandidate = (event) => {
-            if (event.candidate) {
-                log(`ICE candidate gathered: ${event.candidate.candidate.split(' ')[4] || 'relay'}`, 'info');
-            } else {
-                // ICE gathering complete - all candidates included in SDP
-                iceGatheringComplete = true;
-                log('ICE gathering complete', 'success');
-                updateLocalDescription();
-            }
+    function findPeerByRemoteId(remoteId) {
+        return engine.getPeers().find((peer) => peer.remoteId === remoteId);
+    }
+
+    /**
+     * Creates the progress row of a peer
+     * @param {Object} peer - Peer
+     * @returns {Object} Row elements, usable as a progress view
+     */
+    function createPeerRow(peer) {
+        const row = document.createElement('li');
+        row.className = 'peer-item';
+        
+        const create = (tag, className, text) => {
+            const element = document.createElement(tag);
+            element.className = className;
+            element.textContent = text;
+            return element;
         };
         
-        // Handle ICE connection state changes
-        pc.oniceconnectionstatechange = () => {
-            log(`ICE connection state: ${pc.iceConnectionState}`, 'info');
-            
-            switch (pc.iceConnectionState) {
-                case 'connected':
-                case 'completed':
-                    handleConnectionEstablished();
-                    break;
-                case 'disconnected':
-                    updateStatus('warning', 'Connection interrupted');
-                    log('Peer disconnected', 'warning');
-                    break;
-                case 'failed':
-                    updateStatus('error', 'Connection failed');
-                    log('Connection failed', 'error');
-                    showToast('Connection failed. Please try again.', 'error');
-                    break;
-            }
+        const name = create('span', 'peer-name', peer.label);
+        const state = create('span', 'peer-state', 'Connecting...');
+        const title = create('span', 'peer-file', '');
+        const stats = create('span', 'peer-stats', '');
+        const barContainer = create('div', 'progress-bar-container', '');
+        const bar = create('div', 'progress-bar', '');
+        const transferred = create('span', 'peer-transferred', '');
+        const total = create('span', 'peer-total', '');
+        const speed = create('span', 'peer-speed', '');
+        const eta = create('span', 'peer-eta', '');
+        
+        barContainer.appendChild(bar);
+        row.append(name, state, title, stats, barContainer, transferred, total, speed, eta);
+        elements.peerList.appendChild(row);
+        
+        return { row, state, title, stats, bar, transferred, total, speed, eta };
+    }
+
+    /**
+     * Shows a peer's connection or queue state in its row
+     * @param {Object} peer - Peer
+     * @param {string} text - State text
+     */
+    function updatePeerState(peer, text) {
+        const view = peerRows.get(peer.id);
+        view.state.textContent = text;
+        view.row.className = `peer-item ${peer.isConnected ? 'connected' : 'disconnected'}`;
+    }
+
+    // ===========================================
+    // WEBRTC INITIALIZATION
+    // ===========================================
+
+    /**
+     * Picks the local code elements of the current role
+     * @returns {Object} Description and candidate code elements
+     */
+    function getLocalSignalElements() {
+        const isOffer = currentRole === 'sender';
+        return {
+            code: isOffer ? elements.localOffer : elements.localAnswer,
+            qr: isOffer ? elements.localOfferQR : elements.localAnswerQR,
+            candidatesGroup: isOffer ? elements.offerCandidatesGroup : elements.answerCandidatesGroup,
+            candidates: isOffer ? elements.offerCandidates : elements.answerCandidates,
+            candidatesStatus: isOffer ? elements.offerCandidatesStatus : elements.answerCandidatesStatus,
+            candidatesQR: isOffer ? elements.offerCandidatesQR : elements.answerCandidatesQR
         };
+    }
+
+    /**
+     * Empties the copy & paste panels for a new offer/answer exchange
+     */
+    function clearSignalCodes() {
+        elements.localOffer.value = '';
+        elements.remoteAnswer.value = '';
+        elements.remoteOffer.value = '';
+        elements.localAnswer.value = '';
+        elements.offerCandidates.value = '';
+        elements.answerCandidates.value = '';
+        elements.localOfferQR.classList.add('hidden');
+        elements.localAnswerQR.classList.add('hidden');
+        elements.offerCandidatesGroup.classList.add('hidden');
+        elements.answerCandidatesGroup.classList.add('hidden');
+    }
+
+    /**
+     * Draws a code as a QR code, hiding the canvas if it does not fit
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {string} code - Connection code
+     */
+    function renderQRCode(canvas, code) {
+        try {
+            QRCode.renderToCanvas(canvas, code);
+            canvas.classList.remove('hidden');
+        } catch (error) {
+            canvas.classList.add('hidden');
+            log(`No QR code: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Shows the local offer/answer right away with the candidates known so far
+     * @param {Object} peer - Peer being paired
+     * @param {{type: string, sdp: string}} description - Local offer or answer
+     */
+    async function updateLocalDescription(peer, description) {
+        if (peer !== pairingPeer) return;
         
-        // Handle connection state changes
-        pc.onconnectionstatechange = () => {
-            log(`Connection state: ${pc.connectionState}`, 'info');
-        };
+        // Candidates found from now on go into the add-on code
+        pairingCodes.shown = true;
+        pairingCodes.candidates = [];
         
-        return pc;
+        const code = await SignalCodec.encode(description);
+        const target = getLocalSignalElements();
+        target.code.value = code;
+        renderQRCode(target.qr, code);
+        
+        log(`Local ${description.type} ready for sharing (${code.length} characters)`, 'success');
+        showToast(`${description.type.charAt(0).toUpperCase() + description.type.slice(1)} is ready! Copy and share it.`, 'info');
     }
 
     /**
-     * Updates the local description textarea with SDP + ICE candidates
+     * Updates the add-on code with every candidate found after the offer/answer
+     * @param {Object} peer - Peer being paired
      */
-    function updateLocalDescription() {
-        if (!peerConnection || !peerConnection.localDescription) return;
+    async function updateCandidateCode(peer) {
+        if (peer !== pairingPeer) return;
         
-        const description = {
-            type: peerConnection.localDescription.type,
-            sdp: peerConnection.localDescription.sdp
-        };
+        const codes = pairingCodes;
+        const target = getLocalSignalElements();
+        const version = ++codes.version;
+        const count = codes.candidates.length;
         
-        const textarea = currentRole === 'sender' ? elements.localOffer : elements.localAnswer;
-        textarea.value = JSON.stringify(description);
+        // Everything was already part of the offer/answer
+        if (count === 0) {
+            target.candidatesGroup.classList.add('hidden');
+            return;
+        }
         
-        log(`Local ${description.type} ready for sharing`, 'success');
-        showToast(`${description.type.charAt(0).toUpperCase() + description.type.slice(1)} is ready! Copy and share it.`, 'info');
+        const code = await SignalCodec.encodeCandidates(codes.candidates);
+        if (version !== codes.version || peer !== pairingPeer) return;
+        
+        target.candidates.value = code;
+        target.candidatesStatus.textContent = peer.iceGatheringComplete
+            ? `All ${count} additional candidate(s) found. Send this code as well.`
+            : `${count} additional candidate(s) so far, still searching...`;
+        target.candidatesGroup.classList.remove('hidden');
+        renderQRCode(target.candidatesQR, code);
+    }
+
+    /**
+     * Creates the code state of a new offer/answer exchange
+     * @returns {{shown: boolean, candidates: Object[], version: number, applied: Set<string>}} Pairing codes
+     */
+    function createPairingCodes() {
+        return { shown: false, candidates: [], version: 0, applied: new Set() };
+    }
+
+    /**
+     * Drops the peer of the copy & paste panels before a new one is paired
+     */
+    function startPairing() {
+        // An offer nobody answered yet is simply replaced
+        if (pairingPeer && !pairingPeer.isConnected) {
+            engine.removePeer(pairingPeer);
+        }
+        pairingPeer = null;
+        pairingCodes = createPairingCodes();
     }
 
     /**
-     * Initializes sender role - creates offer
+     * Initializes sender role - creates an offer for the next device
      */
     async function initializeSender() {
+        // Offers are sent as devices join the room
+        if (isServerSignaling()) {
+            joinSignalingRoom();
+            return;
+        }
+        
         try {
-            // Reset state
-            iceGatheringComplete = false;
-            
-            peerConnection = createPeerConnection();
-            
-            // Create data channel with ordered delivery
-            dataChannel = peerConnection.createDataChannel('fileTransfer', {
-                ordered: true
-            });
+            startPairing();
             
-            setupDataChannel(dataChannel);
-            
-            // Create and set offer
-            const offer = await peerConnection.createOffer();
-            await peerConnection.setLocalDescription(offer);
+            // The offer is shown at once (trickle ICE)
+            const { peer, description } = await engine.connect();
+            pairingPeer = peer;
             
             log('Offer created, gathering ICE candidates...', 'info');
+            await updateLocalDescription(peer, description);
             
         } catch (error) {
             log(`Failed to initialize sender: ${error.message}`, 'error');
@@ -483,19 +854,27 @@ const P2PApp = (function() {
      * Initializes receiver role - waits for offer
      */
     function initializeReceiver() {
-        // Reset state
-        iceGatheringComplete = false;
-        
-        peerConnection = createPeerConnection();
-        
-        // Handle incoming data channel
-        peerConnection.ondatachannel = (event) => {
-            log('Data channel received', 'success');
-            dataChannel = event.channel;
-            setupDataChannel(dataChannel);
-        };
+        startPairing();
+        pairingPeer = engine.join();
         
         log('Receiver initialized, waiting for offer...', 'info');
+        
+        if (isServerSignaling()) {
+            joinSignalingRoom();
+        }
+    }
+
+    /**
+     * Creates an offer for one more device, keeping the connected ones (manual mode)
+     */
+    function addDevice() {
+        if (currentRole !== 'sender' || isServerSignaling()) return;
+        
+        clearSignalCodes();
+        elements.addDeviceContainer.classList.add('hidden');
+        elements.senderPanel.classList.remove('hidden');
+        log('Creating an offer for another device', 'info');
+        initializeSender();
     }
 
     /**
@@ -510,30 +889,54 @@ const P2PApp = (function() {
         }
         
         try {
-            const offer = JSON.parse(offerText);
-            
-            if (offer.type !== 'offer') {
-                throw new Error('Invalid offer format');
-            }
-            
-            log('Processing remote offer...', 'info');
-            
-            // Set remote description
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-            log('Remote offer accepted', 'success');
-            
-            // Create answer
-            const answer = await peerConnection.createAnswer();
-            await peerConnection.setLocalDescription(answer);
-            
-            log('Answer created, gathering ICE candidates...', 'info');
-            
+            await applyRemoteCodes(pairingPeer, offerText, 'offer');
         } catch (error) {
             log(`Failed to process offer: ${error.message}`, 'error');
             showToast('Invalid offer format. Please check and try again.', 'error');
         }
     }
 
+    /**
+     * Splits pasted text into connection codes
+     * @param {string} text - Pasted text
+     * @returns {string[]} Codes in pasted order
+     */
+    function splitSignalCodes(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) return [trimmed];
+        
+        // Codes contain no whitespace, breaks inside one come from line wrapping
+        return trimmed.split(/\s+(?=P2P1\.)/).map((code) => code.replace(/\s+/g, ''));
+    }
+
+    /**
+     * Applies pasted codes: the offer/answer and any candidate add-on codes
+     * @param {Object} peer - Peer being paired
+     * @param {string} text - Pasted text
+     * @param {string} expectedType - 'offer' | 'answer'
+     */
+    async function applyRemoteCodes(peer, text, expectedType) {
+        if (!peer) {
+            throw new Error('Select a role first');
+        }
+        
+        for (const code of splitSignalCodes(text)) {
+            if (pairingCodes.applied.has(code)) continue;
+            
+            const decoded = await SignalCodec.decode(code);
+            if (decoded.type === 'candidates') {
+                decoded.candidates.forEach((candidate) => engine.addCandidate(peer, candidate));
+                log(`Added ${decoded.candidates.length} remote ICE candidate(s)`, 'success');
+            } else if (expectedType === 'offer') {
+                const answer = await engine.acceptOffer(peer, decoded);
+                await updateLocalDescription(peer, answer);
+            } else {
+                await engine.acceptAnswer(peer, decoded);
+            }
+            pairingCodes.applied.add(code);
+        }
+    }
+
     /**
      * Handles remote answer (sender side)
      */
@@ -546,17 +949,7 @@ const P2PApp = (function() {
         }
         
         try {
-            const answer = JSON.parse(answerText);
-            
-            if (answer.type !== 'answer') {
-                throw new Error('Invalid answer format');
-            }
-            
-            log('Processing remote answer...', 'info');
-            
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
-            log('Remote answer accepted', 'success');
-            
+            await applyRemoteCodes(pairingPeer, answerText, 'answer');
         } catch (error) {
             log(`Failed to process answer: ${error.message}`, 'error');
             showToast('Invalid answer format. Please check and try again.', 'error');
@@ -564,486 +957,2953 @@ const P2PApp = (function() {
     }
 
     /**
-     * Handles successful connection establishment
+     * Starts a new offer/answer exchange for the same role, keeping queued and
+     * partially received files. The initiator keeps its connected devices.
      */
-    function handleConnectionEstablished() {
-        if (isConnected) return;
-        isConnected = true;
-        
-        updateStatus('connected', 'Connected to peer');
-        log('Peer connection established!', 'success');
-        showToast('Connected successfully!', 'success');
+    function reconnect() {
+        if (!currentRole) return;
         
-        // Enable file selection for sender
-        if (currentRole === 'sender') {
-            elements.fileDropZone.classList.remove('disabled');
-            
-            // Show send button if file already selected
-            if (selectedFile) {
-                elements.sendButtonContainer.classList.remove('hidden');
-            }
+        // The joining side has a single peer, which is replaced
+        if (currentRole === 'receiver') {
+            engine.getPeers().forEach((peer) => engine.closePeer(peer));
         }
+        engine.dropDisconnectedPeers();
         
-        elements.transferBadge.textContent = 'Ready';
+        clearSignalCodes();
+        hideRestorePanel();
+        elements.reconnectContainer.classList.add('hidden');
+        elements.addDeviceContainer.classList.add('hidden');
+        
+        log('Reconnecting: exchange a new offer and answer to resume', 'info');
+        selectRole(currentRole);
     }
 
     // ===========================================
-    // DATA CHANNEL SETUP
+    // CONNECTION RESTORE (ICE RESTART)
     // ===========================================
 
     /**
-     * Sets up data channel event handlers
-     * @param {RTCDataChannel} channel - Data channel to configure
+     * Checks whether restart offers and answers can go through the signaling server
+     * @returns {boolean} True in server mode with an open server connection
      */
-    function setupDataChannel(channel) {
-        // Use ArrayBuffer for binary data transfer
-        channel.binaryType = 'arraybuffer';
-        
-        // Set buffer threshold for backpressure management
-        channel.bufferedAmountLowThreshold = BUFFER_LOW_THRESHOLD;
-        
-        channel.onopen = () => {
-            log('Data channel opened', 'success');
-            handleConnectionEstablished();
-        };
-        
-        channel.onclose = () => {
-            log('Data channel closed', 'warning');
-            updateStatus('waiting', 'Disconnected');
-            isConnected = false;
-        };
-        
-        channel.onerror = (error) => {
-            log(`Data channel error: ${error.message || 'Unknown error'}`, 'error');
-        };
-        
-        channel.onmessage = handleDataChannelMessage;
-        
-        // Backpressure handling - resume sending when buffer is low
-        channel.onbufferedamountlow = () => {
-            if (sendingInProgress && sendPaused) {
-                sendPaused = false;
-                log('Buffer cleared, resuming transfer...', 'info');
-                continueSending();
-            }
-        };
+    function isSignalingServerOpen() {
+        return isServerSignaling() && signalingSocket !== null && signalingSocket.readyState === WebSocket.OPEN;
     }
 
-    // ===========================================
-    // FILE HANDLING (DRAG & DROP)
-    // ===========================================
-
     /**
-     * Sets up file drop zone event listeners
+     * Shows the restore panel for a device whose connection has to be
+     * restored by hand, with restore codes instead of a signaling server
+     * @param {Object} peer - Peer being restored
      */
-    function setupFileHandling() {
-        const dropZone = elements.fileDropZone;
-        const fileInput = elements.fileInput;
-        
-        // Click to select file
-        dropZone.addEventListener('click', () => {
-            if (!dropZone.classList.contains('disabled')) {
-                fileInput.click();
-            }
-        });
-        
-        // Drag over
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            if (!dropZone.classList.contains('disabled')) {
-                dropZone.classList.add('dragover');
-            }
-        });
-        
-        // Drag leave
-        dropZone.addEventListener('dragleave', () => {
-            dropZone.classList.remove('dragover');
-        });
-        
-        // Drop file
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('dragover');
-            
-            if (dropZone.classList.contains('disabled')) return;
-            
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                handleFileSelection(files[0]);
-            }
-        });
-        
-        // File input change
-        fileInput.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) {
-                handleFileSelection(e.target.files[0]);
-            }
-        });
+    function showRestorePanel(peer) {
+        restoring = { peer, version: 0, applied: new Set() };
+        
+        elements.restoreLocal.value = '';
+        elements.restoreRemote.value = '';
+        elements.restoreLocalGroup.classList.add('hidden');
+        elements.restoreLocalQR.classList.add('hidden');
+        elements.restoreStatus.textContent = peer.initiator
+            ? `Connection to ${peer.label} lost. Creating a restore code...`
+            : 'Connection lost. Paste the restore code shown on the other device.';
+        elements.restorePanel.classList.remove('hidden');
     }
 
     /**
-     * Handles file selection
-     * @param {File} file - Selected file
+     * Hides the restore panel
      */
-    function handleFileSelection(file) {
-        selectedFile = file;
-        
-        // Update UI
-        elements.fileDropZone.classList.add('has-file');
-        elements.fileInfo.classList.add('visible');
-        elements.fileTypeIcon.textContent = getFileIcon(file.type);
-        elements.fileName.textContent = file.name;
-        elements.fileMeta.textContent = `${formatBytes(file.size)} • ${file.type || 'Unknown type'}`;
-        
-        // Show send button if connected
-        if (isConnected) {
-            elements.sendButtonContainer.classList.remove('hidden');
-        }
-        
-        log(`File selected: ${file.name} (${formatBytes(file.size)})`, 'info');
+    function hideRestorePanel() {
+        restoring = null;
+        elements.restorePanel.classList.add('hidden');
     }
 
     /**
-     * Removes selected file
+     * Shows this side's restore code with every candidate found so far
+     * @param {Object} peer - Peer being restored
      */
-    function removeFile() {
-        selectedFile = null;
-        elements.fileDropZone.classList.remove('has-file');
-        elements.fileInfo.classList.remove('visible');
-        elements.sendButtonContainer.classList.add('hidden');
-        elements.fileInput.value = '';
-        log('File removed', 'info');
+    async function updateRestoreCode(peer) {
+        if (!restoring || restoring.peer !== peer) return;
+        
+        const version = ++restoring.version;
+        const description = engine.getLocalDescription(peer);
+        const code = await SignalCodec.encodeRestart(description);
+        if (!restoring || restoring.version !== version) return;
+        
+        elements.restoreLocal.value = code;
+        elements.restoreLocalGroup.classList.remove('hidden');
+        renderQRCode(elements.restoreLocalQR, code);
+        
+        if (!peer.iceGatheringComplete) {
+            elements.restoreStatus.textContent = 'Searching for network candidates, the code is updated as they are found...';
+        } else if (description.type === 'offer') {
+            elements.restoreStatus.textContent = 'Send this restore code to the other device, then paste its reply below.';
+        } else {
+            elements.restoreStatus.textContent = 'Send this restore code back to the other device.';
+        }
     }
 
-    // ===========================================
-    // FILE TRANSFER - SENDER
-    // ===========================================
-
     /**
-     * Starts the file transfer process
+     * Applies the other device's restore code: a restart offer is answered,
+     * a restart answer completes the restart
      */
-    async function startFileTransfer() {
-        if (!selectedFile || !dataChannel || dataChannel.readyState !== 'open') {
-            showToast('Cannot start transfer. Check connection and file.', 'error');
+    async function applyRestoreCode() {
+        const code = elements.restoreRemote.value.replace(/\s+/g, '');
+        
+        if (!restoring) return;
+        if (!code) {
+            showToast('Please paste the restore code first!', 'error');
             return;
         }
+        if (restoring.applied.has(code)) return;
         
-        log(`Starting transfer: ${selectedFile.name}`, 'info');
-        updateStatus('transferring', 'Transferring file...');
-        elements.transferBadge.textContent = 'Sending';
-        
-        // Show progress UI
-        elements.progressSection.classList.add('visible');
-        elements.progressTitle.textContent = `Sending: ${selectedFile.name}`;
-        elements.progressTotal.textContent = formatBytes(selectedFile.size);
-        elements.sendButtonContainer.classList.add('hidden');
-        elements.btnSendFile.disabled = true;
-        
-        // Reset progress bar
-        elements.progressBar.style.width = '0%';
-        elements.progressBar.classList.remove('completed');
-        
-        // Calculate total chunks
-        totalChunks = Math.ceil(selectedFile.size / CHUNK_SIZE);
-        currentChunkIndex = 0;
-        transferStartTime = Date.now();
-        lastProgressUpdate = transferStartTime;
-        lastTransferredBytes = 0;
-        
-        // Send file metadata first
-        const metadata = {
-            type: 'metadata',
-            name: selectedFile.name,
-            size: selectedFile.size,
-            mimeType: selectedFile.type,
-            totalChunks: totalChunks
+        const peer = restoring.peer;
+        try {
+            const decoded = await SignalCodec.decode(code);
+            if (decoded.type !== 'restart') {
+                throw new Error('Not a restore code');
+            }
+            
+            const description = SignalCodec.restoreDescription(decoded, peer.connection.remoteDescription);
+            if (description.type === 'offer') {
+                await engine.acceptOffer(peer, description);
+                updateRestoreCode(peer);
+            } else {
+                await engine.acceptAnswer(peer, description);
+            }
+            restoring.applied.add(code);
+            log('Restore code applied, reconnecting...', 'success');
+        } catch (error) {
+            log(`Failed to apply the restore code: ${error.message}`, 'error');
+            showToast('Invalid restore code. Please check and try again.', 'error');
+        }
+    }
+
+    // ===========================================
+    // SIGNALING SERVER CLIENT
+    // ===========================================
+
+    /**
+     * Checks whether pairing goes through the signaling server
+     * @returns {boolean} True in server mode, false for manual copy & paste
+     */
+    function isServerSignaling() {
+        return elements.signalingMode.value === 'server';
+    }
+
+    /**
+     * Shows or hides the server settings
+     * @param {string} mode - 'manual' | 'server'
+     */
+    function setSignalingMode(mode) {
+        elements.signalingMode.value = mode;
+        elements.serverSettings.classList.toggle('hidden', mode !== 'server');
+        
+        if (mode === 'server' && !elements.signalingUrl.value) {
+            elements.signalingUrl.value = getDefaultSignalingUrl();
+        }
+    }
+
+    /**
+     * Guesses the signaling URL: the server also hosts the app
+     * @returns {string} WebSocket URL
+     */
+    function getDefaultSignalingUrl() {
+        if (location.protocol === 'http:' || location.protocol === 'https:') {
+            return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/signal`;
+        }
+        return 'ws://localhost:8080/signal';
+    }
+
+    /**
+     * Generates a short random room code
+     * @returns {string} Room code
+     */
+    function generateRoomCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+        return Array.from(bytes, (byte) => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join('');
+    }
+
+    /**
+     * Updates the room status line
+     * @param {string} text - Status text
+     */
+    function updateRoomStatus(text) {
+        elements.roomStatus.textContent = text;
+    }
+
+    /**
+     * Describes who else is in the room
+     * @returns {string} Status text
+     */
+    function describeRoom() {
+        const connected = engine.getConnectedPeers().length;
+        if (roomMembers.size === 0) {
+            return connected > 0 ? 'Connected, no other device in the room' : 'Waiting for another device to join...';
+        }
+        return `${roomMembers.size} other device(s) in the room, ${connected} connected`;
+    }
+
+    /**
+     * Connects to the signaling server and joins the room (reuses an open connection)
+     */
+    function joinSignalingRoom() {
+        const room = elements.roomCode.value;
+        const url = elements.signalingUrl.value.trim() || getDefaultSignalingUrl();
+        
+        // Reconnecting keeps the room, only the peer connections are new
+        if (signalingSocket && signalingSocket.readyState === WebSocket.OPEN && signalingRoom === room) {
+            if (currentRole === 'sender') {
+                offerToRoomMembers();
+            }
+            return;
+        }
+        
+        leaveSignalingRoom();
+        
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            log(`Invalid signaling server URL: ${error.message}`, 'error');
+            showToast('Invalid signaling server URL.', 'error');
+            updateRoomStatus('Invalid signaling server URL');
+            return;
+        }
+        
+        signalingSocket = socket;
+        signalingRoom = room;
+        roomMembers = new Set();
+        updateRoomStatus(`Connecting to ${url}...`);
+        log(`Connecting to signaling server ${url}`, 'info');
+        
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'join', room }));
+        };
+        
+        socket.onmessage = (event) => {
+            if (socket === signalingSocket) {
+                handleSignalingMessage(event.data);
+            }
+        };
+        
+        socket.onerror = () => {
+            log('Signaling server connection error', 'error');
+        };
+        
+        socket.onclose = () => {
+            if (socket !== signalingSocket) return;
+            
+            signalingSocket = null;
+            roomMembers = new Set();
+            updateRoomStatus('Disconnected from the signaling server');
+            log('Signaling server connection closed', 'warning');
+            
+            if (engine.getConnectedPeers().length === 0) {
+                showToast('Could not reach the signaling server.', 'error');
+            }
+        };
+    }
+
+    /**
+     * Leaves the room and closes the signaling connection
+     */
+    function leaveSignalingRoom() {
+        if (!signalingSocket) return;
+        
+        const socket = signalingSocket;
+        signalingSocket = null;
+        signalingRoom = null;
+        roomMembers = new Set();
+        socket.onclose = null;
+        socket.close();
+    }
+
+    /**
+     * Relays data to a peer's device in the room
+     * @param {Object} peer - Recipient
+     * @param {Object} data - { description, restart } or { candidate }
+     */
+    function sendSignal(peer, data) {
+        if (!isSignalingServerOpen() || !peer.remoteId) return;
+        signalingSocket.send(JSON.stringify({ type: 'signal', to: peer.remoteId, data }));
+    }
+
+    /**
+     * Handles a message from the signaling server
+     * @param {string} text - Raw message
+     */
+    function handleSignalingMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            log('Malformed message from the signaling server', 'error');
+            return;
+        }
+        
+        switch (message.type) {
+            case 'joined':
+                roomMembers = new Set(Array.isArray(message.peers) ? message.peers.map(String) : []);
+                log(`Joined room ${message.room}`, 'success');
+                updateRoomStatus(describeRoom());
+                if (currentRole === 'sender') {
+                    offerToRoomMembers();
+                }
+                break;
+            case 'peer-joined':
+                roomMembers.add(String(message.id));
+                log('Peer joined the room', 'info');
+                updateRoomStatus(describeRoom());
+                if (currentRole === 'sender') {
+                    createAndSendOffer(String(message.id));
+                }
+                break;
+            case 'peer-left': {
+                const peer = findPeerByRemoteId(String(message.id));
+                roomMembers.delete(String(message.id));
+                log('Peer left the room', 'warning');
+                if (peer && !peer.isConnected && peer !== pairingPeer) {
+                    engine.removePeer(peer);
+                }
+                updateRoomStatus(describeRoom());
+                break;
+            }
+            case 'signal':
+                handleRemoteSignal(String(message.from), message.data);
+                break;
+            case 'error':
+                log(`Signaling server: ${message.message}`, 'error');
+                showToast(`Signaling server: ${message.message}`, 'error');
+                updateRoomStatus(String(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Sends an offer to every device in the room that has no working connection
+     */
+    function offerToRoomMembers() {
+        roomMembers.forEach((remoteId) => {
+            const peer = findPeerByRemoteId(remoteId);
+            if (!peer || !peer.isConnected) {
+                createAndSendOffer(remoteId);
+            }
+        });
+    }
+
+    /**
+     * Creates an offer for a device in the room and sends it through the server
+     * @param {string} remoteId - Server id of the device
+     */
+    async function createAndSendOffer(remoteId) {
+        const previous = findPeerByRemoteId(remoteId);
+        if (previous) {
+            engine.removePeer(previous);
+        }
+        
+        try {
+            const { peer, description } = await engine.connect(remoteId);
+            sendSignal(peer, { description });
+            log(`Offer sent to ${peer.label} through the signaling server`, 'info');
+        } catch (error) {
+            log(`Failed to create offer: ${error.message}`, 'error');
+            showToast('Failed to create the connection offer.', 'error');
+        }
+    }
+
+    /**
+     * Applies a description or ICE candidate relayed by the server
+     * @param {string} from - Server id of the sending device
+     * @param {Object} data - { description, restart } or { candidate }
+     */
+    async function handleRemoteSignal(from, data) {
+        if (!data || typeof data !== 'object') return;
+        
+        try {
+            // An ICE restart renegotiates the connection that already exists
+            const existing = findPeerByRemoteId(from);
+            if (data.restart && existing && data.description && data.description.type === 'offer') {
+                const answer = await engine.acceptOffer(existing, { type: 'offer', sdp: String(data.description.sdp) });
+                sendSignal(existing, { description: answer });
+                log('Restart answer sent through the signaling server', 'info');
+                return;
+            }
+            
+            if (data.description && data.description.type === 'offer' && currentRole === 'receiver') {
+                // Another device in the room must not cut off a working connection
+                if (pairingPeer && pairingPeer.isConnected && pairingPeer.remoteId !== from) {
+                    log('Ignored an offer from another device in the room', 'warning');
+                    return;
+                }
+                
+                // A second offer means the sender started over
+                if (!pairingPeer || pairingPeer.connection.remoteDescription) {
+                    reconnect();
+                }
+                const peer = pairingPeer;
+                peer.remoteId = from;
+                const answer = await engine.acceptOffer(peer, { type: 'offer', sdp: String(data.description.sdp) });
+                sendSignal(peer, { description: answer });
+                log('Answer sent through the signaling server', 'info');
+                return;
+            }
+            
+            const peer = findPeerByRemoteId(from);
+            if (!peer) return;
+            
+            if (data.description && data.description.type === 'answer' && currentRole === 'sender') {
+                await engine.acceptAnswer(peer, { type: 'answer', sdp: String(data.description.sdp) });
+            } else if (data.candidate) {
+                engine.addCandidate(peer, data.candidate);
+            }
+        } catch (error) {
+            log(`Failed to apply signaling data: ${error.message}`, 'error');
+            showToast('Automatic connection failed. Try Reconnect or manual mode.', 'error');
+        }
+    }
+
+    // ===========================================
+    // QR CODE SCANNING
+    // ===========================================
+
+    /**
+     * Whether the browser can read QR codes from the camera. No decoder
+     * is bundled, scanning relies on the built-in BarcodeDetector
+     * (Chromium on Android, ChromeOS and macOS)
+     * @returns {boolean} True if scanning can work
+     */
+    function canScanQRCodes() {
+        return 'BarcodeDetector' in window && Boolean(navigator.mediaDevices);
+    }
+    
+    /**
+     * Disables the scan buttons and shows why where QR codes cannot be read
+     */
+    function checkQRScanSupport() {
+        if (canScanQRCodes()) return;
+        
+        document.querySelectorAll('.qr-scan-button').forEach((button) => {
+            button.disabled = true;
+        });
+        document.querySelectorAll('.scan-hint').forEach((hint) => hint.classList.remove('hidden'));
+        log('QR scanning is not available in this browser (no BarcodeDetector), codes must be pasted', 'warning');
+    }
+
+    /**
+     * Scans a connection code with the camera and accepts it
+     * @param {string} targetId - Textarea to fill: 'remoteOffer' or 'remoteAnswer'
+     */
+    async function scanQRCode(targetId) {
+        if (scanStream) return;
+        
+        if (!canScanQRCodes()) {
+            showToast('QR scanning is not supported in this browser. Paste the code instead.', 'error');
+            return;
+        }
+        
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (!formats.includes('qr_code')) {
+                throw new Error('QR codes are not supported by the barcode detector');
+            }
+            
+            scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            elements.qrVideo.srcObject = scanStream;
+            elements.qrScanner.classList.remove('hidden');
+            await elements.qrVideo.play();
+        } catch (error) {
+            stopQRScan();
+            log(`Camera unavailable: ${error.message}`, 'error');
+            showToast('Could not start the camera. Paste the code instead.', 'error');
+            return;
+        }
+        
+        log('Scanning for a QR code...', 'info');
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        
+        const detect = async () => {
+            if (!scanStream) return;
+            
+            try {
+                const codes = await detector.detect(elements.qrVideo);
+                const code = codes.map((found) => found.rawValue).find((value) => /^(P2P1\.|\{)/.test(value));
+                if (code) {
+                    stopQRScan();
+                    document.getElementById(targetId).value = code;
+                    log('QR code scanned', 'success');
+                    const handlers = { remoteOffer: handleRemoteOffer, remoteAnswer: handleRemoteAnswer, restoreRemote: applyRestoreCode };
+                    await handlers[targetId]();
+                    return;
+                }
+            } catch (error) {
+                // Frame not ready yet, try the next one
+            }
+            
+            scanTimer = setTimeout(detect, 250);
+        };
+        detect();
+    }
+
+    /**
+     * Stops the camera and hides the scanner
+     */
+    function stopQRScan() {
+        clearTimeout(scanTimer);
+        scanTimer = null;
+        
+        if (scanStream) {
+            scanStream.getTracks().forEach((track) => track.stop());
+            scanStream = null;
+        }
+        elements.qrVideo.srcObject = null;
+        elements.qrScanner.classList.add('hidden');
+    }
+
+    // ===========================================
+    // ENGINE EVENTS
+    // ===========================================
+
+    /**
+     * Applies the passphrase and channel count from the settings panel to the engine
+     */
+    function applySettings() {
+        engine.configure({
+            passphrase: elements.passphrase.value,
+            dataChannels: elements.dataChannelCount.value
+        });
+    }
+
+    /**
+     * Reflects what the transfer engine does in the page
+     */
+    function bindEngineEvents() {
+        engine.on('log', log);
+        engine.on('notice', showToast);
+        
+        // --- Devices ---
+        
+        engine.on('peer', (peer) => {
+            peerRows.set(peer.id, createPeerRow(peer));
+        });
+        
+        engine.on('peer-state', updatePeerState);
+        
+        engine.on('peer-removed', (peer) => {
+            peerRows.get(peer.id).row.remove();
+            peerRows.delete(peer.id);
+            if (pairingPeer === peer) {
+                pairingPeer = null;
+            }
+            if (restoring && restoring.peer === peer) {
+                hideRestorePanel();
+            }
+        });
+        
+        engine.on('candidate', (peer, candidate) => {
+            if (isServerSignaling()) {
+                sendSignal(peer, { candidate });
+            }
+            if (restoring && restoring.peer === peer) {
+                updateRestoreCode(peer);
+            } else if (!isServerSignaling() && peer === pairingPeer && pairingCodes.shown) {
+                pairingCodes.candidates.push(candidate);
+                updateCandidateCode(peer);
+            }
+        });
+        
+        engine.on('candidates-complete', (peer) => {
+            if (restoring && restoring.peer === peer) {
+                updateRestoreCode(peer);
+            } else if (!isServerSignaling() && peer === pairingPeer && pairingCodes.shown) {
+                updateCandidateCode(peer);
+            }
+        });
+        
+        engine.on('connection-state', (peer, state) => {
+            // Connections being restored report through 'reconnecting'
+            if (peer.recovery) return;
+            
+            if (state === 'disconnected') {
+                updateStatus('warning', 'Connection interrupted');
+            } else if (state === 'failed') {
+                updateStatus('error', 'Connection failed');
+                showToast('Connection failed. Reconnect to resume.', 'error');
+                if (!hasTurnServer()) {
+                    log('No TURN server is configured. Devices behind strict firewalls or NATs need one to connect, see Network traversal.', 'warning');
+                }
+            }
+        });
+        
+        engine.on('connected', (peer) => {
+            const count = engine.getConnectedPeers().length;
+            updateStatus('connected', count > 1 ? `Connected to ${count} devices` : 'Connected to peer');
+            showToast('Connected successfully!', 'success');
+            
+            // Both peers may send, whichever role they picked
+            elements.fileDropZone.classList.remove('disabled');
+            
+            // Show send button if files already queued
+            if (engine.hasQueuedFiles()) {
+                elements.sendButtonContainer.classList.remove('hidden');
+                elements.btnSendFile.disabled = false;
+            }
+            
+            // The initiator can pair more devices with further offers
+            if (currentRole === 'sender' && !isServerSignaling() && peer === pairingPeer) {
+                elements.senderPanel.classList.add('hidden');
+                elements.addDeviceContainer.classList.remove('hidden');
+            }
+            
+            elements.transferBadge.textContent = 'Ready';
+            elements.reconnectContainer.classList.add('hidden');
+        });
+        
+        // --- Restoring a connection (ICE restart) ---
+        
+        engine.on('reconnecting', (peer) => {
+            updateStatus('warning', `Reconnecting to ${peer.label}...`);
+            showToast('Connection interrupted. Restoring it...', 'info');
+            
+            // Without a signaling server the devices swap restore codes
+            if (!isSignalingServerOpen()) {
+                showRestorePanel(peer);
+            }
+        });
+        
+        engine.on('ice-restart', (peer, offer) => {
+            if (isSignalingServerOpen() && peer.remoteId) {
+                sendSignal(peer, { description: offer, restart: true });
+                log(`Restart offer sent to ${peer.label} through the signaling server`, 'info');
+                return;
+            }
+            if (!restoring || restoring.peer !== peer) {
+                showRestorePanel(peer);
+            }
+            updateRestoreCode(peer);
+        });
+        
+        engine.on('reconnected', (peer) => {
+            if (restoring && restoring.peer === peer) {
+                hideRestorePanel();
+            }
+            const count = engine.getConnectedPeers().length;
+            updateStatus(engine.isSending() ? 'transferring' : 'connected', count > 1 ? `Connected to ${count} devices` : 'Connected to peer');
+            showToast('Connection restored. Transfers continue.', 'success');
+        });
+        
+        engine.on('disconnected', (peer, reason) => {
+            const connected = engine.getConnectedPeers().length;
+            if (reason === 'protocol' && connected === 0) {
+                updateStatus('error', 'Incompatible app version');
+            } else if (reason === 'closed' && connected === 0) {
+                updateStatus('waiting', 'Disconnected');
+            } else if (reason === 'failed' && connected === 0) {
+                updateStatus('error', 'Connection failed');
+            }
+            
+            if (restoring && restoring.peer === peer) {
+                hideRestorePanel();
+            }
+            
+            if (currentRole) {
+                elements.reconnectContainer.classList.remove('hidden');
+            }
+            
+            // An offer can no longer be answered, nor the code confirmed
+            dropOffersFrom(peer);
+            renderVerification();
+            
+            // The partial file is kept until the sender resumes it
+            const incoming = engine.getIncoming();
+            if (incoming && incoming.peer === peer) {
+                const percentage = incoming.info.size > 0
+                    ? Math.round((incoming.bytes / incoming.info.size) * 100)
+                    : 0;
+                elements.transferBadge.textContent = 'Interrupted';
+                elements.receiveProgress.title.textContent = `Interrupted at ${percentage}%: ${incoming.info.path}`;
+                updateReceiveControls();
+            }
+        });
+        
+        engine.on('closed', (peer) => {
+            dropOffersFrom(peer);
+            renderVerification();
+        });
+        
+        // --- Verification ---
+        
+        engine.on('verification', (peer, verification) => {
+            renderVerification();
+            if (!verification.local || !verification.remote) return;
+            
+            showToast(`${peer.label} is verified`, 'success');
+            if (engine.hasQueuedFiles()) {
+                elements.sendButtonContainer.classList.remove('hidden');
+                elements.btnSendFile.disabled = false;
+            }
+        });
+        
+        // --- Chat ---
+        
+        engine.on('chat', (peer, message) => {
+            appendChatMessage(peer.label, message.text, message.sentAt);
+            if (document.hidden || !isChatVisible()) {
+                showToast(`New message from ${peer.label}`, 'info');
+            }
+        });
+        
+        engine.on('chat-delivered', (message) => {
+            updateChatDelivery(message);
+            if (message.deliveredTo.size >= message.recipients) {
+                chatViews.delete(message.id);
+            }
+        });
+        
+        engine.on('chat-state', updateChatAvailability);
+        
+        // --- Sending ---
+        
+        engine.on('queue', () => {
+            renderQueue();
+            updateSendControls();
+            if (engine.isSending()) {
+                updateOverallProgress(true);
+            }
+        });
+        
+        engine.on('send-start', () => {
+            updateStatus('transferring', 'Transferring files...');
+            elements.transferBadge.textContent = 'Sending';
+            
+            // Show progress UI
+            elements.sendProgress.section.classList.add('visible');
+            elements.sendButtonContainer.classList.add('hidden');
+            elements.btnSendFile.disabled = true;
+        });
+        
+        engine.on('round-start', () => {
+            resetTiming(sendTiming, 0);
+            elements.sendProgress.title.textContent = 'Sending...';
+            elements.sendProgress.bar.classList.remove('completed');
+        });
+        
+        engine.on('send-file', (peer, item, fileIndex, fileCount) => {
+            const view = peerRows.get(peer.id);
+            elements.sendProgress.section.classList.add('visible');
+            view.title.textContent = `${fileIndex}/${fileCount}: ${item.path}`;
+            view.total.textContent = formatBytes(item.file.size);
+            view.transferred.textContent = formatBytes(0);
+            view.stats.textContent = '0%';
+            view.bar.style.width = '0%';
+            view.bar.classList.remove('completed');
+        });
+        
+        engine.on('send-resume', () => {
+            updateStatus('transferring', 'Resuming transfer...');
+            elements.transferBadge.textContent = 'Sending';
+            elements.sendButtonContainer.classList.add('hidden');
+            elements.btnSendFile.disabled = true;
+        });
+        
+        engine.on('hash-progress', (item, bytes, total) => {
+            const percentage = total > 0 ? Math.round((bytes / total) * 100) : 100;
+            elements.sendProgress.title.textContent = `Hashing: ${item.path}`;
+            elements.sendProgress.bar.style.width = `${percentage}%`;
+            elements.sendProgress.stats.textContent = `Hashing ${percentage}%`;
+            if (bytes >= total) {
+                updateOverallProgress(true);
+            }
+        });
+        
+        engine.on('progress', (progress) => {
+            if (progress.direction === 'send') {
+                renderProgress(peerRows.get(progress.peer.id), progress.timing, progress.bytes, progress.total);
+                updateOverallProgress(false);
+            } else {
+                renderProgress(elements.receiveProgress, progress.timing, progress.bytes, progress.total);
+            }
+        });
+        
+        engine.on('sent', (peer) => {
+            peerRows.get(peer.id).bar.classList.add('completed');
+            updateOverallProgress(true);
+        });
+        
+        engine.on('hold', () => {
+            // The banner shows paused only when no device is being sent to
+            const sending = engine.getPeers().filter((peer) => peer.sending);
+            if (sending.every((peer) => peer.held)) {
+                updateStatus('waiting', 'Transfer paused');
+                elements.transferBadge.textContent = 'Paused';
+            } else {
+                updateStatus('transferring', 'Transferring files...');
+                elements.transferBadge.textContent = 'Sending';
+            }
+            updateSendControls();
+        });
+        
+        engine.on('send-finished', finishQueue);
+        
+        // --- Receiving ---
+        
+        engine.on('offer', (offer) => {
+            pendingOffers.push(offer);
+            if (pendingOffers.length === 1) {
+                showIncomingOffer();
+            }
+        });
+        
+        engine.on('offer-withdrawn', (peer, offerId) => {
+            const shown = pendingOffers[0];
+            pendingOffers = pendingOffers.filter((offer) => offer.peer !== peer || offer.offerId !== offerId);
+            if (pendingOffers[0] !== shown) {
+                showIncomingOffer();
+            }
+        });
+        
+        engine.on('receive-start', (peer, info) => {
+            const position = info.fileCount > 1 ? ` ${info.fileIndex}/${info.fileCount}` : '';
+            
+            elements.waitingForFile.classList.add('hidden');
+            elements.receiveProgress.section.classList.add('visible');
+            elements.receiveProgress.title.textContent = `Receiving${position}: ${info.path}`;
+            elements.receiveProgress.total.textContent = formatBytes(info.size);
+            elements.transferBadge.textContent = 'Receiving';
+            
+            // Reset progress bar
+            elements.receiveProgress.bar.style.width = '0%';
+            elements.receiveProgress.bar.classList.remove('completed');
+            
+            updateStatus('transferring', 'Receiving file...');
+            updateReceiveControls();
+        });
+        
+        engine.on('receive-resume', (peer, info) => {
+            elements.receiveProgress.title.textContent = `Resuming: ${info.path}`;
+            elements.transferBadge.textContent = 'Receiving';
+            updateStatus('transferring', 'Resuming transfer...');
+            updateReceiveControls();
+        });
+        
+        engine.on('receive-paused', (peer, info, held) => {
+            if (held) {
+                elements.transferBadge.textContent = 'Paused';
+                updateStatus('waiting', 'Transfer paused');
+                elements.receiveProgress.speed.textContent = '--';
+            } else {
+                elements.transferBadge.textContent = 'Receiving';
+                updateStatus('transferring', 'Receiving file...');
+            }
+            updateReceiveControls();
+        });
+        
+        engine.on('receive-end', (info, reason) => {
+            const view = elements.receiveProgress;
+            switch (reason) {
+                case 'complete':
+                    view.bar.style.width = '100%';
+                    view.bar.classList.add('completed');
+                    view.stats.textContent = '100%';
+                    view.transferred.textContent = formatBytes(info.size);
+                    view.speed.textContent = '--';
+                    view.eta.textContent = '00:00';
+                    break;
+                case 'aborted':
+                    view.title.textContent = `Cancelled by the sender: ${info.path}`;
+                    elements.transferBadge.textContent = 'Cancelled';
+                    updateStatus('connected', 'Transfer cancelled');
+                    break;
+                case 'cancelled':
+                    view.title.textContent = `Cancelled: ${info.path}`;
+                    elements.transferBadge.textContent = 'Cancelled';
+                    updateStatus('connected', 'Transfer cancelled');
+                    break;
+                case 'resume-rejected':
+                    elements.transferBadge.textContent = 'Ready';
+                    break;
+            }
+            updateReceiveControls();
+        });
+        
+        engine.on('file', (entry) => {
+            receivedFiles.push(entry);
+            renderReceivedFiles();
+        });
+        
+        engine.on('transfer-result', recordTransfer);
+        
+        engine.on('file-verified', (entry, isLast) => {
+            if (entry.blob) {
+                entry.url = URL.createObjectURL(entry.blob);
+            }
+            renderReceivedFiles();
+            
+            // A single file is previewed right away, files of a batch on request
+            if (entry.blob && !entry.error && receivedFiles.length === 1) {
+                previewReceivedFile(entry);
+            }
+            
+            // The last file of a batch completes the transfer
+            if (!isLast) return;
+            
+            const failed = receivedFiles.filter((file) => file.error).length;
+            elements.receiveProgress.title.textContent = 'Transfer Complete!';
+            elements.transferBadge.textContent = failed > 0 ? 'Corrupted' : 'Complete';
+            
+            if (failed > 0) {
+                updateStatus('error', `${failed} file(s) failed verification`);
+            } else {
+                updateStatus('completed', receivedFiles.length > 1 ? 'Files received!' : 'File received!');
+                showToast('Transfer complete! Click to download.', 'success');
+            }
+        });
+    }
+
+    // ===========================================
+    // ICE SERVERS (STUN/TURN)
+    // ===========================================
+    
+    /** ICE servers the engine currently uses */
+    let iceServers = TransferEngine.DEFAULT_ICE_SERVERS;
+    
+    /**
+     * Parses the server list of the settings panel: one server per line as
+     * "url [username credential]", lines starting with # are comments
+     * @param {string} text - Server list
+     * @returns {Array<Object>} RTCIceServer entries
+     * @throws {Error} Naming the line that is not a valid server
+     */
+    function parseIceServers(text) {
+        const servers = [];
+        
+        text.split('\n').forEach((line, index) => {
+            const fields = line.trim().split(/\s+/);
+            if (!fields[0] || fields[0].startsWith('#')) return;
+            
+            const [url, username, credential] = fields;
+            if (fields.length > 3 || !/^(stun|stuns|turn|turns):[^\s]+$/.test(url)) {
+                throw new Error(`Line ${index + 1}: expected a stun:, stuns:, turn: or turns: URL with an optional username and credential`);
+            }
+            if (/^turns?:/.test(url) && !credential) {
+                throw new Error(`Line ${index + 1}: TURN servers need a username and a credential`);
+            }
+            
+            servers.push(username ? { urls: url, username, credential } : { urls: url });
+        });
+        
+        return servers;
+    }
+
+    /**
+     * Writes servers in the format parseIceServers() reads
+     * @param {Array<Object>} servers - RTCIceServer entries
+     * @returns {string} Server list
+     */
+    function formatIceServers(servers) {
+        return servers.map((server) => [server.urls, server.username, server.credential].filter(Boolean).join(' ')).join('\n');
+    }
+
+    /**
+     * Checks whether a relay is available for networks STUN cannot cross
+     * @returns {boolean} True if a TURN server is configured
+     */
+    function hasTurnServer() {
+        return iceServers.some((server) => /^turns?:/.test(server.urls));
+    }
+
+    /**
+     * Configures the engine for a traversal mode, used by connections made afterwards
+     * @param {string} mode - 'default', 'custom' or 'lan'
+     * @param {Array<Object>} servers - Servers of the custom mode
+     */
+    function applyIceSettings(mode, servers) {
+        if (mode === 'lan') {
+            iceServers = [];
+        } else if (mode === 'custom') {
+            iceServers = servers;
+        } else {
+            iceServers = TransferEngine.DEFAULT_ICE_SERVERS;
+        }
+        engine.configure({ iceServers });
+    }
+
+    /**
+     * Switches the traversal mode from the settings panel
+     * @param {string} mode - 'default', 'custom' or 'lan'
+     */
+    function setIceMode(mode) {
+        elements.iceMode.value = mode;
+        elements.iceCustom.classList.toggle('hidden', mode !== 'custom');
+        elements.iceTestResult.textContent = '';
+        
+        // Start from the public servers rather than an empty list
+        if (mode === 'custom' && !elements.iceServerList.value.trim()) {
+            elements.iceServerList.value = formatIceServers(TransferEngine.DEFAULT_ICE_SERVERS);
+        }
+        
+        saveIceServers();
+    }
+
+    /**
+     * Validates the traversal settings, applies them and remembers them in this browser
+     */
+    function saveIceServers() {
+        const mode = elements.iceMode.value;
+        let servers = [];
+        
+        if (mode === 'custom') {
+            try {
+                servers = parseIceServers(elements.iceServerList.value);
+            } catch (error) {
+                showToast(error.message, 'error');
+                return;
+            }
+        }
+        
+        applyIceSettings(mode, servers);
+        
+        try {
+            localStorage.setItem(ICE_SETTINGS_KEY, JSON.stringify({ mode, servers }));
+        } catch (error) {
+            log(`Could not save the ICE servers: ${error.message}`, 'warning');
+        }
+        
+        if (mode === 'lan') {
+            log('LAN only: connections stay on the local network', 'info');
+        } else {
+            log(`Using ${iceServers.length} ICE server(s)${hasTurnServer() ? ' with TURN relay' : ''}`, 'info');
+        }
+        if (mode === 'custom') {
+            showToast('ICE servers saved', 'success');
+        }
+    }
+
+    /**
+     * Restores the traversal settings saved in this browser
+     */
+    function loadIceSettings() {
+        let mode = 'default';
+        let servers = [];
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(ICE_SETTINGS_KEY));
+            if (saved && ['default', 'custom', 'lan'].includes(saved.mode)) {
+                // Round trip through the text format, which validates every entry
+                servers = saved.mode === 'custom' ? parseIceServers(formatIceServers(saved.servers)) : [];
+                mode = saved.mode;
+            }
+        } catch (error) {
+            log(`Ignoring saved ICE servers: ${error.message}`, 'warning');
+        }
+        
+        elements.iceMode.value = mode;
+        elements.iceCustom.classList.toggle('hidden', mode !== 'custom');
+        if (mode === 'custom') {
+            elements.iceServerList.value = formatIceServers(servers);
+        }
+        applyIceSettings(mode, servers);
+    }
+
+    /**
+     * Gathers candidates with the current settings and reports which
+     * network paths this device can offer
+     */
+    async function testConnectivity() {
+        elements.btnIceTest.disabled = true;
+        elements.iceTestResult.textContent = 'Gathering candidates...';
+        
+        try {
+            elements.iceTestResult.textContent = describeConnectivity(await engine.testConnectivity());
+        } catch (error) {
+            elements.iceTestResult.textContent = `Test failed: ${error.message}`;
+            log(`Connectivity test failed: ${error.message}`, 'error');
+        } finally {
+            elements.btnIceTest.disabled = false;
+        }
+    }
+
+    /**
+     * Sums up a connectivity test for the settings panel
+     * @param {Object} result - Result of engine.testConnectivity()
+     * @returns {string} Summary
+     */
+    function describeConnectivity(result) {
+        const { host, srflx, prflx, relay } = result.types;
+        const parts = [`${host + prflx} local, ${srflx} public (STUN), ${relay} relay (TURN) candidate(s).`];
+        
+        if (relay > 0) {
+            parts.push('Relay available: connections should work through most firewalls.');
+        } else if (srflx > 0) {
+            parts.push('Public address found: most networks can connect, strict NATs need TURN.');
+        } else if (iceServers.length === 0) {
+            parts.push('LAN only: devices must be on the same network.');
+        } else {
+            parts.push('No server answered: only devices on the same network can connect.');
+        }
+        
+        if (result.errors.length > 0) {
+            parts.push(`Server errors: ${result.errors.map((error) => `${error.url} (${error.code} ${error.text})`).join(', ')}.`);
+        }
+        if (!result.complete) {
+            parts.push(`Gathering timed out after ${Math.round(result.duration / 1000)}s.`);
+        }
+        
+        return parts.join(' ');
+    }
+
+    /**
+     * Splits a comma separated list of extensions and MIME types
+     * @param {string} text - List as typed
+     * @returns {string[]} Entries
+     */
+    function parseTypeList(text) {
+        return text.split(/[\s,;]+/).map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+    }
+
+    /**
+     * Reads the receive policy from the settings panel
+     * @returns {Object} Policy for engine.configure()
+     */
+    function readReceivePolicy() {
+        return {
+            maxFileSize: Number(elements.policyMaxFileSize.value),
+            maxSessionBytes: Number(elements.policyMaxSession.value),
+            allowedTypes: parseTypeList(elements.policyAllowedTypes.value),
+            blockedTypes: parseTypeList(elements.policyBlockedTypes.value),
+            allowExecutables: elements.policyExecutables.checked
+        };
+    }
+
+    /**
+     * Applies the receive policy from the settings panel and remembers it in this browser
+     */
+    function saveReceivePolicy() {
+        const policy = readReceivePolicy();
+        engine.configure({ receivePolicy: policy });
+        
+        try {
+            localStorage.setItem(RECEIVE_POLICY_KEY, JSON.stringify(policy));
+        } catch (error) {
+            log(`Could not save the receive policy: ${error.message}`, 'warning');
+        }
+        
+        log(`Receive policy: ${describeReceivePolicy(policy)}`, 'info');
+    }
+
+    /**
+     * Restores the receive policy saved in this browser
+     */
+    function loadReceivePolicy() {
+        let saved = null;
+        
+        try {
+            saved = JSON.parse(localStorage.getItem(RECEIVE_POLICY_KEY));
+            if (saved) {
+                const hasOption = (select, value) => Array.from(select.options).some((option) => Number(option.value) === value);
+                if (hasOption(elements.policyMaxFileSize, saved.maxFileSize)) {
+                    elements.policyMaxFileSize.value = String(saved.maxFileSize);
+                }
+                if (hasOption(elements.policyMaxSession, saved.maxSessionBytes)) {
+                    elements.policyMaxSession.value = String(saved.maxSessionBytes);
+                }
+                elements.policyAllowedTypes.value = (saved.allowedTypes || []).join(', ');
+                elements.policyBlockedTypes.value = (saved.blockedTypes || []).join(', ');
+                elements.policyExecutables.checked = saved.allowExecutables !== false;
+            }
+        } catch (error) {
+            log(`Ignoring the saved receive policy: ${error.message}`, 'warning');
+        }
+        
+        const policy = readReceivePolicy();
+        engine.configure({ receivePolicy: policy });
+        if (saved) {
+            log(`Receive policy: ${describeReceivePolicy(policy)}`, 'info');
+        }
+    }
+
+    /**
+     * Sums up a receive policy for the log
+     * @param {Object} policy - Policy from readReceivePolicy()
+     * @returns {string} Summary
+     */
+    function describeReceivePolicy(policy) {
+        const parts = [];
+        if (policy.maxFileSize > 0) parts.push(`files up to ${formatBytes(policy.maxFileSize)}`);
+        if (policy.maxSessionBytes > 0) parts.push(`${formatBytes(policy.maxSessionBytes)} per session`);
+        if (policy.allowedTypes.length > 0) parts.push(`only ${policy.allowedTypes.join(', ')}`);
+        if (policy.blockedTypes.length > 0) parts.push(`never ${policy.blockedTypes.join(', ')}`);
+        if (!policy.allowExecutables) parts.push('no programs or scripts');
+        return parts.join(', ') || 'every file is accepted';
+    }
+
+    // ===========================================
+    // PEER VERIFICATION
+    // ===========================================
+
+    /**
+     * Lists the connected devices whose verification code is not confirmed
+     * on both sides yet, with buttons to confirm or reject it
+     */
+    function renderVerification() {
+        const list = elements.verificationList;
+        list.textContent = '';
+        
+        const pending = engine.getConnectedPeers().filter((peer) => {
+            const { code, local, remote } = peer.verification;
+            return code && !(local && remote);
+        });
+        
+        pending.forEach((peer) => {
+            const { code, local } = peer.verification;
+            const row = document.createElement('li');
+            row.className = 'received-item';
+            
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon verification-code';
+            icon.textContent = code.map((entry) => entry.emoji).join(' ');
+            
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = `${peer.label}: ${code.map((entry) => entry.name).join(', ')}`;
+            
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = local ? `Waiting for ${peer.label} to confirm` : 'Same on both devices?';
+            
+            row.append(icon, name, status);
+            if (!local) {
+                const same = document.createElement('button');
+                same.className = 'log-toggle';
+                same.textContent = '✅ Same';
+                same.addEventListener('click', () => engine.confirmVerification(peer));
+                
+                const different = document.createElement('button');
+                different.className = 'log-toggle';
+                different.textContent = '❌ Different';
+                different.addEventListener('click', () => rejectVerification(peer));
+                
+                row.append(same, different);
+            }
+            list.appendChild(row);
+        });
+        
+        elements.verificationPanel.classList.toggle('hidden', pending.length === 0);
+    }
+
+    /**
+     * Disconnects a device whose code differs, someone may sit in between
+     * @param {Object} peer - Peer
+     */
+    function rejectVerification(peer) {
+        log(`Verification codes of ${peer.label} differ, the connection may be intercepted. Disconnected.`, 'error');
+        showToast('The codes differ: disconnected. Pair again over a channel you trust.', 'error');
+        engine.closePeer(peer);
+        
+        if (engine.getConnectedPeers().length === 0) {
+            updateStatus('error', 'Verification failed');
+        }
+    }
+
+    // ===========================================
+    // DIAGNOSTICS
+    // ===========================================
+
+    /**
+     * Opens or closes the diagnostics panel; stats are only polled while it is open
+     */
+    function toggleDiagnostics() {
+        const isCollapsed = elements.diagnosticsContent.classList.toggle('collapsed');
+        elements.diagnosticsToggle.textContent = isCollapsed ? 'Show' : 'Hide';
+        scheduleDiagnostics(0);
+    }
+
+    /**
+     * Plans the next stats poll if the panel is open, replacing any planned one
+     * @param {number} delay - Milliseconds until the poll
+     */
+    function scheduleDiagnostics(delay) {
+        clearTimeout(diagnosticsTimer);
+        diagnosticsTimer = elements.diagnosticsContent.classList.contains('collapsed')
+            ? null
+            : setTimeout(pollDiagnostics, delay);
+    }
+
+    /**
+     * Takes a stats sample, shows it and plans the next one
+     */
+    async function pollDiagnostics() {
+        await sampleDiagnostics();
+        renderDiagnostics();
+        scheduleDiagnostics(DIAGNOSTICS_INTERVAL);
+    }
+
+    /**
+     * Reads the stats of every connection and adds a sample to each device's history
+     * @returns {Promise<void>}
+     */
+    async function sampleDiagnostics() {
+        const peers = engine.getPeers().filter((peer) => peer.connection);
+        const results = await Promise.allSettled(peers.map((peer) => engine.getDiagnostics(peer)));
+        const total = { time: Date.now(), sendRate: 0, receiveRate: 0, bufferedAmount: 0 };
+        
+        results.forEach((result, index) => {
+            // A connection closed while its stats were read has nothing left to show
+            if (result.status !== 'fulfilled') return;
+            
+            const diagnostics = result.value;
+            const history = diagnosticsHistory.get(peers[index].id) || { label: diagnostics.peer, latest: null, samples: [] };
+            const previous = history.latest;
+            const seconds = previous ? (diagnostics.time - previous.time) / 1000 : 0;
+            const rate = (bytes, before) => seconds > 0 ? Math.max(0, bytes - before) / seconds : 0;
+            
+            const sample = {
+                time: diagnostics.time,
+                bytesSent: diagnostics.bytesSent,
+                bytesReceived: diagnostics.bytesReceived,
+                rtt: diagnostics.candidatePair ? diagnostics.candidatePair.rtt : null,
+                bufferedAmount: diagnostics.dataChannels.reduce((sum, channel) => sum + channel.bufferedAmount, 0),
+                sendRate: previous ? rate(diagnostics.bytesSent, previous.bytesSent) : 0,
+                receiveRate: previous ? rate(diagnostics.bytesReceived, previous.bytesReceived) : 0
+            };
+            
+            history.latest = diagnostics;
+            history.samples.push(sample);
+            history.samples.splice(0, history.samples.length - DIAGNOSTICS_HISTORY);
+            diagnosticsHistory.set(peers[index].id, history);
+            
+            total.sendRate += sample.sendRate;
+            total.receiveRate += sample.receiveRate;
+            total.bufferedAmount += sample.bufferedAmount;
+        });
+        
+        diagnosticsTotals.push(total);
+        diagnosticsTotals.splice(0, diagnosticsTotals.length - DIAGNOSTICS_HISTORY);
+    }
+
+    /**
+     * Shows the graph and the latest stats of the connected devices
+     */
+    function renderDiagnostics() {
+        drawDiagnosticsGraph();
+        
+        const rows = engine.getPeers()
+            .filter((peer) => diagnosticsHistory.has(peer.id))
+            .map((peer) => diagnosticsHistory.get(peer.id));
+        
+        const create = (label, text) => {
+            const entry = document.createElement('div');
+            entry.className = 'log-entry';
+            const name = document.createElement('span');
+            name.className = 'log-time';
+            name.textContent = label;
+            const message = document.createElement('span');
+            message.className = 'log-message info';
+            message.textContent = text;
+            entry.append(name, message);
+            return entry;
+        };
+        
+        if (rows.length === 0) {
+            elements.diagnosticsDetails.replaceChildren(create('—', 'No device connected yet.'));
+            return;
+        }
+        
+        elements.diagnosticsDetails.replaceChildren(...rows.flatMap(({ label, latest, samples }) => {
+            const sample = samples[samples.length - 1];
+            const pair = latest.candidatePair;
+            const channels = latest.dataChannels
+                .map((channel) => `${channel.label} ${channel.state}, ${formatBytes(channel.bufferedAmount)} buffered`)
+                .join(' · ');
+            
+            return [
+                create(label, `${latest.iceState}, ${pair ? `${describeCandidate(pair.local)} ⇄ ${describeCandidate(pair.remote)}` : 'no candidate pair selected yet'}`),
+                create('', `RTT ${sample.rtt === null ? '—' : `${Math.round(sample.rtt)} ms`} · sent ${formatBytes(sample.bytesSent)} (${formatBytes(sample.sendRate)}/s) · received ${formatBytes(sample.bytesReceived)} (${formatBytes(sample.receiveRate)}/s)`),
+                create('', channels)
+            ];
+        }));
+    }
+
+    /**
+     * Describes one end of a candidate pair, e.g. "srflx udp 203.0.113.7:61000"
+     * @param {Object|null} candidate - Candidate from the diagnostics
+     * @returns {string} Description
+     */
+    function describeCandidate(candidate) {
+        if (!candidate) return 'unknown';
+        const relay = candidate.relayProtocol ? ` (relay over ${candidate.relayProtocol})` : '';
+        return `${candidate.type} ${candidate.protocol} ${candidate.address}:${candidate.port}${relay}`;
+    }
+
+    /**
+     * Draws the send and receive rates and the buffered bytes of the last polls,
+     * the rates on a shared scale and the buffered bytes on their own
+     */
+    function drawDiagnosticsGraph() {
+        const canvas = elements.diagnosticsGraph;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        
+        canvas.width = canvas.clientWidth || canvas.width;
+        const { width, height } = canvas;
+        const styles = getComputedStyle(document.documentElement);
+        const color = (name) => styles.getPropertyValue(name).trim() || '#888';
+        
+        const maxRate = Math.max(1, ...diagnosticsTotals.flatMap((total) => [total.sendRate, total.receiveRate]));
+        const maxBuffered = Math.max(1, ...diagnosticsTotals.map((total) => total.bufferedAmount));
+        const step = width / (DIAGNOSTICS_HISTORY - 1);
+        
+        context.clearRect(0, 0, width, height);
+        context.strokeStyle = color('--border-primary');
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(0, height - 0.5);
+        context.lineTo(width, height - 0.5);
+        context.stroke();
+        
+        const plot = (value, max, stroke) => {
+            context.strokeStyle = stroke;
+            context.lineWidth = 2;
+            context.beginPath();
+            diagnosticsTotals.forEach((total, index) => {
+                const x = width - (diagnosticsTotals.length - 1 - index) * step;
+                const y = height - 2 - (value(total) / max) * (height - 4);
+                if (index === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            context.stroke();
+        };
+        
+        plot((total) => total.bufferedAmount, maxBuffered, color('--accent-orange'));
+        plot((total) => total.receiveRate, maxRate, color('--accent-green'));
+        plot((total) => total.sendRate, maxRate, color('--accent-blue'));
+        
+        const latest = diagnosticsTotals[diagnosticsTotals.length - 1];
+        elements.diagnosticsLegend.textContent = latest
+            ? `Blue: sending ${formatBytes(latest.sendRate)}/s · Green: receiving ${formatBytes(latest.receiveRate)}/s · Orange: ${formatBytes(latest.bufferedAmount)} buffered · Top of graph: ${formatBytes(maxRate)}/s`
+            : '';
+    }
+
+    /**
+     * Downloads the stats history, settings and log as JSON to attach to a bug report.
+     * Only the URLs of the ICE servers are included, never TURN credentials.
+     */
+    async function exportDiagnostics() {
+        await sampleDiagnostics();
+        
+        const report = {
+            app: 'P2P File Share',
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            settings: {
+                dataChannels: Number(elements.dataChannelCount.value),
+                encrypted: elements.passphrase.value !== '',
+                iceServers: iceServers.map((server) => server.urls)
+            },
+            peers: Array.from(diagnosticsHistory.values()),
+            log: Array.from(elements.logContent.children, (entry) => entry.textContent.trim().replace(/\s+/g, ' '))
         };
         
-        dataChannel.send(JSON.stringify(metadata));
-        log(`Metadata sent: ${totalChunks} chunks`, 'info');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+        link.download = `p2p-diagnostics-${report.exportedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+        
+        log(`Diagnostics of ${report.peers.length} device(s) exported`, 'success');
+    }
+
+    // ===========================================
+    // CHAT
+    // ===========================================
+
+    /**
+     * Shows the chat once a device is connected and enables sending while one is
+     * @param {boolean} available - Whether a chat message would reach a device
+     */
+    function updateChatAvailability(available) {
+        if (available) {
+            elements.chatPanel.classList.remove('hidden');
+        }
+        elements.btnChatSend.disabled = !available;
+    }
+
+    /**
+     * Sends the typed message to every connected device
+     */
+    function sendChatMessage() {
+        const text = elements.chatInput.value.replace(/\s+$/, '');
+        if (!text.trim()) return;
+        
+        let message;
+        try {
+            message = engine.sendChat(text);
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        
+        chatViews.set(message.id, appendChatMessage('You', text, message.sentAt));
+        updateChatDelivery(message);
+        elements.chatInput.value = '';
+    }
+
+    /**
+     * Checks whether the chat is on screen
+     * @returns {boolean} True if the chat panel is scrolled into view
+     */
+    function isChatVisible() {
+        const rect = elements.chatPanel.getBoundingClientRect();
+        return rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    /**
+     * Adds a message to the chat
+     * @param {string} author - 'You' or the device label
+     * @param {string} text - Message text
+     * @param {number} sentAt - Time the message was written (ms since epoch)
+     * @returns {Object} Message elements, { row, status }
+     */
+    function appendChatMessage(author, text, sentAt) {
+        const row = document.createElement('li');
+        row.className = `chat-message${author === 'You' ? ' outgoing' : ''}`;
+        
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = `[${new Date(sentAt).toLocaleTimeString()}]`;
+        
+        const name = document.createElement('strong');
+        name.className = 'chat-author';
+        name.textContent = ` ${author}: `;
+        
+        // Multi-line text is a snippet and keeps its layout
+        const isSnippet = text.includes('\n');
+        const body = document.createElement(isSnippet ? 'pre' : 'span');
+        body.className = 'chat-text';
+        appendLinkifiedText(body, text);
+        
+        const copy = document.createElement('button');
+        copy.className = 'log-toggle';
+        copy.textContent = '📋';
+        copy.title = 'Copy message';
+        copy.onclick = () => copyChatText(text);
+        
+        const status = document.createElement('span');
+        status.className = 'chat-status text-muted';
+        
+        row.append(time, name, body, copy, status);
+        elements.chatMessages.appendChild(row);
+        elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+        
+        return { row, status };
+    }
+
+    /**
+     * Appends text to an element, turning http(s) links into anchors
+     * @param {HTMLElement} element - Target element
+     * @param {string} text - Message text
+     */
+    function appendLinkifiedText(element, text) {
+        let last = 0;
+        for (const match of text.matchAll(CHAT_LINK_PATTERN)) {
+            element.append(text.slice(last, match.index));
+            
+            const link = document.createElement('a');
+            link.href = match[0];
+            link.textContent = match[0];
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            element.append(link);
+            
+            last = match.index + match[0].length;
+        }
+        element.append(text.slice(last));
+    }
+
+    /**
+     * Shows how many devices confirmed a sent message
+     * @param {Object} message - Sent message
+     */
+    function updateChatDelivery(message) {
+        const view = chatViews.get(message.id);
+        if (!view) return;
+        
+        const delivered = message.deliveredTo.size;
+        if (delivered === 0) {
+            view.status.textContent = ' ⏳ Sending';
+        } else if (message.recipients === 1) {
+            view.status.textContent = ' ✓ Delivered';
+        } else {
+            view.status.textContent = ` ✓ Delivered to ${delivered}/${message.recipients}`;
+        }
+    }
+
+    /**
+     * Copies a chat message to the clipboard
+     * @param {string} text - Message text
+     */
+    async function copyChatText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast('Copied to clipboard!', 'success');
+        } catch (error) {
+            showToast('Could not copy the message.', 'error');
+        }
+    }
+
+    /**
+     * Sends with Enter, Shift+Enter starts a new line
+     */
+    function setupChat() {
+        elements.chatInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+                event.preventDefault();
+                sendChatMessage();
+            }
+        });
+    }
+
+    // ===========================================
+    // FILE HANDLING (DRAG & DROP)
+    // ===========================================
+
+    /**
+     * Sets up file drop zone event listeners
+     */
+    function setupFileHandling() {
+        const dropZone = elements.fileDropZone;
+        const fileInput = elements.fileInput;
+        const folderInput = elements.folderInput;
+        
+        // Click to select files
+        dropZone.addEventListener('click', () => {
+            if (!dropZone.classList.contains('disabled')) {
+                fileInput.click();
+            }
+        });
+        
+        // Drag over
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            if (!dropZone.classList.contains('disabled')) {
+                dropZone.classList.add('dragover');
+            }
+        });
+        
+        // Drag leave
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('dragover');
+        });
+        
+        // Drop files and folders
+        dropZone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            
+            if (dropZone.classList.contains('disabled')) return;
+            
+            // Entries must be taken synchronously, the DataTransfer is
+            // emptied as soon as the event handler yields
+            const items = Array.from(e.dataTransfer.items || []);
+            const entries = items
+                .map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+                .filter(Boolean);
+            
+            if (entries.length === 0) {
+                addFilesToQueue(Array.from(e.dataTransfer.files, (file) => ({ file, path: file.name })));
+                return;
+            }
+            
+            try {
+                const collected = [];
+                for (const entry of entries) {
+                    await collectEntryFiles(entry, collected);
+                }
+                addFilesToQueue(collected);
+            } catch (error) {
+                log(`Failed to read dropped folder: ${error.message}`, 'error');
+                showToast('Could not read the dropped folder.', 'error');
+            }
+        });
+        
+        // File input change
+        fileInput.addEventListener('change', (e) => {
+            addFilesToQueue(Array.from(e.target.files, (file) => ({ file, path: file.name })));
+            fileInput.value = '';
+        });
+        
+        // Folder input change (webkitdirectory keeps the relative path)
+        folderInput.addEventListener('change', (e) => {
+            addFilesToQueue(Array.from(e.target.files, (file) => ({
+                file,
+                path: file.webkitRelativePath || file.name
+            })));
+            folderInput.value = '';
+        });
+    }
+
+    /**
+     * Opens the folder picker
+     * @param {Event} event - Click event (kept from reaching the drop zone)
+     */
+    function browseFolder(event) {
+        if (event) event.stopPropagation();
+        if (elements.fileDropZone.classList.contains('disabled')) return;
+        elements.folderInput.click();
+    }
+
+    /**
+     * Reads every entry of a directory (readEntries returns batches)
+     * @param {FileSystemDirectoryEntry} directoryEntry - Directory to read
+     * @returns {Promise<FileSystemEntry[]>} All child entries
+     */
+    function readDirectoryEntries(directoryEntry) {
+        const reader = directoryEntry.createReader();
+        const entries = [];
+        
+        return new Promise((resolve, reject) => {
+            const readBatch = () => {
+                reader.readEntries((batch) => {
+                    if (batch.length === 0) {
+                        resolve(entries);
+                        return;
+                    }
+                    entries.push(...batch);
+                    readBatch();
+                }, reject);
+            };
+            readBatch();
+        });
+    }
+
+    /**
+     * Recursively collects files below a dropped entry
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {Array<{file: File, path: string}>} results - Collected files
+     */
+    async function collectEntryFiles(entry, results) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, path: entry.fullPath.replace(/^\/+/, '') || file.name });
+        } else if (entry.isDirectory) {
+            const children = await readDirectoryEntries(entry);
+            for (const child of children) {
+                await collectEntryFiles(child, results);
+            }
+        }
+    }
+
+    /**
+     * Adds files to the send queue
+     * @param {Array<{file: File, path: string}>} files - Files with relative paths
+     */
+    function addFilesToQueue(files) {
+        if (files.length === 0) return;
+        
+        engine.queueFiles(files);
+        
+        // Show send button if a connected device is waiting for files
+        if (engine.hasQueuedFiles()) {
+            elements.sendButtonContainer.classList.remove('hidden');
+            elements.btnSendFile.disabled = false;
+        }
+    }
+
+    /**
+     * Renders the send queue and its summary
+     */
+    function renderQueue() {
+        const queue = engine.getQueue();
+        const list = elements.transferQueue;
+        list.textContent = '';
+        
+        if (queue.length === 0) {
+            elements.fileDropZone.classList.remove('has-file');
+            elements.fileInfo.classList.remove('visible');
+            return;
+        }
+        
+        // Summary
+        const totalSize = queue.reduce((sum, item) => sum + item.file.size, 0);
+        const sentCount = queue.filter((item) => item.status === 'sent').length;
+        elements.fileDropZone.classList.add('has-file');
+        elements.fileInfo.classList.add('visible');
+        
+        if (queue.length === 1) {
+            const { file, path } = queue[0];
+            elements.fileTypeIcon.textContent = getFileIcon(file.type);
+            elements.fileName.textContent = path;
+            elements.fileMeta.textContent = `${formatBytes(file.size)} • ${file.type || 'Unknown type'}`;
+        } else {
+            elements.fileTypeIcon.textContent = '🗂️';
+            elements.fileName.textContent = `${queue.length} files`;
+            elements.fileMeta.textContent = `${formatBytes(totalSize)} • ${sentCount} sent`;
+        }
+        
+        // Per-item rows
+        queue.forEach((item) => {
+            const row = document.createElement('li');
+            row.className = `queue-item ${item.status}`;
+            
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon';
+            icon.textContent = getFileIcon(item.file.type);
+            
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = item.path;
+            name.title = item.path;
+            
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = formatBytes(item.file.size);
+            
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = QUEUE_STATUS_LABELS[item.status];
+            if (item.error) status.title = item.error;
+            
+            row.append(icon, name, size, status);
+            
+            if (item.status === 'queued') {
+                const remove = document.createElement('button');
+                remove.className = 'queue-remove';
+                remove.title = 'Remove from queue';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => removeQueueItem(item.id));
+                row.appendChild(remove);
+            }
+            
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Removes a single queued file
+     * @param {string} id - Queue item id
+     */
+    function removeQueueItem(id) {
+        if (!engine.removeFile(id)) return;
+        
+        if (!engine.hasQueuedFiles()) {
+            elements.sendButtonContainer.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Removes every file that is not currently being sent
+     */
+    function clearQueue() {
+        engine.clearQueue();
+        elements.sendButtonContainer.classList.add('hidden');
+    }
+
+    // ===========================================
+    // FILE TRANSFER - SENDER
+    // ===========================================
+
+    /**
+     * Starts sending the queue to every connected device that still lacks
+     * files. Each device runs through the queue at its own pace.
+     */
+    function startFileTransfer() {
+        if (engine.startSending().length > 0) return;
+        
+        const unverified = engine.getConnectedPeers().some((peer) => !peer.verification.local || !peer.verification.remote);
+        if (unverified) {
+            showToast('Compare the verification code with the other device first.', 'error');
+        } else {
+            showToast('Cannot start transfer. Check connection and files.', 'error');
+        }
+    }
+
+    /**
+     * Shows the progress over every device and file of the current round
+     * @param {boolean} force - Redraw even if the last update was moments ago
+     */
+    function updateOverallProgress(force) {
+        // Summing over devices and files is only worth it a few times a second
+        if (!force && Date.now() - sendTiming.lastUpdate < 200) return;
+        
+        const { done, total, devices } = engine.getSendTotals();
+        
+        elements.sendProgress.title.textContent = devices > 1 ? `Sending to ${devices} devices` : 'Sending...';
+        elements.sendProgress.total.textContent = formatBytes(total);
+        renderProgress(elements.sendProgress, sendTiming, done, total);
+    }
+
+    /**
+     * Finishes the round once no device is being sent to
+     */
+    function finishQueue() {
+        elements.btnSendFile.disabled = false;
+        updateSendControls();
+        
+        const queue = engine.getQueue();
+        const sent = queue.filter((item) => item.status === 'sent').length;
+        const failed = queue.filter((item) => item.status === 'failed').length;
+        const declined = queue.filter((item) => item.status === 'declined').length;
+        const cancelled = queue.filter((item) => item.status === 'cancelled').length;
+        const remaining = queue.filter((item) => item.status === 'queued' || item.status === 'interrupted').length;
+        const devices = engine.getPeers().filter((peer) => peer.runItems.size > 0).length;
+        const toDevices = devices > 1 ? ` to ${devices} devices` : '';
+        
+        if (remaining > 0) {
+            updateStatus('error', 'Transfer stopped');
+            elements.transferBadge.textContent = 'Stopped';
+            elements.sendProgress.title.textContent = `Stopped with ${remaining} file(s) left`;
+            showToast('Connection lost. Reconnect to send the remaining files.', 'error');
+            return;
+        }
+        
+        // Update UI
+        elements.sendProgress.bar.style.width = '100%';
+        elements.sendProgress.bar.classList.add('completed');
+        elements.sendProgress.stats.textContent = '100%';
+        elements.sendProgress.speed.textContent = '--';
+        elements.sendProgress.eta.textContent = '00:00';
+        elements.sendProgress.title.textContent = 'Transfer Complete!';
+        
+        if (failed > 0) {
+            updateStatus('error', `${sent} sent, ${failed} failed`);
+            elements.transferBadge.textContent = 'Incomplete';
+            log(`Queue finished${toDevices}: ${sent} sent, ${failed} failed`, 'warning');
+            showToast(`${failed} file(s) could not be sent.`, 'error');
+        } else if (cancelled > 0) {
+            updateStatus('connected', 'Transfer cancelled');
+            elements.transferBadge.textContent = 'Cancelled';
+            elements.sendProgress.title.textContent = 'Transfer cancelled';
+            log(`Queue finished${toDevices}: ${sent} sent, ${cancelled} cancelled`, 'warning');
+        } else if (declined > 0) {
+            updateStatus('completed', sent > 0 ? `${sent} sent, ${declined} declined` : 'Files declined');
+            elements.transferBadge.textContent = sent > 0 ? 'Complete' : 'Declined';
+            elements.sendProgress.title.textContent = sent > 0 ? 'Transfer Complete!' : 'Declined by the receiver';
+            log(`Queue finished${toDevices}: ${sent} sent, ${declined} declined`, 'warning');
+        } else {
+            updateStatus('completed', 'Transfer complete!');
+            elements.transferBadge.textContent = 'Complete';
+            log(`Queue finished: ${sent} file(s) sent${toDevices}`, 'success');
+            showToast(`${sent} file(s) sent successfully!`, 'success');
+        }
+        
+        // Cancelled files can be sent again
+        if (engine.hasQueuedFiles()) {
+            elements.sendButtonContainer.classList.remove('hidden');
+        }
+    }
+
+    // ===========================================
+    // FILE TRANSFER - RECEIVER
+    // ===========================================
+
+    /**
+     * Shows the oldest unanswered offer, or hides the panel if there is none
+     */
+    function showIncomingOffer() {
+        const offer = pendingOffers[0];
+        const list = elements.incomingOfferList;
+        list.textContent = '';
+        
+        if (!offer) {
+            elements.incomingOffer.classList.add('hidden');
+            return;
+        }
+        
+        const totalSize = offer.files.reduce((sum, file) => sum + file.size, 0);
+        elements.incomingOfferTitle.textContent = `${offer.peer.label} wants to send ${offer.files.length} file(s)`;
+        elements.incomingOfferInfo.textContent = `${offer.files.length} file(s) • ${formatBytes(totalSize)}`;
+        
+        offer.files.forEach((file) => {
+            const row = document.createElement('li');
+            row.className = 'received-item';
+            
+            const label = document.createElement('label');
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.value = file.transferId;
+            
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon';
+            icon.textContent = getFileIcon(String(file.mimeType || ''));
+            
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = String(file.path || file.name);
+            
+            label.append(checkbox, icon, name);
+            
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = formatBytes(file.size);
+            
+            const type = document.createElement('span');
+            type.className = 'queue-status';
+            type.textContent = String(file.mimeType || 'unknown type');
+            
+            row.append(label, size, type);
+            list.appendChild(row);
+        });
+        
+        elements.incomingOffer.classList.remove('hidden');
+    }
+
+    /**
+     * Accepts the shown offer, completely or the checked files only
+     * @param {boolean} all - Accept every offered file
+     */
+    function acceptIncomingFiles(all) {
+        const offer = pendingOffers[0];
+        if (!offer) return;
+        
+        const ids = all
+            ? offer.files.map((file) => file.transferId)
+            : Array.from(elements.incomingOfferList.querySelectorAll('input:checked'), (checkbox) => checkbox.value);
+        
+        if (ids.length === 0) {
+            showToast('Select at least one file, or decline the offer.', 'error');
+            return;
+        }
+        
+        answerIncomingOffer(ids);
+        log(`Accepted ${ids.length} of ${offer.files.length} file(s) from ${offer.peer.label}`, 'success');
+    }
+
+    /**
+     * Declines every file of the shown offer
+     */
+    function declineIncomingFiles() {
+        const offer = pendingOffers[0];
+        if (!offer) return;
+        
+        answerIncomingOffer([]);
+        log(`Declined ${offer.files.length} file(s) from ${offer.peer.label}`, 'warning');
+    }
+
+    /**
+     * Sends the answer to the shown offer and moves on to the next one
+     * @param {string[]} ids - Accepted transfer ids, empty to decline
+     */
+    function answerIncomingOffer(ids) {
+        const offer = pendingOffers.shift();
+        engine.answerOffer(offer.peer, offer.offerId, ids);
+        showIncomingOffer();
+    }
+
+    /**
+     * Forgets the unanswered offers of a device that went away
+     * @param {Object} peer - Peer
+     */
+    function dropOffersFrom(peer) {
+        const shown = pendingOffers[0];
+        pendingOffers = pendingOffers.filter((offer) => offer.peer !== peer);
         
-        // Start sending chunks
-        sendingInProgress = true;
-        sendPaused = false;
-        sendNextChunk();
+        if (pendingOffers[0] !== shown) {
+            showIncomingOffer();
+        }
+    }
+
+    /**
+     * Describes the integrity check state of a received file
+     * @param {Object} file - Received file entry
+     * @returns {string} Short status text
+     */
+    function describeVerification(file) {
+        if (file.error) return `❌ ${file.error}`;
+        if (file.verified === null) return '⏳ Verifying…';
+        if (file.verified) return '🔒 Verified (SHA-256)';
+        return '⚠️ Not verified (no checksum from sender)';
+    }
+
+    /**
+     * Describes a received file's state including where it was saved
+     * @param {Object} file - Received file entry
+     * @returns {string} Status text
+     */
+    function describeReceivedFile(file) {
+        const verification = describeVerification(file);
+        return file.savedTo ? `${verification} • 💾 Saved to ${file.savedTo}` : verification;
     }
 
     /**
-     * Sends the next chunk of the file
+     * Renders the list of received files in the download section
      */
-    function sendNextChunk() {
-        if (!sendingInProgress || sendPaused) return;
+    function renderReceivedFiles() {
+        const count = receivedFiles.length;
+        const totalSize = receivedFiles.reduce((sum, file) => sum + file.size, 0);
+        const failed = receivedFiles.filter((file) => file.error).length;
+        const latest = receivedFiles[count - 1];
         
-        // Check if transfer is complete
-        if (currentChunkIndex >= totalChunks) {
-            finishSending();
-            return;
+        elements.downloadSection.classList.add('visible');
+        if (failed > 0) {
+            elements.downloadTitle.textContent = count > 1
+                ? `${failed} of ${count} Files Failed`
+                : 'File Not Received';
+        } else {
+            elements.downloadTitle.textContent = count > 1
+                ? 'Files Received Successfully!'
+                : 'File Received Successfully!';
+        }
+        elements.downloadInfo.textContent = count > 1
+            ? `${count} files • ${formatBytes(totalSize)}`
+            : `${latest.path} • ${formatBytes(latest.size)}`;
+        elements.downloadVerification.textContent = count > 1
+            ? (failed > 0 ? `❌ ${failed} file(s) corrupted, see below` : describeVerification(latest))
+            : describeReceivedFile(latest);
+        elements.downloadVerification.className = `verification-status${failed > 0 ? ' error' : ''}`;
+        
+        // Single file keeps the big download button
+        elements.downloadLink.href = latest.url || '#';
+        elements.downloadLink.download = latest.name;
+        elements.downloadLink.classList.toggle('hidden', count > 1 || !latest.url);
+        elements.btnDownloadAll.classList.toggle('hidden', count < 2 || !receivedFiles.some((file) => file.url));
+        
+        const list = elements.receivedList;
+        list.textContent = '';
+        if (count < 2) return;
+        
+        receivedFiles.forEach((file) => {
+            const row = document.createElement('li');
+            row.className = `received-item${file.error ? ' failed' : ''}`;
+            
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon';
+            icon.textContent = getFileIcon(file.mimeType);
+            
+            const link = document.createElement(file.url ? 'a' : 'span');
+            link.className = 'received-link';
+            if (file.url) {
+                link.href = file.url;
+                link.download = file.name;
+            }
+            link.textContent = file.path;
+            
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = formatBytes(file.size);
+            
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = describeReceivedFile(file);
+            
+            row.append(icon, link, size, status);
+            if (file.blob && !file.error) {
+                const preview = document.createElement('button');
+                preview.className = 'log-toggle';
+                preview.textContent = 'Preview';
+                preview.addEventListener('click', () => previewReceivedFile(file));
+                row.appendChild(preview);
+            }
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Downloads every received file as one ZIP that keeps the folder layout
+     */
+    async function downloadAllAsZip() {
+        const files = receivedFiles.filter((file) => file.blob && file.url);
+        if (files.length === 0) return;
+        
+        try {
+            elements.btnDownloadAll.disabled = true;
+            const zip = await buildZip(files);
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zip);
+            link.download = getArchiveName();
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+            
+            log(`ZIP archive created (${formatBytes(zip.size)})`, 'success');
+        } catch (error) {
+            log(`Failed to create ZIP: ${error.message}`, 'error');
+            showToast(error.message, 'error');
+        } finally {
+            elements.btnDownloadAll.disabled = false;
+        }
+    }
+
+    /**
+     * Picks an archive name from the common top-level folder
+     * @returns {string} File name ending in .zip
+     */
+    function getArchiveName() {
+        const roots = new Set(receivedFiles.map((file) => file.path.split('/')[0]));
+        const [root] = roots;
+        const isFolder = roots.size === 1 && receivedFiles.every((file) => file.path.includes('/'));
+        return `${isFolder ? root : 'received-files'}.zip`;
+    }
+
+    // ===========================================
+    // FILE PREVIEW
+    // ===========================================
+
+    /**
+     * Shows a received file in the preview pane. What is shown depends on the
+     * content, not on the type the sender claimed, and nothing that runs code
+     * is opened as a document.
+     * @param {Object} file - Received file entry with a blob
+     */
+    async function previewReceivedFile(file) {
+        closePreview();
+        previewedFile = file;
+        elements.previewPane.classList.remove('hidden');
+        elements.previewTitle.textContent = file.path;
+        elements.previewContent.replaceChildren(createPreviewMessage('Loading preview...'));
+        
+        let result;
+        try {
+            const preview = await FilePreview.inspect(file.blob, file.mimeType, file.name);
+            result = await buildPreview(file, preview);
+        } catch (error) {
+            result = { element: createPreviewMessage(`No preview: ${error.message}`), url: null };
         }
         
-        // Check backpressure - pause if buffer is too full
-        if (dataChannel.bufferedAmount > BUFFER_THRESHOLD) {
-            sendPaused = true;
-            log(`Backpressure detected at chunk ${currentChunkIndex + 1}/${totalChunks}, pausing...`, 'warning');
+        // Another file was previewed, or the pane closed, in the meantime
+        if (previewedFile !== file) {
+            if (result.url) URL.revokeObjectURL(result.url);
             return;
         }
+        previewUrl = result.url;
+        elements.previewContent.replaceChildren(result.element);
+    }
+
+    /**
+     * Builds the preview element of a file
+     * @param {Object} file - Received file entry
+     * @param {Object} preview - What FilePreview.inspect() found
+     * @returns {Promise<{element: HTMLElement, url: string|null}>} Element and the object URL it uses
+     */
+    async function buildPreview(file, preview) {
+        // Typed from the content, so the browser never treats the file as something else
+        const createUrl = () => URL.createObjectURL(new Blob([file.blob], { type: preview.type }));
+        
+        switch (preview.kind) {
+            case 'image': {
+                if (preview.type === 'image/svg+xml') {
+                    return { element: await buildSvgPreview(file), url: null };
+                }
+                const url = createUrl();
+                const image = document.createElement('img');
+                image.src = url;
+                image.alt = file.name;
+                image.className = 'preview-image';
+                return { element: image, url };
+            }
+            case 'video':
+            case 'audio': {
+                const url = createUrl();
+                const media = document.createElement(preview.kind);
+                media.controls = true;
+                media.preload = 'metadata';
+                media.src = url;
+                media.className = 'preview-media';
+                media.addEventListener('error', () => {
+                    media.replaceWith(createPreviewMessage('This browser cannot play this file. Download it to open it.'));
+                });
+                return { element: media, url };
+            }
+            case 'pdf': {
+                // Only files that start like a PDF get here, shown by the browser's PDF viewer
+                const url = createUrl();
+                const frame = document.createElement('iframe');
+                frame.src = url;
+                frame.title = file.name;
+                frame.className = 'preview-frame';
+                return { element: frame, url };
+            }
+            case 'text':
+                return { element: await buildTextPreview(file, preview.language), url: null };
+            case 'zip':
+                return { element: await buildZipPreview(file), url: null };
+            default:
+                return { element: createPreviewMessage('No preview for this file type. Download it to open it.'), url: null };
+        }
+    }
+
+    /**
+     * Draws an SVG on a canvas. Opened in a tab of its own an SVG is a
+     * document that runs its scripts, so nothing on the page links to it.
+     * @param {Object} file - Received file entry
+     * @returns {Promise<HTMLElement>} Preview
+     */
+    async function buildSvgPreview(file) {
+        const url = URL.createObjectURL(new Blob([file.blob], { type: 'image/svg+xml' }));
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth || 300;
+            canvas.height = image.naturalHeight || 150;
+            canvas.className = 'preview-image';
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Shows the start of a text file with syntax highlighting
+     * @param {Object} file - Received file entry
+     * @param {string} language - Highlighting language
+     * @returns {Promise<HTMLElement>} Preview
+     */
+    async function buildTextPreview(file, language) {
+        const { text, truncated } = await FilePreview.readText(file.blob);
         
-        // Calculate chunk boundaries
-        const start = currentChunkIndex * CHUNK_SIZE;
-        const end = Math.min(start + CHUNK_SIZE, selectedFile.size);
-        const chunk = selectedFile.slice(start, end);
+        const code = document.createElement('pre');
+        code.className = 'preview-code';
         
-        // Read and send chunk
-        const reader = new FileReader();
-        reader.onload = () => {
-            if (!sendingInProgress) return;
-            
-            // Create header with chunk index (4 bytes, little-endian)
-            const header = new ArrayBuffer(4);
-            new DataView(header).setUint32(0, currentChunkIndex, true);
+        FilePreview.highlight(text, language).forEach((token) => {
+            if (token.type === 'plain') {
+                code.appendChild(document.createTextNode(token.text));
+                return;
+            }
+            const span = document.createElement('span');
+            span.className = `token-${token.type}`;
+            span.textContent = token.text;
+            code.appendChild(span);
+        });
+        
+        const container = document.createElement('div');
+        container.appendChild(code);
+        if (truncated) {
+            container.appendChild(createPreviewMessage(`Showing the first ${formatBytes(FilePreview.TEXT_PREVIEW_LIMIT)} of ${formatBytes(file.size)}`));
+        }
+        return container;
+    }
+
+    /**
+     * Lists the files inside a ZIP archive
+     * @param {Object} file - Received file entry
+     * @returns {Promise<HTMLElement>} Preview
+     */
+    async function buildZipPreview(file) {
+        const { entries, total } = await FilePreview.listZip(file.blob);
+        
+        const list = document.createElement('ul');
+        list.className = 'received-list';
+        entries.forEach((entry) => {
+            const row = document.createElement('li');
+            row.className = 'received-item';
             
-            // Combine header and chunk data
-            const combined = new Uint8Array(4 + reader.result.byteLength);
-            combined.set(new Uint8Array(header), 0);
-            combined.set(new Uint8Array(reader.result), 4);
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon';
+            icon.textContent = entry.directory ? '📁' : '📄';
             
-            dataChannel.send(combined.buffer);
+            const name = document.createElement('span');
+            name.className = 'received-link';
+            name.textContent = entry.name;
             
-            // Update progress
-            currentChunkIndex++;
-            updateSendProgress(end);
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = entry.directory ? '' : formatBytes(entry.size);
             
-            // Schedule next chunk (using setTimeout to prevent stack overflow)
-            if (dataChannel.bufferedAmount <= BUFFER_THRESHOLD) {
-                setTimeout(sendNextChunk, 0);
-            } else {
-                sendPaused = true;
-            }
-        };
-        
-        reader.onerror = () => {
-            log(`Error reading file chunk ${currentChunkIndex}`, 'error');
-            showToast('Error reading file. Transfer aborted.', 'error');
-            sendingInProgress = false;
-        };
+            row.append(icon, name, size);
+            list.appendChild(row);
+        });
         
-        reader.readAsArrayBuffer(chunk);
+        const container = document.createElement('div');
+        container.append(createPreviewMessage(`${total} item(s) in the archive`), list);
+        if (total > entries.length) {
+            container.appendChild(createPreviewMessage(`…and ${total - entries.length} more`));
+        }
+        return container;
+    }
+
+    /**
+     * Creates a line of text for the preview pane
+     * @param {string} text - Message
+     * @returns {HTMLElement} Message element
+     */
+    function createPreviewMessage(text) {
+        const message = document.createElement('p');
+        message.className = 'candidates-status';
+        message.textContent = text;
+        return message;
     }
 
     /**
-     * Continues sending after backpressure release
+     * Closes the preview pane and releases what the preview held
      */
-    function continueSending() {
-        if (sendingInProgress && !sendPaused) {
-            sendNextChunk();
+    function closePreview() {
+        previewedFile = null;
+        if (previewUrl) {
+            URL.revokeObjectURL(previewUrl);
+            previewUrl = null;
         }
+        elements.previewContent.replaceChildren();
+        elements.previewPane.classList.add('hidden');
     }
 
+    // ===========================================
+    // TRANSFER HISTORY
+    // ===========================================
+    
     /**
-     * Updates sending progress UI
-     * @param {number} bytesSent - Total bytes sent so far
+     * Adds a finished transfer to the history, with the received file if files are kept
+     * @param {Object} result - Transfer result from the engine
      */
-    function updateSendProgress(bytesSent) {
-        const percentage = Math.round((bytesSent / selectedFile.size) * 100);
-        const now = Date.now();
+    async function recordTransfer(result) {
+        const file = result.outcome === 'received' && historyQuota > 0
+            ? receivedFiles.find((entry) => entry.transferId === result.transferId && entry.blob)
+            : null;
         
-        // Update progress bar
-        elements.progressBar.style.width = `${percentage}%`;
-        elements.progressStats.textContent = `${percentage}%`;
-        elements.progressTransferred.textContent = formatBytes(bytesSent);
+        try {
+            const record = await transferHistory.add(result, file ? file.blob : null, historyQuota);
+            if (file && record.keptBytes === 0) {
+                log(`${result.path} is larger than the space for kept files and was not kept`, 'warning');
+            }
+        } catch (error) {
+            log(`Could not save the transfer history: ${error.message}`, 'warning');
+        }
+        renderHistory();
+    }
+
+    /**
+     * Renders the history list and how much space the kept files take
+     */
+    async function renderHistory() {
+        let records;
+        try {
+            records = await transferHistory.list();
+        } catch (error) {
+            elements.historyUsage.textContent = `History unavailable: ${error.message}`;
+            return;
+        }
         
-        // Calculate speed and ETA (update every 200ms to avoid flickering)
-        if (now - lastProgressUpdate >= 200) {
-            const timeDelta = (now - lastProgressUpdate) / 1000;
-            const bytesDelta = bytesSent - lastTransferredBytes;
-            const speed = bytesDelta / timeDelta;
+        const kept = records.reduce((sum, record) => sum + record.keptBytes, 0);
+        elements.historyUsage.textContent = historyQuota > 0
+            ? `${records.length} transfer(s) • kept files use ${formatBytes(kept)} of ${formatBytes(historyQuota)}`
+            : `${records.length} transfer(s) • received files are not kept`;
+        
+        const list = elements.historyList;
+        list.textContent = '';
+        records.forEach((record) => {
+            const row = document.createElement('li');
+            row.className = `received-item${['sent', 'received'].includes(record.outcome) ? '' : ' failed'}`;
+            
+            const icon = document.createElement('span');
+            icon.className = 'queue-icon';
+            icon.textContent = record.direction === 'send' ? '📤' : '📥';
             
-            const remainingBytes = selectedFile.size - bytesSent;
-            const eta = speed > 0 ? remainingBytes / speed : 0;
+            const name = document.createElement(record.keptBytes > 0 ? 'a' : 'span');
+            name.className = 'received-link';
+            name.textContent = record.path;
+            if (record.keptBytes > 0) {
+                name.href = '#';
+                name.title = 'Download again';
+                name.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    downloadFromHistory(record);
+                });
+            }
+            
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = formatBytes(record.size);
             
-            elements.progressSpeed.textContent = formatBytes(speed) + '/s';
-            elements.progressETA.textContent = formatTime(eta);
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = describeHistoryRecord(record);
+            
+            row.append(icon, name, size, status);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Describes a history record: outcome, device, time, speed and hash
+     * @param {Object} record - History record
+     * @returns {string} Status text
+     */
+    function describeHistoryRecord(record) {
+        const parts = [
+            OUTCOME_LABELS[record.outcome] || record.outcome,
+            `${record.direction === 'send' ? 'to' : 'from'} ${record.peer}`,
+            new Date(record.finishedAt).toLocaleString()
+        ];
+        
+        if (record.duration !== null && ['sent', 'received'].includes(record.outcome)) {
+            const speed = record.duration > 0 ? record.size / record.duration : 0;
+            parts.push(`${formatTime(record.duration)} at ${formatBytes(speed)}/s`);
+        }
+        if (record.hash) {
+            parts.push(`SHA-256 ${record.hash.slice(0, 16)}…`);
+        }
+        if (record.error) {
+            parts.push(record.error);
+        }
+        return parts.join(' • ');
+    }
+
+    /**
+     * Downloads a file kept in the history
+     * @param {Object} record - History record of the file
+     */
+    async function downloadFromHistory(record) {
+        try {
+            const blob = await transferHistory.getFile(record.id);
+            if (!blob) throw new Error('The file is no longer kept');
             
-            lastProgressUpdate = now;
-            lastTransferredBytes = bytesSent;
+            // Files kept by earlier versions still carry the sender's type
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([blob], { type: 'application/octet-stream' }));
+            link.download = record.name;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+        } catch (error) {
+            showToast(`Cannot download ${record.name}: ${error.message}`, 'error');
+            renderHistory();
         }
     }
 
     /**
-     * Finishes the sending process
+     * Sets how much space kept received files may take, dropping the oldest ones that no longer fit
+     * @param {string|number} value - Bytes, 0 to keep records only
      */
-    function finishSending() {
-        sendingInProgress = false;
+    async function setHistoryQuota(value) {
+        historyQuota = Math.max(0, Number(value) || 0);
         
-        // Send completion signal
-        dataChannel.send(JSON.stringify({ type: 'complete' }));
+        try {
+            localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify({ quota: historyQuota }));
+        } catch (error) {
+            log(`Could not save the history settings: ${error.message}`, 'warning');
+        }
         
-        // Update UI
-        elements.progressBar.style.width = '100%';
-        elements.progressBar.classList.add('completed');
-        elements.progressStats.textContent = '100%';
-        elements.progressTransferred.textContent = formatBytes(selectedFile.size);
-        elements.progressSpeed.textContent = '--';
-        elements.progressETA.textContent = '00:00';
-        elements.progressTitle.textContent = 'Transfer Complete!';
+        // Ask the browser not to evict kept files when space runs low
+        if (historyQuota > 0 && navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
         
-        const duration = (Date.now() - transferStartTime) / 1000;
-        const avgSpeed = selectedFile.size / duration;
+        try {
+            const dropped = await transferHistory.trim(historyQuota);
+            if (dropped > 0) {
+                log(`Dropped ${dropped} kept file(s) to fit ${formatBytes(historyQuota)}`, 'info');
+            }
+        } catch (error) {
+            log(`Could not update the transfer history: ${error.message}`, 'warning');
+        }
+        renderHistory();
+    }
+
+    /**
+     * Restores the history settings saved in this browser and shows the history
+     */
+    function loadHistorySettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY));
+            const options = Array.from(elements.historyQuota.options, (option) => Number(option.value));
+            if (saved && options.includes(saved.quota)) {
+                historyQuota = saved.quota;
+            }
+        } catch (error) {
+            log(`Ignoring saved history settings: ${error.message}`, 'warning');
+        }
         
-        updateStatus('completed', 'Transfer complete!');
-        elements.transferBadge.textContent = 'Complete';
+        elements.historyQuota.value = String(historyQuota);
+        renderHistory();
+    }
+
+    /**
+     * Deletes the history and every kept file
+     */
+    async function clearHistory() {
+        try {
+            await transferHistory.clear();
+            log('Transfer history cleared', 'info');
+            showToast('Transfer history cleared', 'success');
+        } catch (error) {
+            log(`Could not clear the transfer history: ${error.message}`, 'error');
+            showToast(error.message, 'error');
+        }
+        renderHistory();
+    }
+
+    /**
+     * Toggles the history panel visibility
+     */
+    function toggleHistory() {
+        const isCollapsed = elements.historyContent.classList.toggle('collapsed');
+        elements.historyToggle.textContent = isCollapsed ? 'Show' : 'Hide';
+    }
+
+    // ===========================================
+    // PAUSE, RESUME & CANCEL
+    // ===========================================
+
+    /**
+     * Pauses sending, or asks the sender to pause the incoming file
+     * @param {string} direction - 'send' | 'receive'
+     */
+    function pauseTransfer(direction) {
+        engine.pause(direction);
+    }
+
+    /**
+     * Resumes paused sending, or asks the sender to continue
+     * @param {string} direction - 'send' | 'receive'
+     */
+    function resumeTransfer(direction) {
+        engine.resume(direction);
+    }
+
+    /**
+     * Cancels sending to every device, or the incoming file and the rest of its batch
+     * @param {string} direction - 'send' | 'receive'
+     */
+    function cancelTransfer(direction) {
+        engine.cancel(direction);
+    }
+
+    /**
+     * Shows the pause, resume and cancel buttons that apply to sending
+     */
+    function updateSendControls() {
+        const sending = engine.getPeers().filter((peer) => peer.sending);
+        const view = elements.sendProgress;
         
-        log(`Transfer complete! Duration: ${formatTime(duration)}, Avg speed: ${formatBytes(avgSpeed)}/s`, 'success');
-        showToast('File sent successfully!', 'success');
+        view.controls.classList.toggle('hidden', sending.length === 0);
+        view.pause.classList.toggle('hidden', sending.every((peer) => peer.held));
+        view.resume.classList.toggle('hidden', !sending.some((peer) => peer.held));
+    }
+
+    /**
+     * Shows the pause, resume and cancel buttons that apply to the incoming file
+     */
+    function updateReceiveControls() {
+        const view = elements.receiveProgress;
+        const incoming = engine.getIncoming();
+        const connected = Boolean(incoming && incoming.peer && incoming.peer.isConnected);
+        const paused = Boolean(incoming && incoming.paused);
+        
+        // A partial file can be cancelled while disconnected, pausing needs the sender
+        view.controls.classList.toggle('hidden', !incoming);
+        view.pause.classList.toggle('hidden', !connected || paused);
+        view.resume.classList.toggle('hidden', !connected || !paused);
     }
 
     // ===========================================
-    // FILE TRANSFER - RECEIVER
+    // RECEIVE SINKS (STREAMING TO DISK)
     // ===========================================
 
     /**
-     * Handles incoming data channel messages
-     * @param {MessageEvent} event - Message event
+     * Picks where the engine writes an incoming file. Every sink exposes
+     * write(position, data), close() and abort(); close() resolves to null
+     * once the data is already on disk.
+     * @param {Object} info - Metadata of the incoming file
+     * @returns {Promise<Object|null>} Sink for the file, null keeps it in memory
+     */
+    async function createReceiveSink(info) {
+        if (downloadDirectory) {
+            return createDirectorySink(info);
+        }
+        if (streamWorker && info.size > STREAM_THRESHOLD) {
+            return createStreamSink(info);
+        }
+        return null;
+    }
+
+    /**
+     * Writes into the folder picked with showDirectoryPicker, recreating
+     * the sender's sub-folders. Writes go through a FileSystemWritableFileStream
+     * at their byte offset, so blocks may arrive in any order.
+     * @param {Object} info - Metadata of the incoming file
+     * @returns {Promise<Object>} Directory sink
+     */
+    async function createDirectorySink(info) {
+        const folders = info.path.split('/').filter((part) => part && part !== '.' && part !== '..');
+        const fileName = folders.pop() || 'download';
+        
+        let directory = downloadDirectory;
+        for (const folder of folders) {
+            directory = await directory.getDirectoryHandle(folder, { create: true });
+        }
+        
+        // A file of the same name is the user's own: never overwrite or remove it
+        const { name, handle } = await createFreeFile(directory, fileName);
+        const writable = await handle.createWritable();
+        
+        return {
+            location: [downloadDirectory.name, ...folders, name].join('/'),
+            write: (position, data) => writable.write({ type: 'write', position, data }),
+            close: async () => {
+                await writable.close();
+                return null;
+            },
+            abort: async () => {
+                await writable.abort();
+                await directory.removeEntry(name).catch(() => {});
+            }
+        };
+    }
+
+    /**
+     * Creates a file under a name nothing in the folder uses yet, numbering
+     * taken names like "report (1).docx"
+     * @param {FileSystemDirectoryHandle} directory - Folder
+     * @param {string} fileName - Preferred name
+     * @returns {Promise<{name: string, handle: FileSystemFileHandle}>} Name used and its new file
      */
-    function handleDataChannelMessage(event) {
-        // Handle text messages (metadata, control)
-        if (typeof event.data === 'string') {
+    async function createFreeFile(directory, fileName) {
+        const dot = fileName.lastIndexOf('.');
+        const stem = dot > 0 ? fileName.slice(0, dot) : fileName;
+        const extension = dot > 0 ? fileName.slice(dot) : '';
+        
+        for (let number = 0; ; number++) {
+            const name = number === 0 ? fileName : `${stem} (${number})${extension}`;
             try {
-                const message = JSON.parse(event.data);
-                
-                if (message.type === 'metadata') {
-                    handleFileMetadata(message);
-                } else if (message.type === 'complete') {
-                    handleTransferComplete();
+                await directory.getFileHandle(name);
+            } catch (error) {
+                // A folder of that name (TypeMismatchError) takes the name as well
+                if (error.name === 'NotFoundError') {
+                    return { name, handle: await directory.getFileHandle(name, { create: true }) };
                 }
-            } catch (e) {
-                log(`Failed to parse message: ${e.message}`, 'error');
+                if (error.name !== 'TypeMismatchError') throw error;
             }
-            return;
         }
-        
-        // Handle binary data (file chunks)
-        handleFileChunk(event.data);
     }
 
     /**
-     * Handles incoming file metadata
-     * @param {Object} metadata - File metadata object
+     * Streams the file into a regular browser download through the service
+     * worker (sw.js). The worker only accepts data in order, so blocks that
+     * arrive early are held until the gap before them is filled.
+     * @param {Object} info - Metadata of the incoming file
+     * @returns {Promise<Object>} Stream sink
      */
-    function handleFileMetadata(metadata) {
-        receivedFileInfo = metadata;
-        receivedChunks = new Array(metadata.totalChunks);
-        receivedBytes = 0;
-        transferStartTime = Date.now();
-        lastProgressUpdate = transferStartTime;
-        lastTransferredBytes = 0;
-        
-        log(`Receiving file: ${metadata.name} (${formatBytes(metadata.size)}, ${metadata.totalChunks} chunks)`, 'info');
+    async function createStreamSink(info) {
+        const worker = streamWorker.active;
+        if (!worker) throw new Error('service worker is not active');
+        
+        const channel = new MessageChannel();
+        const port = channel.port1;
+        const ready = new Promise((resolve, reject) => {
+            port.onmessage = (event) => {
+                if (event.data.type === 'ready') resolve();
+                if (event.data.type === 'error') reject(new Error(event.data.message));
+            };
+        });
         
-        // Update UI
-        elements.waitingForFile.classList.add('hidden');
-        elements.progressSection.classList.add('visible');
-        elements.progressTitle.textContent = `Receiving: ${metadata.name}`;
-        elements.progressTotal.textContent = formatBytes(metadata.size);
-        elements.transferBadge.textContent = 'Receiving';
+        worker.postMessage({
+            type: 'stream-download',
+            id: info.transferId,
+            name: info.name,
+            size: info.size
+        }, [channel.port2]);
+        await ready;
+        
+        // Cancelling the browser download surfaces as a failed write
+        let cancelled = false;
+        port.onmessage = (event) => {
+            if (event.data.type === 'cancelled') {
+                cancelled = true;
+                log(`Download of ${info.path} was cancelled in the browser`, 'warning');
+            }
+        };
         
-        // Reset progress bar
-        elements.progressBar.style.width = '0%';
-        elements.progressBar.classList.remove('completed');
+        // Navigating a hidden frame starts the download
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.src = `stream-download/${info.transferId}/${encodeURIComponent(info.name)}`;
+        document.body.appendChild(frame);
+        
+        // Idle service workers get stopped, keep this one busy
+        const keepAlive = setInterval(() => port.postMessage({ type: 'ping' }), 10000);
+        const finish = () => {
+            clearInterval(keepAlive);
+            setTimeout(() => frame.remove(), 1000);
+        };
         
-        updateStatus('transferring', 'Receiving file...');
+        const pending = new Map();
+        let nextPosition = 0;
+        
+        return {
+            location: 'browser downloads',
+            write: async (position, data) => {
+                if (cancelled) throw new Error('download cancelled');
+                pending.set(position, data);
+                while (pending.has(nextPosition)) {
+                    const chunk = pending.get(nextPosition);
+                    pending.delete(nextPosition);
+                    port.postMessage({ type: 'chunk', data: chunk }, [chunk]);
+                    nextPosition += chunk.byteLength;
+                }
+            },
+            close: async () => {
+                if (cancelled) throw new Error('download cancelled');
+                port.postMessage({ type: 'end' });
+                finish();
+                return null;
+            },
+            abort: async () => {
+                port.postMessage({ type: 'abort' });
+                pending.clear();
+                finish();
+            }
+        };
     }
 
     /**
-     * Handles incoming file chunk
-     * @param {ArrayBuffer} data - Chunk data with header
+     * Lets the user pick a folder that received files are written into
      */
-    function handleFileChunk(data) {
-        if (!receivedFileInfo) {
-            log('Received chunk before metadata', 'error');
+    async function chooseDownloadFolder() {
+        if (!window.showDirectoryPicker) {
+            showToast('Saving to a folder is not supported in this browser.', 'error');
             return;
         }
         
-        // Extract chunk index from header (first 4 bytes, little-endian)
-        const view = new DataView(data);
-        const chunkIndex = view.getUint32(0, true);
-        
-        // Extract actual chunk data (skip 4-byte header)
-        const chunkData = data.slice(4);
-        
-        // Store chunk
-        receivedChunks[chunkIndex] = chunkData;
-        receivedBytes += chunkData.byteLength;
+        try {
+            downloadDirectory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            log(`Received files will be saved into "${downloadDirectory.name}"`, 'success');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                log(`Cannot use that folder: ${error.message}`, 'error');
+                showToast('Cannot use that folder.', 'error');
+            }
+        }
         
-        // Update progress
-        updateReceiveProgress();
+        updateSaveLocation();
     }
 
     /**
-     * Updates receiving progress UI
+     * Describes where received files end up
      */
-    function updateReceiveProgress() {
-        const percentage = Math.round((receivedBytes / receivedFileInfo.size) * 100);
-        const now = Date.now();
+    function updateSaveLocation() {
+        elements.btnChooseFolder.classList.toggle('hidden', !window.showDirectoryPicker);
         
-        // Update progress bar
-        elements.progressBar.style.width = `${percentage}%`;
-        elements.progressStats.textContent = `${percentage}%`;
-        elements.progressTransferred.textContent = formatBytes(receivedBytes);
-        
-        // Calculate speed and ETA
-        if (now - lastProgressUpdate >= 200) {
-            const timeDelta = (now - lastProgressUpdate) / 1000;
-            const bytesDelta = receivedBytes - lastTransferredBytes;
-            const speed = timeDelta > 0 ? bytesDelta / timeDelta : 0;
-            
-            const remainingBytes = receivedFileInfo.size - receivedBytes;
-            const eta = speed > 0 ? remainingBytes / speed : 0;
-            
-            elements.progressSpeed.textContent = formatBytes(speed) + '/s';
-            elements.progressETA.textContent = formatTime(eta);
-            
-            lastProgressUpdate = now;
-            lastTransferredBytes = receivedBytes;
+        if (downloadDirectory) {
+            elements.saveLocationText.textContent = `Saving straight into 📁 ${downloadDirectory.name}`;
+        } else if (streamWorker) {
+            elements.saveLocationText.textContent = `Files over ${formatBytes(STREAM_THRESHOLD)} are streamed to your downloads`;
+        } else {
+            elements.saveLocationText.textContent = 'Files are kept in memory until you download them';
         }
     }
 
     /**
-     * Handles transfer completion signal
+     * Registers the service worker used for streamed downloads
      */
-    function handleTransferComplete() {
-        log('Transfer complete signal received', 'success');
+    async function registerStreamWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            log('Streamed downloads unavailable, large files will be kept in memory', 'warning');
+            return;
+        }
         
-        // Reassemble file from chunks
-        const blob = new Blob(receivedChunks, { type: receivedFileInfo.mimeType });
+        try {
+            await navigator.serviceWorker.register('sw.js');
+            streamWorker = await navigator.serviceWorker.ready;
+            log('Streaming download worker ready', 'success');
+        } catch (error) {
+            log(`Streaming download worker failed: ${error.message}`, 'warning');
+        }
         
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        elements.downloadLink.href = url;
-        elements.downloadLink.download = receivedFileInfo.name;
-        elements.downloadInfo.textContent = `${receivedFileInfo.name} • ${formatBytes(receivedFileInfo.size)}`;
+        updateSaveLocation();
+    }
+
+    // ===========================================
+    // ZIP ARCHIVE (STORE ONLY)
+    // ===========================================
+    
+    /** CRC-32 lookup table (IEEE polynomial) */
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * Computes the CRC-32 of a byte array
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Builds an uncompressed ZIP archive of the received files
+     * @param {Array<{path: string, blob: Blob}>} files - Files with relative paths
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async function buildZip(files) {
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        if (totalSize >= 0xFFFFFFFF || files.length > 0xFFFF) {
+            throw new Error('Files are too large for a ZIP archive. Download them one by one.');
+        }
         
-        // Update UI
-        elements.progressBar.style.width = '100%';
-        elements.progressBar.classList.add('completed');
-        elements.progressStats.textContent = '100%';
-        elements.progressTransferred.textContent = formatBytes(receivedFileInfo.size);
-        elements.progressSpeed.textContent = '--';
-        elements.progressETA.textContent = '00:00';
-        elements.progressTitle.textContent = 'Transfer Complete!';
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
         
-        elements.downloadSection.classList.add('visible');
+        // DOS date/time of "now" for every entry
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
         
-        const duration = (Date.now() - transferStartTime) / 1000;
-        const avgSpeed = receivedFileInfo.size / duration;
+        for (const file of files) {
+            const name = encoder.encode(file.path);
+            const data = new Uint8Array(await file.blob.arrayBuffer());
+            const checksum = crc32(data);
+            
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, checksum, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            
+            // Central directory entry
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, checksum, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            
+            parts.push(local.buffer, name, file.blob);
+            centralDirectory.push(central.buffer, name);
+            offset += 30 + name.length + data.length;
+        }
         
-        updateStatus('completed', 'File received!');
-        elements.transferBadge.textContent = 'Complete';
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
         
-        log(`File received! Duration: ${formatTime(duration)}, Avg speed: ${formatBytes(avgSpeed)}/s`, 'success');
-        showToast('File received! Click to download.', 'success');
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
         
-        // Clean up memory
-        receivedChunks = [];
+        return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
     }
 
     // ===========================================
@@ -1055,7 +3915,7 @@ const P2PApp = (function() {
      */
     function init() {
         log('P2P File Share application initialized', 'info');
-        log(`Configuration: Chunk size ${formatBytes(CHUNK_SIZE)}, Buffer threshold ${formatBytes(BUFFER_THRESHOLD)}`, 'info');
+        log(`Configuration: Chunk size ${formatBytes(TransferEngine.CHUNK_SIZE)}, frames up to ${formatBytes(TransferEngine.MAX_FRAME_SIZE)}, Buffer threshold ${formatBytes(TransferEngine.BUFFER_THRESHOLD)}-${formatBytes(TransferEngine.MAX_BUFFER_THRESHOLD)}`, 'info');
         
         // Check WebRTC support
         if (!window.RTCPeerConnection) {
@@ -1067,10 +3927,22 @@ const P2PApp = (function() {
         
         log('WebRTC support detected ✓', 'success');
         
+        bindEngineEvents();
+        applySettings();
+        loadIceSettings();
+        loadReceivePolicy();
+        loadHistorySettings();
+        elements.passphrase.addEventListener('input', applySettings);
+        elements.dataChannelCount.addEventListener('change', applySettings);
+        
         // Setup file handling
         setupFileHandling();
+        setupChat();
+        registerStreamWorker();
+        setSignalingMode(elements.signalingMode.value);
+        checkQRScanSupport();
         
-        updateStatus('idle', 'Select a role to begin');
+        updateStatus('idle', 'Start or join a connection to begin');
     }
 
     // Run initialization when DOM is ready
@@ -1083,14 +3955,39 @@ const P2PApp = (function() {
     // ===========================================
     // PUBLIC API
     // ===========================================
-    
+
     return {
         selectRole,
         copyToClipboard,
         handleRemoteOffer,
         handleRemoteAnswer,
+        scanQRCode,
+        stopQRScan,
+        setSignalingMode,
+        setIceMode,
+        saveIceServers,
+        testConnectivity,
+        saveReceivePolicy,
         startFileTransfer,
-        removeFile,
+        reconnect,
+        applyRestoreCode,
+        addDevice,
+        browseFolder,
+        clearQueue,
+        downloadAllAsZip,
+        closePreview,
+        setHistoryQuota,
+        clearHistory,
+        toggleHistory,
+        chooseDownloadFolder,
+        sendChatMessage,
+        acceptIncomingFiles,
+        declineIncomingFiles,
+        pauseTransfer,
+        resumeTransfer,
+        cancelTransfer,
+        toggleDiagnostics,
+        exportDiagnostics,
         toggleLog
     };
 
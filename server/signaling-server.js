@@ -0,0 +1,512 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - OPTIONAL SIGNALING SERVER
+ * ===========================================================
+ * Pairs browsers through a short room code so offers,
+ * answers and ICE candidates are exchanged automatically.
+ * One device starts the room, the others join it.
+ * File data never passes through this server.
+ *
+ * Zero dependencies, Node.js 18+:
+ *
+ *   node server/signaling-server.js
+ *
+ * Environment:
+ * - PORT  Port to listen on (default 8080)
+ * - HOST  Interface to bind (default 0.0.0.0, use 127.0.0.1
+ *         to keep it on this machine)
+ *
+ * It also serves the app itself, so opening http://<host>:8080/
+ * on both devices is enough; the app then connects back to
+ * ws://<host>:8080/signal.
+ *
+ * Protocol (JSON text frames):
+ * - client → { type: 'join', room }       server → { type: 'joined', room, id, peers }
+ * - client → { type: 'signal', to, data } relayed to `to` as { type: 'signal', from, data }
+ *   (to every other peer when `to` is missing)
+ * - server → { type: 'peer-joined', id } / { type: 'peer-left', id } / { type: 'error', message }
+ *
+ * Ids are random per connection; `peers` lists the ids already in the room.
+ * ===========================================================
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+
+/** Directory served over HTTP (the app itself) */
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+/** Files of the app; nothing else in the directory (server, tests) is served */
+const STATIC_FILES = new Set([
+    'index.html',
+    'style.css',
+    'signal-codec.js',
+    'wire-protocol.js',
+    'peer-verification.js',
+    'transfer-engine.js',
+    'transfer-history.js',
+    'file-preview.js',
+    'qrcode.js',
+    'script.js',
+    'sw.js'
+]);
+
+/** Path of the WebSocket endpoint */
+const SIGNAL_PATH = '/signal';
+
+/** Largest accepted message; an SDP with candidates is a few KB */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/** Peers per room (one device sending to the others) */
+const ROOM_CAPACITY = 32;
+
+/** Room codes are short and case-insensitive */
+const ROOM_CODE = /^[A-Z0-9]{4,12}$/;
+
+/** Interval of keep-alive pings */
+const PING_INTERVAL = 30000;
+
+/** Magic value from RFC 6455 section 1.3 */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/** Open rooms: code → Set of connections */
+const rooms = new Map();
+
+// ===========================================
+// WEBSOCKET CONNECTION (RFC 6455)
+// ===========================================
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Minimal server side of a WebSocket: text messages, ping/pong, close
+ */
+class SignalConnection {
+    /**
+     * @param {net.Socket} socket - Upgraded socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.id = crypto.randomBytes(6).toString('hex');
+        this.room = null;
+        this.alive = true;
+        this.closed = false;
+        this.onmessage = null;
+        this.onclose = null;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Buffers incoming bytes and parses every complete frame
+     * @param {Buffer} data - Bytes from the socket
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (!this.closed) {
+            const frame = this.parseFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Takes one frame off the buffer
+     * @returns {Object|null} Frame, or null if incomplete
+     */
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const high = buffer.readUInt32BE(2);
+            length = high > 0 ? Infinity : buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        // Clients must mask, and nothing here needs large frames
+        if (!masked || length > MAX_MESSAGE_SIZE) {
+            this.close(length > MAX_MESSAGE_SIZE ? 1009 : 1002);
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Handles a parsed frame
+     * @param {{fin: boolean, opcode: number, payload: Buffer}} frame - Frame
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.PING:
+                this.send(payload, OPCODES.PONG);
+                return;
+            case OPCODES.PONG:
+                this.alive = true;
+                return;
+            case OPCODES.CLOSE:
+                this.close(1000);
+                return;
+            case OPCODES.BINARY:
+                this.close(1003);
+                return;
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                break;
+            default:
+                this.close(1002);
+                return;
+        }
+
+        this.fragmentsLength += payload.length;
+        if (this.fragmentsLength > MAX_MESSAGE_SIZE) {
+            this.close(1009);
+            return;
+        }
+        this.fragments.push(payload);
+        if (!fin) return;
+
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        this.fragmentsLength = 0;
+
+        // A message that breaks the handler ends this client, not the server
+        try {
+            if (this.onmessage) this.onmessage(text);
+        } catch (error) {
+            log(`Closing client after a failed message: ${error.message}`);
+            this.close(1011);
+        }
+    }
+
+    /**
+     * Sends one unfragmented frame
+     * @param {string|Buffer} data - Payload
+     * @param {number} opcode - Frame type (text by default)
+     */
+    send(data, opcode = OPCODES.TEXT) {
+        if (this.closed) return;
+
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(0, 2);
+            header.writeUInt32BE(payload.length, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Sends a JSON message
+     * @param {Object} message - Message object
+     */
+    sendJSON(message) {
+        this.send(JSON.stringify(message));
+    }
+
+    /**
+     * Sends a close frame and ends the socket
+     * @param {number} code - Close status code
+     */
+    close(code) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.send(payload, OPCODES.CLOSE);
+        this.closed = true;
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Runs the close handler once
+     */
+    handleClose() {
+        this.closed = true;
+        if (this.onclose) {
+            const onclose = this.onclose;
+            this.onclose = null;
+            onclose();
+        }
+    }
+}
+
+// ===========================================
+// ROOMS
+// ===========================================
+
+/**
+ * Sends a message to every other peer in a room
+ * @param {SignalConnection} sender - Originating connection
+ * @param {Object} message - Message object
+ */
+function broadcast(sender, message) {
+    const peers = rooms.get(sender.room);
+    if (!peers) return;
+
+    peers.forEach((peer) => {
+        if (peer !== sender) peer.sendJSON(message);
+    });
+}
+
+/**
+ * Removes a connection from its room
+ * @param {SignalConnection} connection - Connection leaving
+ */
+function leaveRoom(connection) {
+    const peers = rooms.get(connection.room);
+    if (!peers) return;
+
+    peers.delete(connection);
+    broadcast(connection, { type: 'peer-left', id: connection.id });
+    if (peers.size === 0) rooms.delete(connection.room);
+    connection.room = null;
+}
+
+/**
+ * Handles a message from a client
+ * @param {SignalConnection} connection - Client connection
+ * @param {string} text - Raw message
+ */
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        connection.sendJSON({ type: 'error', message: 'Invalid JSON' });
+        return;
+    }
+
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        connection.sendJSON({ type: 'error', message: 'Messages must be JSON objects' });
+        return;
+    }
+
+    if (message.type === 'join') {
+        const room = String(message.room || '').toUpperCase();
+        if (!ROOM_CODE.test(room)) {
+            connection.sendJSON({ type: 'error', message: 'Room codes are 4-12 letters or digits' });
+            return;
+        }
+
+        leaveRoom(connection);
+        const peers = rooms.get(room) || new Set();
+        if (peers.size >= ROOM_CAPACITY) {
+            connection.sendJSON({ type: 'error', message: 'Room is full' });
+            return;
+        }
+
+        const others = Array.from(peers, (peer) => peer.id);
+        peers.add(connection);
+        rooms.set(room, peers);
+        connection.room = room;
+        connection.sendJSON({ type: 'joined', room, id: connection.id, peers: others });
+        broadcast(connection, { type: 'peer-joined', id: connection.id });
+        log(`Peer joined room ${room} (${peers.size}/${ROOM_CAPACITY})`);
+    } else if (message.type === 'signal') {
+        if (!connection.room) {
+            connection.sendJSON({ type: 'error', message: 'Join a room first' });
+            return;
+        }
+        const relayed = { type: 'signal', from: connection.id, data: message.data };
+        if (message.to === undefined) {
+            broadcast(connection, relayed);
+            return;
+        }
+
+        const target = Array.from(rooms.get(connection.room)).find((peer) => peer.id === message.to);
+        if (!target || target === connection) {
+            connection.sendJSON({ type: 'error', message: 'Peer is no longer in the room' });
+            return;
+        }
+        target.sendJSON(relayed);
+    } else {
+        connection.sendJSON({ type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+}
+
+// ===========================================
+// HTTP SERVER
+// ===========================================
+
+/**
+ * Prints a timestamped line
+ * @param {string} message - Text to print
+ */
+function log(message) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+}
+
+/**
+ * Serves the app's static files
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function serveStatic(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+
+    // A NUL byte would make fs throw outside of any callback
+    if (pathname.includes('\0')) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+
+    const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+    if (!STATIC_FILES.has(name)) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    const filePath = path.join(STATIC_ROOT, name);
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (request.method === 'HEAD') {
+            response.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(response);
+    });
+}
+
+/**
+ * Completes the WebSocket handshake on the signaling path
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ */
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const pathname = new URL(request.url, 'http://localhost').pathname;
+
+    if (pathname !== SIGNAL_PATH || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = new SignalConnection(socket);
+    connection.onmessage = (text) => handleMessage(connection, text);
+    connection.onclose = () => leaveRoom(connection);
+}
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', handleUpgrade);
+
+// Drop connections that stopped answering pings
+const heartbeat = setInterval(() => {
+    rooms.forEach((peers) => {
+        peers.forEach((connection) => {
+            if (!connection.alive) {
+                connection.socket.destroy();
+                return;
+            }
+            connection.alive = false;
+            connection.send(Buffer.alloc(0), OPCODES.PING);
+        });
+    });
+}, PING_INTERVAL);
+heartbeat.unref();
+
+server.listen(PORT, HOST, () => {
+    log(`Signaling server listening on http://${HOST}:${PORT} (WebSocket path ${SIGNAL_PATH})`);
+});
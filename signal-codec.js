@@ -0,0 +1,360 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - COMPACT SIGNALING CODES
+ * ===========================================================
+ * Turns an offer/answer into a short code that is easy to copy
+ * between devices or to fit into a QR code:
+ *
+ *   P2P1.<z|r><base64url payload>
+ *
+ * The payload is "<o|a>\n<sdp>" with redundant SDP lines removed,
+ * or "c\n<mid> <candidate>..." for ICE candidates found after the
+ * offer/answer was shown (trickle ICE add-on codes), or
+ * "r\n<o|a> <ufrag> <pwd>\n<mid> <candidate>..." for an ICE restart,
+ * which only carries what changes: restoreDescription() merges it
+ * into the description the other side already had. It is deflated
+ * (z) when the browser has CompressionStream, raw (r) otherwise.
+ * The old JSON format is still accepted when decoding.
+ * ===========================================================
+ */
+
+const SignalCodec = (function() {
+    'use strict';
+
+    /** Marks a compact code and its format version */
+    const PREFIX = 'P2P1.';
+
+    /** Largest SDP accepted after decompression */
+    const MAX_SDP_LENGTH = 64 * 1024;
+
+    /** Most candidates accepted in one add-on code */
+    const MAX_CANDIDATES = 64;
+
+    /** SDP lines a data-channel-only connection does not need */
+    const REDUNDANT_LINES = [
+        /^a=extmap-allow-mixed$/,
+        /^a=msid-semantic:/,
+        /^a=candidate:\S+ \d+ tcp \S+ \S+ 9 typ host/i
+    ];
+
+    /** ICE credentials as the SDP grammar allows them */
+    const ICE_CREDENTIAL = /^[A-Za-z0-9+/]{4,256}$/;
+
+    /** Optional candidate attributes that only help the remote network stack */
+    const CANDIDATE_EXTENSIONS = / (generation|network-id|network-cost|ufrag) \S+/g;
+
+    // ===========================================
+    // SDP MINIFICATION
+    // ===========================================
+
+    /**
+     * Removes lines and attributes that are not needed to connect
+     * @param {string} sdp - Session description
+     * @returns {string} Minified SDP with \n line endings
+     */
+    function minifySdp(sdp) {
+        return sdp.split(/\r?\n/)
+            .filter((line) => line && !REDUNDANT_LINES.some((pattern) => pattern.test(line)))
+            .map((line) => line.startsWith('a=candidate:') ? line.replace(CANDIDATE_EXTENSIONS, '') : line)
+            .join('\n');
+    }
+
+    /**
+     * Restores the CRLF line endings required by the SDP grammar
+     * @param {string} sdp - Minified SDP
+     * @returns {string} Session description
+     */
+    function expandSdp(sdp) {
+        return sdp.split('\n').filter(Boolean).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Writes candidates one per line as "<mid> <candidate attribute value>"
+     * @param {RTCIceCandidateInit[]} candidates - Local candidates
+     * @returns {string} Candidate lines
+     */
+    function minifyCandidates(candidates) {
+        return candidates
+            .filter((candidate) => candidate.candidate)
+            .map((candidate) => {
+                const value = candidate.candidate.replace(/^candidate:/, '').replace(CANDIDATE_EXTENSIONS, '');
+                return `${candidate.sdpMid || '0'} ${value}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Parses candidate lines back into candidate objects
+     * @param {string} text - Candidate lines
+     * @returns {RTCIceCandidateInit[]} Candidates
+     * @throws {Error} If there are too many candidates
+     */
+    function expandCandidates(text) {
+        const lines = text.split('\n').filter(Boolean);
+        if (lines.length > MAX_CANDIDATES) {
+            throw new Error('Code contains too many candidates');
+        }
+
+        return lines.map((line) => {
+            const separator = line.indexOf(' ');
+            return {
+                sdpMid: line.slice(0, separator),
+                candidate: `candidate:${line.slice(separator + 1)}`
+            };
+        });
+    }
+
+    /**
+     * Reads the value of the first SDP attribute with a name
+     * @param {string} sdp - Session description
+     * @param {string} name - Attribute name
+     * @returns {string|null} Value, null if absent
+     */
+    function readAttribute(sdp, name) {
+        const line = sdp.split(/\r?\n/).find((candidate) => candidate.startsWith(`a=${name}:`));
+        return line ? line.slice(name.length + 3) : null;
+    }
+
+    // ===========================================
+    // BASE64URL & COMPRESSION
+    // ===========================================
+
+    /**
+     * Encodes bytes as unpadded base64url
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} base64url text
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes unpadded base64url
+     * @param {string} text - base64url text
+     * @returns {Uint8Array} Data
+     * @throws {Error} If the text is not base64url
+     */
+    function fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+            throw new Error('Code contains invalid characters');
+        }
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    }
+
+    /**
+     * Runs bytes through a compression or decompression stream
+     * @param {CompressionStream|DecompressionStream} transform - Stream to use
+     * @param {Uint8Array} bytes - Input
+     * @param {number} limit - Maximum output size
+     * @returns {Promise<Uint8Array>} Output
+     * @throws {Error} If the output exceeds the limit
+     */
+    async function pipeThrough(transform, bytes, limit) {
+        const writer = transform.writable.getWriter();
+        writer.write(bytes).catch(() => {});
+        writer.close().catch(() => {});
+
+        const reader = transform.readable.getReader();
+        const parts = [];
+        let length = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            length += value.length;
+            if (length > limit) {
+                reader.cancel().catch(() => {});
+                throw new Error('Code expands to an oversized description');
+            }
+            parts.push(value);
+        }
+
+        const output = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach((part) => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+
+    /**
+     * Encodes a session description as a compact code
+     * @param {{type: string, sdp: string}} description - Offer or answer
+     * @returns {Promise<string>} Compact code
+     */
+    async function encode(description) {
+        const type = description.type === 'offer' ? 'o' : 'a';
+        return encodePayload(`${type}\n${minifySdp(description.sdp)}`);
+    }
+
+    /**
+     * Encodes ICE candidates as a compact add-on code
+     * @param {RTCIceCandidateInit[]} candidates - Local candidates
+     * @returns {Promise<string>} Compact code
+     */
+    async function encodeCandidates(candidates) {
+        return encodePayload(`c\n${minifyCandidates(candidates)}`);
+    }
+
+    /**
+     * Encodes the offer/answer of an ICE restart as a short code with
+     * only the new ICE credentials and candidates
+     * @param {{type: string, sdp: string}} description - Restart offer or answer
+     * @returns {Promise<string>} Compact code
+     */
+    async function encodeRestart(description) {
+        const type = description.type === 'offer' ? 'o' : 'a';
+        const mid = readAttribute(description.sdp, 'mid') || '0';
+        const candidates = description.sdp.split(/\r?\n/)
+            .filter((line) => line.startsWith('a=candidate:') && !REDUNDANT_LINES.some((pattern) => pattern.test(line)))
+            .map((line) => ({ candidate: line.slice(2), sdpMid: mid }));
+
+        const ufrag = readAttribute(description.sdp, 'ice-ufrag');
+        const pwd = readAttribute(description.sdp, 'ice-pwd');
+        return encodePayload(`r\n${type} ${ufrag} ${pwd}\n${minifyCandidates(candidates)}`);
+    }
+
+    /**
+     * Compresses and wraps a payload
+     * @param {string} text - Payload text
+     * @returns {Promise<string>} Compact code
+     */
+    async function encodePayload(text) {
+        const payload = new TextEncoder().encode(text);
+
+        if (typeof CompressionStream === 'function') {
+            const compressed = await pipeThrough(new CompressionStream('deflate-raw'), payload, Infinity);
+            return `${PREFIX}z${toBase64Url(compressed)}`;
+        }
+        return `${PREFIX}r${toBase64Url(payload)}`;
+    }
+
+    /**
+     * Decodes a compact code or a legacy JSON description
+     * @param {string} text - Pasted or scanned code
+     * @returns {Promise<Object>} Session description { type, sdp },
+     *     { type: 'candidates', candidates } for an add-on code, or
+     *     { type: 'restart', kind, ufrag, pwd, candidates } for a restart code
+     * @throws {Error} If the code is malformed
+     */
+    async function decode(text) {
+        const code = text.replace(/\s+/g, '');
+
+        // Legacy format: the full JSON description
+        if (code.startsWith('{')) {
+            const description = JSON.parse(text);
+            if (typeof description.sdp !== 'string') {
+                throw new Error('Description has no SDP');
+            }
+            return { type: description.type, sdp: description.sdp };
+        }
+
+        if (!code.startsWith(PREFIX)) {
+            throw new Error('Not a connection code');
+        }
+
+        const format = code.charAt(PREFIX.length);
+        let payload = fromBase64Url(code.slice(PREFIX.length + 1));
+
+        if (format === 'z') {
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error('This browser cannot read compressed codes');
+            }
+            payload = await pipeThrough(new DecompressionStream('deflate-raw'), payload, MAX_SDP_LENGTH);
+        } else if (format !== 'r' || payload.length > MAX_SDP_LENGTH) {
+            throw new Error('Unknown code format');
+        }
+
+        const decoded = new TextDecoder().decode(payload);
+        const separator = decoded.indexOf('\n');
+        const type = { o: 'offer', a: 'answer', c: 'candidates', r: 'restart' }[decoded.slice(0, separator)];
+        if (separator < 0 || !type) {
+            throw new Error('Code does not contain an offer or answer');
+        }
+
+        if (type === 'candidates') {
+            return { type, candidates: expandCandidates(decoded.slice(separator + 1)) };
+        }
+        if (type === 'restart') {
+            return decodeRestart(decoded.slice(separator + 1));
+        }
+        return { type, sdp: expandSdp(decoded.slice(separator + 1)) };
+    }
+
+    /**
+     * Parses the payload of a restart code
+     * @param {string} text - "<o|a> <ufrag> <pwd>" line and candidate lines
+     * @returns {Object} { type: 'restart', kind, ufrag, pwd, candidates }
+     * @throws {Error} If the credentials are malformed
+     */
+    function decodeRestart(text) {
+        const separator = text.indexOf('\n');
+        const [kind, ufrag, pwd] = (separator < 0 ? text : text.slice(0, separator)).split(' ');
+
+        if (!['o', 'a'].includes(kind) || !ICE_CREDENTIAL.test(ufrag || '') || !ICE_CREDENTIAL.test(pwd || '')) {
+            throw new Error('Restart code has no valid ICE credentials');
+        }
+
+        return {
+            type: 'restart',
+            kind: kind === 'o' ? 'offer' : 'answer',
+            ufrag,
+            pwd,
+            candidates: separator < 0 ? [] : expandCandidates(text.slice(separator + 1))
+        };
+    }
+
+    /**
+     * Rebuilds the full offer/answer of a restart code from the description
+     * the other device sent before: same DTLS fingerprint and data channel
+     * setup, new ICE credentials and candidates
+     * @param {Object} restart - Decoded restart code
+     * @param {{type: string, sdp: string}} previous - Current remote description
+     * @returns {{type: string, sdp: string}} Remote description to apply
+     * @throws {Error} If the code does not continue that description
+     */
+    function restoreDescription(restart, previous) {
+        if (!previous || previous.type !== restart.kind) {
+            throw new Error(`Restart code holds an ${restart.kind}, but this connection expects an ${previous ? previous.type : 'offer'}`);
+        }
+
+        const lines = [];
+        previous.sdp.split(/\r?\n/).filter(Boolean).forEach((line) => {
+            if (line.startsWith('a=candidate:') || line === 'a=end-of-candidates') return;
+
+            if (line.startsWith('o=')) {
+                // A changed description has a higher session version
+                const fields = line.split(' ');
+                fields[2] = String(BigInt(fields[2]) + 1n);
+                lines.push(fields.join(' '));
+            } else if (line.startsWith('a=ice-ufrag:')) {
+                lines.push(`a=ice-ufrag:${restart.ufrag}`);
+            } else if (line.startsWith('a=ice-pwd:')) {
+                lines.push(`a=ice-pwd:${restart.pwd}`);
+                restart.candidates.forEach((candidate) => lines.push(`a=${candidate.candidate}`));
+            } else {
+                lines.push(line);
+            }
+        });
+
+        return { type: restart.kind, sdp: lines.join('\r\n') + '\r\n' };
+    }
+
+    return {
+        encode,
+        encodeCandidates,
+        encodeRestart,
+        decode,
+        restoreDescription
+    };
+})();
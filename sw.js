@@ -0,0 +1,120 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - STREAMED DOWNLOAD SERVICE WORKER
+ * ===========================================================
+ * Turns file data posted by the page into a regular browser
+ * download, so large received files are written to disk as
+ * they arrive instead of being assembled in memory.
+ *
+ * Flow:
+ * 1. The page posts { type: 'stream-download', id, name, size }
+ *    together with a MessagePort
+ * 2. The page opens stream-download/<id>/<name> in a hidden frame
+ * 3. This worker answers that request with a streamed Response
+ *    fed by 'chunk' messages on the port until 'end'
+ * ===========================================================
+ */
+
+'use strict';
+
+/** Downloads announced by the page and not yet requested */
+const pendingDownloads = new Map();
+
+/** Matches stream-download/<transfer id>/<name> below the worker scope */
+const DOWNLOAD_PATH = /\/stream-download\/([0-9a-f]{32})\//;
+
+// ===========================================
+// LIFECYCLE
+// ===========================================
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// ===========================================
+// MESSAGES FROM THE PAGE
+// ===========================================
+
+self.addEventListener('message', (event) => {
+    const request = event.data;
+    const port = event.ports[0];
+
+    if (!request || request.type !== 'stream-download' || !port) return;
+
+    if (!/^[0-9a-f]{32}$/.test(request.id)) {
+        port.postMessage({ type: 'error', message: 'Invalid download id' });
+        return;
+    }
+
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                switch (data.type) {
+                    case 'chunk':
+                        controller.enqueue(new Uint8Array(data.data));
+                        break;
+                    case 'end':
+                        controller.close();
+                        port.close();
+                        break;
+                    case 'abort':
+                        controller.error(new Error('Transfer aborted'));
+                        port.close();
+                        break;
+                    // 'ping' only keeps the worker alive
+                }
+            };
+        },
+        cancel() {
+            port.postMessage({ type: 'cancelled' });
+        }
+    });
+
+    pendingDownloads.set(request.id, {
+        stream,
+        name: request.name,
+        size: request.size
+    });
+
+    port.postMessage({ type: 'ready' });
+});
+
+// ===========================================
+// DOWNLOAD REQUESTS
+// ===========================================
+
+/**
+ * Encodes a file name for Content-Disposition (RFC 5987)
+ * @param {string} name - File name
+ * @returns {string} Percent-encoded name
+ */
+function encodeFileName(name) {
+    return encodeURIComponent(name).replace(/['()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+self.addEventListener('fetch', (event) => {
+    const match = DOWNLOAD_PATH.exec(new URL(event.request.url).pathname);
+    if (!match) return;
+
+    const download = pendingDownloads.get(match[1]);
+    if (!download) {
+        event.respondWith(new Response('This download has expired.', { status: 404 }));
+        return;
+    }
+    pendingDownloads.delete(match[1]);
+
+    const headers = new Headers({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeFileName(download.name)}`,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    if (Number.isFinite(download.size)) {
+        headers.set('Content-Length', String(download.size));
+    }
+
+    event.respondWith(new Response(download.stream, { headers }));
+});
@@ -0,0 +1,151 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - IN-MEMORY INDEXEDDB FOR TESTS
+ * ===========================================================
+ * Just enough of IndexedDB for the transfer history: open with an
+ * upgrade, object stores with a key path and auto-increment keys,
+ * and transactions that complete once every request made in them
+ * (also from a success handler) has run.
+ *
+ *   const history = TransferHistory.create({ indexedDB: createIndexedDB() });
+ *
+ * Requests succeed asynchronously like real ones. Stored objects
+ * are shallow copies, Blobs inside them are kept as they are.
+ * ===========================================================
+ */
+
+'use strict';
+
+/**
+ * Creates an empty IndexedDB factory
+ * @returns {{open: Function}} Factory
+ */
+function createIndexedDB() {
+    const databases = new Map();
+
+    /**
+     * Runs a request's work later and reports its result
+     * @param {Object|null} transaction - Transaction the request belongs to
+     * @param {Function} work - Returns the result
+     * @returns {Object} Request
+     */
+    function request(transaction, work) {
+        const pending = { result: undefined, error: null, onsuccess: null, onerror: null };
+        if (transaction) transaction.pending++;
+
+        setTimeout(() => {
+            try {
+                pending.result = work();
+                if (pending.onsuccess) pending.onsuccess({ target: pending });
+            } catch (error) {
+                pending.error = error;
+                if (pending.onerror) pending.onerror({ target: pending });
+                if (transaction) transaction.error = transaction.error || error;
+            }
+            if (transaction) {
+                transaction.pending--;
+                transaction.settle();
+            }
+        }, 0);
+        return pending;
+    }
+
+    /**
+     * Creates a transaction over some stores of a database
+     * @param {Map} stores - Stores of the database by name
+     * @returns {Object} Transaction
+     */
+    function createTransaction(stores) {
+        const transaction = {
+            pending: 0,
+            error: null,
+            oncomplete: null,
+            onerror: null,
+            onabort: null,
+            objectStore: (name) => createStoreView(transaction, stores.get(name)),
+            settle: () => setTimeout(() => {
+                if (transaction.pending > 0 || transaction.done) return;
+                transaction.done = true;
+                if (transaction.error) {
+                    if (transaction.onerror) transaction.onerror();
+                } else if (transaction.oncomplete) {
+                    transaction.oncomplete();
+                }
+            }, 0)
+        };
+        transaction.settle();
+        return transaction;
+    }
+
+    /**
+     * Gives a transaction access to a store
+     * @param {Object} transaction - Transaction
+     * @param {Object} store - { keyPath, autoIncrement, nextKey, records }
+     * @returns {Object} Object store
+     */
+    function createStoreView(transaction, store) {
+        const put = (value, isNew) => {
+            const record = Object.assign({}, value);
+            if (record[store.keyPath] === undefined && store.autoIncrement) {
+                record[store.keyPath] = store.nextKey++;
+            }
+            const key = record[store.keyPath];
+            if (isNew && store.records.has(key)) {
+                throw new Error('ConstraintError: key already exists');
+            }
+            store.records.set(key, record);
+            return key;
+        };
+
+        return {
+            add: (value) => request(transaction, () => put(value, true)),
+            put: (value) => request(transaction, () => put(value, false)),
+            get: (key) => request(transaction, () => {
+                const record = store.records.get(key);
+                return record ? Object.assign({}, record) : undefined;
+            }),
+            getAll: () => request(transaction, () => [...store.records.keys()]
+                .sort((a, b) => a - b)
+                .map((key) => Object.assign({}, store.records.get(key)))),
+            delete: (key) => request(transaction, () => {
+                store.records.delete(key);
+            }),
+            clear: () => request(transaction, () => store.records.clear())
+        };
+    }
+
+    return {
+        open(name, version) {
+            const opening = request(null, () => {
+                let database = databases.get(name);
+                const isNew = !database || database.version < version;
+                if (!database) {
+                    database = { version, stores: new Map() };
+                    databases.set(name, database);
+                }
+                database.version = version;
+
+                const db = {
+                    createObjectStore: (storeName, options = {}) => {
+                        database.stores.set(storeName, {
+                            keyPath: options.keyPath,
+                            autoIncrement: Boolean(options.autoIncrement),
+                            nextKey: 1,
+                            records: new Map()
+                        });
+                    },
+                    transaction: () => createTransaction(database.stores)
+                };
+                if (isNew && opening.onupgradeneeded) {
+                    opening.result = db;
+                    opening.onupgradeneeded();
+                }
+                return db;
+            });
+            opening.onupgradeneeded = null;
+            return opening;
+        }
+    };
+}
+
+module.exports = { createIndexedDB };
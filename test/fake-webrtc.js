@@ -0,0 +1,591 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - LOOPBACK WEBRTC FOR TESTS
+ * ===========================================================
+ * In-memory stand-ins for RTCPeerConnection and RTCDataChannel,
+ * so the transfer engine runs headless under Node.js. Connections
+ * of one network find each other through the descriptions and
+ * candidates they exchange, like real ones: nothing connects
+ * before both descriptions are set and a remote candidate is
+ * known on each side.
+ *
+ *   const network = createNetwork({ latency: 5, bandwidth: 2 * 1024 * 1024 });
+ *   const engine = TransferEngine.create({ RTCPeerConnection: network.RTCPeerConnection });
+ *
+ * Options (network.options may be changed while a test runs):
+ *   latency            ms from leaving the send buffer to arriving,
+ *                      or a function (channel) → ms
+ *   bandwidth          Bytes per second leaving each channel's buffer
+ *   maxBufferedAmount  send() throws once a channel would buffer more
+ *   maxMessageSize     Largest message, reported as sctp.maxMessageSize
+ *   drop(channel, data)  Return true to lose a message on the way
+ *   tap(channel, data)   Sees every message as it arrives
+ *
+ * Gathering finds a host candidate, a public (srflx) one when any ICE
+ * server is configured and a relay one per TURN server with a username
+ * and credential.
+ *
+ * Channels are ordered and count what they carried in channel.stats:
+ * messages, bytes, dropped, peakBufferedAmount and lowEvents.
+ *
+ * network.cut(connection) breaks the path between a connection and
+ * its remote: both turn 'disconnected', then 'failed'. Their channels
+ * stay open but hold what is sent until an ICE restart (a new offer
+ * and answer) reconnects them.
+ *
+ * Run the tests with: node --test test/*.test.js
+ * ===========================================================
+ */
+
+'use strict';
+
+/** Link of a network that was given no options */
+const DEFAULT_OPTIONS = {
+    latency: 1,
+    bandwidth: 64 * 1024 * 1024, // 64MB/s
+    maxBufferedAmount: 16 * 1024 * 1024, // 16MB, like Chrome
+    maxMessageSize: 256 * 1024, // 256KB
+    drop: null,
+    tap: null
+};
+
+/** Time connectivity checks take once both sides can reach each other */
+const ICE_CHECK_DELAY = 5;
+
+/** Time a cut path stays 'disconnected' before it is 'failed' */
+const ICE_FAIL_DELAY = 20;
+
+/** Connections are found by the ICE user fragment in their descriptions, "loop<id>r<restarts>" */
+const UFRAG_PATTERN = /^a=ice-ufrag:(loop(\d+)(?:r\d+)?)$/m;
+
+/**
+ * Reads the ICE user fragment of a description
+ * @param {{sdp: string}} description - Session description
+ * @returns {string|null} User fragment
+ */
+function ufragOf(description) {
+    const match = UFRAG_PATTERN.exec(description.sdp);
+    return match ? match[1] : null;
+}
+
+// ===========================================
+// SCHEDULING
+// ===========================================
+
+/**
+ * Runs actions at non-decreasing times in the order they were added,
+ * with a single timer however many are waiting
+ * @returns {{add: Function, clear: Function}} Schedule
+ */
+function createSchedule() {
+    const entries = [];
+    let timer = null;
+    let running = false;
+
+    function run() {
+        timer = null;
+        running = true;
+        try {
+            while (entries.length > 0 && entries[0].at <= Date.now()) {
+                const { action } = entries.shift();
+                try {
+                    action();
+                } catch (error) {
+                    // Like an exception in a browser event handler: reported, the link goes on
+                    process.nextTick(() => { throw error; });
+                }
+            }
+        } finally {
+            running = false;
+        }
+        if (entries.length > 0) {
+            timer = setTimeout(run, entries[0].at - Date.now());
+        }
+    }
+
+    return {
+        add(at, action) {
+            const last = entries[entries.length - 1];
+            entries.push({ at: last ? Math.max(at, last.at) : at, action });
+            if (!timer && !running) {
+                timer = setTimeout(run, Math.max(0, entries[0].at - Date.now()));
+            }
+        },
+        clear() {
+            entries.length = 0;
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+/**
+ * Copies outgoing data, the sender may reuse its buffer after send()
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Message
+ * @returns {string|ArrayBuffer} Copy
+ */
+function copyMessage(data) {
+    if (typeof data === 'string') return data;
+    if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    return data.slice(0);
+}
+
+// ===========================================
+// NETWORK
+// ===========================================
+
+/**
+ * Creates a loopback network with its own connection classes
+ * @param {Object} options - Link options, see the header
+ * @returns {{RTCPeerConnection: Function, options: Object, connections: Function, cut: Function}} Network
+ */
+function createNetwork(options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const connections = new Map();
+    let connectionCounter = 0;
+
+    /**
+     * Delay from leaving a channel's buffer to arriving on the other side
+     * @param {FakeDataChannel} channel - Sending channel
+     * @returns {number} Milliseconds
+     */
+    function latencyOf(channel) {
+        return typeof settings.latency === 'function' ? settings.latency(channel) : settings.latency;
+    }
+
+    class FakeDataChannel {
+        constructor(connection, label, init = {}) {
+            this.label = label;
+            this.ordered = init.ordered !== false;
+            this.readyState = 'connecting';
+            this.binaryType = 'blob';
+            this.bufferedAmount = 0;
+            this.bufferedAmountLowThreshold = 0;
+            this.onopen = null;
+            this.onclose = null;
+            this.onerror = null;
+            this.onmessage = null;
+            this.onbufferedamountlow = null;
+
+            this.connection = connection;
+            this.remote = null;
+            this.stats = { messages: 0, bytes: 0, dropped: 0, peakBufferedAmount: 0, lowEvents: 0 };
+
+            // Messages that could not leave while the path was cut
+            this.stalled = [];
+
+            // Time the last buffered message has left, and what is on its way
+            this.clock = 0;
+            this.outgoing = createSchedule();
+            this.incoming = createSchedule();
+        }
+
+        send(data) {
+            if (this.readyState !== 'open') {
+                throw new Error(`InvalidStateError: channel ${this.label} is ${this.readyState}`);
+            }
+
+            const message = copyMessage(data);
+            const size = typeof message === 'string' ? Buffer.byteLength(message) : message.byteLength;
+            if (size > settings.maxMessageSize) {
+                throw new Error(`OperationError: ${size} byte message exceeds the maximum message size`);
+            }
+            if (this.bufferedAmount + size > settings.maxBufferedAmount) {
+                throw new Error('OperationError: send queue is full');
+            }
+
+            this.bufferedAmount += size;
+            this.stats.messages++;
+            this.stats.bytes += size;
+            this.stats.peakBufferedAmount = Math.max(this.stats.peakBufferedAmount, this.bufferedAmount);
+
+            // Messages leave the buffer one after another at the link's bandwidth
+            this.clock = Math.max(Date.now(), this.clock) + (size * 1000) / settings.bandwidth;
+            this.outgoing.add(this.clock, () => this.transmit(message, size));
+        }
+
+        transmit(message, size) {
+            if (this.readyState !== 'open') return;
+            if (this.connection.iceConnectionState !== 'connected') {
+                this.stalled.push(() => this.transmit(message, size));
+                return;
+            }
+
+            const before = this.bufferedAmount;
+            this.bufferedAmount -= size;
+            if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+                this.stats.lowEvents++;
+                if (this.onbufferedamountlow) this.onbufferedamountlow({ target: this });
+            }
+
+            if (settings.drop && settings.drop(this, message)) {
+                this.stats.dropped++;
+                return;
+            }
+
+            const remote = this.remote;
+            this.incoming.add(Date.now() + latencyOf(this), () => remote.receive(message));
+        }
+
+        receive(message) {
+            if (this.readyState !== 'open') return;
+            if (settings.tap) settings.tap(this, message);
+            if (this.onmessage) this.onmessage({ data: message, target: this });
+        }
+
+        /**
+         * Sends what piled up while the path was cut, in order
+         */
+        flushStalled() {
+            const stalled = this.stalled;
+            this.stalled = [];
+            stalled.forEach((transmit) => transmit());
+        }
+
+        close() {
+            if (this.readyState === 'closed') return;
+            this.shutDown();
+            if (this.remote) this.remote.shutDown();
+        }
+
+        shutDown() {
+            if (this.readyState === 'closed') return;
+            this.readyState = 'closed';
+            this.bufferedAmount = 0;
+            this.outgoing.clear();
+            this.incoming.clear();
+            setTimeout(() => {
+                if (this.onclose) this.onclose({ target: this });
+            }, 0);
+        }
+    }
+
+    class FakeRTCPeerConnection {
+        constructor(configuration = {}) {
+            this.configuration = configuration;
+            this.id = ++connectionCounter;
+            this.localDescription = null;
+            this.remoteDescription = null;
+            this.signalingState = 'stable';
+            this.iceGatheringState = 'new';
+            this.iceConnectionState = 'new';
+            this.connectionState = 'new';
+            this.sctp = { maxMessageSize: settings.maxMessageSize };
+            this.onicecandidate = null;
+            this.oniceconnectionstatechange = null;
+            this.onconnectionstatechange = null;
+            this.ondatachannel = null;
+
+            this.channels = [];
+            this.remoteCandidates = [];
+            this.remote = null;
+            this.restarts = 0;
+
+            // Description and candidate operations run one after another, as in browsers
+            this.operations = Promise.resolve();
+            connections.set(this.id, this);
+        }
+
+        /**
+         * Queues an operation behind the ones still running
+         * @param {Function} operation - Async operation
+         * @returns {Promise} Its result
+         */
+        chain(operation) {
+            const result = this.operations.then(operation);
+            this.operations = result.catch(() => {});
+            return result;
+        }
+
+        createDataChannel(label, init) {
+            if (this.signalingState === 'closed') {
+                throw new Error('InvalidStateError: connection is closed');
+            }
+            const channel = new FakeDataChannel(this, label, init);
+            this.channels.push(channel);
+            return channel;
+        }
+
+        async createOffer(options = {}) {
+            if (options.iceRestart) this.restarts++;
+            return { type: 'offer', sdp: this.describe('actpass') };
+        }
+
+        async createAnswer() {
+            if (this.signalingState !== 'have-remote-offer') {
+                throw new Error('InvalidStateError: no remote offer to answer');
+            }
+            return { type: 'answer', sdp: this.describe('active') };
+        }
+
+        /**
+         * Writes a data-channel-only session description of this connection
+         * @param {string} setup - DTLS role
+         * @returns {string} SDP
+         */
+        describe(setup) {
+            const fingerprint = Array.from({ length: 32 }, (_, i) => ((this.id * 31 + i * 7) & 255).toString(16).padStart(2, '0').toUpperCase());
+            return [
+                'v=0',
+                `o=- ${4611731400430051336 + this.id} 2 IN IP4 127.0.0.1`,
+                's=-',
+                't=0 0',
+                'a=group:BUNDLE 0',
+                'a=extmap-allow-mixed',
+                'a=msid-semantic: WMS',
+                'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+                'c=IN IP4 0.0.0.0',
+                `a=ice-ufrag:loop${this.id}${this.restarts ? `r${this.restarts}` : ''}`,
+                `a=ice-pwd:loopbackpassword${String(this.id).padStart(8, '0')}${this.restarts}`,
+                'a=ice-options:trickle',
+                `a=fingerprint:sha-256 ${fingerprint.join(':')}`,
+                `a=setup:${setup}`,
+                'a=mid:0',
+                'a=sctp-port:5000',
+                `a=max-message-size:${settings.maxMessageSize}`,
+                ''
+            ].join('\r\n');
+        }
+
+        setLocalDescription(description) {
+            return this.chain(() => {
+                // A new offer may replace one that was not answered yet
+                const expected = description.type === 'offer' ? ['stable', 'have-local-offer'] : ['have-remote-offer'];
+                if (!expected.includes(this.signalingState)) {
+                    throw new Error(`InvalidStateError: cannot set local ${description.type} in state ${this.signalingState}`);
+                }
+
+                this.localDescription = { type: description.type, sdp: description.sdp };
+                this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+                this.gatherCandidates();
+                this.tryConnect();
+            });
+        }
+
+        setRemoteDescription(description) {
+            return this.chain(() => {
+                const expected = description.type === 'offer' ? 'stable' : 'have-local-offer';
+                if (this.signalingState !== expected) {
+                    throw new Error(`InvalidStateError: cannot set remote ${description.type} in state ${this.signalingState}`);
+                }
+
+                const match = UFRAG_PATTERN.exec(String(description.sdp));
+                if (!match || !connections.has(Number(match[2]))) {
+                    throw new Error('OperationError: Failed to parse SessionDescription');
+                }
+
+                // Candidates of earlier ICE credentials are useless after a restart
+                if (this.remoteDescription && ufragOf(this.remoteDescription) !== match[1]) {
+                    this.remoteCandidates = [];
+                }
+
+                this.remoteDescription = { type: description.type, sdp: description.sdp };
+                this.remote = connections.get(Number(match[2]));
+                this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+                this.tryConnect();
+            });
+        }
+
+        addIceCandidate(candidate) {
+            return this.chain(() => {
+                if (!this.remoteDescription) {
+                    throw new Error('InvalidStateError: remote description is not set');
+                }
+                if (!candidate || !/^candidate:\S+ \d+ (udp|tcp) \d+ \S+ \d+ typ \w+/.test(candidate.candidate)) {
+                    throw new Error('OperationError: Failed to parse candidate');
+                }
+                this.remoteCandidates.push(candidate);
+                this.tryConnect();
+            });
+        }
+
+        /**
+         * Finds the candidates shortly after the local description is set,
+         * which then also show up in the local description
+         */
+        gatherCandidates() {
+            setTimeout(() => {
+                if (this.signalingState === 'closed') return;
+                this.iceGatheringState = 'gathering';
+
+                this.candidateLines().forEach((value) => {
+                    const candidate = {
+                        candidate: value,
+                        sdpMid: '0',
+                        sdpMLineIndex: 0,
+                        toJSON: () => ({ candidate: value, sdpMid: '0', sdpMLineIndex: 0 })
+                    };
+                    this.localDescription = {
+                        type: this.localDescription.type,
+                        sdp: `${this.localDescription.sdp}a=${value}\r\n`
+                    };
+                    if (this.onicecandidate) this.onicecandidate({ candidate });
+                });
+
+                this.iceGatheringState = 'complete';
+                if (this.onicecandidate) this.onicecandidate({ candidate: null });
+            }, 1);
+        }
+
+        /**
+         * Lists the candidates a browser would gather with the configured
+         * ICE servers, see the header
+         * @returns {Array<string>} Candidate lines
+         */
+        candidateLines() {
+            const port = 50000 + this.id;
+            const lines = [`candidate:${this.id} 1 udp 2122260223 127.0.0.1 ${port} typ host generation 0`];
+            const servers = this.configuration.iceServers || [];
+            const turnServers = servers.filter((server) => /^turns?:/.test([].concat(server.urls)[0]) && server.username && server.credential);
+
+            if (servers.length > 0) {
+                lines.push(`candidate:${this.id}1 1 udp 1686052607 203.0.113.${this.id % 250} ${port} typ srflx raddr 127.0.0.1 rport ${port} generation 0`);
+            }
+            turnServers.forEach((server, i) => {
+                lines.push(`candidate:${this.id}2${i} 1 udp 41885439 198.51.100.${i + 1} ${port + 10000} typ relay raddr 203.0.113.${this.id % 250} rport ${port} generation 0`);
+            });
+            return lines;
+        }
+
+        /**
+         * Checks whether this connection knows how to reach the other side
+         * @returns {boolean} True if a remote candidate came by trickle or in the description
+         */
+        hasRemoteCandidate() {
+            return this.remoteCandidates.length > 0 || /^a=candidate:/m.test(this.remoteDescription.sdp);
+        }
+
+        /**
+         * Connects once both sides have both descriptions and a candidate of
+         * each other, or reconnects a cut path after an ICE restart
+         */
+        tryConnect() {
+            const remote = this.remote;
+            if (!remote || remote.remote !== this) return;
+            if (!this.localDescription || !this.remoteDescription || !remote.localDescription || !remote.remoteDescription) return;
+            if (this.signalingState !== 'stable' || remote.signalingState !== 'stable') return;
+            if (ufragOf(this.remoteDescription) !== ufragOf(remote.localDescription) ||
+                ufragOf(remote.remoteDescription) !== ufragOf(this.localDescription)) return;
+            if (!this.hasRemoteCandidate() || !remote.hasRemoteCandidate()) return;
+
+            if (this.iceConnectionState === 'disconnected' || this.iceConnectionState === 'failed') {
+                this.reconnect();
+                return;
+            }
+            if (this.iceConnectionState !== 'new') return;
+
+            const offerer = this.localDescription.type === 'offer' ? this : remote;
+            const answerer = offerer === this ? remote : this;
+            offerer.setIceState('checking');
+            answerer.setIceState('checking');
+
+            setTimeout(() => {
+                if (offerer.signalingState === 'closed' || answerer.signalingState === 'closed') return;
+                offerer.setIceState('connected');
+                answerer.setIceState('connected');
+
+                // Channels the offerer created show up on the answering side
+                offerer.channels.forEach((channel) => {
+                    const counterpart = new FakeDataChannel(answerer, channel.label, { ordered: channel.ordered });
+                    channel.remote = counterpart;
+                    counterpart.remote = channel;
+                    answerer.channels.push(counterpart);
+                });
+                offerer.channels.forEach((channel) => {
+                    const counterpart = channel.remote;
+                    channel.readyState = 'open';
+                    counterpart.readyState = 'open';
+                    if (answerer.ondatachannel) answerer.ondatachannel({ channel: counterpart });
+                    if (channel.onopen) channel.onopen({ target: channel });
+                    if (counterpart.onopen) counterpart.onopen({ target: counterpart });
+                });
+            }, ICE_CHECK_DELAY);
+        }
+
+        /**
+         * Reports the connection like a browser's getStats(): transport,
+         * the selected candidate pair and its candidates, data channels
+         * @returns {Promise<Map>} Stats by id
+         */
+        async getStats() {
+            const report = new Map();
+            const add = (entry) => report.set(entry.id, Object.assign({ timestamp: Date.now() }, entry));
+            const received = this.remote ? this.remote.channels.reduce((sum, channel) => sum + channel.stats.bytes, 0) : 0;
+            const sent = this.channels.reduce((sum, channel) => sum + channel.stats.bytes, 0);
+
+            add({ id: 'T01', type: 'transport', bytesSent: sent, bytesReceived: received, selectedCandidatePairId: this.iceConnectionState === 'connected' ? 'CP01' : undefined });
+            if (this.iceConnectionState === 'connected') {
+                const port = (connection) => 50000 + connection.id;
+                add({ id: 'CL01', type: 'local-candidate', candidateType: 'host', protocol: 'udp', address: '127.0.0.1', port: port(this) });
+                add({ id: 'CR01', type: 'remote-candidate', candidateType: 'host', protocol: 'udp', address: '127.0.0.1', port: port(this.remote) });
+                add({ id: 'CP01', type: 'candidate-pair', localCandidateId: 'CL01', remoteCandidateId: 'CR01', state: 'succeeded', nominated: true, currentRoundTripTime: 2 * ICE_CHECK_DELAY / 1000, bytesSent: sent, bytesReceived: received });
+            }
+            this.channels.forEach((channel, i) => {
+                add({ id: `D${i}`, type: 'data-channel', label: channel.label, state: channel.readyState, messagesSent: channel.stats.messages, bytesSent: channel.stats.bytes });
+            });
+            return report;
+        }
+
+        /**
+         * Brings a cut path back once the restart's descriptions and
+         * candidates reached both sides
+         */
+        reconnect() {
+            const remote = this.remote;
+            clearTimeout(this.failTimer);
+            clearTimeout(remote.failTimer);
+            this.iceConnectionState = 'checking';
+            remote.iceConnectionState = 'checking';
+
+            setTimeout(() => {
+                if (this.signalingState === 'closed' || remote.signalingState === 'closed') return;
+                this.setIceState('connected');
+                remote.setIceState('connected');
+                this.channels.concat(remote.channels).forEach((channel) => channel.flushStalled());
+            }, ICE_CHECK_DELAY);
+        }
+
+        /**
+         * Loses the path to the other side, see network.cut()
+         */
+        cut() {
+            [this, this.remote].forEach((connection) => {
+                connection.setIceState('disconnected');
+                connection.failTimer = setTimeout(() => {
+                    if (connection.iceConnectionState === 'disconnected') connection.setIceState('failed');
+                }, ICE_FAIL_DELAY);
+            });
+        }
+
+        setIceState(state) {
+            this.iceConnectionState = state;
+            this.connectionState = state === 'checking' ? 'connecting' : state;
+            if (this.oniceconnectionstatechange) this.oniceconnectionstatechange({ target: this });
+            if (this.onconnectionstatechange) this.onconnectionstatechange({ target: this });
+        }
+
+        close() {
+            if (this.signalingState === 'closed') return;
+            this.signalingState = 'closed';
+            this.iceConnectionState = 'closed';
+            this.connectionState = 'closed';
+
+            // Closing a connection closes its channels without events on this side
+            this.channels.forEach((channel) => {
+                channel.onclose = null;
+                channel.close();
+            });
+        }
+    }
+
+    return {
+        RTCPeerConnection: FakeRTCPeerConnection,
+        options: settings,
+        connections: () => Array.from(connections.values()),
+        cut: (connection) => connection.cut()
+    };
+}
+
+module.exports = { createNetwork };
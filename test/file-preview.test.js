@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { loadScript } = require('./load-script');
+
+const FilePreview = loadScript('file-preview.js', 'FilePreview');
+
+/** Start of a PNG file */
+const PNG_HEADER = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13];
+
+/**
+ * Builds a stored ZIP archive the way "Download All" does
+ * @param {Array<{name: string, data: string}>} files - Entries
+ * @returns {Blob} Archive
+ */
+function buildZip(files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(local, nameBytes, Buffer.from(data));
+        directory.push(central, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Blob([...parts, ...directory, end]);
+}
+
+describe('content sniffing', () => {
+    it('trusts the bytes over the claimed type', async () => {
+        const png = new Blob([new Uint8Array(PNG_HEADER)]);
+        assert.deepStrictEqual(await FilePreview.inspect(png, 'text/html', 'page.html'), { kind: 'image', type: 'image/png', language: null });
+
+        const html = new Blob(['<html><script>alert(1)</script></html>']);
+        const preview = await FilePreview.inspect(html, 'image/png', 'cat.png');
+        assert.strictEqual(preview.kind, 'text');
+        assert.strictEqual(preview.type, 'text/plain');
+    });
+
+    it('shows SVG only as an image and HTML only as source', async () => {
+        const svg = new Blob(['<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>']);
+        assert.deepStrictEqual(await FilePreview.inspect(svg, 'image/svg+xml', 'logo.svg'), { kind: 'image', type: 'image/svg+xml', language: 'markup' });
+
+        const html = new Blob(['<!DOCTYPE html><p>hi</p>']);
+        assert.deepStrictEqual(await FilePreview.inspect(html, 'text/html', 'index.html'), { kind: 'text', type: 'text/plain', language: 'markup' });
+    });
+
+    it('lets the claimed type pick audio or video in a shared container', async () => {
+        const mp4 = new Blob([new Uint8Array([0, 0, 0, 32, 0x66, 0x74, 0x79, 0x70, 0x4D, 0x34, 0x41, 0x20])]);
+        assert.strictEqual((await FilePreview.inspect(mp4, 'audio/x-m4a', 'song.m4a')).kind, 'audio');
+        assert.strictEqual((await FilePreview.inspect(mp4, '', 'clip.mp4')).kind, 'video');
+    });
+
+    it('offers no preview for unknown binary content', async () => {
+        const binary = new Blob([new Uint8Array([0x7F, 0x45, 0x4C, 0x46, 0, 1, 2])]);
+        assert.strictEqual((await FilePreview.inspect(binary, 'text/plain', 'notes.txt')).kind, 'none');
+    });
+
+    it('cuts long text at a character boundary', async () => {
+        const { text, truncated } = await FilePreview.readText(new Blob(['aé'.repeat(10)]), 5);
+        assert.strictEqual(text, 'aéa');
+        assert.strictEqual(truncated, true);
+    });
+});
+
+describe('syntax highlighting', () => {
+    it('splits code into tokens that add up to the text', () => {
+        const source = 'const n = 42; // answer\nreturn "done";';
+        const tokens = FilePreview.highlight(source, 'c');
+        assert.strictEqual(tokens.map((token) => token.text).join(''), source);
+        assert.deepStrictEqual(tokens.filter((token) => token.type !== 'plain'), [
+            { type: 'keyword', text: 'const' },
+            { type: 'number', text: '42' },
+            { type: 'comment', text: '// answer' },
+            { type: 'keyword', text: 'return' },
+            { type: 'string', text: '"done"' }
+        ]);
+    });
+
+    it('leaves plain text as one token', () => {
+        assert.deepStrictEqual(FilePreview.highlight('just words', 'plain'), [{ type: 'plain', text: 'just words' }]);
+    });
+});
+
+describe('ZIP listing', () => {
+    it('lists entries from the central directory', async () => {
+        const zip = buildZip([{ name: 'docs/', data: '' }, { name: 'docs/readme.txt', data: 'hello' }]);
+        assert.strictEqual((await FilePreview.inspect(zip, 'application/zip', 'docs.zip')).kind, 'zip');
+
+        const { entries, total } = await FilePreview.listZip(zip);
+        assert.strictEqual(total, 2);
+        assert.deepStrictEqual(entries, [
+            { name: 'docs/', size: 0, compressedSize: 0, directory: true },
+            { name: 'docs/readme.txt', size: 5, compressedSize: 5, directory: false }
+        ]);
+    });
+
+    it('rejects files without a central directory', async () => {
+        await assert.rejects(FilePreview.listZip(new Blob(['PK\u0003\u0004 truncated'])), /Not a ZIP archive/);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - BROWSER SCRIPTS IN NODE.JS
+ * ===========================================================
+ * The app's modules are plain scripts that define one global
+ * each. This evaluates them in the test process the way a
+ * <script> tag would, so they are tested as shipped, and hands
+ * back the global. Node.js 20+ provides the Web Crypto, Blob,
+ * File and compression streams they use.
+ *
+ *   const WireProtocol = loadScript('wire-protocol.js', 'WireProtocol');
+ * ===========================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/** Repository root, where the scripts live next to index.html */
+const ROOT = path.join(__dirname, '..');
+
+/** Scripts already evaluated, a script tag only runs once */
+const loaded = new Set();
+
+/**
+ * Evaluates a script of the app once and returns a global it defines
+ * @param {string} file - Script path relative to the repository root
+ * @param {string} name - Global to return
+ * @returns {*} The global
+ */
+function loadScript(file, name) {
+    const filename = path.join(ROOT, file);
+    if (!loaded.has(filename)) {
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+        loaded.add(filename);
+    }
+    return vm.runInThisContext(name);
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { loadScript } = require('./load-script');
+
+const PeerVerification = loadScript('peer-verification.js', 'PeerVerification');
+
+/**
+ * Builds a session description with a certificate fingerprint
+ * @param {string} fingerprint - Fingerprint attribute value
+ * @returns {string} SDP
+ */
+function sessionWith(fingerprint) {
+    return ['v=0', 'm=application 9 UDP/DTLS/SCTP webrtc-datachannel', `a=fingerprint:${fingerprint}`, 'a=setup:actpass', ''].join('\r\n');
+}
+
+const ALICE = sessionWith('sha-256 6B:8B:5D:EA:59:04:20:23:29:C8:87:1C:CE:A9:82:F6:2A:1E:3F:68:52:81:8C:C1:D0:D9:4A:6C:30:6B:AA:C1');
+const BOB = sessionWith('sha-256 11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00');
+const MALLORY = sessionWith('sha-256 11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:01');
+
+describe('verification codes', () => {
+    it('are the same on both devices', async () => {
+        const alice = await PeerVerification.compute(ALICE, BOB);
+        const bob = await PeerVerification.compute(BOB, ALICE);
+        assert.strictEqual(alice.length, PeerVerification.CODE_LENGTH);
+        assert.deepStrictEqual(alice, bob);
+        alice.forEach((entry) => assert.ok(PeerVerification.EMOJI.some(([emoji, name]) => emoji === entry.emoji && name === entry.name)));
+    });
+
+    it('differ when a certificate was swapped on the way', async () => {
+        const alice = await PeerVerification.compute(ALICE, MALLORY);
+        const bob = await PeerVerification.compute(BOB, ALICE);
+        assert.notDeepStrictEqual(alice, bob);
+    });
+
+    it('ignore how the fingerprint is written', async () => {
+        assert.strictEqual(PeerVerification.readFingerprint(sessionWith('SHA-256 ab:cd')), 'sha-256 AB:CD');
+        assert.deepStrictEqual(
+            await PeerVerification.compute(ALICE, BOB.replace('AA:BB', 'aa:bb')),
+            await PeerVerification.compute(ALICE, BOB)
+        );
+    });
+
+    it('refuse a description that carries a second certificate', async () => {
+        // The go-between leaves the real fingerprint at session level and
+        // puts its own in the media section, the one the browser checks
+        const aliceLine = /^a=fingerprint:.*$/m.exec(ALICE)[0];
+        const forged = MALLORY.replace('m=application', `${aliceLine}\r\nm=application`);
+        await assert.rejects(PeerVerification.compute(BOB, forged), /more than one DTLS fingerprint/);
+
+        // The same fingerprint repeated for several media sections is fine
+        const bundled = ALICE.replace('a=setup', `${aliceLine}\r\na=setup`);
+        assert.deepStrictEqual(await PeerVerification.compute(BOB, bundled), await PeerVerification.compute(BOB, ALICE));
+    });
+
+    it('need a fingerprint on both sides', async () => {
+        await assert.rejects(PeerVerification.compute(ALICE, 'v=0\r\n'), /no DTLS fingerprint/);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const { createHash } = require('crypto');
+const { describe, it } = require('node:test');
+const { loadScript } = require('./load-script');
+
+const QRCode = loadScript('qrcode.js', 'QRCode');
+
+/**
+ * Draws a matrix as text, one string per row, '#' for dark modules
+ * @param {boolean[][]} modules - Matrix from QRCode.encode()
+ * @returns {string[]} Rows
+ */
+function draw(modules) {
+    return modules.map((row) => row.map((dark) => (dark ? '#' : ' ')).join(''));
+}
+
+/**
+ * Hashes a drawn matrix, large codes are compared by digest
+ * @param {boolean[][]} modules - Matrix from QRCode.encode()
+ * @returns {string} Hex SHA-256 of the drawn rows
+ */
+function digest(modules) {
+    return createHash('sha256').update(draw(modules).join('\n')).digest('hex');
+}
+
+// Expected matrices come from an independent encoder (node-qrcode),
+// byte mode, same error correction level, mask chosen by penalty score
+describe('QR codes', () => {
+    it('encode a short text as version 1, level M', () => {
+        assert.deepStrictEqual(draw(QRCode.encode('Hello, world!')), [
+            '#######     # #######',
+            '#     #  # #  #     #',
+            '# ### # # ### # ### #',
+            '# ### # #     # ### #',
+            '# ### # ##  # # ### #',
+            '#     # ####  #     #',
+            '####### # # # #######',
+            '        # #          ',
+            '# #####  ###  #####  ',
+            '   ##  ##   ##  ### #',
+            '   #  # ### ###  ### ',
+            ' ##  # #  #### # ##  ',
+            '## #### #   # ##    #',
+            '        #    #####   ',
+            '#######  ## ####  ## ',
+            '#     # # # ## # ### ',
+            '# ### # ## #### #  ##',
+            '# ### # # #    ###   ',
+            '# ### # ##### ##  #  ',
+            '#     #   # ##  ###  ',
+            '####### ## #  # #  # '
+        ]);
+    });
+
+    it('grow to the smallest version that fits, with version information from 7 on', () => {
+        const modules = QRCode.encode('0123456789abcdef'.repeat(20));
+        assert.strictEqual(modules.length, 17 + 4 * 13);
+        assert.strictEqual(digest(modules), '629d99b9005bf428c9418949a82444ddda3da1d567fb28a020cffcc76590b6e1');
+    });
+
+    it('fall back to level L when level M cannot hold the text', () => {
+        const atM = QRCode.encode('0123456789abcdef'.repeat(140));
+        assert.strictEqual(atM.length, 17 + 4 * 40);
+        assert.strictEqual(digest(atM), '2276bb4a64c48caeb436f1ead1e800e72302f3088d49266e762bcfa29fc88f10');
+
+        const atL = QRCode.encode('0123456789abcdef'.repeat(180));
+        assert.strictEqual(atL.length, 17 + 4 * 40);
+        assert.strictEqual(digest(atL), '2a6575ddbfa2aeff6f07dd7264080d84a956d251e9975676a5deab376f153a16');
+    });
+
+    it('refuse text longer than a version 40 code holds', () => {
+        assert.throws(() => QRCode.encode('0123456789abcdef'.repeat(186)), /too long for a QR code/);
+    });
+});
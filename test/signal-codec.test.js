@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { loadScript } = require('./load-script');
+
+const SignalCodec = loadScript('signal-codec.js', 'SignalCodec');
+
+/** Offer as a browser writes it, with lines the codes leave out */
+const OFFER_SDP = [
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=extmap-allow-mixed',
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    'a=candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host generation 0 network-id 1',
+    'a=candidate:2 1 tcp 1518280447 192.168.1.20 9 typ host tcptype active generation 0 network-id 1',
+    'a=ice-ufrag:Ab3d',
+    'a=ice-pwd:abcdefghijklmnopqrstuvwx',
+    'a=ice-options:trickle',
+    'a=fingerprint:sha-256 6B:8B:5D:EA:59:04:20:23:29:C8:87:1C:CE:A9:82:F6:2A:1E:3F:68:52:81:8C:C1:D0:D9:4A:6C:30:6B:AA:C1',
+    'a=setup:actpass',
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+    ''
+].join('\r\n');
+
+/**
+ * Runs a test with CompressionStream hidden, as in browsers that lack it
+ * @param {Function} test - Async test body
+ */
+async function withoutCompression(test) {
+    const { CompressionStream } = globalThis;
+    delete globalThis.CompressionStream;
+    try {
+        await test();
+    } finally {
+        globalThis.CompressionStream = CompressionStream;
+    }
+}
+
+describe('offer and answer codes', () => {
+    it('round-trip an offer without the lines a data channel does not need', async () => {
+        const code = await SignalCodec.encode({ type: 'offer', sdp: OFFER_SDP });
+        assert.match(code, /^P2P1\.z[A-Za-z0-9_-]+$/);
+
+        const decoded = await SignalCodec.decode(code);
+        assert.strictEqual(decoded.type, 'offer');
+        assert.ok(decoded.sdp.endsWith('\r\n'));
+        assert.ok(!decoded.sdp.includes('\r\n\r\n'));
+        assert.ok(!decoded.sdp.includes('extmap-allow-mixed'));
+        assert.ok(!decoded.sdp.includes('msid-semantic'));
+        assert.ok(!decoded.sdp.includes(' tcp '));
+        assert.ok(!decoded.sdp.includes('network-id'));
+        assert.ok(decoded.sdp.includes('a=candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host\r\n'));
+        assert.ok(decoded.sdp.includes('a=fingerprint:sha-256 6B:8B:5D'));
+    });
+
+    it('round-trip an answer without compression', async () => {
+        await withoutCompression(async () => {
+            const sdp = OFFER_SDP.replace('a=setup:actpass', 'a=setup:active');
+            const code = await SignalCodec.encode({ type: 'answer', sdp });
+            assert.match(code, /^P2P1\.r/);
+
+            const decoded = await SignalCodec.decode(code);
+            assert.strictEqual(decoded.type, 'answer');
+            assert.ok(decoded.sdp.includes('a=setup:active\r\n'));
+        });
+    });
+
+    it('ignore whitespace a copy and paste added', async () => {
+        const code = await SignalCodec.encode({ type: 'offer', sdp: OFFER_SDP });
+        const wrapped = `  ${code.slice(0, 20)}\n${code.slice(20)}\n`;
+        assert.deepStrictEqual(await SignalCodec.decode(wrapped), await SignalCodec.decode(code));
+    });
+
+    it('still accept the legacy JSON description', async () => {
+        const decoded = await SignalCodec.decode(JSON.stringify({ type: 'offer', sdp: OFFER_SDP }));
+        assert.deepStrictEqual(decoded, { type: 'offer', sdp: OFFER_SDP });
+        await assert.rejects(SignalCodec.decode('{"type":"offer"}'), /no SDP/);
+    });
+
+    it('reject malformed codes', async () => {
+        await assert.rejects(SignalCodec.decode('hello'), /Not a connection code/);
+        await assert.rejects(SignalCodec.decode('P2P1.r$$$'), /invalid characters/);
+        await assert.rejects(SignalCodec.decode('P2P1.xAAAA'), /Unknown code format/);
+        await assert.rejects(SignalCodec.decode(`P2P1.r${Buffer.from('q\nv=0').toString('base64url')}`), /does not contain an offer or answer/);
+        await assert.rejects(SignalCodec.decode('P2P1.zAAAA'));
+    });
+
+    it('refuse codes that inflate to an oversized description', async () => {
+        const sdp = `v=0\r\n${'a=x'.repeat(40 * 1024)}\r\n`;
+        const code = await SignalCodec.encode({ type: 'offer', sdp });
+        assert.ok(code.length < 1024);
+        await assert.rejects(SignalCodec.decode(code), /oversized description/);
+    });
+});
+
+describe('candidate add-on codes', () => {
+    it('round-trip trickled candidates', async () => {
+        const candidates = [
+            { candidate: 'candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host generation 0 ufrag Ab3d', sdpMid: '0', sdpMLineIndex: 0 },
+            { candidate: 'candidate:3 1 udp 1686052607 203.0.113.7 61000 typ srflx raddr 192.168.1.20 rport 54321', sdpMid: '0' },
+            { candidate: '', sdpMid: '0' }
+        ];
+        const decoded = await SignalCodec.decode(await SignalCodec.encodeCandidates(candidates));
+        assert.deepStrictEqual(decoded, {
+            type: 'candidates',
+            candidates: [
+                { sdpMid: '0', candidate: 'candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host' },
+                { sdpMid: '0', candidate: 'candidate:3 1 udp 1686052607 203.0.113.7 61000 typ srflx raddr 192.168.1.20 rport 54321' }
+            ]
+        });
+    });
+
+    it('limit how many candidates one code holds', async () => {
+        const candidates = Array.from({ length: 65 }, (_, i) => ({
+            candidate: `candidate:${i} 1 udp 2122260223 10.0.0.${i} 5000 typ host`,
+            sdpMid: '0'
+        }));
+        await assert.rejects(SignalCodec.decode(await SignalCodec.encodeCandidates(candidates)), /too many candidates/);
+    });
+});
+
+describe('ICE restart codes', () => {
+    const RESTART_SDP = OFFER_SDP
+        .replace('a=ice-ufrag:Ab3d', 'a=ice-ufrag:Xy9z')
+        .replace('a=ice-pwd:abcdefghijklmnopqrstuvwx', 'a=ice-pwd:zyxwvutsrqponmlkjihgfedc')
+        .replace('192.168.1.20 54321', '192.168.1.20 60000');
+
+    it('carry only the new credentials and candidates', async () => {
+        const code = await SignalCodec.encodeRestart({ type: 'offer', sdp: RESTART_SDP });
+        assert.ok(code.length < (await SignalCodec.encode({ type: 'offer', sdp: RESTART_SDP })).length);
+
+        const restart = await SignalCodec.decode(code);
+        assert.deepStrictEqual(restart, {
+            type: 'restart',
+            kind: 'offer',
+            ufrag: 'Xy9z',
+            pwd: 'zyxwvutsrqponmlkjihgfedc',
+            candidates: [{ sdpMid: '0', candidate: 'candidate:1 1 udp 2122260223 192.168.1.20 60000 typ host' }]
+        });
+    });
+
+    it('merge into the description the other device sent before', async () => {
+        const restart = await SignalCodec.decode(await SignalCodec.encodeRestart({ type: 'offer', sdp: RESTART_SDP }));
+        const restored = SignalCodec.restoreDescription(restart, { type: 'offer', sdp: OFFER_SDP });
+
+        assert.strictEqual(restored.type, 'offer');
+        assert.ok(restored.sdp.includes('a=ice-ufrag:Xy9z\r\na=ice-pwd:zyxwvutsrqponmlkjihgfedc\r\na=candidate:1 1 udp 2122260223 192.168.1.20 60000 typ host\r\n'));
+        assert.ok(!restored.sdp.includes('54321'));
+        assert.ok(restored.sdp.includes('o=- 4611731400430051336 3 IN IP4'));
+        assert.ok(restored.sdp.includes('a=fingerprint:sha-256 6B:8B:5D'));
+        assert.ok(restored.sdp.includes('a=setup:actpass\r\n'));
+    });
+
+    it('reject codes that do not fit the connection', async () => {
+        const restart = await SignalCodec.decode(await SignalCodec.encodeRestart({ type: 'answer', sdp: RESTART_SDP }));
+        assert.throws(() => SignalCodec.restoreDescription(restart, { type: 'offer', sdp: OFFER_SDP }), /holds an answer/);
+        await assert.rejects(SignalCodec.decode(`P2P1.r${Buffer.from('r\no bad! pwd').toString('base64url')}`), /no valid ICE credentials/);
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+/** Running server process and its port */
+let server = null;
+let port = 0;
+
+/**
+ * Finds a port nothing listens on
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port: found } = probe.address();
+            probe.close(() => resolve(found));
+        });
+    });
+}
+
+/**
+ * Sends a raw HTTP request, the path exactly as given
+ * @param {string} method - 'GET' | 'HEAD' | ...
+ * @param {string} pathname - Request target
+ * @returns {Promise<{status: number, headers: Object, body: string}>} Response
+ */
+function request(method, pathname) {
+    return new Promise((resolve, reject) => {
+        const outgoing = http.request({ host: '127.0.0.1', port, method, path: pathname }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { body += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+        });
+        outgoing.on('error', reject);
+        outgoing.end();
+    });
+}
+
+/**
+ * Opens a WebSocket to the signaling path, just enough of a client
+ * for short JSON messages
+ * @returns {Promise<{send: Function, next: Function, close: Function}>} Client
+ */
+function connect() {
+    return new Promise((resolve, reject) => {
+        const outgoing = http.request({
+            host: '127.0.0.1',
+            port,
+            path: '/signal',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            }
+        });
+        outgoing.on('error', reject);
+        outgoing.on('upgrade', (response, socket) => {
+            let buffer = Buffer.alloc(0);
+            const messages = [];
+            const waiting = [];
+
+            socket.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                while (buffer.length >= 2) {
+                    let length = buffer[1] & 0x7F;
+                    let offset = 2;
+                    if (length === 126) {
+                        length = buffer.readUInt16BE(2);
+                        offset = 4;
+                    }
+                    if (buffer.length < offset + length) return;
+                    const opcode = buffer[0] & 0x0F;
+                    const payload = buffer.subarray(offset, offset + length).toString('utf8');
+                    buffer = buffer.subarray(offset + length);
+                    if (opcode !== 0x1) continue;
+                    const message = JSON.parse(payload);
+                    if (waiting.length > 0) waiting.shift()(message);
+                    else messages.push(message);
+                }
+            });
+
+            resolve({
+                send(message) {
+                    const payload = Buffer.from(typeof message === 'string' ? message : JSON.stringify(message));
+                    const mask = crypto.randomBytes(4);
+                    const header = payload.length < 126
+                        ? Buffer.from([0x81, 0x80 | payload.length])
+                        : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xFF]);
+                    const masked = payload.map((byte, i) => byte ^ mask[i & 3]);
+                    socket.write(Buffer.concat([header, mask, masked]));
+                },
+                next() {
+                    if (messages.length > 0) return Promise.resolve(messages.shift());
+                    return new Promise((resolveMessage) => waiting.push(resolveMessage));
+                },
+                close() {
+                    // A close frame, as browsers send when a page goes away
+                    socket.end(Buffer.concat([Buffer.from([0x88, 0x80]), crypto.randomBytes(4)]));
+                }
+            });
+        });
+        outgoing.end();
+    });
+}
+
+before(async () => {
+    port = await freePort();
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'signaling-server.js')], {
+        env: Object.assign({}, process.env, { PORT: String(port), HOST: '127.0.0.1' }),
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.on('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+        server.stdout.on('data', (data) => {
+            if (/listening/.test(data)) resolve();
+        });
+    });
+});
+
+after(() => {
+    server.kill();
+});
+
+describe('signaling server: static files', () => {
+    it('serves the app and its scripts', async () => {
+        const index = await request('GET', '/');
+        assert.strictEqual(index.status, 200);
+        assert.match(index.headers['content-type'], /^text\/html/);
+        assert.match(index.body, /<script src="transfer-engine.js"><\/script>/);
+
+        const script = await request('HEAD', '/transfer-engine.js');
+        assert.strictEqual(script.status, 200);
+        assert.match(script.headers['content-type'], /^text\/javascript/);
+        assert.strictEqual(script.headers['x-content-type-options'], 'nosniff');
+    });
+
+    it('serves nothing outside the app\'s own files', async () => {
+        const paths = [
+            '/server/signaling-server.js',
+            '/test/load-script.js',
+            '/requests.jsonl',
+            '/.git/config',
+            '/%2e%2e/etc/passwd',
+            '/test/',
+            '/index.html/'
+        ];
+        for (const pathname of paths) {
+            assert.strictEqual((await request('GET', pathname)).status, 404, pathname);
+        }
+        assert.strictEqual((await request('POST', '/')).status, 405);
+    });
+
+    it('refuses a path with a NUL byte and keeps running', async () => {
+        assert.strictEqual((await request('GET', '/%00')).status, 400);
+        assert.strictEqual((await request('GET', '/index.html%00.js')).status, 400);
+        assert.strictEqual((await request('GET', '/%E0%A4%A')).status, 400);
+        assert.strictEqual((await request('GET', '/style.css')).status, 200);
+        assert.strictEqual(server.exitCode, null);
+    });
+});
+
+describe('signaling server: rooms', () => {
+    it('relays signals between the devices of a room', async () => {
+        const alice = await connect();
+        const bob = await connect();
+
+        alice.send({ type: 'join', room: 'test42' });
+        const joinedAlice = await alice.next();
+        assert.strictEqual(joinedAlice.type, 'joined');
+        assert.strictEqual(joinedAlice.room, 'TEST42');
+        assert.deepStrictEqual(joinedAlice.peers, []);
+
+        bob.send({ type: 'join', room: 'TEST42' });
+        const joinedBob = await bob.next();
+        assert.deepStrictEqual(joinedBob.peers, [joinedAlice.id]);
+        assert.deepStrictEqual(await alice.next(), { type: 'peer-joined', id: joinedBob.id });
+
+        bob.send({ type: 'signal', to: joinedAlice.id, data: { sdp: 'x'.repeat(300) } });
+        assert.deepStrictEqual(await alice.next(), { type: 'signal', from: joinedBob.id, data: { sdp: 'x'.repeat(300) } });
+
+        bob.close();
+        assert.deepStrictEqual(await alice.next(), { type: 'peer-left', id: joinedBob.id });
+        alice.close();
+    });
+
+    it('answers malformed messages with an error and keeps the client', async () => {
+        const client = await connect();
+
+        client.send('null');
+        assert.deepStrictEqual(await client.next(), { type: 'error', message: 'Messages must be JSON objects' });
+        client.send('{');
+        assert.deepStrictEqual(await client.next(), { type: 'error', message: 'Invalid JSON' });
+        client.send({ type: 'join', room: 'no' });
+        assert.strictEqual((await client.next()).type, 'error');
+
+        client.send({ type: 'join', room: 'ABCD' });
+        assert.strictEqual((await client.next()).type, 'joined');
+        client.close();
+    });
+});
@@ -0,0 +1,1069 @@
+'use strict';
+
+const assert = require('assert');
+const { webcrypto } = require('crypto');
+const { describe, it, afterEach } = require('node:test');
+const { loadScript } = require('./load-script');
+const { createNetwork } = require('./fake-webrtc');
+
+const SignalCodec = loadScript('signal-codec.js', 'SignalCodec');
+const WireProtocol = loadScript('wire-protocol.js', 'WireProtocol');
+loadScript('peer-verification.js', 'PeerVerification');
+const TransferEngine = loadScript('transfer-engine.js', 'TransferEngine');
+
+/** Engines of the running test, closed after it */
+let engines = [];
+
+afterEach(() => {
+    engines.forEach((engine) => engine.getPeers().forEach((peer) => engine.removePeer(peer)));
+    engines = [];
+});
+
+/**
+ * Creates an engine on a loopback network
+ * @param {Object} network - Network from createNetwork
+ * @param {Object} settings - Passed to configure()
+ * @param {Object} options - More options of create()
+ * @returns {Object} Engine
+ */
+function createEngine(network, settings = {}, options = {}) {
+    const engine = TransferEngine.create(Object.assign({ RTCPeerConnection: network.RTCPeerConnection }, options));
+    engine.configure(settings);
+    engines.push(engine);
+    return engine;
+}
+
+/**
+ * Resolves with the arguments of the next event
+ * @param {Object} engine - Engine
+ * @param {string} event - Event name
+ * @returns {Promise<Array>} Handler arguments
+ */
+function nextEvent(engine, event) {
+    return new Promise((resolve) => {
+        const handler = (...args) => {
+            engine.off(event, handler);
+            resolve(args);
+        };
+        engine.on(event, handler);
+    });
+}
+
+/**
+ * Passes a description through a compact code, as users copy it
+ * @param {Object} description - Offer or answer
+ * @returns {Promise<Object>} Decoded description
+ */
+async function throughCode(description) {
+    return SignalCodec.decode(await SignalCodec.encode(description));
+}
+
+/**
+ * Connects two engines like the copy & paste panels do, candidates
+ * trickling through add-on codes
+ * @param {Object} sender - Engine that creates the offer
+ * @param {Object} receiver - Engine that answers it
+ * @returns {Promise<{senderPeer: Object, receiverPeer: Object}>} Each side's peer
+ */
+async function pair(sender, receiver) {
+    const receiverPeer = receiver.join();
+    let senderPeer = null;
+
+    const trickle = (engine, peer) => async (from, candidate) => {
+        const decoded = await SignalCodec.decode(await SignalCodec.encodeCandidates([candidate]));
+        decoded.candidates.forEach((remote) => engine.addCandidate(peer(), remote));
+    };
+    sender.on('candidate', trickle(receiver, () => receiverPeer));
+    receiver.on('candidate', trickle(sender, () => senderPeer));
+
+    const connected = Promise.all([nextEvent(sender, 'connected'), nextEvent(receiver, 'connected')]);
+    const { peer, description } = await sender.connect();
+    senderPeer = peer;
+
+    const answer = await receiver.acceptOffer(receiverPeer, await throughCode(description));
+    await sender.acceptAnswer(senderPeer, await throughCode(answer));
+    await connected;
+    return { senderPeer, receiverPeer };
+}
+
+/**
+ * Accepts every offered file
+ * @param {Object} engine - Receiving engine
+ */
+function acceptEverything(engine) {
+    engine.on('offer', (offer) => {
+        engine.answerOffer(offer.peer, offer.offerId, offer.files.map((file) => file.transferId));
+    });
+}
+
+/**
+ * Creates a file of random bytes
+ * @param {string} name - File name
+ * @param {number} size - Size in bytes
+ * @returns {File} File
+ */
+function randomFile(name, size) {
+    const bytes = new Uint8Array(size);
+    for (let offset = 0; offset < size; offset += 65536) {
+        webcrypto.getRandomValues(bytes.subarray(offset, Math.min(offset + 65536, size)));
+    }
+    return new File([bytes], name, { type: 'application/octet-stream' });
+}
+
+/**
+ * Checks that a received file has exactly the bytes that were sent
+ * @param {Object} entry - Entry of the 'file-verified' event
+ * @param {File} file - Sent file
+ */
+async function assertSameBytes(entry, file) {
+    assert.strictEqual(entry.error, null);
+    assert.strictEqual(entry.verified, true);
+    const received = Buffer.from(await entry.blob.arrayBuffer());
+    const sent = Buffer.from(await file.arrayBuffer());
+    assert.strictEqual(received.length, sent.length);
+    assert.ok(received.equals(sent), 'received bytes differ from the sent file');
+}
+
+describe('signaling', () => {
+    it('connects two engines through compact codes and trickled candidates', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+
+        const { senderPeer, receiverPeer } = await pair(sender, receiver);
+        assert.strictEqual(senderPeer.isConnected, true);
+        assert.strictEqual(receiverPeer.isConnected, true);
+        assert.ok(receiverPeer.connection.remoteCandidates.length > 0);
+    });
+
+    it('does not connect without the trickled candidates', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        const receiverPeer = receiver.join();
+        const { peer, description } = await sender.connect();
+
+        // The codes were shown before any candidate was found
+        const answer = await receiver.acceptOffer(receiverPeer, await throughCode(description));
+        await sender.acceptAnswer(peer, await throughCode(answer));
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.strictEqual(peer.isConnected, false);
+        assert.strictEqual(receiverPeer.isConnected, false);
+    });
+
+    it('rejects descriptions of the wrong type or from elsewhere', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        const { description } = await sender.connect();
+
+        await assert.rejects(receiver.acceptOffer(receiver.join(), { type: 'answer', sdp: description.sdp }), /Invalid offer format/);
+        await assert.rejects(receiver.acceptOffer(receiver.join(), { type: 'offer', sdp: 'v=0\r\n' }), /Failed to parse SessionDescription/);
+    });
+});
+
+describe('reconnection', () => {
+    it('restores a cut path with an ICE restart and finishes the transfer', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 4 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        const { senderPeer, receiverPeer } = await pair(sender, receiver);
+
+        // The restart goes through the short codes of manual mode
+        sender.on('ice-restart', async (peer, offer) => {
+            const restartOffer = await SignalCodec.decode(await SignalCodec.encodeRestart(offer));
+            const answer = await receiver.acceptOffer(receiverPeer, SignalCodec.restoreDescription(restartOffer, receiverPeer.connection.remoteDescription));
+            const restartAnswer = await SignalCodec.decode(await SignalCodec.encodeRestart(answer));
+            await sender.acceptAnswer(peer, SignalCodec.restoreDescription(restartAnswer, peer.connection.remoteDescription));
+        });
+        const lost = [];
+        sender.on('disconnected', (peer, reason) => lost.push(reason));
+        receiver.on('disconnected', (peer, reason) => lost.push(reason));
+
+        const file = randomFile('movie.mkv', 3 * 1024 * 1024);
+        const verified = nextEvent(receiver, 'file-verified');
+        const sent = nextEvent(sender, 'sent');
+        const reconnected = Promise.all([nextEvent(sender, 'reconnected'), nextEvent(receiver, 'reconnected')]);
+        receiver.on('progress', function cutOnce(progress) {
+            receiver.off('progress', cutOnce);
+            assert.ok(progress.bytes < file.size);
+            network.cut(senderPeer.connection);
+        });
+        sender.sendFile(file);
+
+        await reconnected;
+        await assertSameBytes((await verified)[0], file);
+        await sent;
+        assert.strictEqual(sender.getQueue()[0].status, 'sent');
+        assert.deepStrictEqual(lost, []);
+        assert.strictEqual(senderPeer.recovery, null);
+        assert.strictEqual(receiverPeer.isConnected, true);
+    });
+
+    it('does not restart a connection that never worked', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const restarts = [];
+        sender.on('ice-restart', (peer) => restarts.push(peer));
+        const { peer } = await sender.connect();
+
+        const lost = nextEvent(sender, 'disconnected');
+        peer.connection.setIceState('failed');
+        assert.deepStrictEqual(await lost, [peer, 'failed']);
+        assert.deepStrictEqual(restarts, []);
+    });
+});
+
+describe('diagnostics', () => {
+    it('sum up the candidate pair, bytes and channels of a connection', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network, { dataChannels: 2 });
+        const receiver = createEngine(network);
+        const { senderPeer } = await pair(sender, receiver);
+
+        const delivered = nextEvent(sender, 'chat-delivered');
+        sender.sendChat('hello');
+        await delivered;
+
+        const diagnostics = await sender.getDiagnostics(senderPeer);
+        assert.strictEqual(diagnostics.iceState, 'connected');
+        assert.deepStrictEqual(diagnostics.candidatePair.local, { type: 'host', protocol: 'udp', address: '127.0.0.1', port: 50000 + senderPeer.connection.id, relayProtocol: null });
+        assert.strictEqual(diagnostics.candidatePair.rtt, 10);
+        assert.ok(diagnostics.bytesSent > 0);
+        assert.deepStrictEqual(diagnostics.dataChannels.map((channel) => channel.label), ['fileTransfer', 'chat', 'fileData-1']);
+        assert.strictEqual(diagnostics.dataChannels[1].messagesSent, 1);
+        assert.strictEqual(diagnostics.dataChannels[0].bufferedAmount, 0);
+        assert.ok(diagnostics.link.frameSize >= TransferEngine.CHUNK_SIZE);
+    });
+});
+
+describe('ICE servers', () => {
+    it('hands the configured servers to new connections', async () => {
+        const network = createNetwork();
+        const iceServers = [{ urls: 'turn:turn.example.org:3478', username: 'alice', credential: 'secret' }];
+        const engine = createEngine(network, { iceServers });
+        const { peer } = await engine.connect();
+        assert.deepStrictEqual(peer.connection.configuration, { iceServers });
+    });
+
+    it('finds only local candidates without STUN', async () => {
+        const engine = createEngine(createNetwork(), { iceServers: [] });
+        const result = await engine.testConnectivity();
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.types, { host: 1, srflx: 0, prflx: 0, relay: 0 });
+        assert.deepStrictEqual(result.candidates, [{ type: 'host', protocol: 'udp', address: '127.0.0.1' }]);
+    });
+
+    it('reports public and relayed candidates from STUN and TURN', async () => {
+        const engine = createEngine(createNetwork(), {
+            iceServers: [
+                { urls: 'stun:stun.example.org:3478' },
+                { urls: 'turn:turn.example.org:3478', username: 'alice', credential: 'secret' },
+                { urls: 'turns:turn.example.org:5349' }
+            ]
+        });
+        const { types } = await engine.testConnectivity();
+        assert.deepStrictEqual(types, { host: 1, srflx: 1, prflx: 0, relay: 1 });
+    });
+});
+
+describe('file transfer', () => {
+    it('reassembles a multi-frame file byte for byte', async () => {
+        const network = createNetwork({ latency: 5 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const file = randomFile('photo.jpg', 3 * 1024 * 1024 + 123);
+        const verified = nextEvent(receiver, 'file-verified');
+        const sent = nextEvent(sender, 'sent');
+        sender.sendFile(file, 'album/photo.jpg');
+
+        const [entry, isLast] = await verified;
+        assert.strictEqual(entry.path, 'album/photo.jpg');
+        assert.strictEqual(isLast, true);
+        await assertSameBytes(entry, file);
+        await sent;
+        assert.strictEqual(sender.getQueue()[0].status, 'sent');
+    });
+
+    it('sends empty files', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const file = randomFile('empty.txt', 0);
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.sendFile(file);
+        await assertSameBytes((await verified)[0], file);
+    });
+
+    it('reassembles frames striped across channels that arrive out of order', async () => {
+        // The striping channels lag behind, so later frames overtake earlier ones
+        const arrivals = [];
+        const network = createNetwork({
+            bandwidth: 8 * 1024 * 1024,
+            latency: (channel) => (channel.label.startsWith('fileData-') ? 40 : 2),
+            tap: (channel, data) => {
+                if (typeof data !== 'string') arrivals.push(WireProtocol.decodeFrame(data).offset);
+            }
+        });
+        const sender = createEngine(network, { dataChannels: 3 });
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+
+        const file = randomFile('video.mp4', 4 * 1024 * 1024);
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.sendFile(file);
+        await assertSameBytes((await verified)[0], file);
+
+        const stripes = senderPeer.connection.channels.filter((channel) => channel.label.startsWith('fileData-'));
+        assert.strictEqual(stripes.length, 2);
+        stripes.forEach((channel) => assert.ok(channel.stats.messages > 0, `${channel.label} carried no frames`));
+        assert.ok(arrivals.some((offset, i) => i > 0 && offset < Math.max(...arrivals.slice(0, i))), 'frames arrived in order');
+    });
+
+    it('pauses on a full send buffer and resumes when it drains', async () => {
+        const maxBuffered = TransferEngine.MAX_BUFFER_THRESHOLD + TransferEngine.MAX_FRAME_SIZE;
+        const network = createNetwork({
+            latency: 2,
+            bandwidth: 2 * 1024 * 1024,
+            maxBufferedAmount: maxBuffered
+        });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+
+        const file = randomFile('backup.tar', 3 * 1024 * 1024);
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.sendFile(file);
+        await assertSameBytes((await verified)[0], file);
+
+        // The buffer filled past the low threshold several times, and the
+        // sender waited for it instead of overrunning the channel
+        const channel = senderPeer.connection.channels.find((candidate) => candidate.label === 'fileTransfer');
+        assert.ok(channel.stats.lowEvents > 1, `only ${channel.stats.lowEvents} bufferedamountlow event(s)`);
+        assert.ok(channel.stats.peakBufferedAmount > channel.bufferedAmountLowThreshold);
+        assert.ok(channel.stats.peakBufferedAmount <= maxBuffered);
+    });
+
+    it('discards a file that lost a frame instead of saving it with a hole', async () => {
+        let frames = 0;
+        const network = createNetwork({
+            drop: (channel, data) => typeof data !== 'string' && ++frames === 2
+        });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const received = [];
+        receiver.on('file', (entry) => received.push(entry));
+        const ended = nextEvent(receiver, 'receive-end');
+        sender.sendFile(randomFile('report.pdf', 1024 * 1024));
+
+        const [info, reason] = await ended;
+        assert.strictEqual(info.name, 'report.pdf');
+        assert.strictEqual(reason, 'incomplete');
+        assert.deepStrictEqual(received, []);
+        assert.strictEqual(receiver.getIncoming(), null);
+    });
+});
+
+describe('transfer results', () => {
+    it('report a file as sent and received with the same hash', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const results = Promise.all([nextEvent(sender, 'transfer-result'), nextEvent(receiver, 'transfer-result')]);
+        sender.sendFile(randomFile('notes.txt', 100 * 1024), 'docs/notes.txt');
+        const [[sent], [received]] = await results;
+
+        assert.strictEqual(sent.direction, 'send');
+        assert.strictEqual(sent.outcome, 'sent');
+        assert.strictEqual(received.direction, 'receive');
+        assert.strictEqual(received.outcome, 'received');
+        assert.strictEqual(received.transferId, sent.transferId);
+        assert.strictEqual(received.path, 'docs/notes.txt');
+        assert.strictEqual(received.size, 100 * 1024);
+        assert.match(sent.hash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(received.hash, sent.hash);
+        assert.strictEqual(typeof sent.peer, 'string');
+        assert.ok(sent.duration >= 0 && received.duration >= 0);
+        assert.strictEqual(received.error, null);
+    });
+
+    it('report declined files without a duration', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        receiver.on('offer', (offer) => receiver.answerOffer(offer.peer, offer.offerId, []));
+        await pair(sender, receiver);
+
+        const result = nextEvent(sender, 'transfer-result');
+        sender.sendFile(randomFile('secret.zip', 1024));
+        const [declined] = await result;
+
+        assert.strictEqual(declined.outcome, 'declined');
+        assert.strictEqual(declined.name, 'secret.zip');
+        assert.strictEqual(declined.startedAt, null);
+        assert.strictEqual(declined.duration, null);
+    });
+
+    it('send a file again once the receiver is done with another device\'s file', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 4 * 1024 * 1024 });
+        const first = createEngine(network);
+        const second = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(first, receiver);
+        await pair(second, receiver);
+
+        const large = randomFile('video.mp4', 2 * 1024 * 1024);
+        const small = randomFile('notes.txt', 1024);
+        const verified = [];
+        const bothVerified = new Promise((resolve) => receiver.on('file-verified', (entry) => {
+            verified.push(entry);
+            if (verified.length === 2) resolve();
+        }));
+        const outcomes = [];
+        second.on('transfer-result', (result) => outcomes.push(result.outcome));
+        const waited = new Promise((resolve) => second.on('log', (message) => {
+            if (message.includes('is busy receiving from another device')) resolve();
+        }));
+
+        first.sendFile(large);
+        await nextEvent(receiver, 'progress');
+        const sent = nextEvent(second, 'sent');
+        const item = second.sendFile(small);
+        await waited;
+        await bothVerified;
+        await sent;
+
+        assert.deepStrictEqual(verified.map((entry) => entry.name), ['video.mp4', 'notes.txt']);
+        await assertSameBytes(verified[1], small);
+        assert.strictEqual(item.status, 'sent');
+        assert.deepStrictEqual(outcomes, ['sent']);
+    });
+});
+
+describe('untrusted devices', () => {
+    const TRANSFER_ID = '00112233445566778899aabbccddeeff';
+
+    /**
+     * Pairs two engines and lets the test speak for the sender directly
+     * @param {Object} settings - Settings of the receiver
+     * @returns {Promise<{receiver: Object, send: Function}>} Receiver, and a function sending raw messages to it
+     */
+    async function pairWithRawSender(settings = {}) {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network, settings);
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+        const send = (message) => senderPeer.channel.send(typeof message === 'string' || message instanceof ArrayBuffer
+            ? message
+            : WireProtocol.encodeControl(message));
+        return { receiver, send };
+    }
+
+    /**
+     * Offers one file and waits until the receiver accepted it
+     * @param {Object} receiver - Receiving engine
+     * @param {Function} send - Raw sender
+     * @param {Object} file - Offered name, path and size
+     * @returns {Promise<Object>} File as the receiver saw it
+     */
+    async function offerFile(receiver, send, file) {
+        const offered = nextEvent(receiver, 'offer');
+        send({ type: 'offer', offerId: TRANSFER_ID, files: [Object.assign({ transferId: TRANSFER_ID }, file)] });
+        return (await offered)[0].files[0];
+    }
+
+    it('cleans file names that climb out of the folder or hide their extension', async () => {
+        const { receiver, send } = await pairWithRawSender();
+        const offered = await offerFile(receiver, send, { name: 'invoice.pdf', path: '../../.ssh\\invoice\u202Efdp.exe', size: 10 });
+
+        assert.strictEqual(offered.name, 'invoicefdp.exe');
+        assert.strictEqual(offered.path, '.ssh/invoicefdp.exe');
+    });
+
+    it('checks the receive policy against the path the file is saved under', async () => {
+        const { receiver, send } = await pairWithRawSender({ receivePolicy: { allowExecutables: false, blockedTypes: ['.exe'] } });
+        await offerFile(receiver, send, { name: 'notes.txt', path: 'notes.txt', size: 100 });
+
+        const refused = nextEvent(receiver, 'file');
+        send({
+            type: 'metadata', transferId: TRANSFER_ID, name: 'notes.txt', path: 'x/run.exe', size: 100, totalChunks: 1,
+            fileIndex: 1, fileCount: 1, hash: null, encryption: null
+        });
+        const [entry] = await refused;
+
+        assert.strictEqual(entry.name, 'run.exe');
+        assert.strictEqual(entry.error, 'Refused: Receiver does not accept programs or scripts');
+    });
+
+    it('allows a MIME type only for files whose extension is of that type', async () => {
+        const { receiver, send } = await pairWithRawSender({ receivePolicy: { allowedTypes: ['image/*'] } });
+        const files = [
+            ['invoice.html', 'image/png'],
+            ['macro.docm', 'image/png'],
+            ['drawing.svg', 'image/svg+xml'],
+            ['holiday.png', 'text/html'],
+            ['photo.jpg', 'image/jpeg'],
+            ['scan.png', '']
+        ].map(([name, mimeType], i) => ({ transferId: TRANSFER_ID.slice(0, -1) + i, name, path: name, size: 10, mimeType }));
+
+        const refused = [];
+        receiver.on('file', (entry) => refused.push([entry.name, entry.error]));
+        const offered = nextEvent(receiver, 'offer');
+        send({ type: 'offer', offerId: TRANSFER_ID, files });
+
+        assert.deepStrictEqual((await offered)[0].files.map((file) => file.name), ['photo.jpg', 'scan.png']);
+        assert.deepStrictEqual(refused, [
+            ['invoice.html', 'Refused: Receiver does not accept files of type .html'],
+            ['macro.docm', 'Refused: Receiver does not accept files of type .docm'],
+            ['drawing.svg', 'Refused: Receiver does not accept files of type .svg'],
+            ['holiday.png', 'Refused: Receiver does not accept files of type .png']
+        ]);
+    });
+
+    it('refuses metadata whose chunk count does not match the size', async () => {
+        const { receiver, send } = await pairWithRawSender();
+        await offerFile(receiver, send, { name: 'big.bin', size: 1024 * 1024 });
+
+        const refused = nextEvent(receiver, 'file');
+        send({
+            type: 'metadata', transferId: TRANSFER_ID, name: 'big.bin', size: 1024 * 1024, totalChunks: 1,
+            fileIndex: 1, fileCount: 1, hash: null, encryption: null
+        });
+        const [entry] = await refused;
+
+        assert.match(entry.error, /^Refused: Chunk count 1 does not match the file size/);
+        assert.strictEqual(receiver.getIncoming(), null);
+    });
+
+    it('does not hold a whole file in memory for one oversized checksum block', async () => {
+        const { receiver, send } = await pairWithRawSender();
+        const size = 4 * 1024 * 1024;
+        await offerFile(receiver, send, { name: 'disk.img', size });
+
+        const logs = [];
+        receiver.on('log', (message) => logs.push(message));
+        const started = nextEvent(receiver, 'receive-start');
+        send({
+            type: 'metadata', transferId: TRANSFER_ID, name: 'disk.img', size, totalChunks: size / TransferEngine.CHUNK_SIZE,
+            fileIndex: 1, fileCount: 1, encryption: null,
+            hash: { algorithm: 'SHA-256', blockSize: size, blocks: ['0'.repeat(64)], root: '0'.repeat(64) }
+        });
+        await started;
+
+        assert.ok(logs.includes('disk.img has a malformed checksum list'));
+    });
+
+    it('disconnects a device that sends a frame past the end of the file', async () => {
+        const { receiver, send } = await pairWithRawSender();
+        await offerFile(receiver, send, { name: 'small.txt', size: 100 });
+
+        const ended = nextEvent(receiver, 'receive-end');
+        const disconnected = nextEvent(receiver, 'disconnected');
+        send({
+            type: 'metadata', transferId: TRANSFER_ID, name: 'small.txt', size: 100, totalChunks: 1,
+            fileIndex: 1, fileCount: 1, hash: null, encryption: null
+        });
+        send(WireProtocol.encodeFrame(TRANSFER_ID, 16 * 1024, 0, [new Uint8Array(100).buffer]));
+
+        assert.strictEqual((await ended)[1], 'protocol');
+        assert.strictEqual((await disconnected)[1], 'protocol');
+    });
+
+    it('disconnects a device that sends a malformed control message', async () => {
+        const { receiver, send } = await pairWithRawSender();
+        const disconnected = nextEvent(receiver, 'disconnected');
+        send(JSON.stringify({ v: WireProtocol.VERSION, type: 'complete', transferId: 42 }));
+        assert.strictEqual((await disconnected)[1], 'protocol');
+    });
+});
+
+describe('receive policy', () => {
+    it('refuses offered files outside the policy without asking and tells the sender why', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network, { receivePolicy: { allowExecutables: false, blockedTypes: ['video/*'] } });
+        await pair(sender, receiver);
+
+        const offers = [];
+        receiver.on('offer', (offer) => {
+            offers.push(offer.files.map((file) => file.name));
+            receiver.answerOffer(offer.peer, offer.offerId, offer.files.map((file) => file.transferId));
+        });
+        const files = [];
+        receiver.on('file', (entry) => files.push([entry.name, entry.error]));
+        const results = [];
+        sender.on('transfer-result', (result) => results.push(result));
+
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.queueFiles([
+            { file: randomFile('setup.exe', 1024), path: 'setup.exe' },
+            { file: new File(['clip'], 'clip.mp4', { type: 'video/mp4' }), path: 'clip.mp4' },
+            { file: randomFile('notes.txt', 1024), path: 'notes.txt' }
+        ]);
+        sender.startSending();
+        await verified;
+
+        assert.deepStrictEqual(offers, [['notes.txt']]);
+        assert.deepStrictEqual(files, [
+            ['setup.exe', 'Refused: Receiver does not accept programs or scripts'],
+            ['clip.mp4', 'Refused: Receiver blocks files of type .mp4'],
+            ['notes.txt', null]
+        ]);
+        const outcomes = results.map((result) => [result.name, result.outcome, result.error]);
+        assert.deepStrictEqual(outcomes.slice(0, 2), [
+            ['setup.exe', 'failed', 'Receiver does not accept programs or scripts'],
+            ['clip.mp4', 'failed', 'Receiver blocks files of type .mp4']
+        ]);
+    });
+
+    it('refuses a file at its metadata once the session limit is reached', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network, { receivePolicy: { maxSessionBytes: 150 * 1024 } });
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const files = [];
+        receiver.on('file', (entry) => files.push([entry.name, entry.error]));
+        const finished = nextEvent(sender, 'send-finished');
+        sender.queueFiles([
+            { file: randomFile('first.bin', 100 * 1024), path: 'first.bin' },
+            { file: randomFile('second.bin', 100 * 1024), path: 'second.bin' }
+        ]);
+        sender.startSending();
+        await finished;
+
+        assert.deepStrictEqual(files, [
+            ['first.bin', null],
+            ['second.bin', 'Refused: Receiver\'s limit of 150 KB per session would be exceeded']
+        ]);
+        assert.strictEqual(sender.getQueue()[1].error, 'Receiver\'s limit of 150 KB per session would be exceeded');
+    });
+});
+
+describe('peer verification', () => {
+    it('holds files back until both users confirmed the same code', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network, {}, { requireVerification: true });
+        const receiver = createEngine(network, {}, { requireVerification: true });
+        acceptEverything(receiver);
+        const codes = Promise.all([nextEvent(sender, 'verification'), nextEvent(receiver, 'verification')]);
+        const { senderPeer, receiverPeer } = await pair(sender, receiver);
+
+        const [[, senderCode], [, receiverCode]] = await codes;
+        assert.deepStrictEqual(senderCode.code, receiverCode.code);
+
+        sender.queueFiles([{ file: randomFile('contract.pdf', 2048), path: 'contract.pdf' }]);
+        assert.deepStrictEqual(sender.startSending(), []);
+        assert.strictEqual(sender.hasQueuedFiles(), false);
+
+        const confirmed = nextEvent(sender, 'verification');
+        receiver.confirmVerification(receiverPeer);
+        assert.strictEqual((await confirmed)[1].remote, true);
+        assert.deepStrictEqual(sender.startSending(), []);
+
+        sender.confirmVerification(senderPeer);
+        const verified = nextEvent(receiver, 'file-verified');
+        assert.deepStrictEqual(sender.startSending(), [senderPeer]);
+        assert.strictEqual((await verified)[0].name, 'contract.pdf');
+    });
+
+    it('shows different codes when a certificate was swapped on the way', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+
+        // A go-between answers with its own certificate
+        const acceptOffer = receiver.acceptOffer;
+        receiver.acceptOffer = (peer, offer) => acceptOffer(peer, {
+            type: offer.type,
+            sdp: offer.sdp.replace(/^a=fingerprint:sha-256 ../m, 'a=fingerprint:sha-256 00')
+        });
+        const codes = Promise.all([nextEvent(sender, 'verification'), nextEvent(receiver, 'verification')]);
+        await pair(sender, receiver);
+
+        const [[, senderCode], [, receiverCode]] = await codes;
+        assert.notDeepStrictEqual(senderCode.code, receiverCode.code);
+    });
+});
+
+describe('encryption', () => {
+    it('sends every frame encrypted and decrypts it with the shared passphrase', async () => {
+        const payloads = [];
+        const network = createNetwork({
+            latency: 2,
+            tap: (channel, data) => {
+                if (typeof data !== 'string') payloads.push(WireProtocol.decodeFrame(data));
+            }
+        });
+        const sender = createEngine(network, { passphrase: 'correct horse battery staple' });
+        const receiver = createEngine(network, { passphrase: 'correct horse battery staple' });
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        // Zeros would show through in any frame sent in the clear
+        const file = new File([new Uint8Array(1024 * 1024)], 'zeros.bin');
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.sendFile(file);
+        await assertSameBytes((await verified)[0], file);
+
+        assert.ok(payloads.length > 0);
+        payloads.forEach((frame) => {
+            assert.strictEqual(frame.flags & WireProtocol.FLAG_ENCRYPTED, WireProtocol.FLAG_ENCRYPTED);
+            assert.ok(new Uint8Array(frame.payload).some((byte) => byte !== 0), `frame at ${frame.offset} is in the clear`);
+        });
+    });
+
+    it('refuses a file sent under another passphrase before any of it is sent', async () => {
+        let frames = 0;
+        const network = createNetwork({
+            tap: (channel, data) => {
+                if (typeof data !== 'string') frames++;
+            }
+        });
+        const sender = createEngine(network, { passphrase: 'correct horse battery staple' });
+        const receiver = createEngine(network, { passphrase: 'correct horse battery stable' });
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const received = nextEvent(receiver, 'file');
+        const result = nextEvent(sender, 'transfer-result');
+        const item = sender.sendFile(randomFile('secret.pdf', 256 * 1024));
+
+        const [entry] = await received;
+        assert.strictEqual(entry.blob, null);
+        assert.match(entry.error, /^Refused: Wrong passphrase/);
+        const [outcome] = await result;
+        assert.strictEqual(outcome.outcome, 'failed');
+        assert.match(outcome.error, /^Wrong passphrase/);
+        assert.strictEqual(item.status, 'failed');
+        assert.strictEqual(frames, 0);
+    });
+
+    it('refuses encrypted metadata that was changed on the way', async () => {
+        // A go-between shortens one file and renames the other
+        const CHUNK = TransferEngine.CHUNK_SIZE;
+        const tampered = new Set();
+        const network = createNetwork({
+            drop: (channel, data) => {
+                if (typeof data !== 'string' || !data.includes('"type":"metadata"')) return false;
+                const metadata = JSON.parse(data);
+                if (tampered.has(metadata.transferId)) return false;
+                tampered.add(metadata.transferId);
+                if (metadata.name === 'contract.pdf') {
+                    Object.assign(metadata, { size: CHUNK, totalChunks: 1, hash: null });
+                } else {
+                    Object.assign(metadata, { name: 'invoice.html', path: 'invoice.html', mimeType: 'text/html' });
+                }
+                channel.send(JSON.stringify(metadata));
+                return true;
+            }
+        });
+        const sender = createEngine(network, { passphrase: 'correct horse battery staple' });
+        const receiver = createEngine(network, { passphrase: 'correct horse battery staple' });
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const received = [];
+        receiver.on('file', (entry) => received.push(entry));
+        const outcomes = [];
+        const done = new Promise((resolve) => sender.on('transfer-result', (result) => {
+            outcomes.push(result.outcome);
+            if (outcomes.length === 2) resolve();
+        }));
+        sender.sendFile(randomFile('contract.pdf', 4 * CHUNK));
+        sender.sendFile(randomFile('invoice.pdf', 4 * CHUNK));
+        await done;
+
+        assert.deepStrictEqual(outcomes, ['failed', 'failed']);
+        assert.deepStrictEqual(received.map((entry) => entry.blob), [null, null]);
+        assert.strictEqual(received[0].error, 'Refused: Encrypted file has no valid checksum list');
+        assert.strictEqual(received[1].error, 'Refused: Wrong passphrase, or the file details were changed on the way');
+    });
+});
+
+describe('pause, resume and cancel', () => {
+    it('pauses and continues while the offer waits for an answer', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        await pair(sender, receiver);
+
+        const offered = nextEvent(receiver, 'offer');
+        sender.sendFile(randomFile('draft.docx', 2048));
+        const [offer] = await offered;
+
+        // There is no transfer id yet to name in 'paused' and 'unpaused'
+        const told = new Promise((resolve) => receiver.on('log', (message) => {
+            if (/resumed sending$/.test(message)) resolve();
+        }));
+        const disconnected = nextEvent(receiver, 'disconnected').then(([, reason]) => reason);
+        sender.pause('send');
+        assert.strictEqual(sender.getPeers()[0].held, true);
+        sender.resume('send');
+        assert.strictEqual(await Promise.race([told.then(() => null), disconnected]), null);
+
+        const verified = nextEvent(receiver, 'file-verified');
+        receiver.answerOffer(offer.peer, offer.offerId, offer.files.map((file) => file.transferId));
+        assert.strictEqual((await verified)[0].name, 'draft.docx');
+    });
+
+    it('stops sending while the receiver pauses and finishes the file after it resumes', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 2 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const holds = [];
+        sender.on('hold', (peer, held) => holds.push(held));
+        const file = randomFile('lecture.mp4', 3 * 1024 * 1024);
+        const paused = nextEvent(receiver, 'receive-paused');
+        receiver.on('progress', function pauseOnce() {
+            receiver.off('progress', pauseOnce);
+            receiver.pause('receive');
+        });
+        const verified = nextEvent(receiver, 'file-verified');
+        sender.sendFile(file);
+
+        const [, info, held] = await paused;
+        assert.strictEqual(held, true);
+        assert.strictEqual(info.name, 'lecture.mp4');
+
+        // Frames already on the way arrive, then nothing more
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        const bytes = receiver.getIncoming().bytes;
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        assert.strictEqual(receiver.getIncoming().bytes, bytes);
+        assert.ok(bytes < file.size);
+
+        receiver.resume('receive');
+        await assertSameBytes((await verified)[0], file);
+        assert.deepStrictEqual(holds, [true, false]);
+    });
+
+    it('tells the receiver when the sender pauses and resumes', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 2 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const states = [];
+        receiver.on('receive-paused', (peer, info, held) => {
+            states.push(held);
+            if (held) sender.resume('send');
+        });
+        receiver.on('progress', function pauseOnce() {
+            receiver.off('progress', pauseOnce);
+            sender.pause('send');
+        });
+        const file = randomFile('slides.key', 2 * 1024 * 1024);
+        const verified = nextEvent(receiver, 'file-verified');
+        const sent = nextEvent(sender, 'sent');
+        sender.sendFile(file);
+
+        await assertSameBytes((await verified)[0], file);
+        await sent;
+        assert.deepStrictEqual(states, [true, false]);
+        assert.strictEqual(sender.getQueue()[0].status, 'sent');
+    });
+
+    it('discards the partial file and stops the sender when the receiver cancels', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 2 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        const received = [];
+        receiver.on('file', (entry) => received.push(entry));
+        receiver.on('progress', function cancelOnce() {
+            receiver.off('progress', cancelOnce);
+            receiver.cancel('receive');
+        });
+        const ended = nextEvent(receiver, 'receive-end');
+        const result = nextEvent(sender, 'transfer-result');
+        const item = sender.sendFile(randomFile('dataset.csv', 3 * 1024 * 1024));
+
+        assert.strictEqual((await ended)[1], 'cancelled');
+        assert.strictEqual((await result)[0].outcome, 'cancelled');
+        assert.strictEqual(item.status, 'cancelled');
+        assert.strictEqual(receiver.getIncoming(), null);
+        assert.deepStrictEqual(received, []);
+    });
+
+    it('tells the receiver to discard the partial file when the sender cancels', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 2 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        await pair(sender, receiver);
+
+        receiver.on('progress', function cancelOnce() {
+            receiver.off('progress', cancelOnce);
+            sender.cancel('send');
+        });
+        const ended = nextEvent(receiver, 'receive-end');
+        const item = sender.sendFile(randomFile('dataset.csv', 3 * 1024 * 1024));
+
+        assert.strictEqual((await ended)[1], 'aborted');
+        assert.strictEqual(item.status, 'cancelled');
+        assert.strictEqual(receiver.getIncoming(), null);
+    });
+});
+
+describe('resuming on a new connection', () => {
+    it('sends only the chunks the receiver is missing', async () => {
+        // Byte ranges that arrived over the first and the second connection
+        const ranges = { first: [], second: [] };
+        let phase = 'first';
+        const network = createNetwork({
+            latency: 2,
+            bandwidth: 4 * 1024 * 1024,
+            tap: (channel, data) => {
+                if (typeof data === 'string') return;
+                const frame = WireProtocol.decodeFrame(data);
+                ranges[phase].push([frame.offset, frame.offset + frame.payload.byteLength]);
+            }
+        });
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+
+        const file = randomFile('backup.zip', 3 * 1024 * 1024);
+        const lost = nextEvent(receiver, 'disconnected');
+        receiver.on('progress', function closeOnce(progress) {
+            if (progress.bytes < file.size / 3) return;
+            receiver.off('progress', closeOnce);
+            sender.closePeer(senderPeer);
+        });
+        sender.sendFile(file);
+        await lost;
+
+        phase = 'second';
+        const verified = nextEvent(receiver, 'file-verified');
+        await pair(sender, receiver);
+        await assertSameBytes((await verified)[0], file);
+
+        const length = (list) => list.reduce((sum, [start, end]) => sum + end - start, 0);
+        assert.ok(length(ranges.first) > 0);
+        assert.strictEqual(length(ranges.first) + length(ranges.second), file.size);
+        ranges.second.forEach(([start, end]) => {
+            assert.ok(ranges.first.every(([from, to]) => end <= from || start >= to), `bytes ${start}-${end} were sent twice`);
+        });
+    });
+
+    it('derives the key from the sender\'s own parameters, not from the request', async () => {
+        // A go-between weakens the key derivation in the resume request
+        let tampered = false;
+        const network = createNetwork({
+            latency: 2,
+            bandwidth: 4 * 1024 * 1024,
+            drop: (channel, data) => {
+                if (typeof data !== 'string' || tampered || !data.includes('"type":"resume"')) return false;
+                tampered = true;
+                const request = JSON.parse(data);
+                channel.send(JSON.stringify(Object.assign(request, {
+                    encryption: Object.assign({}, request.encryption, { iterations: 1, salt: 'AAAAAAAAAAAAAAAAAAAAAA==' })
+                })));
+                return true;
+            }
+        });
+        const sender = createEngine(network, { passphrase: 'correct horse battery staple' });
+        const receiver = createEngine(network, { passphrase: 'correct horse battery staple' });
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+
+        const file = randomFile('archive.7z', 3 * 1024 * 1024);
+        const lost = nextEvent(receiver, 'disconnected');
+        receiver.on('progress', function closeOnce() {
+            receiver.off('progress', closeOnce);
+            sender.closePeer(senderPeer);
+        });
+        sender.sendFile(file);
+        await lost;
+
+        const resumed = nextEvent(sender, 'send-resume');
+        const verified = nextEvent(receiver, 'file-verified');
+        await pair(sender, receiver);
+        await resumed;
+        await assertSameBytes((await verified)[0], file);
+        assert.strictEqual(tampered, true);
+    });
+
+    it('keeps the partial file when another device announces a file it was not asked for', async () => {
+        const network = createNetwork({ latency: 2, bandwidth: 4 * 1024 * 1024 });
+        const sender = createEngine(network);
+        const intruder = createEngine(network);
+        const receiver = createEngine(network);
+        acceptEverything(receiver);
+        const { senderPeer } = await pair(sender, receiver);
+        const { senderPeer: intruderPeer } = await pair(intruder, receiver);
+
+        const file = randomFile('thesis.pdf', 3 * 1024 * 1024);
+        const lost = nextEvent(receiver, 'disconnected');
+        receiver.on('progress', function closeOnce(progress) {
+            if (progress.bytes < file.size / 3) return;
+            receiver.off('progress', closeOnce);
+            sender.closePeer(senderPeer);
+        });
+        const item = sender.sendFile(file);
+        await lost;
+
+        // The id was accepted, but from the other device
+        const refused = nextEvent(receiver, 'file');
+        intruderPeer.channel.send(WireProtocol.encodeControl({
+            type: 'metadata', transferId: item.id, name: 'thesis.pdf', size: 10, totalChunks: 1,
+            fileIndex: 1, fileCount: 1, hash: null, encryption: null
+        }));
+        assert.strictEqual((await refused)[0].error, 'Refused: File was not accepted');
+        assert.strictEqual(receiver.getIncoming().info.size, file.size);
+
+        const resumed = nextEvent(sender, 'send-resume');
+        const verified = nextEvent(receiver, 'file-verified');
+        await pair(sender, receiver);
+        await resumed;
+        await assertSameBytes((await verified)[0], file);
+    });
+
+    it('sends nothing for a file the device has not accepted yet', async () => {
+        const network = createNetwork();
+        const sender = createEngine(network);
+        const receiver = createEngine(network);
+        const { receiverPeer } = await pair(sender, receiver);
+
+        const offered = nextEvent(receiver, 'offer');
+        const item = sender.sendFile(randomFile('payroll.xlsx', 2048));
+        await offered;
+
+        const refused = new Promise((resolve) => sender.on('log', (message) => {
+            if (message.startsWith('Resume of payroll.xlsx refused')) resolve(message);
+        }));
+        receiverPeer.channel.send(WireProtocol.encodeControl({
+            type: 'resume', transferId: item.id, name: 'payroll.xlsx', size: 2048,
+            lastModified: item.file.lastModified, totalChunks: 1, have: 'AA==', encryption: null
+        }));
+
+        assert.match(await refused, /File was not accepted by this device$/);
+        assert.strictEqual(item.status, 'queued');
+    });
+});
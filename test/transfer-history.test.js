@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { createIndexedDB } = require('./fake-indexeddb');
+const { loadScript } = require('./load-script');
+
+const TransferHistory = loadScript('transfer-history.js', 'TransferHistory');
+
+/**
+ * Builds a transfer result like the engine's
+ * @param {string} name - File name
+ * @param {number} size - File size
+ * @returns {Object} Transfer result
+ */
+function resultFor(name, size) {
+    return { direction: 'receive', name, size, status: 'completed', finishedAt: Date.now() };
+}
+
+describe('transfer history', () => {
+    it('lists records newest first and gives back kept files', async () => {
+        const history = TransferHistory.create({ indexedDB: createIndexedDB() });
+        const blob = new Blob(['hello']);
+
+        const first = await history.add(resultFor('a.txt', 5), blob, 1024);
+        await history.add(resultFor('b.txt', 5), null, 1024);
+
+        const records = await history.list();
+        assert.deepStrictEqual(records.map((record) => record.name), ['b.txt', 'a.txt']);
+        assert.deepStrictEqual(records.map((record) => record.keptBytes), [0, 5]);
+        assert.strictEqual(await (await history.getFile(first.id)).text(), 'hello');
+        assert.strictEqual(await history.getFile(records[0].id), null);
+
+        await history.clear();
+        assert.deepStrictEqual(await history.list(), []);
+    });
+
+    it('drops the oldest kept files to stay within the quota and keeps their records', async () => {
+        const history = TransferHistory.create({ indexedDB: createIndexedDB() });
+        const one = await history.add(resultFor('one.bin', 400), new Blob([new Uint8Array(400)]), 1000);
+        const two = await history.add(resultFor('two.bin', 400), new Blob([new Uint8Array(400)]), 1000);
+        const three = await history.add(resultFor('three.bin', 400), new Blob([new Uint8Array(400)]), 1000);
+
+        const records = await history.list();
+        assert.deepStrictEqual(records.map((record) => record.keptBytes), [400, 400, 0]);
+        assert.strictEqual(await history.getFile(one.id), null);
+        assert.ok(await history.getFile(two.id));
+        assert.ok(await history.getFile(three.id));
+
+        assert.strictEqual(await history.trim(500), 1);
+        assert.strictEqual(await history.getFile(two.id), null);
+        assert.ok(await history.getFile(three.id));
+        assert.strictEqual(await history.trim(500), 0);
+    });
+
+    it('keeps no file larger than the quota, or any with a quota of 0', async () => {
+        const history = TransferHistory.create({ indexedDB: createIndexedDB() });
+        const large = await history.add(resultFor('large.bin', 2000), new Blob([new Uint8Array(2000)]), 1000);
+        const none = await history.add(resultFor('small.bin', 10), new Blob([new Uint8Array(10)]), 0);
+
+        assert.strictEqual(await history.getFile(large.id), null);
+        assert.strictEqual(await history.getFile(none.id), null);
+        assert.deepStrictEqual((await history.list()).map((record) => record.keptBytes), [0, 0]);
+    });
+
+    it('drops the oldest records beyond the record limit', async () => {
+        const history = TransferHistory.create({ indexedDB: createIndexedDB() });
+        const first = await history.add(resultFor('first.txt', 1), new Blob(['1']), 1024);
+        for (let i = 1; i <= TransferHistory.MAX_RECORDS; i++) {
+            await history.add(resultFor(`file-${i}.txt`, 1), null, 1024);
+        }
+
+        const records = await history.list();
+        assert.strictEqual(records.length, TransferHistory.MAX_RECORDS);
+        assert.strictEqual(records[records.length - 1].name, 'file-1.txt');
+        assert.strictEqual(await history.getFile(first.id), null);
+    });
+
+    it('fails clearly without IndexedDB', async () => {
+        const history = TransferHistory.create();
+        await assert.rejects(history.list(), /no IndexedDB/);
+    });
+});
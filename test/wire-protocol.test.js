@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { loadScript } = require('./load-script');
+
+const WireProtocol = loadScript('wire-protocol.js', 'WireProtocol');
+
+const TRANSFER_ID = '00112233445566778899aabbccddeeff';
+
+/**
+ * Builds a frame and lets a test change header bytes
+ * @param {Function} change - Called with the frame bytes
+ * @returns {ArrayBuffer} Frame
+ */
+function tamperedFrame(change) {
+    const frame = WireProtocol.encodeFrame(TRANSFER_ID, 0, 0, [new Uint8Array(4).buffer]);
+    change(new Uint8Array(frame));
+    return frame;
+}
+
+describe('control messages', () => {
+    it('carry the protocol version', () => {
+        const text = WireProtocol.encodeControl({ type: 'accept', offerId: TRANSFER_ID, files: [] });
+        assert.deepStrictEqual(JSON.parse(text), { v: WireProtocol.VERSION, type: 'accept', offerId: TRANSFER_ID, files: [] });
+        assert.deepStrictEqual(WireProtocol.decodeControl(text), JSON.parse(text));
+    });
+
+    it('reject messages without a type or version', () => {
+        assert.throws(() => WireProtocol.decodeControl('{"v":1}'), /no type/);
+        assert.throws(() => WireProtocol.decodeControl('{"type":"metadata"}'), /older version/);
+        assert.throws(() => WireProtocol.decodeControl('{"v":99,"type":"metadata"}'), /version 99 is not supported/);
+        assert.throws(() => WireProtocol.decodeControl('not json'), SyntaxError);
+    });
+
+    it('reject unknown types and fields that break the schema', () => {
+        const decode = (message) => WireProtocol.decodeControl(JSON.stringify(Object.assign({ v: 1 }, message)));
+        const metadata = {
+            type: 'metadata', transferId: TRANSFER_ID, name: 'a.txt', size: 10, totalChunks: 1,
+            fileIndex: 1, fileCount: 1, hash: null, encryption: null
+        };
+        assert.strictEqual(decode(metadata).name, 'a.txt');
+
+        assert.throws(() => decode({ type: 'explode' }), /Unknown control message type "explode"/);
+        assert.throws(() => decode({ type: 'complete' }), /Malformed complete message \(transferId\)/);
+        assert.throws(() => decode({ type: 'cancel', transferId: '../x' }), /Malformed cancel message/);
+        assert.throws(() => decode(Object.assign({}, metadata, { size: -1 })), /\(size\)/);
+        assert.throws(() => decode(Object.assign({}, metadata, { totalChunks: 1.5 })), /\(totalChunks\)/);
+        assert.throws(() => decode(Object.assign({}, metadata, { name: { toString: 'x' } })), /\(name\)/);
+        assert.throws(() => decode(Object.assign({}, metadata, { hash: [] })), /\(hash\)/);
+        assert.throws(() => decode({ type: 'offer', offerId: TRANSFER_ID, files: [{ transferId: TRANSFER_ID, name: 'a', size: '10' }] }), /\(files\)/);
+        assert.throws(() => decode({ type: 'reject', transferId: TRANSFER_ID, reason: 'x'.repeat(10000) }), /\(reason\)/);
+    });
+
+    it('agree on the highest common version in the hello', () => {
+        const hello = WireProtocol.createHello();
+        assert.strictEqual(WireProtocol.negotiate(hello), WireProtocol.VERSION);
+        assert.throws(() => WireProtocol.negotiate({ app: 'other-app', versions: [1] }), /not running P2P File Share/);
+        assert.throws(() => WireProtocol.negotiate(Object.assign({}, hello, { versions: [2, 3] })), /No common protocol version/);
+    });
+});
+
+describe('binary frames', () => {
+    it('round-trip the transfer id, offset, flags and chunks', () => {
+        const chunks = [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5])].map((chunk) => chunk.buffer);
+        const offset = 5 * 1024 * 1024 * 1024; // past 32 bits
+        const frame = WireProtocol.encodeFrame(TRANSFER_ID, offset, WireProtocol.FLAG_ENCRYPTED, chunks);
+        assert.strictEqual(frame.byteLength, WireProtocol.HEADER_SIZE + 5);
+
+        const decoded = WireProtocol.decodeFrame(frame);
+        assert.strictEqual(decoded.transferId, TRANSFER_ID);
+        assert.strictEqual(decoded.offset, offset);
+        assert.strictEqual(decoded.flags, WireProtocol.FLAG_ENCRYPTED);
+        assert.deepStrictEqual(Array.from(new Uint8Array(decoded.payload)), [1, 2, 3, 4, 5]);
+    });
+
+    it('lay out the header as documented', () => {
+        const frame = new Uint8Array(WireProtocol.encodeFrame(TRANSFER_ID, 0x0102, 0, []));
+        assert.deepStrictEqual(Array.from(frame.subarray(0, 8)), [0x50, 0x46, WireProtocol.VERSION, 1, 0, 0, 0, 0]);
+        assert.strictEqual(Buffer.from(frame.subarray(8, 24)).toString('hex'), TRANSFER_ID);
+        assert.deepStrictEqual(Array.from(frame.subarray(24, 32)), [0x02, 0x01, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('reject frames that are not the current protocol', () => {
+        assert.throws(() => WireProtocol.decodeFrame(new ArrayBuffer(10)), /shorter than its header/);
+        assert.throws(() => WireProtocol.decodeFrame(tamperedFrame((bytes) => { bytes[0] = 0; })), /no protocol header/);
+        assert.throws(() => WireProtocol.decodeFrame(tamperedFrame((bytes) => { bytes[2] = 9; })), /unsupported protocol version 9/);
+        assert.throws(() => WireProtocol.decodeFrame(tamperedFrame((bytes) => { bytes[3] = 2; })), /Unknown frame type 2/);
+        assert.throws(() => WireProtocol.decodeFrame(tamperedFrame((bytes) => { bytes[4] = 0x80; })), /Unknown frame flags/);
+        assert.throws(() => WireProtocol.decodeFrame(tamperedFrame((bytes) => { bytes[31] = 0xff; })), /offset out of range/);
+    });
+
+    it('refuse malformed transfer ids', () => {
+        assert.throws(() => WireProtocol.encodeFrame('not-hex', 0, 0, []), /Invalid transfer id/);
+    });
+});
@@ -0,0 +1,3837 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - TRANSFER ENGINE
+ * ===========================================================
+ * Everything that moves files between devices, without touching
+ * the DOM: peer connections, data channels and the protocol hello,
+ * link tuning and striping, the send queue with offers, hashing,
+ * encryption and backpressure, and reassembly and verification of
+ * received files. The page is one consumer of it; another UI or a
+ * test can drive the same engine.
+ *
+ *   const engine = TransferEngine.create({ createSink });
+ *   engine.on('progress', (progress) => ...);
+ *   engine.on('file', (entry) => ...);
+ *   const { peer, description } = await engine.connect();
+ *   engine.sendFile(file, 'photos/cat.jpg');
+ *
+ * Options:
+ *   iceServers         Initial ICE servers, see configure()
+ *   RTCPeerConnection  Peer connection class, the browser's by default
+ *   createSink(info)   Promise of a sink for a received file, or of
+ *                      null to keep the file in memory
+ *   requireVerification
+ *                      Send files to a device, and take offers from
+ *                      it, only once both users confirmed its
+ *                      verification code
+ *
+ * Settings that change at runtime go through configure():
+ *   passphrase         Shared passphrase, empty for no encryption
+ *   dataChannels       File data channels per device (1 = no striping)
+ *   iceServers         STUN/TURN servers of new connections, public
+ *                      STUN servers by default; an empty list keeps
+ *                      connections on the local network
+ *   receivePolicy      Which files are accepted from other devices:
+ *                      { maxFileSize, maxSessionBytes (0 = no limit),
+ *                        allowedTypes, blockedTypes, allowExecutables }
+ *                      Types are extensions ('.pdf') or MIME types
+ *                      ('image/*'); an empty allowed list allows all.
+ *                      MIME types match by the file's extension, the
+ *                      type the sender claims can only refuse a file.
+ *                      Offered files outside it are refused without
+ *                      asking, and the sender is told why.
+ *
+ * testConnectivity() gathers candidates with the configured servers
+ * without connecting anywhere and reports which kinds were found.
+ * getDiagnostics(peer) sums up a connection's getStats() report.
+ *
+ * Once connected, each device gets a verification code computed
+ * from both DTLS fingerprints (see PeerVerification). The users
+ * compare it and confirmVerification(peer) tells the other side;
+ * peer.verification holds { code, local, remote }.
+ *
+ * Signaling is left to the consumer: it passes descriptions from
+ * connect() and acceptOffer() to the other device, along with the
+ * 'candidate' events, and hands what comes back to acceptOffer(),
+ * acceptAnswer() and addCandidate().
+ *
+ * A connection whose network path breaks is restored with an ICE
+ * restart while its data channels stay open, so transfers carry on
+ * where they stopped. The initiating side emits 'ice-restart' with a
+ * new offer, which is signaled like the first one; the joining side
+ * answers it with acceptOffer() on the same peer.
+ *
+ * Events and their handler arguments:
+ *
+ *   log                  (message, type)   Progress for a connection log
+ *   notice               (message, type)   Something the user should see now
+ *   peer                 (peer)            A device was created
+ *   peer-state           (peer, text)      A device's connection or queue state
+ *   peer-removed         (peer)            A device was forgotten
+ *   candidate            (peer, candidate) Local ICE candidate to pass on
+ *   candidates-complete  (peer)            No more local candidates follow
+ *   connection-state     (peer, state)     ICE connection state changed
+ *   connected            (peer)            A device can exchange files
+ *   verification         (peer, verification) Code computed or confirmed
+ *   reconnecting         (peer)            Path lost, trying to restore it
+ *   ice-restart          (peer, offer)     Restart offer to pass on
+ *   reconnected          (peer)            Path restored, transfers continue
+ *   disconnected         (peer, reason)    Lost: 'closed' | 'failed' | 'protocol'
+ *   closed               (peer)            A device's connection was closed
+ *   chat-state           (available)       Whether a chat message can be sent
+ *   chat                 (peer, message)   Chat message { id, text, sentAt }
+ *   chat-delivered       (message)         A device confirmed a sent message
+ *   queue                (items)           Send queue or an item status changed
+ *   send-start           (peers)           Sending to these devices began
+ *   send-resume          (peer, item)      A device resumes an interrupted file
+ *   round-start          ()                New round, overall progress restarts
+ *   hash-progress        (item, bytes, total)
+ *   send-file            (peer, item, fileIndex, fileCount)
+ *   sent                 (peer, item)      A device has the whole file
+ *   hold                 (peer, held)      Sending to a device paused or continued
+ *   send-finished        ()                No device is being sent to any more
+ *   offer                (offer)           Files offered: { peer, offerId, files }
+ *   offer-withdrawn      (peer, offerId)
+ *   receive-start        (peer, info)      Metadata of an accepted file arrived
+ *   receive-resume       (peer, info)      Sender continues an interrupted file
+ *   receive-paused       (peer, info, held)
+ *   receive-end          (info, reason)    'complete' | 'cancelled' | 'aborted' |
+ *                                          'incomplete' | 'replaced' |
+ *                                          'resume-rejected' | 'protocol'
+ *   file                 (entry)           Received or refused file
+ *   file-verified        (entry, isLast)   Received file checked and saved
+ *   transfer-result      (result)          A file's transfer with a device ended:
+ *                                          { direction: 'send' | 'receive', peer,
+ *                                            transferId, path, name, size, mimeType,
+ *                                            hash, startedAt, finishedAt, duration,
+ *                                            outcome, error }
+ *   progress             (progress)        { direction: 'send' | 'receive',
+ *                                            peer, path, bytes, total, timing }
+ *
+ * Progress timing holds startTime, lastUpdate and lastBytes; the
+ * engine restarts it whenever the speed would be misleading, the
+ * consumer may keep lastUpdate and lastBytes to compute the speed.
+ * ===========================================================
+ */
+
+const TransferEngine = (function() {
+    'use strict';
+
+    // ===========================================
+    // CONFIGURATION CONSTANTS
+    // ===========================================
+
+    /** Size of each file chunk in bytes, the unit of resume, hashing and encryption */
+    const CHUNK_SIZE = 16 * 1024; // 16KB
+
+    /** Largest frame of consecutive chunks sent in one message, if the link allows it */
+    const MAX_FRAME_SIZE = 256 * 1024; // 256KB
+
+    /** Buffer threshold a link starts with before pausing transmission (backpressure) */
+    const BUFFER_THRESHOLD = 256 * 1024; // 256KB
+
+    /** Low buffer threshold a link starts with to resume transmission */
+    const BUFFER_LOW_THRESHOLD = 64 * 1024; // 64KB
+
+    /** Upper bound on the buffer threshold, browsers close channels that queue too much */
+    const MAX_BUFFER_THRESHOLD = 8 * 1024 * 1024; // 8MB
+
+    /** How often a link's throughput is measured to adapt frame size and buffer */
+    const LINK_SAMPLE_INTERVAL = 1000;
+
+    /** Bytes AES-GCM adds to each encrypted chunk */
+    const GCM_TAG_SIZE = 16;
+
+    /** How long a completed file waits for frames still in flight on other channels */
+    const STRIPE_GRACE_PERIOD = 10000;
+
+    /** How long a device may take to say which protocol version it speaks */
+    const HELLO_TIMEOUT = 10000;
+
+    /** Wait before announcing a file again to a device busy with another sender's */
+    const BUSY_RETRY_DELAY = 2000;
+
+    /** Bytes covered by one SHA-256 block hash (a multiple of CHUNK_SIZE) */
+    const HASH_BLOCK_SIZE = 1024 * 1024; // 1MB
+
+    /** Upper bound on block hashes per file, keeps metadata under the SCTP message limit */
+    const MAX_HASH_BLOCKS = 2048;
+
+    /** PBKDF2 iterations used to stretch the shared passphrase */
+    const PBKDF2_ITERATIONS = 310000;
+
+    /** HKDF info string for per-transfer keys */
+    const KEY_INFO = 'p2p-file-share chunk key v1';
+
+    /** Plaintext of the key check value sent with encrypted metadata */
+    const KEY_CHECK_TEXT = 'p2p-file-share key check';
+
+    /** Nonce prefixes keep chunk nonces and the key check apart */
+    const NONCE_CHUNK = 0x00000000;
+    const NONCE_KEY_CHECK = 0xFFFFFFFF;
+
+    /** Longest chat message accepted, in characters */
+    const MAX_CHAT_LENGTH = 16 * 1024;
+
+    /** Per-device outcomes that are tried again the next time sending starts */
+    const RETRIED_RESULTS = ['interrupted', 'cancelled'];
+
+    /** Most files listed in one offer */
+    const MAX_OFFER_FILES = 10000;
+
+    /** Largest file accepted from another device, keeps the chunk bitmap small */
+    const MAX_FILE_SIZE = 1024 ** 4; // 1TB
+
+    /** Longest folder or file name kept from another device */
+    const MAX_NAME_LENGTH = 255;
+
+    /** Extensions of programs and scripts a click can run */
+    const EXECUTABLE_EXTENSIONS = [
+        '.exe', '.msi', '.com', '.scr', '.pif', '.bat', '.cmd', '.ps1', '.psm1', '.vbs', '.vbe',
+        '.js', '.jse', '.wsf', '.wsh', '.hta', '.cpl', '.msc', '.reg', '.lnk', '.dll', '.jar',
+        '.sh', '.command', '.app', '.dmg', '.pkg', '.deb', '.rpm', '.appimage', '.run', '.apk'
+    ];
+
+    /** MIME types of programs and installers */
+    const EXECUTABLE_TYPES = [
+        'application/x-msdownload', 'application/x-msdos-program', 'application/x-ms-installer',
+        'application/vnd.microsoft.portable-executable', 'application/x-executable',
+        'application/x-sh', 'application/x-apple-diskimage', 'application/java-archive',
+        'application/vnd.android.package-archive', 'application/vnd.debian.binary-package',
+        'application/x-rpm'
+    ];
+
+    /**
+     * MIME types of common extensions. The receive policy matches MIME types
+     * by a file's extension, as that decides how the saved file opens. SVG is
+     * left out on purpose: it can carry scripts, so 'image/*' does not allow it.
+     */
+    const EXTENSION_TYPES = {
+        '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif',
+        '.webp': 'image/webp', '.bmp': 'image/bmp', '.avif': 'image/avif', '.heic': 'image/heic',
+        '.heif': 'image/heif', '.tif': 'image/tiff', '.tiff': 'image/tiff',
+        '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg', '.oga': 'audio/ogg',
+        '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.flac': 'audio/flac', '.opus': 'audio/opus',
+        '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mov': 'video/quicktime', '.webm': 'video/webm',
+        '.mkv': 'video/x-matroska', '.avi': 'video/x-msvideo', '.ogv': 'video/ogg', '.3gp': 'video/3gpp',
+        '.txt': 'text/plain', '.log': 'text/plain', '.csv': 'text/csv', '.md': 'text/markdown',
+        '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
+        '.pdf': 'application/pdf', '.json': 'application/json', '.rtf': 'application/rtf',
+        '.epub': 'application/epub+zip', '.zip': 'application/zip', '.gz': 'application/gzip',
+        '.tar': 'application/x-tar', '.7z': 'application/x-7z-compressed', '.rar': 'application/vnd.rar',
+        '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel', '.ppt': 'application/vnd.ms-powerpoint',
+        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        '.odt': 'application/vnd.oasis.opendocument.text',
+        '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+        '.odp': 'application/vnd.oasis.opendocument.presentation'
+    };
+
+    /** Control characters and bidi overrides, which can disguise a file's extension */
+    const UNSAFE_NAME_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+
+    /** Why a file being received was given up, by 'receive-end' reason */
+    const DISCARD_REASONS = {
+        cancelled: 'Cancelled on this device',
+        aborted: 'Sender stopped sending',
+        incomplete: 'Chunks were missing',
+        replaced: 'Sender started another file',
+        'resume-rejected': 'Sender could not resume the file',
+        protocol: 'Protocol error'
+    };
+
+    /** ICE servers used unless configured otherwise: public STUN servers */
+    const DEFAULT_ICE_SERVERS = [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun2.l.google.com:19302' },
+        { urls: 'stun:stun3.l.google.com:19302' },
+        { urls: 'stun:stun4.l.google.com:19302' }
+    ];
+
+    /** Time a disconnected path gets to recover by itself before ICE restarts */
+    const ICE_RESTART_DELAY = 3000;
+
+    /** Time an ICE restart gets to reconnect before the next attempt */
+    const ICE_RESTART_TIMEOUT = 60000;
+
+    /** ICE restarts tried before a lost connection is given up */
+    const MAX_ICE_RESTARTS = 3;
+
+    /** Longest wait for candidate gathering in the connectivity self-test */
+    const CONNECTIVITY_TEST_TIMEOUT = 10000;
+
+    // ===========================================
+    // UTILITY FUNCTIONS
+    // ===========================================
+
+    /**
+     * Formats bytes into human-readable string
+     * @param {number} bytes - Number of bytes
+     * @param {number} decimals - Decimal places (default: 2)
+     * @returns {string} Formatted string (e.g., "1.5 MB")
+     */
+    function formatBytes(bytes, decimals = 2) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+    }
+
+    /**
+     * Formats seconds into MM:SS or HH:MM:SS string
+     * @param {number} seconds - Number of seconds
+     * @returns {string} Formatted time string
+     */
+    function formatTime(seconds) {
+        if (!isFinite(seconds) || seconds < 0) return '--:--';
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        if (hrs > 0) {
+            return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        }
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Generates a random identifier for a file transfer
+     * @returns {string} 32-character hex string
+     */
+    function generateTransferId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Cleans a path sent by another device: unsafe characters, empty, '.'
+     * and '..' segments are dropped, backslashes count as separators
+     * @param {string} path - Path as sent
+     * @returns {string} Relative path, empty if nothing usable is left
+     */
+    function sanitizePath(path) {
+        return path.replace(UNSAFE_NAME_CHARACTERS, '')
+            .split(/[\\/]/)
+            .filter((part) => !['', '.', '..'].includes(part.trim()))
+            .map((part) => part.slice(0, MAX_NAME_LENGTH))
+            .join('/');
+    }
+
+    /**
+     * Normalizes a receive policy, missing fields allow everything
+     * @param {Object} policy - Policy as configured
+     * @returns {Object} Policy with limits in bytes and lower-case type lists
+     */
+    function normalizeReceivePolicy(policy) {
+        const types = (list) => (Array.isArray(list) ? list : [])
+            .map((entry) => String(entry).trim().toLowerCase())
+            .filter(Boolean)
+            .map((entry) => entry.includes('/') || entry.startsWith('.') ? entry : `.${entry}`);
+
+        return {
+            maxFileSize: Math.max(0, Math.floor(Number(policy.maxFileSize)) || 0),
+            maxSessionBytes: Math.max(0, Math.floor(Number(policy.maxSessionBytes)) || 0),
+            allowedTypes: types(policy.allowedTypes),
+            blockedTypes: types(policy.blockedTypes),
+            allowExecutables: policy.allowExecutables !== false
+        };
+    }
+
+    /**
+     * Checks a file from another device against the receive policy
+     * @param {Object} policy - Normalized receive policy
+     * @param {Object} file - Cleaned name, size and claimed mimeType
+     * @param {number} sessionBytes - Bytes already received in this session
+     * @returns {string|null} Why the file is refused, null if it is accepted
+     */
+    function describePolicyViolation(policy, file, sessionBytes) {
+        // Windows drops trailing dots and spaces, "setup.exe." runs as setup.exe
+        const name = file.name.replace(/[. ]+$/, '').toLowerCase();
+        const dot = name.lastIndexOf('.');
+        const extension = dot > 0 ? name.slice(dot) : '';
+        const mimeType = String(file.mimeType || '').split(';')[0].trim().toLowerCase();
+        const extensionType = EXTENSION_TYPES[extension] || '';
+        const isType = (entry, type) => type !== '' &&
+            (entry === type || (entry.endsWith('/*') && type.startsWith(entry.slice(0, -1))));
+
+        // The claimed type is the sender's word: it can only add a reason to refuse
+        const blocks = (entry) => entry.startsWith('.')
+            ? entry === extension
+            : isType(entry, extensionType) || isType(entry, mimeType);
+        const allows = (entry) => entry.startsWith('.')
+            ? entry === extension
+            : isType(entry, extensionType) && (mimeType === '' || isType(entry, mimeType));
+        const kind = extension || mimeType ? `files of type ${extension || mimeType}` : 'files without a type';
+
+        if (policy.maxFileSize > 0 && file.size > policy.maxFileSize) {
+            return `File is larger than the receiver's limit of ${formatBytes(policy.maxFileSize)}`;
+        }
+        if (policy.maxSessionBytes > 0 && sessionBytes + file.size > policy.maxSessionBytes) {
+            return `Receiver's limit of ${formatBytes(policy.maxSessionBytes)} per session would be exceeded`;
+        }
+        if (!policy.allowExecutables && (EXECUTABLE_EXTENSIONS.includes(extension) || EXECUTABLE_TYPES.includes(mimeType))) {
+            return 'Receiver does not accept programs or scripts';
+        }
+        if (policy.blockedTypes.some(blocks)) {
+            return `Receiver blocks ${kind}`;
+        }
+        if (policy.allowedTypes.length > 0 && !policy.allowedTypes.some(allows)) {
+            return `Receiver does not accept ${kind}`;
+        }
+        return null;
+    }
+
+    /**
+     * Replaces the name and path of an offered or announced file with clean
+     * ones. The file is saved under its path, so the name is its last
+     * segment: the receive policy then checks the name that is written.
+     * @param {Object} file - Offer entry or metadata, changed in place
+     * @returns {boolean} False if the file has no usable name
+     */
+    function sanitizeFileNames(file) {
+        file.path = sanitizePath(file.path || '') || sanitizePath(file.name).split('/').pop();
+        file.name = file.path.split('/').pop();
+        return file.name !== '';
+    }
+
+    /**
+     * Encodes bytes as a base64 string
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes a base64 string into bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Converts an ArrayBuffer to a lowercase hex string
+     * @param {ArrayBuffer} buffer - Bytes to convert
+     * @returns {string} Hex string
+     */
+    function bufferToHex(buffer) {
+        return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Converts a hex string to bytes
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Checks whether a chunk index is set in a bitmap
+     * @param {Uint8Array} bitmap - Chunk bitmap
+     * @param {number} index - Chunk index
+     * @returns {boolean} True if the bit is set
+     */
+    function hasChunk(bitmap, index) {
+        return (bitmap[index >> 3] & (1 << (index & 7))) !== 0;
+    }
+
+    /**
+     * Starts speed tracking for a new or resumed file
+     * @param {number} bytes - Bytes already transferred
+     * @returns {{startTime: number, lastUpdate: number, lastBytes: number}} Timing
+     */
+    function createTiming(bytes) {
+        const now = Date.now();
+        return { startTime: now, lastUpdate: now, lastBytes: bytes };
+    }
+
+    /**
+     * Keeps the file in memory (used when the consumer gives no other sink).
+     * The Blob is not given the type the sender claimed: a URL of a Blob
+     * typed text/html would open as a page of this app.
+     * @returns {Object} Memory sink
+     */
+    function createMemorySink() {
+        const parts = new Map();
+
+        return {
+            location: null,
+            write: async (position, data) => {
+                parts.set(position, data);
+            },
+            close: async () => {
+                const ordered = [...parts.keys()].sort((a, b) => a - b).map((position) => parts.get(position));
+                parts.clear();
+                return new Blob(ordered, { type: 'application/octet-stream' });
+            },
+            abort: async () => {
+                parts.clear();
+            }
+        };
+    }
+
+    // ===========================================
+    // ENGINE
+    // ===========================================
+
+    /**
+     * Creates a transfer engine
+     * @param {Object} options - iceServers, RTCPeerConnection, createSink, requireVerification
+     * @returns {Object} Engine
+     */
+    function create(options = {}) {
+
+        // --- Settings & Events ---
+
+        /** Runtime settings, changed with configure() */
+        const settings = {
+            passphrase: '',
+            dataChannels: 1,
+            iceServers: options.iceServers || DEFAULT_ICE_SERVERS,
+            receivePolicy: normalizeReceivePolicy({})
+        };
+
+        /** Event handlers by event name */
+        const handlers = new Map();
+
+        // --- Peers ---
+
+        /** Remote devices by local peer id (the initiator may connect several) */
+        const peers = new Map();
+
+        /** Number of peers created so far, used for device labels */
+        let peerCounter = 0;
+
+        // --- File Transfer State (Sender) ---
+
+        /** Files queued for sending */
+        let sendQueue = [];
+
+        // --- File Transfer State (Receiver) ---
+
+        /** Peer the current incoming file comes from */
+        let receivingPeer = null;
+
+        /** Received file chunks */
+        let receivedChunks = [];
+
+        /** Metadata of file being received */
+        let receivedFileInfo = null;
+
+        /** Total bytes received */
+        let receivedBytes = 0;
+
+        /** Bitmap of received chunk indexes (1 bit per chunk) */
+        let receivedBitmap = null;
+
+        /** Promise chain of block verifications and sink writes for the current file */
+        let receiveQueue = Promise.resolve();
+
+        /** Sink the current file is written to (Promise resolving to a sink) */
+        let receiveSink = null;
+
+        /** AES-GCM key of the file being received (null if unencrypted) */
+        let receiveKey = null;
+
+        /** Set after refusing a file, its remaining chunks are dropped quietly */
+        let ignoringChunks = false;
+
+        /** Completion signal waiting for striped frames still in flight, and its timeout */
+        let pendingCompletion = null;
+        let pendingCompletionTimer = null;
+
+        /** Serializes incoming messages so async decryption keeps their order */
+        let incomingQueue = Promise.resolve();
+
+        /** Random PBKDF2 salt for files this side encrypts */
+        let sessionSalt = null;
+
+        /** Encryption descriptors of files this side sent, by transfer id, for resumes */
+        const sentEncryption = new Map();
+
+        /** Cache of derived passphrase keys by salt */
+        const masterKeys = new Map();
+
+        /** Blocks of the current file that failed verification */
+        let integrityErrors = [];
+
+        /** Files of unanswered offers the receive policy refused: offerId → [{ transferId, reason }] */
+        const offerRefusals = new Map();
+
+        /** Bytes of the files accepted in this session, counted against the receive policy */
+        let sessionBytes = 0;
+
+        /** Sender reported the current incoming file as paused */
+        let receivePaused = false;
+
+        /** Speed tracking of the file being received */
+        let receiveTiming = createTiming(0);
+
+        // --- Chat ---
+
+        /** Messages sent by this device that may still be acknowledged: id → message */
+        const chatMessages = new Map();
+
+        // ===========================================
+        // EVENTS
+        // ===========================================
+
+        /**
+         * Registers an event handler
+         * @param {string} event - Event name
+         * @param {Function} handler - Called with the event's arguments
+         */
+        function on(event, handler) {
+            if (!handlers.has(event)) handlers.set(event, []);
+            handlers.get(event).push(handler);
+        }
+
+        /**
+         * Removes an event handler
+         * @param {string} event - Event name
+         * @param {Function} handler - Handler passed to on()
+         */
+        function off(event, handler) {
+            if (!handlers.has(event)) return;
+            handlers.set(event, handlers.get(event).filter((registered) => registered !== handler));
+        }
+
+        /**
+         * Calls the handlers of an event
+         * @param {string} event - Event name
+         * @param {...*} args - Handler arguments
+         */
+        function emit(event, ...args) {
+            (handlers.get(event) || []).slice().forEach((handler) => handler(...args));
+        }
+
+        /**
+         * Emits a log entry
+         * @param {string} message - Log message
+         * @param {string} type - Message type: 'info' | 'success' | 'warning' | 'error'
+         */
+        function log(message, type = 'info') {
+            emit('log', message, type);
+        }
+
+        /**
+         * Emits something the user should see right away
+         * @param {string} message - Notice text
+         * @param {string} type - Notice type: 'info' | 'success' | 'error'
+         */
+        function notify(message, type = 'info') {
+            emit('notice', message, type);
+        }
+
+        /**
+         * Changes runtime settings
+         * @param {Object} values - passphrase, dataChannels, iceServers and/or receivePolicy
+         */
+        function configure(values) {
+            if (values.passphrase !== undefined) {
+                settings.passphrase = String(values.passphrase);
+            }
+            if (values.dataChannels !== undefined) {
+                settings.dataChannels = Math.max(1, Math.floor(Number(values.dataChannels)) || 1);
+            }
+            if (values.iceServers !== undefined) {
+                settings.iceServers = values.iceServers.map((server) => Object.assign({}, server));
+            }
+            if (values.receivePolicy !== undefined) {
+                settings.receivePolicy = normalizeReceivePolicy(values.receivePolicy);
+            }
+        }
+
+        // ===========================================
+        // PEERS
+        // ===========================================
+
+        /**
+         * Creates the state of one remote device and its peer connection.
+         * The initiator opens the data channels, the joining side waits for them.
+         * @param {string|null} remoteId - Signaling id of the device, if known
+         * @param {boolean} initiator - True on the side that creates the offer
+         * @returns {Object} Peer
+         */
+        function createPeer(remoteId, initiator) {
+            const peer = {
+                id: generateTransferId(),
+                remoteId,
+                label: `Device ${++peerCounter}`,
+                initiator,
+                connection: null,
+                channel: null,
+                chatChannel: null,
+                isConnected: false,
+
+                // Protocol version agreed in the hello, null until then
+                protocolVersion: null,
+                helloTimer: null,
+
+                // Verification code of the connection and who confirmed it
+                verification: { code: null, local: false, remote: false },
+
+                // Extra channels file frames are striped across, and how the link is tuned
+                stripes: [],
+                link: createLinkState(),
+
+                // Signaling
+                iceGatheringComplete: false,
+                pendingCandidates: [],
+
+                // ICE restart in progress: { attempts, timer }
+                recovery: null,
+
+                // Sending: queue items this device gets, outcome per item, active file
+                sending: false,
+                runItems: new Set(),
+                results: new Map(),
+                transfer: null,
+
+                // Consent: offer awaiting an answer, items the device agreed to receive
+                offer: null,
+                accepted: new Set(),
+
+                // Receiving: transfer ids of files the user agreed to receive from the device
+                acceptedIds: new Set(),
+
+                // Paused by the user on either side
+                held: false
+            };
+
+            peers.set(peer.id, peer);
+            emit('peer', peer);
+            peer.connection = createPeerConnection(peer);
+
+            if (initiator) {
+                // Create data channel with ordered delivery
+                peer.channel = peer.connection.createDataChannel('fileTransfer', {
+                    ordered: true
+                });
+                setupDataChannel(peer, peer.channel);
+
+                // Chat gets its own channel so messages never wait behind file chunks
+                peer.chatChannel = peer.connection.createDataChannel('chat', {
+                    ordered: true
+                });
+                setupChatChannel(peer, peer.chatChannel);
+
+                // Further file channels as configured, the joining side follows
+                for (let i = 1; i < settings.dataChannels; i++) {
+                    const stripe = peer.connection.createDataChannel(`fileData-${i}`, {
+                        ordered: true
+                    });
+                    setupStripeChannel(peer, stripe);
+                }
+            } else {
+                // Handle incoming data channels
+                peer.connection.ondatachannel = (event) => {
+                    if (event.channel.label === 'chat') {
+                        peer.chatChannel = event.channel;
+                        setupChatChannel(peer, peer.chatChannel);
+                        return;
+                    }
+                    if (event.channel.label.startsWith('fileData-')) {
+                        setupStripeChannel(peer, event.channel);
+                        return;
+                    }
+                    log('Data channel received', 'success');
+                    peer.channel = event.channel;
+                    setupDataChannel(peer, peer.channel);
+                };
+            }
+
+            return peer;
+        }
+
+        /**
+         * Closes a peer's connection without firing its handlers
+         * @param {Object} peer - Peer to close
+         */
+        function closePeer(peer) {
+            if (peer.sending) {
+                interruptPeerQueue(peer);
+            }
+            peer.isConnected = false;
+            clearTimeout(peer.helloTimer);
+            stopRecovery(peer);
+
+            if (peer.channel) {
+                peer.channel.onclose = null;
+                peer.channel.close();
+            }
+            if (peer.chatChannel) {
+                peer.chatChannel.onclose = null;
+                peer.chatChannel.close();
+            }
+            peer.stripes.forEach((stripe) => stripe.close());
+            peer.connection.oniceconnectionstatechange = null;
+            peer.connection.close();
+            updatePeerState(peer, 'Disconnected');
+            emit('closed', peer);
+        }
+
+        /**
+         * Closes a peer and forgets it
+         * @param {Object} peer - Peer to remove
+         */
+        function removePeer(peer) {
+            closePeer(peer);
+            peers.delete(peer.id);
+            emit('peer-removed', peer);
+        }
+
+        /**
+         * Closes peers that are not connected. Those that already got files are
+         * kept, so a device that comes back can continue where it stopped.
+         */
+        function dropDisconnectedPeers() {
+            peers.forEach((peer) => {
+                if (peer.isConnected) return;
+                if (peer.results.size > 0) {
+                    closePeer(peer);
+                } else {
+                    removePeer(peer);
+                }
+            });
+        }
+
+        /**
+         * Lists every known peer
+         * @returns {Object[]} Peers in creation order
+         */
+        function getPeers() {
+            return Array.from(peers.values());
+        }
+
+        /**
+         * Lists the peers with an open connection
+         * @returns {Object[]} Connected peers
+         */
+        function getConnectedPeers() {
+            return getPeers().filter((peer) => peer.isConnected);
+        }
+
+        /**
+         * Reports a peer's connection or queue state
+         * @param {Object} peer - Peer
+         * @param {string} text - State text
+         */
+        function updatePeerState(peer, text) {
+            emit('peer-state', peer, text);
+        }
+
+        // ===========================================
+        // WEBRTC CONNECTION
+        // ===========================================
+
+        /**
+         * Creates and configures RTCPeerConnection
+         * @param {Object} peer - Peer the connection belongs to
+         * @returns {RTCPeerConnection} Configured peer connection
+         */
+        function createPeerConnection(peer) {
+            log(`Creating peer connection for ${peer.label}...`, 'info');
+
+            const PeerConnection = options.RTCPeerConnection || RTCPeerConnection;
+            const pc = new PeerConnection({ iceServers: settings.iceServers });
+
+            // Handle ICE candidate events
+            pc.onicecandidate = (event) => {
+                if (event.candidate) {
+                    log(`ICE candidate gathered: ${event.candidate.candidate.split(' ')[4] || 'relay'}`, 'info');
+                    emit('candidate', peer, event.candidate.toJSON());
+                } else {
+                    // ICE gathering complete - no more candidates will follow
+                    peer.iceGatheringComplete = true;
+                    log('ICE gathering complete', 'success');
+                    emit('candidates-complete', peer);
+                }
+            };
+
+            // Handle ICE connection state changes
+            pc.oniceconnectionstatechange = () => {
+                log(`ICE connection state: ${pc.iceConnectionState}`, 'info');
+                emit('connection-state', peer, pc.iceConnectionState);
+
+                switch (pc.iceConnectionState) {
+                    case 'connected':
+                    case 'completed':
+                        if (peer.recovery) {
+                            finishRecovery(peer);
+                        } else {
+                            handleConnectionEstablished(peer);
+                        }
+                        break;
+                    case 'disconnected':
+                        log(`${peer.label} disconnected`, 'warning');
+                        handleConnectionInterrupted(peer, 'disconnected');
+                        break;
+                    case 'failed':
+                        log(`Connection to ${peer.label} failed`, 'error');
+                        handleConnectionInterrupted(peer, 'failed');
+                        break;
+                }
+            };
+
+            // Handle connection state changes
+            pc.onconnectionstatechange = () => {
+                log(`Connection state: ${pc.connectionState}`, 'info');
+            };
+
+            return pc;
+        }
+
+        /**
+         * Gathers candidates with the configured ICE servers on a connection
+         * that never connects, showing which network paths are available:
+         * host (this network), srflx (public address found by STUN) and
+         * relay (TURN)
+         * @param {number} timeout - Longest wait for gathering in ms
+         * @returns {Promise<Object>} { types: { host, srflx, prflx, relay },
+         *     candidates: [{ type, protocol, address }], errors: [{ url, code, text }],
+         *     complete, duration }
+         */
+        async function testConnectivity(timeout = CONNECTIVITY_TEST_TIMEOUT) {
+            const PeerConnection = options.RTCPeerConnection || RTCPeerConnection;
+            const pc = new PeerConnection({ iceServers: settings.iceServers });
+            const startTime = Date.now();
+            const result = {
+                types: { host: 0, srflx: 0, prflx: 0, relay: 0 },
+                candidates: [],
+                errors: [],
+                complete: false,
+                duration: 0
+            };
+
+            log(`Testing connectivity with ${settings.iceServers.length} ICE server(s)...`, 'info');
+
+            try {
+                await new Promise((resolve, reject) => {
+                    const timer = setTimeout(resolve, timeout);
+
+                    pc.onicecandidate = (event) => {
+                        if (!event.candidate) {
+                            result.complete = true;
+                            clearTimeout(timer);
+                            resolve();
+                            return;
+                        }
+
+                        // candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ...
+                        const fields = event.candidate.candidate.split(' ');
+                        const typeIndex = fields.indexOf('typ');
+                        const type = typeIndex >= 0 ? fields[typeIndex + 1] : 'unknown';
+                        if (type in result.types) result.types[type]++;
+                        result.candidates.push({ type, protocol: fields[2], address: fields[4] });
+                    };
+
+                    // Unreachable servers and rejected TURN credentials show up here
+                    pc.onicecandidateerror = (event) => {
+                        result.errors.push({ url: event.url, code: event.errorCode, text: event.errorText });
+                    };
+
+                    pc.createDataChannel('connectivity-test');
+                    pc.createOffer()
+                        .then((offer) => pc.setLocalDescription(offer))
+                        .catch((error) => {
+                            clearTimeout(timer);
+                            reject(error);
+                        });
+                });
+            } finally {
+                pc.close();
+            }
+
+            result.duration = Date.now() - startTime;
+            const { host, srflx, relay } = result.types;
+            log(`Connectivity test: ${host} host, ${srflx} srflx, ${relay} relay candidate(s)${result.complete ? '' : ', gathering timed out'}`, relay > 0 || srflx > 0 ? 'success' : 'warning');
+            result.errors.forEach((error) => {
+                log(`ICE server ${error.url} failed: ${error.code} ${error.text}`, 'warning');
+            });
+            return result;
+        }
+
+        /**
+         * Starts restoring a connection whose network path broke. Only one that
+         * was working and still has its data channel can be restored, others
+         * are lost once they fail.
+         * @param {Object} peer - Peer
+         * @param {string} state - 'disconnected' | 'failed'
+         */
+        function handleConnectionInterrupted(peer, state) {
+            if (!peer.isConnected || !peer.channel || peer.channel.readyState !== 'open') {
+                if (state === 'failed') {
+                    handleConnectionLost(peer, 'failed');
+                }
+                return;
+            }
+
+            if (peer.recovery) {
+                // Failing while waiting out a disconnect restarts at once
+                if (state === 'failed' && peer.initiator && peer.recovery.attempts === 0) {
+                    restartIce(peer);
+                }
+                return;
+            }
+
+            peer.recovery = { attempts: 0, timer: null };
+            log(`Connection to ${peer.label} interrupted, trying to restore it...`, 'warning');
+            updatePeerState(peer, 'Reconnecting...');
+            emit('reconnecting', peer);
+
+            if (peer.initiator) {
+                // A disconnect often heals by itself, a failure does not
+                peer.recovery.timer = setTimeout(() => restartIce(peer), state === 'failed' ? 0 : ICE_RESTART_DELAY);
+            } else {
+                // The initiating device sends the restart offer
+                peer.recovery.timer = setTimeout(() => giveUpRecovery(peer), ICE_RESTART_DELAY + ICE_RESTART_TIMEOUT);
+            }
+        }
+
+        /**
+         * Creates an ICE restart offer on the initiating side, tried again
+         * until the connection is back or the attempts are used up
+         * @param {Object} peer - Peer being restored
+         */
+        async function restartIce(peer) {
+            const recovery = peer.recovery;
+            if (!recovery) return;
+            clearTimeout(recovery.timer);
+
+            if (recovery.attempts >= MAX_ICE_RESTARTS) {
+                giveUpRecovery(peer);
+                return;
+            }
+
+            recovery.attempts++;
+            recovery.timer = setTimeout(() => restartIce(peer), ICE_RESTART_TIMEOUT);
+            log(`Restarting ICE with ${peer.label} (attempt ${recovery.attempts}/${MAX_ICE_RESTARTS})...`, 'info');
+
+            try {
+                peer.iceGatheringComplete = false;
+                const offer = await peer.connection.createOffer({ iceRestart: true });
+                await peer.connection.setLocalDescription(offer);
+            } catch (error) {
+                log(`ICE restart failed: ${error.message}`, 'error');
+                if (peer.recovery === recovery) {
+                    giveUpRecovery(peer);
+                }
+                return;
+            }
+
+            if (peer.recovery !== recovery) return;
+            emit('ice-restart', peer, getLocalDescription(peer));
+        }
+
+        /**
+         * Continues with a connection the ICE restart brought back; frames
+         * buffered meanwhile go out now and transfers carry on
+         * @param {Object} peer - Peer
+         */
+        function finishRecovery(peer) {
+            stopRecovery(peer);
+            log(`Connection to ${peer.label} restored`, 'success');
+            updatePeerState(peer, peer.sending ? 'Sending' : 'Connected');
+            emit('reconnected', peer);
+        }
+
+        /**
+         * Treats a connection that could not be restored as lost
+         * @param {Object} peer - Peer
+         */
+        function giveUpRecovery(peer) {
+            stopRecovery(peer);
+            log(`Could not restore the connection to ${peer.label}`, 'error');
+            handleConnectionLost(peer, 'failed');
+        }
+
+        /**
+         * Cancels the restart timers of a peer
+         * @param {Object} peer - Peer
+         */
+        function stopRecovery(peer) {
+            if (!peer.recovery) return;
+            clearTimeout(peer.recovery.timer);
+            peer.recovery = null;
+        }
+
+        /**
+         * Reads the local offer/answer with the candidates known so far
+         * @param {Object} peer - Peer
+         * @returns {{type: string, sdp: string}} Local description
+         */
+        function getLocalDescription(peer) {
+            const description = peer.connection.localDescription;
+            return { type: description.type, sdp: description.sdp };
+        }
+
+        /**
+         * Creates a device on the initiating side and its offer
+         * @param {string|null} remoteId - Signaling id of the device, if known
+         * @returns {Promise<{peer: Object, description: Object}>} Peer and local offer
+         */
+        async function connect(remoteId = null) {
+            const peer = createPeer(remoteId, true);
+
+            // Create and set offer, usable at once (trickle ICE)
+            const offer = await peer.connection.createOffer();
+            await peer.connection.setLocalDescription(offer);
+
+            return { peer, description: getLocalDescription(peer) };
+        }
+
+        /**
+         * Creates a device on the joining side, waiting for an offer
+         * @param {string|null} remoteId - Signaling id of the device, if known
+         * @returns {Object} Peer
+         */
+        function join(remoteId = null) {
+            return createPeer(remoteId, false);
+        }
+
+        /**
+         * Applies a remote offer and creates the answer
+         * @param {Object} peer - Peer the offer comes from
+         * @param {{type: string, sdp: string}} offer - Remote offer
+         * @returns {Promise<{type: string, sdp: string}>} Local answer
+         */
+        async function acceptOffer(peer, offer) {
+            if (offer.type !== 'offer') {
+                throw new Error('Invalid offer format');
+            }
+
+            log('Processing remote offer...', 'info');
+
+            // An ICE restart offer gives the path another full try
+            if (peer.recovery) {
+                clearTimeout(peer.recovery.timer);
+                peer.recovery.timer = setTimeout(() => giveUpRecovery(peer), ICE_RESTART_TIMEOUT);
+            }
+            peer.iceGatheringComplete = false;
+
+            // Set remote description
+            await peer.connection.setRemoteDescription({ type: 'offer', sdp: offer.sdp });
+            log('Remote offer accepted', 'success');
+            flushPendingCandidates(peer);
+
+            // Create answer
+            const answer = await peer.connection.createAnswer();
+            await peer.connection.setLocalDescription(answer);
+
+            log('Answer created, gathering ICE candidates...', 'info');
+            return getLocalDescription(peer);
+        }
+
+        /**
+         * Applies a remote answer
+         * @param {Object} peer - Peer the answer comes from
+         * @param {{type: string, sdp: string}} answer - Remote answer
+         */
+        async function acceptAnswer(peer, answer) {
+            if (answer.type !== 'answer') {
+                throw new Error('Invalid answer format');
+            }
+
+            log('Processing remote answer...', 'info');
+
+            await peer.connection.setRemoteDescription({ type: 'answer', sdp: answer.sdp });
+            log('Remote answer accepted', 'success');
+            flushPendingCandidates(peer);
+        }
+
+        /**
+         * Adds a remote ICE candidate, or keeps it until the remote description is set
+         * @param {Object} peer - Peer the candidate belongs to
+         * @param {RTCIceCandidateInit} candidate - Remote candidate
+         */
+        function addCandidate(peer, candidate) {
+            if (!peer.connection.remoteDescription) {
+                peer.pendingCandidates.push(candidate);
+                return;
+            }
+
+            peer.connection.addIceCandidate(candidate).catch((error) => {
+                log(`Ignored remote ICE candidate: ${error.message}`, 'warning');
+            });
+        }
+
+        /**
+         * Adds the candidates that arrived before the remote description
+         * @param {Object} peer - Peer whose remote description was just set
+         */
+        function flushPendingCandidates(peer) {
+            const candidates = peer.pendingCandidates;
+            peer.pendingCandidates = [];
+            candidates.forEach((candidate) => addCandidate(peer, candidate));
+        }
+
+        /**
+         * Handles successful connection establishment
+         * @param {Object} peer - Peer that connected
+         */
+        function handleConnectionEstablished(peer) {
+            if (peer.isConnected) return;
+            peer.isConnected = true;
+            updatePeerState(peer, 'Connected');
+            measureLink(peer);
+
+            log(`${peer.label} connected`, 'success');
+            emit('connected', peer);
+            startVerification(peer);
+        }
+
+        /**
+         * Marks active transfers as interrupted so they can be resumed later
+         * @param {Object} peer - Peer whose connection was lost
+         * @param {string} reason - 'closed' | 'failed'
+         */
+        function handleConnectionLost(peer, reason) {
+            const wasConnected = peer.isConnected;
+            peer.isConnected = false;
+            stopRecovery(peer);
+            updatePeerState(peer, 'Disconnected');
+            emit('disconnected', peer, reason);
+
+            if (!wasConnected) return;
+
+            // The sending side keeps the queue items, the receiving side reports what it already has
+            if (peer.sending) {
+                interruptPeerQueue(peer);
+            }
+
+            // Receiver keeps receivedChunks and receivedBitmap until resumed
+            if (receivedFileInfo && receivingPeer === peer) {
+                const percentage = receivedFileInfo.size > 0
+                    ? Math.round((receivedBytes / receivedFileInfo.size) * 100)
+                    : 0;
+                log(`Receiving ${receivedFileInfo.path} interrupted at ${percentage}%. Reconnect to resume.`, 'warning');
+            }
+        }
+
+        // ===========================================
+        // DATA CHANNEL SETUP
+        // ===========================================
+
+        /**
+         * Sets up data channel event handlers
+         * @param {Object} peer - Peer the channel belongs to
+         * @param {RTCDataChannel} channel - Data channel to configure
+         */
+        function setupDataChannel(peer, channel) {
+            // Use ArrayBuffer for binary data transfer
+            channel.binaryType = 'arraybuffer';
+
+            // Set buffer threshold for backpressure management
+            channel.bufferedAmountLowThreshold = peer.link.bufferLow;
+
+            channel.onopen = () => {
+                log('Data channel opened', 'success');
+
+                // Say which protocol versions this app speaks before anything else
+                peer.protocolVersion = null;
+                sendControl(peer, WireProtocol.createHello());
+                clearTimeout(peer.helloTimer);
+                peer.helloTimer = setTimeout(() => {
+                    if (!peer.protocolVersion && peer.isConnected) {
+                        failProtocol(peer, 'No protocol hello received, the other device may run an older version of the app');
+                    }
+                }, HELLO_TIMEOUT);
+
+                handleConnectionEstablished(peer);
+
+                // Unverified devices get the partial file once both users confirmed
+                if (!options.requireVerification) requestResume(peer);
+            };
+
+            channel.onclose = () => {
+                log(`Data channel to ${peer.label} closed`, 'warning');
+                handleConnectionLost(peer, 'closed');
+            };
+
+            channel.onerror = (error) => {
+                log(`Data channel error: ${error.message || 'Unknown error'}`, 'error');
+            };
+
+            channel.onmessage = (event) => handleDataChannelMessage(peer, event);
+
+            // Backpressure handling - each device's buffer is watched on its own
+            channel.onbufferedamountlow = () => handleBufferLow(peer);
+        }
+
+        /**
+         * Sends a control message in the versioned wire format
+         * @param {Object} peer - Peer to send to
+         * @param {Object} message - Message with a type
+         */
+        function sendControl(peer, message) {
+            peer.channel.send(WireProtocol.encodeControl(message));
+        }
+
+        /**
+         * Handles the other side's hello and agrees on a protocol version
+         * @param {Object} peer - Peer that said hello
+         * @param {Object} message - Hello message
+         */
+        function handleHello(peer, message) {
+            try {
+                peer.protocolVersion = WireProtocol.negotiate(message);
+            } catch (error) {
+                failProtocol(peer, error.message);
+                return;
+            }
+            clearTimeout(peer.helloTimer);
+            log(`${peer.label} speaks protocol version ${peer.protocolVersion}`, 'info');
+
+            // A queue started while waiting for the hello can go now
+            sendNextQueuedFile(peer);
+        }
+
+        /**
+         * Disconnects a device that breaks the wire protocol, before it corrupts a file
+         * @param {Object} peer - Peer
+         * @param {string} reason - What went wrong
+         */
+        function failProtocol(peer, reason) {
+            log(`Protocol error with ${peer.label}: ${reason}`, 'error');
+            notify(`Disconnected from ${peer.label}: ${reason}`, 'error');
+            if (receivingPeer === peer && receivedFileInfo) {
+                discardPartialFile('protocol');
+            }
+            closePeer(peer);
+            emit('disconnected', peer, 'protocol');
+        }
+
+        /**
+         * Sets up an extra channel that only carries file frames
+         * @param {Object} peer - Peer the channel belongs to
+         * @param {RTCDataChannel} channel - Striping channel
+         */
+        function setupStripeChannel(peer, channel) {
+            channel.binaryType = 'arraybuffer';
+            channel.bufferedAmountLowThreshold = peer.link.bufferLow;
+            peer.stripes.push(channel);
+
+            // Losing the connection is noticed on the main channel
+            channel.onerror = (error) => {
+                log(`Data channel error: ${error.message || 'Unknown error'}`, 'error');
+            };
+            channel.onmessage = (event) => handleDataChannelMessage(peer, event);
+            channel.onbufferedamountlow = () => handleBufferLow(peer);
+        }
+
+        /**
+         * Resumes a transfer paused by backpressure once a channel drained
+         * @param {Object} peer - Peer whose buffer drained
+         */
+        function handleBufferLow(peer) {
+            if (peer.transfer && peer.transfer.paused) {
+                peer.transfer.paused = false;
+                log(`Buffer to ${peer.label} cleared, resuming transfer...`, 'info');
+                continueSending(peer);
+            }
+        }
+
+        // ===========================================
+        // LINK TUNING
+        // ===========================================
+
+        /**
+         * Creates the tuning state of a link, starting small until it is measured
+         * @returns {Object} Link state
+         */
+        function createLinkState() {
+            return {
+                frameChunks: 1,
+                maxFrameChunks: 1,
+                bufferHigh: BUFFER_THRESHOLD,
+                bufferLow: BUFFER_LOW_THRESHOLD,
+                sampleStart: 0,
+                sampleBytes: 0,
+                lastRate: 0
+            };
+        }
+
+        /**
+         * Reads the largest message the SCTP transport takes and sizes frames by it
+         * @param {Object} peer - Peer that just connected
+         */
+        function measureLink(peer) {
+            const sctp = peer.connection.sctp;
+            const maxMessageSize = Math.min((sctp && sctp.maxMessageSize) || MAX_FRAME_SIZE, MAX_FRAME_SIZE);
+
+            // Every chunk of a frame may carry an AES-GCM tag, the frame its header
+            const payloadSize = maxMessageSize - WireProtocol.HEADER_SIZE;
+            peer.link.maxFrameChunks = Math.max(1, Math.floor(payloadSize / (CHUNK_SIZE + GCM_TAG_SIZE)));
+            peer.link.frameChunks = Math.min(peer.link.frameChunks, peer.link.maxFrameChunks);
+            log(`Link to ${peer.label}: up to ${formatBytes(peer.link.maxFrameChunks * CHUNK_SIZE)} per frame`, 'info');
+        }
+
+        /**
+         * Lists the open channels file frames can go over
+         * @param {Object} peer - Peer
+         * @returns {RTCDataChannel[]} Main channel and open striping channels
+         */
+        function getDataChannels(peer) {
+            return [peer.channel, ...peer.stripes].filter((channel) => channel && channel.readyState === 'open');
+        }
+
+        /**
+         * Picks the least busy channel for the next frame
+         * @param {Object} peer - Peer
+         * @returns {RTCDataChannel|null} Channel, or null while all are over the threshold
+         */
+        function pickDataChannel(peer) {
+            let best = null;
+            getDataChannels(peer).forEach((channel) => {
+                if (!best || channel.bufferedAmount < best.bufferedAmount) best = channel;
+            });
+            return best && best.bufferedAmount <= peer.link.bufferHigh ? best : null;
+        }
+
+        /**
+         * Restarts throughput measurement, e.g. after the transfer stood still
+         * @param {Object} peer - Peer
+         */
+        function restartLinkSample(peer) {
+            peer.link.sampleStart = 0;
+            peer.link.sampleBytes = 0;
+        }
+
+        /**
+         * Counts sent bytes and adapts the link once per sample interval
+         * @param {Object} peer - Peer
+         * @param {number} bytes - Bytes just handed to the channel
+         */
+        function recordThroughput(peer, bytes) {
+            const link = peer.link;
+            const now = Date.now();
+            if (!link.sampleStart) {
+                link.sampleStart = now;
+                return;
+            }
+
+            link.sampleBytes += bytes;
+            const elapsed = now - link.sampleStart;
+            if (elapsed < LINK_SAMPLE_INTERVAL) return;
+
+            adaptLink(peer, link.sampleBytes * 1000 / elapsed);
+            link.sampleStart = now;
+            link.sampleBytes = 0;
+        }
+
+        /**
+         * Grows frames while throughput keeps improving and backs off when it drops,
+         * and keeps about a quarter second of data queued so the link never idles
+         * @param {Object} peer - Peer
+         * @param {number} rate - Measured throughput in bytes per second
+         */
+        function adaptLink(peer, rate) {
+            const link = peer.link;
+            const frameChunks = link.frameChunks;
+
+            if (rate >= link.lastRate * 1.1) {
+                link.frameChunks = Math.min(frameChunks * 2, link.maxFrameChunks);
+            } else if (rate < link.lastRate * 0.7) {
+                link.frameChunks = Math.max(1, Math.floor(frameChunks / 2));
+            }
+            link.lastRate = rate;
+
+            link.bufferHigh = Math.min(Math.max(rate / 4, BUFFER_THRESHOLD), MAX_BUFFER_THRESHOLD);
+            link.bufferLow = link.bufferHigh / 4;
+            getDataChannels(peer).forEach((channel) => {
+                channel.bufferedAmountLowThreshold = link.bufferLow;
+            });
+
+            if (link.frameChunks !== frameChunks) {
+                log(`Link to ${peer.label} at ${formatBytes(rate)}/s, now sending ${formatBytes(link.frameChunks * CHUNK_SIZE)} frames`, 'info');
+            }
+        }
+
+        // ===========================================
+        // VERIFICATION
+        // ===========================================
+
+        /**
+         * Computes the verification code of a new connection. A connection
+         * with the same certificates keeps what the users confirmed.
+         * @param {Object} peer - Peer that connected
+         */
+        async function startVerification(peer) {
+            let code;
+            try {
+                code = await PeerVerification.compute(peer.connection.localDescription.sdp, peer.connection.remoteDescription.sdp);
+            } catch (error) {
+                log(`No verification code for ${peer.label}: ${error.message}`, 'error');
+                notify(`${peer.label} cannot be verified: ${error.message}.`, 'error');
+                return;
+            }
+
+            const names = (entries) => entries.map((entry) => entry.name).join(' ');
+            if (!peer.verification.code || names(peer.verification.code) !== names(code)) {
+                peer.verification = { code, local: false, remote: false };
+            }
+            log(`Verification code for ${peer.label}: ${names(code)}`, 'info');
+            emit('verification', peer, peer.verification);
+        }
+
+        /**
+         * Records that this user found the code the same on both devices
+         * @param {Object} peer - Peer whose code was compared
+         */
+        function confirmVerification(peer) {
+            if (!peer.verification.code || peer.verification.local) return;
+
+            peer.verification.local = true;
+            if (peer.channel && peer.channel.readyState === 'open') {
+                sendControl(peer, { type: 'verified' });
+            }
+            emit('verification', peer, peer.verification);
+            if (isVerified(peer)) handleVerified(peer);
+        }
+
+        /**
+         * Handles the other user confirming the code
+         * @param {Object} peer - Peer that confirmed
+         */
+        function handleVerificationConfirmed(peer) {
+            if (peer.verification.remote) return;
+
+            peer.verification.remote = true;
+            log(`${peer.label} confirmed the verification code`, 'info');
+            emit('verification', peer, peer.verification);
+            if (isVerified(peer)) handleVerified(peer);
+        }
+
+        /**
+         * Lets files flow once both users confirmed the code
+         * @param {Object} peer - Peer now verified
+         */
+        function handleVerified(peer) {
+            log(`${peer.label} is verified`, 'success');
+            if (options.requireVerification) requestResume(peer);
+        }
+
+        /**
+         * Checks whether files may be exchanged with a device
+         * @param {Object} peer - Peer
+         * @returns {boolean} True if verified, or if verification is not required
+         */
+        function isVerified(peer) {
+            return !options.requireVerification || (peer.verification.local && peer.verification.remote);
+        }
+
+        // ===========================================
+        // DIAGNOSTICS
+        // ===========================================
+
+        /**
+         * Sums up a connection from its getStats() report: the candidate pair
+         * in use, round-trip time, bytes moved, data channels and link tuning
+         * @param {Object} peer - Peer
+         * @returns {Promise<Object>} { peer, time, iceState, candidatePair,
+         *     bytesSent, bytesReceived, dataChannels, link }
+         */
+        async function getDiagnostics(peer) {
+            const report = await peer.connection.getStats();
+            const stats = new Map();
+            report.forEach((entry) => stats.set(entry.id, entry));
+
+            const entries = Array.from(stats.values());
+            const transport = entries.find((entry) => entry.type === 'transport') || {};
+
+            // Chrome names the pair on the transport, Firefox flags it
+            const pair = stats.get(transport.selectedCandidatePairId) ||
+                entries.find((entry) => entry.type === 'candidate-pair' && (entry.selected || (entry.nominated && entry.state === 'succeeded'))) ||
+                null;
+
+            const describeCandidate = (candidate) => candidate ? {
+                type: candidate.candidateType,
+                protocol: candidate.protocol,
+                address: candidate.address || candidate.ip || null,
+                port: candidate.port,
+                relayProtocol: candidate.relayProtocol || null
+            } : null;
+
+            const channelStats = (label) => entries.find((entry) => entry.type === 'data-channel' && entry.label === label) || {};
+
+            return {
+                peer: peer.label,
+                time: Date.now(),
+                iceState: peer.connection.iceConnectionState,
+                candidatePair: pair ? {
+                    local: describeCandidate(stats.get(pair.localCandidateId)),
+                    remote: describeCandidate(stats.get(pair.remoteCandidateId)),
+                    state: pair.state,
+                    rtt: typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime * 1000 : null,
+                    availableOutgoingBitrate: pair.availableOutgoingBitrate || null
+                } : null,
+                bytesSent: transport.bytesSent || (pair && pair.bytesSent) || 0,
+                bytesReceived: transport.bytesReceived || (pair && pair.bytesReceived) || 0,
+                dataChannels: [peer.channel, peer.chatChannel, ...peer.stripes].filter(Boolean).map((channel) => {
+                    const channelEntry = channelStats(channel.label);
+                    return {
+                        label: channel.label,
+                        state: channel.readyState,
+                        bufferedAmount: channel.bufferedAmount,
+                        messagesSent: channelEntry.messagesSent || 0,
+                        bytesSent: channelEntry.bytesSent || 0,
+                        messagesReceived: channelEntry.messagesReceived || 0,
+                        bytesReceived: channelEntry.bytesReceived || 0
+                    };
+                }),
+                link: {
+                    frameSize: peer.link.frameChunks * CHUNK_SIZE,
+                    bufferHigh: peer.link.bufferHigh,
+                    bufferLow: peer.link.bufferLow,
+                    rate: peer.link.lastRate
+                }
+            };
+        }
+
+        // ===========================================
+        // CHAT
+        // ===========================================
+
+        /**
+         * Configures a peer's chat channel
+         * @param {Object} peer - Peer the channel belongs to
+         * @param {RTCDataChannel} channel - Chat channel
+         */
+        function setupChatChannel(peer, channel) {
+            channel.onopen = () => emit('chat-state', canChat());
+            channel.onclose = () => emit('chat-state', canChat());
+            channel.onmessage = (event) => handleChatMessage(peer, event.data);
+        }
+
+        /**
+         * Gets the devices a chat message can be delivered to right now
+         * @returns {Object[]} Peers with an open chat channel
+         */
+        function getChatPeers() {
+            return getPeers().filter((peer) => peer.chatChannel && peer.chatChannel.readyState === 'open');
+        }
+
+        /**
+         * Checks whether a chat message would reach any device
+         * @returns {boolean} True while a chat channel is open
+         */
+        function canChat() {
+            return getChatPeers().length > 0;
+        }
+
+        /**
+         * Sends a chat message to every connected device
+         * @param {string} text - Message text
+         * @returns {Object} Sent message: id, text, sentAt, recipients, deliveredTo
+         * @throws {Error} If the message is too long or no device is connected
+         */
+        function sendChat(text) {
+            if (text.length > MAX_CHAT_LENGTH) {
+                throw new Error(`Messages are limited to ${MAX_CHAT_LENGTH} characters.`);
+            }
+
+            const recipients = getChatPeers();
+            if (recipients.length === 0) {
+                throw new Error('Not connected to any device.');
+            }
+
+            const message = {
+                id: generateTransferId(),
+                text,
+                sentAt: Date.now(),
+                recipients: recipients.length,
+                deliveredTo: new Set()
+            };
+
+            const data = JSON.stringify({ type: 'chat', id: message.id, text, sentAt: message.sentAt });
+            recipients.forEach((peer) => peer.chatChannel.send(data));
+            chatMessages.set(message.id, message);
+            return message;
+        }
+
+        /**
+         * Handles a chat message or delivery receipt from a device
+         * @param {Object} peer - Peer the message came from
+         * @param {string} data - JSON message
+         */
+        function handleChatMessage(peer, data) {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                message = null;
+            }
+            if (!message || typeof message !== 'object') {
+                log(`Malformed chat message from ${peer.label}`, 'error');
+                return;
+            }
+
+            if (message.type === 'chat') {
+                if (typeof message.text !== 'string' || message.text.length > MAX_CHAT_LENGTH || typeof message.id !== 'string' || message.id.length > 64) {
+                    log(`Invalid chat message from ${peer.label} ignored`, 'warning');
+                    return;
+                }
+
+                const sentAt = Number.isFinite(message.sentAt) ? message.sentAt : Date.now();
+                emit('chat', peer, { id: message.id, text: message.text, sentAt });
+                peer.chatChannel.send(JSON.stringify({ type: 'chat-ack', id: message.id }));
+            } else if (message.type === 'chat-ack') {
+                const sent = chatMessages.get(message.id);
+                if (!sent) return;
+
+                sent.deliveredTo.add(peer.id);
+                emit('chat-delivered', sent);
+                if (sent.deliveredTo.size >= sent.recipients) {
+                    chatMessages.delete(message.id);
+                }
+            }
+        }
+
+        // ===========================================
+        // SEND QUEUE
+        // ===========================================
+
+        /**
+         * Adds files to the send queue
+         * @param {Array<{file: File, path: string}>} files - Files with relative paths
+         * @returns {Object[]} New queue items
+         */
+        function queueFiles(files) {
+            const items = files.map(({ file, path }) => ({
+                id: generateTransferId(),
+                file,
+                path: path || file.name,
+                status: 'queued'
+            }));
+            if (items.length === 0) return items;
+
+            sendQueue.push(...items);
+            updateQueue();
+
+            const totalSize = files.reduce((sum, { file }) => sum + file.size, 0);
+            log(`Queued ${files.length} file(s) (${formatBytes(totalSize)})`, 'info');
+            return items;
+        }
+
+        /**
+         * Queues one file and sends it to every connected device
+         * @param {File|Blob} file - File to send
+         * @param {string} path - Relative path shown to the receiver (default: file name)
+         * @returns {Object} Queue item, its status follows the transfer
+         */
+        function sendFile(file, path) {
+            const [item] = queueFiles([{ file, path }]);
+            startSending();
+            return item;
+        }
+
+        /**
+         * Lists the send queue
+         * @returns {Object[]} Queue items: id, file, path, status, error
+         */
+        function getQueue() {
+            return sendQueue.slice();
+        }
+
+        /**
+         * Checks whether a connected device that is not busy still lacks a queued file
+         * @returns {boolean} True if starting to send would start a transfer
+         */
+        function hasQueuedFiles() {
+            return getConnectedPeers().some((peer) => !peer.sending && isVerified(peer) && hasPendingFiles(peer));
+        }
+
+        /**
+         * Checks whether a device has not received every queued file yet
+         * @param {Object} peer - Peer
+         * @returns {boolean} True if at least one item has no final outcome for this device
+         */
+        function hasPendingFiles(peer) {
+            return sendQueue.some((item) => !peer.results.has(item) || RETRIED_RESULTS.includes(peer.results.get(item)));
+        }
+
+        /**
+         * Derives a queue item's status from its state on every device:
+         * in progress anywhere, then still due somewhere, then the worst outcome
+         * @param {Object} item - Queue item
+         */
+        function updateItemStatus(item) {
+            let status = null;
+            let pending = false;
+            const results = [];
+
+            peers.forEach((peer) => {
+                if (peer.transfer && peer.transfer.item === item) {
+                    status = peer.transfer.hashing && status !== 'sending' ? 'hashing' : 'sending';
+                } else if (peer.results.has(item)) {
+                    results.push(peer.results.get(item));
+                } else if (peer.sending) {
+                    pending = true;
+                }
+            });
+
+            if (!status) {
+                if (pending || results.length === 0) {
+                    status = 'queued';
+                } else if (results.includes('interrupted')) {
+                    status = 'interrupted';
+                } else if (results.includes('failed')) {
+                    status = 'failed';
+                } else if (results.includes('cancelled')) {
+                    status = 'cancelled';
+                } else if (results.includes('declined')) {
+                    status = 'declined';
+                } else {
+                    status = 'sent';
+                }
+            }
+            item.status = status;
+        }
+
+        /**
+         * Updates every item's status and reports the queue
+         */
+        function updateQueue() {
+            sendQueue.forEach(updateItemStatus);
+            emit('queue', getQueue());
+        }
+
+        /**
+         * Removes a single queued file
+         * @param {string} id - Queue item id
+         * @returns {boolean} True if the file was removed
+         */
+        function removeFile(id) {
+            const item = sendQueue.find((entry) => entry.id === id);
+            if (!item || item.status !== 'queued') return false;
+
+            sendQueue = sendQueue.filter((entry) => entry !== item);
+            peers.forEach((peer) => peer.runItems.delete(item));
+            updateQueue();
+            log(`Removed from queue: ${item.path}`, 'info');
+            return true;
+        }
+
+        /**
+         * Removes every file that is not currently being sent
+         */
+        function clearQueue() {
+            sendQueue = sendQueue.filter((item) => item.status === 'sending' || item.status === 'hashing');
+            peers.forEach((peer) => {
+                peer.runItems.forEach((item) => {
+                    if (!sendQueue.includes(item)) peer.runItems.delete(item);
+                });
+            });
+            updateQueue();
+            log('Queue cleared', 'info');
+        }
+
+        /**
+         * Sums the progress over every device and file of the current round
+         * @returns {{done: number, total: number, devices: number}} Bytes done and due, devices involved
+         */
+        function getSendTotals() {
+            let done = 0;
+            let total = 0;
+            let devices = 0;
+            peers.forEach((peer) => {
+                if (peer.runItems.size > 0) devices++;
+                peer.runItems.forEach((item) => {
+                    if (peer.results.get(item) === 'declined') return;
+                    total += item.file.size;
+                    if (peer.results.has(item)) {
+                        done += item.file.size;
+                    } else if (peer.transfer && peer.transfer.item === item) {
+                        done += peer.transfer.bytesSent;
+                    }
+                });
+            });
+            return { done, total, devices };
+        }
+
+        // ===========================================
+        // FILE TRANSFER - SENDER
+        // ===========================================
+
+        /**
+         * Starts sending the queue to every connected device that still lacks
+         * files. Each device runs through the queue at its own pace.
+         * @returns {Object[]} Peers that are now being sent to, empty if none
+         */
+        function startSending() {
+            // Interrupted files that were not resumed and cancelled files start over, offered again
+            peers.forEach((peer) => {
+                if (peer.sending) return;
+                peer.results.forEach((result, item) => {
+                    if (!RETRIED_RESULTS.includes(result)) return;
+                    peer.results.delete(item);
+                    peer.accepted.delete(item);
+                });
+            });
+
+            const targets = getConnectedPeers().filter((peer) => !peer.sending && isVerified(peer) && hasPendingFiles(peer));
+            if (targets.length === 0) return targets;
+
+            const fileCount = sendQueue.filter((item) => targets.some((peer) => !peer.results.has(item))).length;
+            const devices = targets.length > 1 ? ` to ${targets.length} devices` : '';
+            log(`Starting transfer of ${fileCount} file(s)${devices}`, 'info');
+            emit('send-start', targets);
+
+            targets.forEach((peer) => {
+                startPeerQueue(peer);
+                sendNextQueuedFile(peer);
+            });
+            return targets;
+        }
+
+        /**
+         * Checks whether any device is still working through the queue
+         * @returns {boolean} True while at least one device is being sent to
+         */
+        function isSending() {
+            return getPeers().some((peer) => peer.sending);
+        }
+
+        /**
+         * Marks a device as being sent to and counts what it still needs
+         * @param {Object} peer - Peer
+         */
+        function startPeerQueue(peer) {
+            // A new round of sending restarts the overall progress
+            if (!isSending()) {
+                peers.forEach((other) => other.runItems.clear());
+                emit('round-start');
+            }
+
+            peer.sending = true;
+            sendQueue.forEach((item) => {
+                if (!peer.results.has(item)) peer.runItems.add(item);
+            });
+            updatePeerState(peer, 'Sending');
+            updateQueue();
+        }
+
+        /**
+         * Sends metadata for the next accepted file a device lacks and starts its
+         * chunks. Files the device has not been asked about are offered first.
+         * @param {Object} peer - Peer
+         */
+        async function sendNextQueuedFile(peer) {
+            if (!peer.sending || peer.transfer || peer.offer || peer.held) return;
+
+            // Nothing is sent before both sides agreed on a protocol version (handleHello)
+            if (!peer.protocolVersion) return;
+
+            if (!peer.channel || peer.channel.readyState !== 'open') {
+                log(`Data channel to ${peer.label} closed, queue stopped`, 'error');
+                interruptPeerQueue(peer);
+                return;
+            }
+
+            const item = sendQueue.find((entry) => peer.accepted.has(entry) && !peer.results.has(entry));
+
+            if (!item) {
+                const unanswered = sendQueue.filter((entry) => !peer.results.has(entry));
+                if (unanswered.length > 0) {
+                    offerFiles(peer, unanswered.slice(0, MAX_OFFER_FILES));
+                } else {
+                    finishPeerQueue(peer);
+                }
+                return;
+            }
+
+            const file = item.file;
+            const fileIndex = sendQueue.indexOf(item) + 1;
+
+            log(`Sending ${fileIndex}/${sendQueue.length} to ${peer.label}: ${item.path}`, 'info');
+            peer.runItems.add(item);
+            const transfer = prepareSending(peer, item, item.id, null);
+
+            const metadata = {
+                type: 'metadata',
+                transferId: transfer.transferId,
+                name: file.name,
+                path: item.path,
+                size: file.size,
+                lastModified: file.lastModified,
+                mimeType: file.type,
+                totalChunks: transfer.totalChunks,
+                fileIndex: fileIndex,
+                fileCount: sendQueue.length,
+                hash: null,
+                encryption: null
+            };
+
+            // Hash the file before announcing it (once for all devices, kept for resumes)
+            let encryption = null;
+            try {
+                transfer.hashing = true;
+                updateQueue();
+                metadata.hash = await getFileHashes(item);
+                if (settings.passphrase) {
+                    encryption = await createEncryption(item.id, null, metadata);
+                    sentEncryption.set(item.id, encryption.descriptor);
+                }
+            } catch (error) {
+                log(`Failed to prepare ${item.path}: ${error.message}`, 'error');
+                notify(`Error reading ${file.name}. Skipping it.`, 'error');
+                if (peer.transfer === transfer) {
+                    setResult(peer, item, 'failed', error.message);
+                    peer.transfer = null;
+                    updateQueue();
+                    setTimeout(() => sendNextQueuedFile(peer), 0);
+                }
+                return;
+            }
+
+            // Connection may have dropped while hashing
+            if (peer.transfer !== transfer) return;
+
+            transfer.hashing = false;
+            transfer.encryption = encryption;
+            updateQueue();
+
+            // Send file metadata first
+            metadata.encryption = encryption ? encryption.descriptor : null;
+            sendControl(peer, metadata);
+            log(`Metadata sent: ${transfer.totalChunks} chunks, SHA-256 ${metadata.hash.root.slice(0, 16)}…${encryption ? ', AES-GCM encrypted' : ''}`, 'info');
+
+            // Encrypted files wait until the receiver confirms the passphrase
+            if (encryption) {
+                transfer.awaitingKey = true;
+                updatePeerState(peer, 'Waiting for the passphrase check');
+                return;
+            }
+
+            // Start sending chunks
+            transfer.timing = createTiming(0);
+            sendNextChunk(peer);
+        }
+
+        /**
+         * Asks a device whether it wants the listed files
+         * @param {Object} peer - Peer
+         * @param {Object[]} items - Queue items to offer
+         */
+        function offerFiles(peer, items) {
+            items.forEach((item) => peer.runItems.add(item));
+            peer.offer = { id: generateTransferId(), items };
+
+            sendControl(peer, {
+                type: 'offer',
+                offerId: peer.offer.id,
+                files: items.map((item) => ({
+                    transferId: item.id,
+                    name: item.file.name,
+                    path: item.path,
+                    size: item.file.size,
+                    mimeType: item.file.type
+                }))
+            });
+
+            updatePeerState(peer, 'Waiting for approval');
+            log(`Offered ${items.length} file(s) to ${peer.label}, waiting for approval`, 'info');
+            updateQueue();
+        }
+
+        /**
+         * Handles a device's answer to an offer. Files it did not pick are declined.
+         * @param {Object} peer - Peer that answered
+         * @param {Object} message - Accept message with offerId and the accepted transfer ids
+         */
+        function handleOfferAnswer(peer, message) {
+            const offer = peer.offer;
+            if (!offer || message.offerId !== offer.id) return;
+
+            peer.offer = null;
+            const accepted = new Set(message.files);
+            const refusals = new Map((message.refused || []).map((entry) => [entry.transferId, entry.reason]));
+            const declined = offer.items.filter((item) => !accepted.has(item.id));
+
+            offer.items.forEach((item) => {
+                if (accepted.has(item.id)) {
+                    peer.accepted.add(item);
+                } else if (refusals.has(item.id)) {
+                    // Refused by the receive policy of the device
+                    item.error = refusals.get(item.id);
+                    setResult(peer, item, 'failed', item.error);
+                    log(`${item.path} refused by ${peer.label}: ${item.error}`, 'error');
+                } else {
+                    setResult(peer, item, 'declined');
+                }
+            });
+
+            if (refusals.size > 0 && declined.length === offer.items.length) {
+                notify(`${peer.label} refused the files: ${refusals.values().next().value}`, 'error');
+            } else if (declined.length === offer.items.length) {
+                log(`${peer.label} declined ${declined.length} file(s)`, 'warning');
+                notify(`${peer.label} declined the files.`, 'error');
+            } else if (declined.length > 0) {
+                const count = offer.items.length - declined.length;
+                log(`${peer.label} accepted ${count} of ${offer.items.length} file(s), declined: ${declined.map((item) => item.path).join(', ')}`, 'warning');
+                notify(`${peer.label} accepted ${count} of ${offer.items.length} file(s).`, 'info');
+            } else {
+                log(`${peer.label} accepted ${offer.items.length} file(s)`, 'success');
+            }
+
+            updatePeerState(peer, 'Sending');
+            updateQueue();
+            sendNextQueuedFile(peer);
+        }
+
+        /**
+         * Starts sending an encrypted file once the receiver derived the same key
+         * @param {Object} peer - Peer that accepted the key
+         * @param {Object} message - Key-ok message with transferId
+         */
+        function handleKeyAccepted(peer, message) {
+            const transfer = peer.transfer;
+            if (!transfer || transfer.transferId !== message.transferId || !transfer.awaitingKey) return;
+
+            transfer.awaitingKey = false;
+            updatePeerState(peer, 'Sending');
+            transfer.timing = createTiming(0);
+            sendNextChunk(peer);
+        }
+
+        /**
+         * Picks the hash block size for a file so the block list stays bounded
+         * @param {number} size - File size in bytes
+         * @returns {number} Block size in bytes
+         */
+        function getHashBlockSize(size) {
+            let blockSize = HASH_BLOCK_SIZE;
+            while (Math.ceil(size / blockSize) > MAX_HASH_BLOCKS) {
+                blockSize *= 2;
+            }
+            return blockSize;
+        }
+
+        /**
+         * Computes the SHA-256 of the ordered list of block digests
+         * @param {string[]} blocks - Hex block digests
+         * @returns {Promise<string>} Hex digest identifying the whole file
+         */
+        async function digestBlockList(blocks) {
+            const joined = new Uint8Array(blocks.length * 32);
+            blocks.forEach((hex, i) => joined.set(hexToBytes(hex), i * 32));
+            return bufferToHex(await crypto.subtle.digest('SHA-256', joined));
+        }
+
+        /**
+         * Hashes a queue item once, however many devices it is sent to
+         * @param {Object} item - Queue item
+         * @returns {Promise<Object>} Hash descriptor
+         */
+        function getFileHashes(item) {
+            if (!item.hashes) {
+                item.hashes = computeFileHashes(item).catch((error) => {
+                    item.hashes = null;
+                    throw error;
+                });
+            }
+            return item.hashes;
+        }
+
+        /**
+         * Hashes a queued file block by block with WebCrypto.
+         * The whole-file hash is the SHA-256 over the block digests, so the
+         * receiver can verify blocks in any order without buffering the file.
+         * @param {Object} item - Queue item to hash
+         * @returns {Promise<Object>} Hash descriptor
+         */
+        async function computeFileHashes(item) {
+            const file = item.file;
+            const blockSize = getHashBlockSize(file.size);
+            const blocks = [];
+
+            for (let offset = 0; offset < file.size; offset += blockSize) {
+                const buffer = await file.slice(offset, offset + blockSize).arrayBuffer();
+                blocks.push(bufferToHex(await crypto.subtle.digest('SHA-256', buffer)));
+                emit('hash-progress', item, Math.min(offset + blockSize, file.size), file.size);
+            }
+
+            const root = await digestBlockList(blocks);
+            return { algorithm: 'SHA-256', blockSize, blocks, root };
+        }
+
+        /**
+         * Makes a queue item a device's active transfer
+         * @param {Object} peer - Peer to send to
+         * @param {Object} item - Queue item to send
+         * @param {string} transferId - Transfer id the receiver knows the file by
+         * @param {Uint8Array|null} skipBitmap - Chunks the receiver already has
+         * @returns {Object} Transfer state
+         */
+        function prepareSending(peer, item, transferId, skipBitmap) {
+            const transfer = {
+                item,
+                transferId,
+                encryption: null,
+                totalChunks: Math.ceil(item.file.size / CHUNK_SIZE),
+                chunkIndex: 0,
+                bytesSent: 0,
+                resumeBitmap: skipBitmap,
+                paused: false,
+                reading: false,
+                hashing: false,
+                awaitingKey: false,
+                awaitingReceipt: false,
+                startedAt: Date.now(),
+                timing: createTiming(0)
+            };
+            restartLinkSample(peer);
+            peer.transfer = transfer;
+            updateQueue();
+
+            updatePeerState(peer, 'Sending');
+            emit('send-file', peer, item, sendQueue.indexOf(item) + 1, sendQueue.length);
+
+            return transfer;
+        }
+
+        /**
+         * Handles a receiver's request to resume an interrupted transfer
+         * @param {Object} peer - Peer asking to resume
+         * @param {Object} request - Resume message with file identity and bitmap
+         */
+        async function handleResumeRequest(peer, request) {
+            const reject = (reason) => {
+                sendControl(peer, { type: 'resume-reject', transferId: request.transferId, reason });
+                log(`Resume of ${request.name} refused: ${reason}`, 'warning');
+            };
+
+            if (!isVerified(peer)) {
+                reject('Device is not verified yet');
+                return;
+            }
+
+            if (peer.transfer) {
+                reject('Sender is busy with another file');
+                return;
+            }
+
+            const item = sendQueue.find((entry) => entry.id === request.transferId && peer.results.get(entry) !== 'sent');
+            if (!item) {
+                reject('File is no longer queued on the sender');
+                return;
+            }
+
+            if (item.file.name !== request.name || item.file.size !== request.size || item.file.lastModified !== request.lastModified) {
+                reject('File on the sender does not match (name, size or modification time changed)');
+                return;
+            }
+
+            // Only a file the device accepted, on this connection or on the one it lost
+            const acceptedBefore = getPeers().some((other) => other !== peer && !other.isConnected &&
+                other.results.get(item) === 'interrupted' && other.accepted.has(item));
+            if (!peer.accepted.has(item) && !acceptedBefore) {
+                reject('File was not accepted by this device');
+                return;
+            }
+
+            const expectedChunks = Math.ceil(item.file.size / CHUNK_SIZE);
+            const have = base64ToBytes(request.have || '');
+            if (request.totalChunks !== expectedChunks || have.length !== Math.ceil(expectedChunks / 8)) {
+                reject('Chunk layout does not match');
+                return;
+            }
+
+            // The key is derived again from the salt and iterations this side
+            // chose, the ones in the request are only compared
+            const descriptor = sentEncryption.get(item.id) || null;
+            if (Boolean(request.encryption) !== Boolean(settings.passphrase) || Boolean(descriptor) !== Boolean(settings.passphrase)) {
+                reject('Passphrase setting changed since the transfer started');
+                return;
+            }
+
+            let encryption = null;
+            try {
+                if (descriptor) {
+                    encryption = await createEncryption(item.id, descriptor, null);
+                }
+            } catch (error) {
+                reject('Cannot derive the encryption key');
+                return;
+            }
+
+            if (peer.transfer) {
+                reject('Sender is busy with another file');
+                return;
+            }
+
+            // The device came back on a new connection: keep what it already got
+            const previous = getPeers().find((other) => other !== peer &&
+                !other.isConnected && other.results.get(item) === 'interrupted');
+            if (previous) {
+                previous.results.forEach((result, entry) => {
+                    if (result !== 'interrupted') peer.results.set(entry, result);
+                });
+                previous.accepted.forEach((entry) => peer.accepted.add(entry));
+                removePeer(previous);
+            }
+            peer.results.delete(item);
+            peer.accepted.add(item);
+
+            // Continue under the receiver's transfer id
+            if (!peer.sending) {
+                startPeerQueue(peer);
+            }
+            const transfer = prepareSending(peer, item, request.transferId, have);
+            transfer.encryption = encryption;
+
+            sendControl(peer, { type: 'resume-accept', transferId: transfer.transferId });
+            log(`Resuming ${item.path} for ${peer.label}: sending missing chunks only`, 'success');
+            emit('send-resume', peer, item);
+
+            sendNextChunk(peer);
+        }
+
+        /**
+         * Sends the next chunk of a device's active file
+         * @param {Object} peer - Peer
+         */
+        function sendNextChunk(peer) {
+            const transfer = peer.transfer;
+            if (!transfer || transfer.paused || transfer.reading || transfer.awaitingReceipt || peer.held) return;
+
+            const file = transfer.item.file;
+
+            // Skip chunks the receiver already holds (resumed transfer)
+            while (transfer.resumeBitmap && transfer.chunkIndex < transfer.totalChunks &&
+                hasChunk(transfer.resumeBitmap, transfer.chunkIndex)) {
+                transfer.chunkIndex++;
+            }
+
+            // Check if transfer is complete
+            if (transfer.chunkIndex >= transfer.totalChunks) {
+                finishSending(peer);
+                return;
+            }
+
+            // Check backpressure - pause while every channel to this device is too full
+            if (!pickDataChannel(peer)) {
+                transfer.paused = true;
+                log(`Backpressure from ${peer.label} at chunk ${transfer.chunkIndex + 1}/${transfer.totalChunks}, pausing...`, 'warning');
+                return;
+            }
+
+            // A frame holds as many consecutive missing chunks as the link allows
+            const chunkIndex = transfer.chunkIndex;
+            let chunkCount = 1;
+            while (chunkCount < peer.link.frameChunks && chunkIndex + chunkCount < transfer.totalChunks &&
+                !(transfer.resumeBitmap && hasChunk(transfer.resumeBitmap, chunkIndex + chunkCount))) {
+                chunkCount++;
+            }
+
+            // Calculate frame boundaries
+            const start = chunkIndex * CHUNK_SIZE;
+            const end = Math.min(start + chunkCount * CHUNK_SIZE, file.size);
+
+            // Read and send the frame; a pause must not start a second read in the meantime
+            transfer.reading = true;
+            file.slice(start, end).arrayBuffer().then(async (buffer) => {
+                if (peer.transfer !== transfer) return;
+
+                // Encrypt each chunk on its own with the transfer key when a passphrase is set
+                let parts = [buffer];
+                if (transfer.encryption) {
+                    parts = [];
+                    for (let i = 0; i < chunkCount; i++) {
+                        const plain = buffer.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+                        parts.push(await encryptChunk(transfer.encryption.key, chunkIndex + i, plain));
+                    }
+                    if (peer.transfer !== transfer) return;
+                }
+
+                // Frame header names the file and the byte offset of the first chunk
+                const flags = transfer.encryption ? WireProtocol.FLAG_ENCRYPTED : 0;
+                const frame = WireProtocol.encodeFrame(transfer.transferId, start, flags, parts);
+
+                // Stripe frames across channels, the receiver reassembles them by offset
+                const channel = pickDataChannel(peer) || peer.channel;
+                channel.send(frame);
+                transfer.reading = false;
+
+                // Update progress
+                transfer.chunkIndex += chunkCount;
+                transfer.bytesSent = end;
+                recordThroughput(peer, end - start);
+                updateSendProgress(peer);
+
+                // Schedule next frame (using setTimeout to prevent stack overflow)
+                if (pickDataChannel(peer)) {
+                    setTimeout(() => sendNextChunk(peer), 0);
+                } else {
+                    transfer.paused = true;
+                }
+            }, () => {
+                if (peer.transfer !== transfer) return;
+                log(`Error reading file chunk ${chunkIndex} of ${transfer.item.path}`, 'error');
+                notify(`Error reading ${file.name}. Skipping it.`, 'error');
+                sendControl(peer, { type: 'abort', transferId: transfer.transferId });
+                setResult(peer, transfer.item, 'failed', 'Could not read the file');
+                peer.transfer = null;
+                updateQueue();
+                setTimeout(() => sendNextQueuedFile(peer), 0);
+            });
+        }
+
+        /**
+         * Continues sending after backpressure release
+         * @param {Object} peer - Peer whose buffer drained
+         */
+        function continueSending(peer) {
+            if (peer.transfer && !peer.transfer.paused) {
+                sendNextChunk(peer);
+            }
+        }
+
+        /**
+         * Reports a device's progress on its active file
+         * @param {Object} peer - Peer
+         */
+        function updateSendProgress(peer) {
+            const transfer = peer.transfer;
+            emit('progress', {
+                direction: 'send',
+                peer,
+                path: transfer.item.path,
+                bytes: transfer.bytesSent,
+                total: transfer.item.file.size,
+                timing: transfer.timing
+            });
+        }
+
+        /**
+         * Finishes sending a device's active file and moves on to its next one
+         * @param {Object} peer - Peer
+         */
+        function finishSending(peer) {
+            const transfer = peer.transfer;
+
+            // Send completion signal
+            sendControl(peer, { type: 'complete', transferId: transfer.transferId });
+
+            // Striped frames may still trail the signal, and a receiver busy with another
+            // device may refuse the file after it was streamed, so the receipt decides
+            transfer.awaitingReceipt = true;
+            updatePeerState(peer, 'Waiting for the receipt');
+        }
+
+        /**
+         * Handles the receiver confirming it has every chunk of the file
+         * @param {Object} peer - Peer that received the file
+         * @param {Object} message - Received message with transferId
+         */
+        function handleTransferReceipt(peer, message) {
+            const transfer = peer.transfer;
+            if (!transfer || !transfer.awaitingReceipt || transfer.transferId !== message.transferId) return;
+            completeSending(peer);
+        }
+
+        /**
+         * Marks a device's active file as sent and moves on to the next one
+         * @param {Object} peer - Peer
+         */
+        function completeSending(peer) {
+            const transfer = peer.transfer;
+            const item = transfer.item;
+
+            const duration = (Date.now() - transfer.timing.startTime) / 1000;
+            const avgSpeed = duration > 0 ? item.file.size / duration : 0;
+            log(`Sent ${item.path} to ${peer.label} in ${formatTime(duration)} (${formatBytes(avgSpeed)}/s)`, 'success');
+
+            setResult(peer, item, 'sent');
+            peer.transfer = null;
+            emit('sent', peer, item);
+            updateQueue();
+
+            // Continue with the rest of the queue
+            setTimeout(() => sendNextQueuedFile(peer), 0);
+        }
+
+        /**
+         * Records a device's final result for a queued file and reports it
+         * @param {Object} peer - Peer
+         * @param {Object} item - Queue item
+         * @param {string} result - 'sent' | 'failed' | 'declined' | 'cancelled'
+         * @param {string} [error] - Why the file did not arrive
+         */
+        function setResult(peer, item, result, error) {
+            peer.results.set(item, result);
+
+            const transfer = peer.transfer && peer.transfer.item === item ? peer.transfer : null;
+            const finishedAt = Date.now();
+
+            // Hashes are long done for sent files; others may never have been hashed
+            Promise.resolve(item.hashes).catch(() => null).then((hashes) => emitResult({
+                direction: 'send',
+                peer,
+                transferId: transfer ? transfer.transferId : item.id,
+                path: item.path,
+                name: item.file.name,
+                size: item.file.size,
+                mimeType: item.file.type,
+                hash: hashes ? hashes.root : null,
+                startedAt: transfer ? transfer.startedAt : null,
+                finishedAt,
+                outcome: result,
+                error
+            }));
+        }
+
+        /**
+         * Reports how a file's transfer with a device ended. The event carries the
+         * peer's label, the duration in seconds (null if it never started), the
+         * SHA-256 root hash if known, and an outcome: 'sent' | 'received' |
+         * 'declined' | 'refused' | 'cancelled' | 'failed'.
+         * @param {Object} result - Result with the peer object
+         */
+        function emitResult(result) {
+            emit('transfer-result', Object.assign({}, result, {
+                peer: result.peer ? result.peer.label : null,
+                duration: result.startedAt ? (result.finishedAt - result.startedAt) / 1000 : null,
+                error: result.error || null
+            }));
+        }
+
+        /**
+         * Handles the receiver refusing a file (e.g. wrong passphrase)
+         * @param {Object} peer - Peer that refused
+         * @param {Object} message - Reject message with transferId, reason and busy
+         */
+        function handleTransferReject(peer, message) {
+            const transfer = peer.transfer && peer.transfer.transferId === message.transferId ? peer.transfer : null;
+            const item = transfer ? transfer.item : sendQueue.find((entry) => entry.id === message.transferId);
+            if (!item) return;
+
+            // The receiver takes another device's file first, this one is announced again later
+            if (message.busy) {
+                log(`${peer.label} is busy receiving from another device, ${item.path} waits`, 'info');
+                if (transfer) {
+                    peer.transfer = null;
+                    updatePeerState(peer, 'Waiting for the receiver');
+                    setTimeout(() => sendNextQueuedFile(peer), BUSY_RETRY_DELAY);
+                }
+                updateQueue();
+                return;
+            }
+
+            item.error = String(message.reason || 'No reason given');
+            setResult(peer, item, 'failed', item.error);
+            log(`${item.path} refused by ${peer.label}: ${item.error}`, 'error');
+            notify(`${item.file.name} was refused: ${item.error}`, 'error');
+
+            if (transfer) {
+                peer.transfer = null;
+                setTimeout(() => sendNextQueuedFile(peer), 0);
+            }
+            updateQueue();
+        }
+
+        /**
+         * Stops sending to a device that disconnected. Its active and remaining
+         * files are marked interrupted, other devices carry on.
+         * @param {Object} peer - Peer
+         */
+        function interruptPeerQueue(peer) {
+            const transfer = peer.transfer;
+            if (transfer) {
+                log(`Transfer of ${transfer.item.path} to ${peer.label} interrupted at chunk ${transfer.chunkIndex}/${transfer.totalChunks}`, 'warning');
+            }
+
+            peer.runItems.forEach((item) => {
+                if (!peer.results.has(item)) peer.results.set(item, 'interrupted');
+            });
+            peer.transfer = null;
+            peer.offer = null;
+            peer.held = false;
+            peer.sending = false;
+            updateQueue();
+
+            if (!isSending()) {
+                emit('send-finished');
+            }
+        }
+
+        /**
+         * Wraps up a device that got every queued file
+         * @param {Object} peer - Peer
+         */
+        function finishPeerQueue(peer) {
+            peer.sending = false;
+            peer.held = false;
+
+            const count = (result) => Array.from(peer.runItems).filter((item) => peer.results.get(item) === result).length;
+            const failed = count('failed');
+            const declined = count('declined');
+            if (declined === peer.runItems.size) {
+                updatePeerState(peer, 'Declined');
+            } else {
+                updatePeerState(peer, [
+                    'Done',
+                    failed > 0 ? `${failed} failed` : '',
+                    declined > 0 ? `${declined} declined` : ''
+                ].filter(Boolean).join(', '));
+            }
+            updateQueue();
+
+            if (!isSending()) {
+                emit('send-finished');
+            }
+        }
+
+        // ===========================================
+        // FILE TRANSFER - RECEIVER
+        // ===========================================
+
+        /**
+         * Handles incoming data channel messages in arrival order
+         * @param {Object} peer - Peer the message came from
+         * @param {MessageEvent} event - Message event
+         */
+        function handleDataChannelMessage(peer, event) {
+            incomingQueue = incomingQueue
+                .then(() => dispatchMessage(peer, event.data))
+                .catch((error) => log(`Failed to handle message: ${error.message}`, 'error'));
+        }
+
+        /**
+         * Routes one message; returns a promise while the next message must wait
+         * @param {Object} peer - Peer the message came from
+         * @param {string|ArrayBuffer} data - Message payload
+         * @returns {Promise|undefined} Pending work of this message
+         */
+        function dispatchMessage(peer, data) {
+            // Handle text messages (metadata, control)
+            if (typeof data === 'string') {
+                let message;
+                try {
+                    message = WireProtocol.decodeControl(data);
+                } catch (error) {
+                    failProtocol(peer, error.message);
+                    return undefined;
+                }
+
+                try {
+                    if (message.type === 'hello') {
+                        handleHello(peer, message);
+                    } else if (message.type === 'offer') {
+                        handleFileOffer(peer, message);
+                    } else if (message.type === 'accept') {
+                        handleOfferAnswer(peer, message);
+                    } else if (message.type === 'metadata') {
+                        return handleFileMetadata(peer, message);
+                    } else if (message.type === 'key-ok') {
+                        handleKeyAccepted(peer, message);
+                    } else if (message.type === 'reject') {
+                        handleTransferReject(peer, message);
+                    } else if (message.type === 'complete') {
+                        handleTransferComplete(peer, message);
+                    } else if (message.type === 'received') {
+                        handleTransferReceipt(peer, message);
+                    } else if (message.type === 'abort') {
+                        handleTransferAbort(peer, message);
+                    } else if (message.type === 'resume') {
+                        handleResumeRequest(peer, message);
+                    } else if (message.type === 'resume-accept') {
+                        handleResumeAccept(peer, message);
+                    } else if (message.type === 'resume-reject') {
+                        handleResumeReject(peer, message);
+                    } else if (message.type === 'pause' || message.type === 'unpause') {
+                        handlePauseRequest(peer, message.type === 'pause');
+                    } else if (message.type === 'cancel') {
+                        handleCancelRequest(peer);
+                    } else if (message.type === 'paused' || message.type === 'unpaused') {
+                        handleSenderPaused(peer, message.type === 'paused');
+                    } else if (message.type === 'verified') {
+                        handleVerificationConfirmed(peer);
+                    }
+                } catch (e) {
+                    log(`Failed to handle ${message.type} message: ${e.message}`, 'error');
+                }
+                return undefined;
+            }
+
+            // Handle binary data (file chunks)
+            return handleFileChunk(peer, data);
+        }
+
+        /**
+         * Handles a device offering files; the consumer decides which ones to receive
+         * @param {Object} peer - Peer offering the files
+         * @param {Object} message - Offer with offerId and the file list
+         */
+        function handleFileOffer(peer, message) {
+            // Field types were checked when decoding, names are cleaned here
+            const files = message.files;
+            const isValid = files.length > 0 &&
+                files.length <= MAX_OFFER_FILES &&
+                files.every((file) => sanitizeFileNames(file) && file.size <= MAX_FILE_SIZE);
+
+            if (!isValid) {
+                log(`Malformed file offer from ${peer.label} declined`, 'error');
+                sendControl(peer, { type: 'accept', offerId: message.offerId, files: [] });
+                return;
+            }
+
+            // Files the receive policy refuses are not put to the user
+            const refusals = [];
+            const permitted = files.filter((file) => {
+                const reason = isVerified(peer)
+                    ? describePolicyViolation(settings.receivePolicy, file, sessionBytes)
+                    : 'Device is not verified yet, compare the verification code first';
+                if (reason) {
+                    refusals.push({ transferId: file.transferId, reason });
+                    reportRefusedFile(peer, file, reason);
+                }
+                return !reason;
+            });
+
+            if (refusals.length > 0) {
+                notify(`${refusals.length} file(s) from ${peer.label} refused by the receive policy.`, 'error');
+            }
+            if (permitted.length === 0) {
+                sendControl(peer, { type: 'accept', offerId: message.offerId, files: [], refused: refusals });
+                return;
+            }
+            if (refusals.length > 0) {
+                offerRefusals.set(message.offerId, refusals);
+            }
+
+            const totalSize = permitted.reduce((sum, file) => sum + file.size, 0);
+            log(`${peer.label} offers ${permitted.length} file(s) (${formatBytes(totalSize)})`, 'info');
+            notify(`${peer.label} wants to send ${permitted.length} file(s).`, 'info');
+            emit('offer', { peer, offerId: message.offerId, files: permitted });
+        }
+
+        /**
+         * Answers an offer; only the accepted files will be received
+         * @param {Object} peer - Peer that made the offer
+         * @param {string} offerId - Offer id from the 'offer' event
+         * @param {string[]} ids - Accepted transfer ids, empty to decline
+         */
+        function answerOffer(peer, offerId, ids) {
+            const refused = offerRefusals.get(offerId) || [];
+            offerRefusals.delete(offerId);
+
+            ids.forEach((id) => peer.acceptedIds.add(id));
+            if (peer.channel && peer.channel.readyState === 'open') {
+                sendControl(peer, { type: 'accept', offerId, files: ids, refused });
+            }
+        }
+
+        /**
+         * Handles incoming file metadata
+         * @param {Object} peer - Peer announcing the file
+         * @param {Object} metadata - File metadata object
+         */
+        async function handleFileMetadata(peer, metadata) {
+            // The key check covers the fields as the sender wrote them
+            const announced = bindMetadata(metadata);
+
+            // Field types were checked when decoding, the name is shown and saved
+            const hasName = sanitizeFileNames(metadata);
+
+            // Everything is checked before the receive state is touched, so a
+            // file nobody asked for cannot cost the partial file being resumed
+            let key = null;
+            try {
+                const layoutError = describeLayoutError(metadata, hasName);
+                if (layoutError) {
+                    throw new Error(layoutError);
+                }
+                if (!peer.acceptedIds.has(metadata.transferId)) {
+                    throw new Error('File was not accepted');
+                }
+
+                // The policy may have changed since the offer, and metadata is what gets saved
+                const refusal = describePolicyViolation(settings.receivePolicy, metadata, sessionBytes);
+                if (refusal) {
+                    throw new Error(refusal);
+                }
+                if (metadata.encryption) {
+                    if (!settings.passphrase) {
+                        throw new Error('File is encrypted, enter the shared passphrase');
+                    }
+                    // Without a checksum a shortened file would still decrypt
+                    if (!metadata.hash || !isValidHashDescriptor(metadata.hash, metadata.size)) {
+                        throw new Error('Encrypted file has no valid checksum list');
+                    }
+                    key = await openEncryption(metadata.encryption, metadata.transferId, announced);
+                } else if (settings.passphrase) {
+                    throw new Error('Sender did not encrypt the file');
+                }
+            } catch (error) {
+                // Chunks that follow are dropped quietly
+                if (!receivedFileInfo) {
+                    receivingPeer = peer;
+                    ignoringChunks = true;
+                }
+                rejectIncomingFile(peer, metadata, error.message);
+                return;
+            }
+
+            // One file is received at a time, other devices announce theirs again later
+            if (receivingPeer && receivingPeer !== peer && receivingPeer.isConnected && receivedFileInfo) {
+                sendControl(peer, {
+                    type: 'reject',
+                    transferId: metadata.transferId,
+                    reason: 'Busy receiving a file from another device',
+                    busy: true
+                });
+                log(`${metadata.path} from ${peer.label} waits until ${receivedFileInfo.path} is received`, 'info');
+                return;
+            }
+
+            if (receivedFileInfo) {
+                log(`Partial file ${receivedFileInfo.path} discarded, sender started a new transfer`, 'warning');
+                discardPartialFile('replaced');
+            }
+            receivingPeer = peer;
+            ignoringChunks = false;
+
+            receiveKey = key;
+            sessionBytes += metadata.size;
+            receivedFileInfo = metadata;
+            receivedFileInfo.path = metadata.path || metadata.name;
+            receivedChunks = new Array(metadata.totalChunks);
+            receivedBitmap = new Uint8Array(Math.ceil(metadata.totalChunks / 8));
+            receivedBytes = 0;
+            receiveQueue = Promise.resolve();
+            integrityErrors = [];
+            receivedFileInfo.startedAt = Date.now();
+            receiveSink = createReceiveSink(receivedFileInfo);
+            receiveTiming = createTiming(0);
+
+            const position = metadata.fileCount > 1 ? ` ${metadata.fileIndex}/${metadata.fileCount}` : '';
+
+            log(`Receiving file${position}: ${receivedFileInfo.path} (${formatBytes(metadata.size)}, ${metadata.totalChunks} chunks)`, 'info');
+            emit('receive-start', peer, receivedFileInfo);
+
+            if (!metadata.hash) {
+                log(`${receivedFileInfo.path} has no checksum and cannot be verified`, 'warning');
+            } else if (!isValidHashDescriptor(metadata.hash, metadata.size)) {
+                log(`${receivedFileInfo.path} has a malformed checksum list`, 'error');
+                integrityErrors.push({ message: 'Checksum list sent by the peer is malformed' });
+            }
+
+            if (receiveKey) {
+                sendControl(peer, { type: 'key-ok', transferId: metadata.transferId });
+                log(`${receivedFileInfo.path} is encrypted (AES-256-GCM), passphrase accepted`, 'success');
+            }
+        }
+
+        /**
+         * Checks that announced metadata describes a file this engine can receive
+         * @param {Object} metadata - File metadata with cleaned names
+         * @param {boolean} hasName - Whether a usable name was left after cleaning
+         * @returns {string|null} What is wrong, null if nothing
+         */
+        function describeLayoutError(metadata, hasName) {
+            if (!hasName) {
+                return 'File name is empty or invalid';
+            }
+            if (metadata.size > MAX_FILE_SIZE) {
+                return `File is larger than ${formatBytes(MAX_FILE_SIZE)}`;
+            }
+            if (metadata.totalChunks !== Math.ceil(metadata.size / CHUNK_SIZE)) {
+                return `Chunk count ${metadata.totalChunks} does not match the file size`;
+            }
+            if (metadata.fileIndex < 1 || metadata.fileIndex > metadata.fileCount) {
+                return `File position ${metadata.fileIndex}/${metadata.fileCount} is out of range`;
+            }
+            return null;
+        }
+
+        /**
+         * Refuses an announced file and tells the sender why
+         * @param {Object} peer - Peer that announced the file
+         * @param {Object} metadata - Metadata of the refused file
+         * @param {string} reason - Human-readable reason
+         */
+        function rejectIncomingFile(peer, metadata, reason) {
+            sendControl(peer, { type: 'reject', transferId: metadata.transferId, reason });
+            reportRefusedFile(peer, metadata, reason);
+            notify(`${metadata.path || metadata.name} was refused: ${reason}`, 'error');
+        }
+
+        /**
+         * Lists a refused file among the received ones and in the history
+         * @param {Object} peer - Peer that offered or announced the file
+         * @param {Object} metadata - Offer entry or metadata of the refused file
+         * @param {string} reason - Human-readable reason
+         */
+        function reportRefusedFile(peer, metadata, reason) {
+            const path = String(metadata.path || metadata.name);
+
+            emit('file', {
+                transferId: metadata.transferId,
+                path,
+                name: String(metadata.name),
+                size: Number(metadata.size) || 0,
+                mimeType: metadata.mimeType,
+                blob: null,
+                savedTo: null,
+                verified: false,
+                error: `Refused: ${reason}`
+            });
+
+            emitResult({
+                direction: 'receive',
+                peer,
+                transferId: metadata.transferId,
+                path,
+                name: String(metadata.name),
+                size: Number(metadata.size) || 0,
+                mimeType: metadata.mimeType,
+                hash: null,
+                startedAt: null,
+                finishedAt: Date.now(),
+                outcome: 'refused',
+                error: reason
+            });
+
+            log(`Refused ${path}: ${reason}`, 'error');
+        }
+
+        /**
+         * Checks that a hash descriptor matches the file layout
+         * @param {Object} hash - Hash descriptor from metadata
+         * @param {number} size - File size in bytes
+         * @returns {boolean} True if usable for verification
+         */
+        function isValidHashDescriptor(hash, size) {
+            // Chunks wait in memory until their block is verified, so blocks
+            // may be no larger than this side would have chosen
+            return hash.algorithm === 'SHA-256' &&
+                Number.isInteger(hash.blockSize) &&
+                hash.blockSize > 0 &&
+                hash.blockSize <= getHashBlockSize(size) &&
+                hash.blockSize % CHUNK_SIZE === 0 &&
+                Array.isArray(hash.blocks) &&
+                hash.blocks.length === Math.ceil(size / hash.blockSize) &&
+                hash.blocks.every((block) => /^[0-9a-f]{64}$/.test(block)) &&
+                /^[0-9a-f]{64}$/.test(hash.root);
+        }
+
+        /**
+         * Picks where an incoming file is written. Every sink exposes
+         * write(position, data), close() and abort(); close() resolves to a Blob
+         * for the in-memory sink and to null once the data is already saved.
+         * @param {Object} info - Metadata of the incoming file
+         * @returns {Promise<Object>} Sink for the file
+         */
+        async function createReceiveSink(info) {
+            try {
+                const sink = options.createSink ? await options.createSink(info) : null;
+                if (sink) return sink;
+            } catch (error) {
+                log(`Cannot stream ${info.path} to disk (${error.message}), keeping it in memory`, 'warning');
+            }
+            return createMemorySink();
+        }
+
+        /**
+         * Handles an incoming frame of one or more consecutive chunks
+         * @param {Object} peer - Peer the frame came from
+         * @param {ArrayBuffer} data - Frame data with header
+         */
+        async function handleFileChunk(peer, data) {
+            let frame;
+            try {
+                frame = WireProtocol.decodeFrame(data);
+            } catch (error) {
+                failProtocol(peer, error.message);
+                return;
+            }
+
+            // Chunks of a refused file from another device
+            if (peer !== receivingPeer) return;
+
+            if (!receivedFileInfo) {
+                if (!ignoringChunks) log('Received chunk before metadata', 'error');
+                return;
+            }
+
+            // Chunks of an earlier or cancelled file can trail behind on other channels
+            if (frame.transferId !== receivedFileInfo.transferId) return;
+
+            if (frame.offset % CHUNK_SIZE !== 0 || Boolean(frame.flags & WireProtocol.FLAG_ENCRYPTED) !== Boolean(receiveKey)) {
+                failProtocol(peer, `Malformed frame for ${receivedFileInfo.path}`);
+                return;
+            }
+
+            // Each chunk carries a tag when encrypted, only the file's last chunk may be short
+            const info = receivedFileInfo;
+            const payload = frame.payload;
+            const unit = receiveKey ? CHUNK_SIZE + GCM_TAG_SIZE : CHUNK_SIZE;
+            const firstChunk = frame.offset / CHUNK_SIZE;
+            const chunkCount = Math.ceil(payload.byteLength / unit);
+            const expectedLength = Math.min(info.size, (firstChunk + chunkCount) * CHUNK_SIZE) - frame.offset +
+                (receiveKey ? chunkCount * GCM_TAG_SIZE : 0);
+
+            if (chunkCount === 0 || firstChunk + chunkCount > info.totalChunks || payload.byteLength !== expectedLength) {
+                failProtocol(peer, `Frame at byte ${frame.offset} does not fit ${info.path}`);
+                return;
+            }
+
+            // Split the frame into its chunks
+            for (let offset = 0, chunkIndex = firstChunk; offset < payload.byteLength; offset += unit, chunkIndex++) {
+                if (receivedFileInfo !== info) return;
+                await receiveChunk(chunkIndex, payload.slice(offset, offset + unit));
+            }
+
+            // Update progress
+            updateReceiveProgress();
+
+            // Frames on other channels may have trailed the completion signal
+            if (pendingCompletion && countMissingChunks() === 0) {
+                const message = pendingCompletion;
+                clearPendingCompletion();
+                await handleTransferComplete(peer, message);
+            }
+        }
+
+        /**
+         * Stores one chunk of the file being received
+         * @param {number} chunkIndex - Index of the chunk
+         * @param {ArrayBuffer} data - Chunk data, encrypted if a key is set
+         */
+        async function receiveChunk(chunkIndex, data) {
+            // Duplicates can arrive around a reconnect
+            if (hasChunk(receivedBitmap, chunkIndex)) return;
+
+            let chunkData = data;
+
+            if (receiveKey) {
+                try {
+                    chunkData = await decryptChunk(receiveKey, chunkIndex, chunkData);
+                } catch (error) {
+                    // Authentication failed: tampered, corrupted or out of place
+                    if (integrityErrors.length === 0) {
+                        log(`Chunk ${chunkIndex} of ${receivedFileInfo.path} failed decryption`, 'error');
+                        integrityErrors.push({ message: `Encrypted chunk ${chunkIndex} failed authentication` });
+                    }
+                    chunkData = new ArrayBuffer(Math.min(CHUNK_SIZE, receivedFileInfo.size - chunkIndex * CHUNK_SIZE));
+                }
+            }
+
+            receivedBitmap[chunkIndex >> 3] |= 1 << (chunkIndex & 7);
+            receivedBytes += chunkData.byteLength;
+
+            // A failed file is only counted, nothing more is kept or written
+            if (integrityErrors.length === 0) {
+                if (receivedFileInfo.hash) {
+                    // Hold the chunk until its whole block can be verified
+                    receivedChunks[chunkIndex] = chunkData;
+                    verifyBlockIfComplete(chunkIndex);
+                } else {
+                    writeToSink(chunkIndex * CHUNK_SIZE, chunkData);
+                }
+            }
+        }
+
+        /**
+         * Queues SHA-256 verification of the block holding a chunk when complete
+         * @param {number} chunkIndex - Index of the chunk that just arrived
+         */
+        function verifyBlockIfComplete(chunkIndex) {
+            const { blockSize, blocks } = receivedFileInfo.hash;
+            const chunksPerBlock = blockSize / CHUNK_SIZE;
+            const block = Math.floor(chunkIndex / chunksPerBlock);
+            const firstChunk = block * chunksPerBlock;
+            const lastChunk = Math.min(firstChunk + chunksPerBlock, receivedFileInfo.totalChunks) - 1;
+
+            for (let i = firstChunk; i <= lastChunk; i++) {
+                if (!hasChunk(receivedBitmap, i)) return;
+            }
+
+            // Capture everything now, the next file may replace the state
+            const chunks = receivedChunks.slice(firstChunk, lastChunk + 1);
+            const expected = blocks[block];
+            const errors = integrityErrors;
+            const sink = receiveSink;
+            const path = receivedFileInfo.path;
+            const firstByte = firstChunk * CHUNK_SIZE;
+            const lastByte = firstByte + chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0) - 1;
+
+            // The block now lives in the closure only
+            receivedChunks.fill(undefined, firstChunk, lastChunk + 1);
+
+            receiveQueue = receiveQueue.then(async () => {
+                if (errors.length > 0) return;
+
+                const data = await new Blob(chunks).arrayBuffer();
+                const digest = bufferToHex(await crypto.subtle.digest('SHA-256', data));
+                if (digest !== expected) {
+                    errors.push({ firstChunk, lastChunk, firstByte, lastByte });
+                    log(`Checksum mismatch in ${path}: chunks ${firstChunk}–${lastChunk} (bytes ${firstByte}–${lastByte})`, 'error');
+                    return;
+                }
+
+                // Only verified data reaches the sink
+                try {
+                    await (await sink).write(firstByte, data);
+                } catch (error) {
+                    errors.push({ message: `Could not save data: ${error.message}` });
+                }
+            });
+        }
+
+        /**
+         * Queues a write of unverified data (sender sent no checksums)
+         * @param {number} position - Byte offset in the file
+         * @param {ArrayBuffer} data - Bytes to write
+         */
+        function writeToSink(position, data) {
+            const errors = integrityErrors;
+            const sink = receiveSink;
+
+            receiveQueue = receiveQueue.then(async () => {
+                if (errors.length > 0) return;
+                try {
+                    await (await sink).write(position, data);
+                } catch (error) {
+                    errors.push({ message: `Could not save data: ${error.message}` });
+                }
+            });
+        }
+
+        /**
+         * Waits for pending block checks and verifies the whole-file hash
+         * @param {Object} info - Metadata of the received file
+         * @param {Promise} pending - Verification and write chain of that file
+         * @param {Array<Object>} errors - Integrity errors of that file
+         * @returns {Promise<{verified: boolean, error: string|null}>} Verification result
+         */
+        async function verifyReceivedFile(info, pending, errors) {
+            await pending;
+
+            if (errors.length > 0) {
+                const ranges = errors.filter((e) => !e.message)
+                    .map((e) => `chunks ${e.firstChunk}–${e.lastChunk} (bytes ${e.firstByte}–${e.lastByte})`);
+                const messages = errors.filter((e) => e.message).map((e) => e.message);
+                if (ranges.length > 0) {
+                    messages.unshift(`SHA-256 mismatch: ${ranges.join(', ')}`);
+                }
+                return { verified: false, error: messages.join('; ') };
+            }
+
+            if (!info.hash) return { verified: false, error: null };
+
+            const root = await digestBlockList(info.hash.blocks);
+            if (root !== info.hash.root) {
+                return { verified: false, error: 'SHA-256 mismatch: whole-file hash does not match its block list' };
+            }
+
+            return { verified: true, error: null };
+        }
+
+        /**
+         * Reports the progress of the file being received
+         */
+        function updateReceiveProgress() {
+            emit('progress', {
+                direction: 'receive',
+                peer: receivingPeer,
+                path: receivedFileInfo.path,
+                bytes: receivedBytes,
+                total: receivedFileInfo.size,
+                timing: receiveTiming
+            });
+        }
+
+        /**
+         * Handles transfer completion signal
+         * @param {Object} peer - Peer that finished sending
+         * @param {Object} message - Completion message with transferId
+         */
+        async function handleTransferComplete(peer, message) {
+            if (peer !== receivingPeer || !receivedFileInfo || message.transferId !== receivedFileInfo.transferId) {
+                log('Completion signal for an unknown transfer ignored', 'warning');
+                return;
+            }
+
+            log(`Transfer complete signal received for ${receivedFileInfo.path}`, 'success');
+
+            const missing = countMissingChunks();
+            if (missing > 0 && peer.stripes.length > 0 && !pendingCompletion) {
+                // Striped frames can still be on their way, give them a moment
+                log(`Waiting for ${missing} chunk(s) of ${receivedFileInfo.path} still in flight`, 'info');
+                pendingCompletion = message;
+                pendingCompletionTimer = setTimeout(() => {
+                    if (receivedFileInfo && receivedFileInfo.transferId === message.transferId) {
+                        discardIncompleteFile(peer);
+                    }
+                }, STRIPE_GRACE_PERIOD);
+                return;
+            }
+            if (missing > 0) {
+                discardIncompleteFile(peer);
+                return;
+            }
+            confirmReceipt(peer, message.transferId);
+
+            // Take over the file state, the next file may arrive while verifying
+            const info = receivedFileInfo;
+            const pending = receiveQueue;
+            const errors = integrityErrors;
+            const sinkReady = receiveSink;
+            detachPartialFile('complete');
+            peer.acceptedIds.delete(info.transferId);
+
+            const entry = {
+                transferId: info.transferId,
+                path: info.path,
+                name: info.name,
+                size: info.size,
+                mimeType: info.mimeType,
+                blob: null,
+                savedTo: null,
+                verified: null,
+                error: null
+            };
+            emit('file', entry);
+
+            const duration = (Date.now() - receiveTiming.startTime) / 1000;
+            const avgSpeed = duration > 0 ? info.size / duration : 0;
+
+            log(`File received! Duration: ${formatTime(duration)}, Avg speed: ${formatBytes(avgSpeed)}/s`, 'success');
+
+            // Only verified (or unverifiable) files are kept
+            const result = await verifyReceivedFile(info, pending, errors);
+            const sink = await sinkReady;
+            entry.verified = result.verified;
+            entry.error = result.error;
+
+            if (result.error) {
+                await sink.abort().catch(() => {});
+                log(`${info.path} failed verification: ${result.error}`, 'error');
+                notify(`${info.name} is corrupted and was discarded.`, 'error');
+            } else {
+                try {
+                    // Memory sinks hand back a Blob, other sinks have already saved it
+                    const blob = await sink.close();
+                    if (blob) {
+                        entry.blob = blob;
+                    } else {
+                        entry.savedTo = sink.location;
+                        log(`${info.path} saved to ${sink.location}`, 'success');
+                    }
+                } catch (error) {
+                    entry.error = `Could not save file: ${error.message}`;
+                    log(`${info.path}: ${entry.error}`, 'error');
+                }
+                if (result.verified) {
+                    log(`${info.path} verified (SHA-256 ${info.hash.root.slice(0, 16)}…)`, 'success');
+                }
+            }
+
+            // The last file of a batch completes the transfer
+            emit('file-verified', entry, !info.fileCount || info.fileIndex >= info.fileCount);
+            emitResult({
+                direction: 'receive',
+                peer,
+                transferId: info.transferId,
+                path: info.path,
+                name: info.name,
+                size: info.size,
+                mimeType: info.mimeType,
+                hash: result.verified ? info.hash.root : null,
+                startedAt: info.startedAt,
+                finishedAt: Date.now(),
+                outcome: entry.error ? 'failed' : 'received',
+                error: entry.error
+            });
+        }
+
+        /**
+         * Counts chunks of the current file that have not arrived yet
+         * @returns {number} Number of missing chunks
+         */
+        function countMissingChunks() {
+            let missing = 0;
+            for (let i = 0; i < receivedFileInfo.totalChunks; i++) {
+                if (!hasChunk(receivedBitmap, i)) missing++;
+            }
+            return missing;
+        }
+
+        /**
+         * Drops the file being received after it was completed with chunks missing
+         * @param {Object} peer - Peer that sent the file
+         */
+        function discardIncompleteFile(peer) {
+            log(`${receivedFileInfo.path} is missing ${countMissingChunks()} chunk(s), file discarded`, 'error');
+            notify(`${receivedFileInfo.name} arrived incomplete. Please send it again.`, 'error');
+            confirmReceipt(peer, receivedFileInfo.transferId);
+            discardPartialFile('incomplete');
+        }
+
+        /**
+         * Lets the sender move on, no frame of the file is still in flight
+         * @param {Object} peer - Peer that sent the file
+         * @param {string} transferId - Transfer id of the file
+         */
+        function confirmReceipt(peer, transferId) {
+            if (peer.channel.readyState === 'open') {
+                sendControl(peer, { type: 'received', transferId });
+            }
+        }
+
+        /**
+         * Drops the file currently being received and deletes what was saved of it
+         * @param {string} reason - Why, passed on with the 'receive-end' event
+         */
+        function discardPartialFile(reason) {
+            if (receiveSink) {
+                const sink = receiveSink;
+                receiveQueue.then(() => sink).then((ready) => ready.abort()).catch(() => {});
+            }
+            detachPartialFile(reason);
+        }
+
+        /**
+         * Stops waiting for frames that trailed a completion signal
+         */
+        function clearPendingCompletion() {
+            clearTimeout(pendingCompletionTimer);
+            pendingCompletion = null;
+            pendingCompletionTimer = null;
+        }
+
+        /**
+         * Releases the state of the file currently being received
+         * @param {string} reason - Why, passed on with the 'receive-end' event
+         */
+        function detachPartialFile(reason) {
+            const info = receivedFileInfo;
+            clearPendingCompletion();
+            receivedChunks = [];
+            receivedBitmap = null;
+            receivedFileInfo = null;
+            receiveQueue = Promise.resolve();
+            integrityErrors = [];
+            receiveSink = null;
+            receiveKey = null;
+            receivePaused = false;
+            emit('receive-end', info, reason);
+
+            if (reason !== 'complete') {
+                // Only files that arrived count against the session limit
+                sessionBytes -= info.size;
+                emitResult({
+                    direction: 'receive',
+                    peer: receivingPeer,
+                    transferId: info.transferId,
+                    path: info.path,
+                    name: info.name,
+                    size: info.size,
+                    mimeType: info.mimeType,
+                    hash: null,
+                    startedAt: info.startedAt,
+                    finishedAt: Date.now(),
+                    outcome: reason === 'cancelled' || reason === 'aborted' ? 'cancelled' : 'failed',
+                    error: DISCARD_REASONS[reason]
+                });
+            }
+        }
+
+        /**
+         * Describes the file being received
+         * @returns {Object|null} { peer, info, bytes, paused }, null if none
+         */
+        function getIncoming() {
+            if (!receivedFileInfo) return null;
+            return { peer: receivingPeer, info: receivedFileInfo, bytes: receivedBytes, paused: receivePaused };
+        }
+
+        /**
+         * Asks the sender to continue an interrupted file (sent when the channel opens)
+         * @param {Object} peer - Peer whose channel just opened
+         */
+        function requestResume(peer) {
+            if (!receivedFileInfo || peer.channel.readyState !== 'open') return;
+
+            // Another device is still sending the partial file
+            if (receivingPeer && receivingPeer !== peer && receivingPeer.isConnected) return;
+
+            sendControl(peer, {
+                type: 'resume',
+                transferId: receivedFileInfo.transferId,
+                name: receivedFileInfo.name,
+                size: receivedFileInfo.size,
+                lastModified: receivedFileInfo.lastModified,
+                totalChunks: receivedFileInfo.totalChunks,
+                have: bytesToBase64(receivedBitmap),
+                encryption: receivedFileInfo.encryption || null
+            });
+
+            const missing = countMissingChunks();
+            log(`Requested resume of ${receivedFileInfo.path} (${missing} chunk(s) missing)`, 'info');
+        }
+
+        /**
+         * Handles the sender agreeing to resume
+         * @param {Object} peer - Peer that resumes sending
+         * @param {Object} message - Resume-accept message with transferId
+         */
+        function handleResumeAccept(peer, message) {
+            if (!receivedFileInfo || message.transferId !== receivedFileInfo.transferId) return;
+
+            // The device came back on a new connection: the rest of its files stay accepted
+            if (receivingPeer && receivingPeer !== peer) {
+                receivingPeer.acceptedIds.forEach((id) => peer.acceptedIds.add(id));
+            }
+            receivingPeer = peer;
+            receiveTiming = createTiming(receivedBytes);
+            receivePaused = false;
+
+            log(`Sender is resuming ${receivedFileInfo.path}`, 'success');
+            emit('receive-resume', peer, receivedFileInfo);
+        }
+
+        /**
+         * Handles the sender refusing to resume
+         * @param {Object} peer - Peer that refused
+         * @param {Object} message - Resume-reject message with reason
+         */
+        function handleResumeReject(peer, message) {
+            if (!receivedFileInfo || message.transferId !== receivedFileInfo.transferId) return;
+            if (receivingPeer && receivingPeer !== peer && receivingPeer.isConnected) return;
+
+            log(`Cannot resume ${receivedFileInfo.path}: ${message.reason}`, 'error');
+            notify(`Cannot resume ${receivedFileInfo.name}. Ask the sender to send it again.`, 'error');
+            discardPartialFile('resume-rejected');
+        }
+
+        /**
+         * Handles a transfer or offer the sender gave up on
+         * @param {Object} peer - Peer that gave up
+         * @param {Object} message - Abort message with transferId or offerId
+         */
+        function handleTransferAbort(peer, message) {
+            // An offer withdrawn before it was answered
+            if (message.offerId) {
+                offerRefusals.delete(message.offerId);
+                log(`${peer.label} withdrew its file offer`, 'warning');
+                emit('offer-withdrawn', peer, message.offerId);
+                return;
+            }
+
+            if (peer !== receivingPeer || !receivedFileInfo || message.transferId !== receivedFileInfo.transferId) return;
+
+            log(`Sender aborted ${receivedFileInfo.path}`, 'warning');
+            notify(`${peer.label} stopped sending ${receivedFileInfo.name}.`, 'error');
+            peer.acceptedIds.delete(receivedFileInfo.transferId);
+            discardPartialFile('aborted');
+        }
+
+        // ===========================================
+        // PAUSE, RESUME & CANCEL
+        // ===========================================
+
+        /**
+         * Pauses sending, or asks the sender to pause the incoming file
+         * @param {string} direction - 'send' | 'receive'
+         */
+        function pause(direction) {
+            if (direction === 'send') {
+                const active = getPeers().filter((peer) => peer.sending && !peer.held);
+                active.forEach((peer) => holdPeer(peer, true));
+                if (active.length > 0) log('Sending paused', 'info');
+                return;
+            }
+
+            if (!receivedFileInfo || !receivingPeer || !receivingPeer.isConnected) return;
+            sendControl(receivingPeer, { type: 'pause', transferId: receivedFileInfo.transferId });
+            log(`Asked ${receivingPeer.label} to pause ${receivedFileInfo.path}`, 'info');
+        }
+
+        /**
+         * Resumes paused sending, or asks the sender to continue
+         * @param {string} direction - 'send' | 'receive'
+         */
+        function resume(direction) {
+            if (direction === 'send') {
+                const held = getPeers().filter((peer) => peer.sending && peer.held);
+                held.forEach((peer) => holdPeer(peer, false));
+                if (held.length > 0) log('Sending resumed', 'info');
+                return;
+            }
+
+            if (!receivedFileInfo || !receivingPeer || !receivingPeer.isConnected) return;
+            sendControl(receivingPeer, { type: 'unpause', transferId: receivedFileInfo.transferId });
+            log(`Asked ${receivingPeer.label} to continue ${receivedFileInfo.path}`, 'info');
+        }
+
+        /**
+         * Cancels sending to every device, or the incoming file and the rest of its batch
+         * @param {string} direction - 'send' | 'receive'
+         */
+        function cancel(direction) {
+            if (direction === 'send') {
+                const active = getPeers().filter((peer) => peer.sending);
+                if (active.length === 0) return;
+                log('Sending cancelled', 'warning');
+                active.forEach((peer) => cancelPeerQueue(peer));
+                return;
+            }
+
+            if (!receivedFileInfo) return;
+
+            const info = receivedFileInfo;
+            if (receivingPeer && receivingPeer.isConnected) {
+                sendControl(receivingPeer, { type: 'cancel', transferId: info.transferId });
+            }
+
+            // Chunks already on the way are dropped
+            ignoringChunks = true;
+            if (receivingPeer) receivingPeer.acceptedIds.delete(info.transferId);
+            discardPartialFile('cancelled');
+            log(`Cancelled receiving ${info.path}`, 'warning');
+        }
+
+        /**
+         * Pauses or continues sending to one device and tells it
+         * @param {Object} peer - Peer
+         * @param {boolean} held - True to pause
+         */
+        function holdPeer(peer, held) {
+            peer.held = held;
+            restartLinkSample(peer);
+            if (peer.channel && peer.channel.readyState === 'open') {
+                const transferId = peer.transfer ? peer.transfer.transferId : null;
+                sendControl(peer, { type: held ? 'paused' : 'unpaused', transferId });
+            }
+            updatePeerState(peer, held ? 'Paused' : 'Sending');
+
+            if (!held) {
+                const transfer = peer.transfer;
+                if (!transfer) {
+                    sendNextQueuedFile(peer);
+                } else if (!transfer.hashing && !transfer.awaitingKey) {
+                    transfer.timing = createTiming(transfer.bytesSent);
+                    sendNextChunk(peer);
+                }
+            }
+
+            emit('hold', peer, held);
+        }
+
+        /**
+         * Stops sending to a device; its unfinished files are marked cancelled
+         * @param {Object} peer - Peer
+         */
+        function cancelPeerQueue(peer) {
+            if (peer.transfer) {
+                sendControl(peer, { type: 'abort', transferId: peer.transfer.transferId });
+            } else if (peer.offer) {
+                sendControl(peer, { type: 'abort', offerId: peer.offer.id });
+            }
+
+            peer.runItems.forEach((item) => {
+                if (!peer.results.has(item)) setResult(peer, item, 'cancelled');
+            });
+            peer.transfer = null;
+            peer.offer = null;
+            peer.held = false;
+            peer.sending = false;
+            updatePeerState(peer, 'Cancelled');
+            updateQueue();
+
+            if (!isSending()) {
+                emit('send-finished');
+            }
+        }
+
+        /**
+         * Handles the receiving device asking to pause or continue
+         * @param {Object} peer - Peer that asked
+         * @param {boolean} held - True to pause
+         */
+        function handlePauseRequest(peer, held) {
+            if (!peer.sending || peer.held === held) return;
+
+            log(`${peer.label} ${held ? 'paused' : 'resumed'} the transfer`, 'info');
+            holdPeer(peer, held);
+        }
+
+        /**
+         * Handles the receiving device cancelling
+         * @param {Object} peer - Peer that cancelled
+         */
+        function handleCancelRequest(peer) {
+            if (!peer.sending) return;
+
+            log(`${peer.label} cancelled the transfer`, 'warning');
+            notify(`${peer.label} cancelled the transfer.`, 'error');
+            cancelPeerQueue(peer);
+        }
+
+        /**
+         * Tracks the sender's pause state on the receiving side
+         * @param {Object} peer - Peer that sends
+         * @param {boolean} held - True if paused
+         */
+        function handleSenderPaused(peer, held) {
+            if (peer !== receivingPeer || !receivedFileInfo) {
+                log(`${peer.label} ${held ? 'paused' : 'resumed'} sending`, 'info');
+                return;
+            }
+
+            receivePaused = held;
+            if (!held) {
+                receiveTiming = createTiming(receivedBytes);
+            }
+            log(`Receiving ${receivedFileInfo.path} ${held ? 'paused' : 'resumed'}`, 'info');
+            emit('receive-paused', peer, receivedFileInfo, held);
+        }
+
+        // ===========================================
+        // PAYLOAD ENCRYPTION (AES-GCM)
+        // ===========================================
+
+        /**
+         * Derives (and caches) the PBKDF2 master key for a salt
+         * @param {Uint8Array} salt - Session salt
+         * @param {number} iterations - PBKDF2 iterations
+         * @returns {Promise<CryptoKey>} HKDF base key
+         */
+        function getMasterKey(salt, iterations) {
+            const passphrase = settings.passphrase;
+            const cacheKey = `${bytesToBase64(salt)}:${iterations}:${passphrase}`;
+
+            if (!masterKeys.has(cacheKey)) {
+                masterKeys.set(cacheKey, (async () => {
+                    const material = await crypto.subtle.importKey(
+                        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+                    const bits = await crypto.subtle.deriveBits(
+                        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+                    return crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+                })());
+            }
+
+            return masterKeys.get(cacheKey);
+        }
+
+        /**
+         * Derives the AES-GCM key of one transfer; every file gets its own key
+         * so chunk-index nonces never repeat under the same key
+         * @param {Uint8Array} salt - Session salt
+         * @param {number} iterations - PBKDF2 iterations
+         * @param {string} transferId - Transfer id (hex)
+         * @returns {Promise<CryptoKey>} AES-256-GCM key
+         */
+        async function deriveTransferKey(salt, iterations, transferId) {
+            const masterKey = await getMasterKey(salt, iterations);
+            return crypto.subtle.deriveKey(
+                { name: 'HKDF', hash: 'SHA-256', salt: hexToBytes(transferId), info: new TextEncoder().encode(KEY_INFO) },
+                masterKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        /**
+         * Creates the key and metadata descriptor for an outgoing transfer
+         * @param {string} transferId - Transfer id
+         * @param {Object|null} existing - Descriptor to reuse (resumed transfer)
+         * @param {Object|null} metadata - Metadata the key check covers, null with a descriptor to reuse
+         * @returns {Promise<{key: CryptoKey, descriptor: Object}>} Key and descriptor
+         */
+        async function createEncryption(transferId, existing, metadata) {
+            if (!sessionSalt) {
+                sessionSalt = crypto.getRandomValues(new Uint8Array(16));
+            }
+
+            const salt = existing ? base64ToBytes(existing.salt) : sessionSalt;
+            const iterations = existing ? existing.iterations : PBKDF2_ITERATIONS;
+            const key = await deriveTransferKey(salt, iterations, transferId);
+            if (existing) {
+                return { key, descriptor: existing };
+            }
+
+            const check = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: buildNonce(NONCE_KEY_CHECK, 0), additionalData: bindMetadata(metadata) },
+                key,
+                new TextEncoder().encode(KEY_CHECK_TEXT)
+            );
+
+            return {
+                key,
+                descriptor: {
+                    algorithm: 'AES-256-GCM',
+                    kdf: 'PBKDF2-SHA256',
+                    iterations,
+                    salt: bytesToBase64(salt),
+                    check: bytesToBase64(new Uint8Array(check))
+                }
+            };
+        }
+
+        /**
+         * Derives the key of an incoming transfer and proves the passphrase
+         * matches, and the metadata is the sender's, by decrypting the key check value
+         * @param {Object} descriptor - Encryption descriptor from metadata
+         * @param {string} transferId - Transfer id
+         * @param {Uint8Array} announced - Metadata fields from bindMetadata()
+         * @returns {Promise<CryptoKey>} AES-GCM key
+         * @throws {Error} If parameters are unsupported, the passphrase is wrong or the metadata was changed
+         */
+        async function openEncryption(descriptor, transferId, announced) {
+            if (descriptor.algorithm !== 'AES-256-GCM' ||
+                descriptor.kdf !== 'PBKDF2-SHA256' ||
+                !Number.isInteger(descriptor.iterations) ||
+                descriptor.iterations < 100000 ||
+                descriptor.iterations > 5000000) {
+                throw new Error('Unsupported encryption parameters');
+            }
+
+            const key = await deriveTransferKey(base64ToBytes(descriptor.salt), descriptor.iterations, transferId);
+
+            try {
+                const check = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: buildNonce(NONCE_KEY_CHECK, 0), additionalData: announced },
+                    key,
+                    base64ToBytes(descriptor.check)
+                );
+                if (new TextDecoder().decode(check) !== KEY_CHECK_TEXT) throw new Error('mismatch');
+            } catch (error) {
+                throw new Error('Wrong passphrase, or the file details were changed on the way');
+            }
+
+            return key;
+        }
+
+        return {
+            on,
+            off,
+            configure,
+            connect,
+            join,
+            acceptOffer,
+            acceptAnswer,
+            addCandidate,
+            closePeer,
+            removePeer,
+            dropDisconnectedPeers,
+            getPeers,
+            getConnectedPeers,
+            getLocalDescription,
+            queueFiles,
+            sendFile,
+            removeFile,
+            clearQueue,
+            getQueue,
+            hasQueuedFiles,
+            getSendTotals,
+            startSending,
+            isSending,
+            answerOffer,
+            getIncoming,
+            pause,
+            resume,
+            cancel,
+            sendChat,
+            canChat,
+            testConnectivity,
+            getDiagnostics,
+            confirmVerification
+        };
+    }
+
+    // ===========================================
+    // CHUNK ENCRYPTION
+    // ===========================================
+
+    /**
+     * Builds a 96-bit GCM nonce: 32-bit purpose prefix + 64-bit chunk index
+     * @param {number} prefix - NONCE_CHUNK or NONCE_KEY_CHECK
+     * @param {number} index - Chunk index
+     * @returns {Uint8Array} 12-byte nonce
+     */
+    function buildNonce(prefix, index) {
+        const nonce = new DataView(new ArrayBuffer(12));
+        nonce.setUint32(0, prefix);
+        nonce.setUint32(4, Math.floor(index / 0x100000000));
+        nonce.setUint32(8, index >>> 0);
+        return new Uint8Array(nonce.buffer);
+    }
+
+    /**
+     * Encodes the metadata fields the key check authenticates. A go-between
+     * without the passphrase cannot shorten, rename or swap an encrypted file:
+     * chunks only decrypt in place, and these fields fix what they add up to.
+     * @param {Object} metadata - File metadata as sent
+     * @returns {Uint8Array} Additional data for the key check
+     */
+    function bindMetadata(metadata) {
+        return new TextEncoder().encode(JSON.stringify([
+            metadata.transferId,
+            metadata.name,
+            metadata.path || '',
+            metadata.size,
+            metadata.totalChunks,
+            metadata.mimeType || '',
+            metadata.hash ? metadata.hash.root : null
+        ]));
+    }
+
+    /**
+     * Encrypts one chunk, the chunk index is part of the nonce
+     * @param {CryptoKey} key - Transfer key
+     * @param {number} index - Chunk index
+     * @param {ArrayBuffer} data - Plaintext
+     * @returns {Promise<ArrayBuffer>} Ciphertext with 16-byte tag
+     */
+    function encryptChunk(key, index, data) {
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: buildNonce(NONCE_CHUNK, index) }, key, data);
+    }
+
+    /**
+     * Decrypts and authenticates one chunk
+     * @param {CryptoKey} key - Transfer key
+     * @param {number} index - Chunk index
+     * @param {ArrayBuffer} data - Ciphertext with tag
+     * @returns {Promise<ArrayBuffer>} Plaintext
+     */
+    function decryptChunk(key, index, data) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: buildNonce(NONCE_CHUNK, index) }, key, data);
+    }
+
+    return {
+        CHUNK_SIZE,
+        MAX_FRAME_SIZE,
+        BUFFER_THRESHOLD,
+        MAX_BUFFER_THRESHOLD,
+        DEFAULT_ICE_SERVERS,
+        create,
+        formatBytes,
+        formatTime
+    };
+})();
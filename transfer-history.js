@@ -0,0 +1,203 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - TRANSFER HISTORY
+ * ===========================================================
+ * Keeps a record of every file sent or received in IndexedDB, so
+ * it survives reloading the tab, and optionally the received
+ * files themselves for downloading them again. Kept files share a
+ * storage quota: the oldest ones are dropped to make room, their
+ * records stay.
+ *
+ *   const history = TransferHistory.create();
+ *   engine.on('transfer-result', (result) => history.add(result, blob, quota));
+ *   const records = await history.list();
+ *   const blob = await history.getFile(records[0].id);
+ *
+ * Records are the engine's 'transfer-result' objects plus an id
+ * and keptBytes, the size of the kept file (0 if none).
+ * ===========================================================
+ */
+
+const TransferHistory = (function() {
+    'use strict';
+
+    /** Database of the app, one per origin */
+    const DB_NAME = 'p2p-file-share';
+
+    /** Schema version, bumped when stores change */
+    const DB_VERSION = 1;
+
+    /** Most records kept, older ones are dropped with their files */
+    const MAX_RECORDS = 1000;
+
+    /**
+     * Resolves with the result of an IndexedDB request
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Request result
+     */
+    function toPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Creates a history backed by IndexedDB, opened on first use
+     * @param {Object} options - { indexedDB } to use another factory than the browser's
+     * @returns {Object} History API
+     */
+    function create(options = {}) {
+        const factory = options.indexedDB || globalThis.indexedDB;
+        let database = null;
+
+        /**
+         * Opens the database, creating its stores on first use
+         * @returns {Promise<IDBDatabase>} Database
+         */
+        function open() {
+            if (!database) {
+                if (!factory) {
+                    return Promise.reject(new Error('This browser cannot store data (no IndexedDB)'));
+                }
+                const request = factory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('transfers', { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore('files', { keyPath: 'id' });
+                };
+                database = toPromise(request).catch((error) => {
+                    database = null;
+                    throw error;
+                });
+            }
+            return database;
+        }
+
+        /**
+         * Runs work in a transaction and waits until it is committed
+         * @param {string} mode - 'readonly' | 'readwrite'
+         * @param {Function} work - Called with { transfers, files } object stores
+         * @returns {Promise<void>} Resolves once committed
+         */
+        async function transact(mode, work) {
+            const db = await open();
+            const transaction = db.transaction(['transfers', 'files'], mode);
+            work({
+                transfers: transaction.objectStore('transfers'),
+                files: transaction.objectStore('files')
+            });
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            });
+        }
+
+        /**
+         * Reads every record, oldest first
+         * @returns {Promise<Object[]>} Records
+         */
+        async function readAll() {
+            const db = await open();
+            return toPromise(db.transaction('transfers').objectStore('transfers').getAll());
+        }
+
+        /**
+         * Records a transfer and keeps its file if it fits the quota
+         * @param {Object} result - Transfer result from the engine
+         * @param {Blob|null} blob - Received file to keep, null for none
+         * @param {number} quota - Bytes kept files may take, 0 to keep none
+         * @returns {Promise<Object>} Stored record
+         */
+        async function add(result, blob, quota) {
+            const keep = Boolean(blob) && quota > 0 && blob.size <= quota;
+            const record = Object.assign({}, result, { keptBytes: keep ? blob.size : 0 });
+
+            await transact('readwrite', (stores) => {
+                stores.transfers.add(record).onsuccess = (event) => {
+                    record.id = event.target.result;
+                    if (keep) stores.files.put({ id: record.id, blob });
+                };
+            });
+
+            await trim(quota);
+            return record;
+        }
+
+        /**
+         * Drops the oldest kept files until the rest fit the quota, and the
+         * oldest records beyond the record limit
+         * @param {number} quota - Bytes kept files may take
+         * @returns {Promise<number>} Number of files dropped
+         */
+        async function trim(quota) {
+            const records = await readAll();
+            const dropped = records.slice(0, Math.max(0, records.length - MAX_RECORDS));
+            const remaining = records.slice(dropped.length);
+
+            let usage = remaining.reduce((sum, record) => sum + record.keptBytes, 0);
+            const evicted = remaining.filter((record) => {
+                if (usage <= quota || record.keptBytes === 0) return false;
+                usage -= record.keptBytes;
+                return true;
+            });
+
+            if (dropped.length === 0 && evicted.length === 0) return 0;
+
+            await transact('readwrite', (stores) => {
+                dropped.forEach((record) => {
+                    stores.transfers.delete(record.id);
+                    stores.files.delete(record.id);
+                });
+                evicted.forEach((record) => {
+                    stores.files.delete(record.id);
+                    stores.transfers.put(Object.assign({}, record, { keptBytes: 0 }));
+                });
+            });
+            return evicted.length + dropped.filter((record) => record.keptBytes > 0).length;
+        }
+
+        /**
+         * Lists the records, newest first
+         * @returns {Promise<Object[]>} Records
+         */
+        async function list() {
+            return (await readAll()).reverse();
+        }
+
+        /**
+         * Reads a kept file
+         * @param {number} id - Record id
+         * @returns {Promise<Blob|null>} File, null if it was not kept
+         */
+        async function getFile(id) {
+            const db = await open();
+            const entry = await toPromise(db.transaction('files').objectStore('files').get(id));
+            return entry ? entry.blob : null;
+        }
+
+        /**
+         * Deletes every record and kept file
+         * @returns {Promise<void>}
+         */
+        async function clear() {
+            await transact('readwrite', (stores) => {
+                stores.transfers.clear();
+                stores.files.clear();
+            });
+        }
+
+        return {
+            add,
+            trim,
+            list,
+            getFile,
+            clear
+        };
+    }
+
+    return {
+        MAX_RECORDS,
+        create
+    };
+})();
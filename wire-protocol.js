@@ -0,0 +1,329 @@
+/**
+ * ===========================================================
+ * P2P FILE SHARING - WIRE PROTOCOL
+ * ===========================================================
+ * Messages exchanged on the file data channels. Both kinds carry
+ * the protocol version, so devices running different versions of
+ * the app stop with a clear error instead of misreading each other.
+ *
+ * Control messages are JSON text with a version and a type:
+ *
+ *   {"v":1,"type":"<type>", ...fields}
+ *
+ * The first message on the 'fileTransfer' channel is a hello from
+ * each side; the highest version both list is used from then on:
+ *
+ *   {"v":1,"type":"hello","app":"p2p-file-share","versions":[1]}
+ *
+ * Sending side:   offer, metadata, complete, abort, resume-accept,
+ *                 resume-reject, paused, unpaused
+ * Receiving side: accept, key-ok, reject, received, resume, pause,
+ *                 unpause, cancel
+ * Both sides:     verified (the user confirmed the verification code)
+ *
+ * Every field a type needs is checked against its schema when the
+ * message is decoded, so handlers only see well-formed messages.
+ * Unknown types are rejected.
+ *
+ * File data travels in binary frames of one or more consecutive
+ * chunks (all numbers little-endian):
+ *
+ *   offset  size  field
+ *        0     2  magic "PF"
+ *        2     1  protocol version
+ *        3     1  frame type (1 = file data)
+ *        4     1  flags (bit 0: chunks are AES-GCM encrypted)
+ *        5     3  reserved, zero
+ *        8    16  transfer id
+ *       24     8  byte offset of the first chunk in the file
+ *       32     …  payload
+ *
+ * The transfer id tells chunks of different files apart, so chunks
+ * of an earlier or cancelled file that arrive late are dropped.
+ * Unknown frame types, flags or versions are rejected.
+ * ===========================================================
+ */
+
+const WireProtocol = (function() {
+    'use strict';
+
+    /** Protocol version this app speaks by default */
+    const VERSION = 1;
+
+    /** Versions this app can speak, offered in the hello */
+    const SUPPORTED_VERSIONS = [1];
+
+    /** Application name in the hello, tells other WebRTC apps apart */
+    const APP_ID = 'p2p-file-share';
+
+    /** First bytes of every binary frame ("PF") */
+    const MAGIC = [0x50, 0x46];
+
+    /** Size of the binary frame header in bytes */
+    const HEADER_SIZE = 32;
+
+    /** Frame type of file data */
+    const FRAME_FILE_DATA = 1;
+
+    /** Flag: every chunk of the frame is encrypted with the transfer key */
+    const FLAG_ENCRYPTED = 0x01;
+
+    /** All flags this version knows */
+    const KNOWN_FLAGS = FLAG_ENCRYPTED;
+
+    /** Transfer ids are 16 random bytes in hex */
+    const TRANSFER_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+    /** Longest text field of a control message (names, paths, reasons) */
+    const MAX_TEXT_LENGTH = 4096;
+
+    // ===========================================
+    // MESSAGE SCHEMAS
+    // ===========================================
+
+    /** Field checks, each returns true for a valid value */
+    const isId = (value) => typeof value === 'string' && TRANSFER_ID_PATTERN.test(value);
+    const isText = (value) => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+    const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isBase64 = (value) => typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value);
+    const isFlag = (value) => typeof value === 'boolean';
+    const optional = (check) => (value) => value === undefined || value === null || check(value);
+    const listOf = (check) => (value) => Array.isArray(value) && value.every(check);
+    const shaped = (schema) => (value) => isObject(value) && findInvalidField(value, schema) === null;
+
+    /** Fields of a message that only names a transfer */
+    const TRANSFER_ONLY = { transferId: isId };
+
+    /** Required and optional fields of every message type */
+    const SCHEMAS = {
+        hello: { app: isText, versions: listOf(Number.isInteger) },
+        offer: {
+            offerId: isId,
+            files: listOf(shaped({ transferId: isId, name: isText, path: optional(isText), size: isCount, mimeType: optional(isText) }))
+        },
+        accept: { offerId: isId, files: listOf(isId), refused: optional(listOf(shaped({ transferId: isId, reason: isText }))) },
+        metadata: {
+            transferId: isId,
+            name: isText,
+            path: optional(isText),
+            size: isCount,
+            lastModified: optional(Number.isFinite),
+            mimeType: optional(isText),
+            totalChunks: isCount,
+            fileIndex: isCount,
+            fileCount: isCount,
+            hash: optional(isObject),
+            encryption: optional(isObject)
+        },
+        'key-ok': TRANSFER_ONLY,
+        reject: { transferId: isId, reason: isText, busy: optional(isFlag) },
+        complete: TRANSFER_ONLY,
+        received: TRANSFER_ONLY,
+        abort: { transferId: optional(isId), offerId: optional(isId) },
+        resume: {
+            transferId: isId,
+            name: isText,
+            size: isCount,
+            lastModified: optional(Number.isFinite),
+            totalChunks: isCount,
+            have: isBase64,
+            encryption: optional(isObject)
+        },
+        'resume-accept': TRANSFER_ONLY,
+        'resume-reject': { transferId: isId, reason: isText },
+        pause: TRANSFER_ONLY,
+        unpause: TRANSFER_ONLY,
+        cancel: TRANSFER_ONLY,
+        // A sender can pause between files or while its offer waits
+        paused: { transferId: optional(isId) },
+        unpaused: { transferId: optional(isId) },
+        verified: {}
+    };
+
+    /**
+     * Finds the first field of a message its schema does not allow
+     * @param {Object} message - Message
+     * @param {Object} schema - Field checks by name
+     * @returns {string|null} Field name, null if all are valid
+     */
+    function findInvalidField(message, schema) {
+        return Object.keys(schema).find((field) => !schema[field](message[field])) || null;
+    }
+
+    // ===========================================
+    // CONTROL MESSAGES
+    // ===========================================
+
+    /**
+     * Serializes a control message with the protocol version
+     * @param {Object} message - Message with a type
+     * @returns {string} JSON text
+     */
+    function encodeControl(message) {
+        return JSON.stringify(Object.assign({ v: VERSION }, message));
+    }
+
+    /**
+     * Parses a control message and checks its version and fields
+     * @param {string} text - JSON text
+     * @returns {Object} Message
+     */
+    function decodeControl(text) {
+        const message = JSON.parse(text);
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+            throw new Error('Control message has no type');
+        }
+        if (message.v === undefined) {
+            throw new Error('The other device runs an older version of the app, please update it');
+        }
+        if (!SUPPORTED_VERSIONS.includes(message.v)) {
+            throw new Error(`Protocol version ${message.v} is not supported, please update the app`);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(SCHEMAS, message.type)) {
+            throw new Error(`Unknown control message type "${message.type.slice(0, 32)}"`);
+        }
+        const field = findInvalidField(message, SCHEMAS[message.type]);
+        if (field !== null) {
+            throw new Error(`Malformed ${message.type} message (${field})`);
+        }
+        return message;
+    }
+
+    /**
+     * Creates the hello sent when the channel opens
+     * @returns {Object} Hello message
+     */
+    function createHello() {
+        return { type: 'hello', app: APP_ID, versions: SUPPORTED_VERSIONS };
+    }
+
+    /**
+     * Picks the protocol version from the other side's hello
+     * @param {Object} hello - Hello message
+     * @returns {number} Highest version both sides speak
+     */
+    function negotiate(hello) {
+        if (hello.app !== APP_ID) {
+            throw new Error('The other device is not running P2P File Share');
+        }
+        const versions = Array.isArray(hello.versions) ? hello.versions : [];
+        const common = SUPPORTED_VERSIONS.filter((version) => versions.includes(version));
+        if (common.length === 0) {
+            throw new Error(`No common protocol version (theirs: ${versions.join(', ') || 'none'}, ours: ${SUPPORTED_VERSIONS.join(', ')})`);
+        }
+        return Math.max(...common);
+    }
+
+    // ===========================================
+    // BINARY FRAMES
+    // ===========================================
+
+    /**
+     * Builds a file data frame
+     * @param {string} transferId - Transfer id of the file
+     * @param {number} offset - Byte offset of the first chunk
+     * @param {number} flags - Frame flags
+     * @param {ArrayBuffer[]} parts - Chunks, encrypted or not
+     * @returns {ArrayBuffer} Frame
+     */
+    function encodeFrame(transferId, offset, flags, parts) {
+        const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+        const frame = new Uint8Array(HEADER_SIZE + size);
+        const view = new DataView(frame.buffer);
+
+        frame.set(MAGIC, 0);
+        view.setUint8(2, VERSION);
+        view.setUint8(3, FRAME_FILE_DATA);
+        view.setUint8(4, flags);
+        frame.set(hexToBytes(transferId), 8);
+        view.setBigUint64(24, BigInt(offset), true);
+
+        let position = HEADER_SIZE;
+        parts.forEach((part) => {
+            frame.set(new Uint8Array(part), position);
+            position += part.byteLength;
+        });
+        return frame.buffer;
+    }
+
+    /**
+     * Reads and checks the header of a file data frame
+     * @param {ArrayBuffer} buffer - Frame
+     * @returns {{transferId: string, offset: number, flags: number, payload: ArrayBuffer}} Frame fields
+     */
+    function decodeFrame(buffer) {
+        if (buffer.byteLength < HEADER_SIZE) {
+            throw new Error('Frame is shorter than its header');
+        }
+        const bytes = new Uint8Array(buffer, 0, HEADER_SIZE);
+        const view = new DataView(buffer);
+
+        if (bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1]) {
+            throw new Error('Frame has no protocol header, the other device runs an older version of the app');
+        }
+        if (!SUPPORTED_VERSIONS.includes(bytes[2])) {
+            throw new Error(`Frame uses unsupported protocol version ${bytes[2]}`);
+        }
+        if (bytes[3] !== FRAME_FILE_DATA) {
+            throw new Error(`Unknown frame type ${bytes[3]}`);
+        }
+        if (bytes[4] & ~KNOWN_FLAGS) {
+            throw new Error(`Unknown frame flags ${bytes[4]}`);
+        }
+
+        const offset = view.getBigUint64(24, true);
+        if (offset > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error('Frame offset out of range');
+        }
+
+        return {
+            transferId: bytesToHex(bytes.subarray(8, 24)),
+            offset: Number(offset),
+            flags: bytes[4],
+            payload: buffer.slice(HEADER_SIZE)
+        };
+    }
+
+    // ===========================================
+    // UTILITY FUNCTIONS
+    // ===========================================
+
+    /**
+     * Converts a transfer id to its 16 bytes
+     * @param {string} hex - Transfer id
+     * @returns {Uint8Array} Bytes
+     */
+    function hexToBytes(hex) {
+        if (!TRANSFER_ID_PATTERN.test(hex)) {
+            throw new Error('Invalid transfer id');
+        }
+        const bytes = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Converts 16 bytes back to a transfer id
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Transfer id
+     */
+    function bytesToHex(bytes) {
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    return {
+        VERSION,
+        HEADER_SIZE,
+        FLAG_ENCRYPTED,
+        encodeControl,
+        decodeControl,
+        createHello,
+        negotiate,
+        encodeFrame,
+        decodeFrame
+    };
+})();